@@ -0,0 +1,272 @@
+/**
+ * CLI Commands - The hd Command Table
+ *
+ * One entry per subcommand:
+ *
+ *   {
+ *     name: 'gate',
+ *     usage: 'gate <gate>',
+ *     summary: '...',
+ *     columns: [...],                       // Optional - table/CSV header for empty results
+ *     svg: false,                           // true - run() returns SVG markup, written as-is
+ *     passed: (data, options) => boolean,   // Optional - false makes hd exit with status 1
+ *     run: ({ args, options, adapter }) => data
+ *   }
+ *
+ * Lookups reuse the REST route handlers (server/routes.js), so the CLI and
+ * the API validate input and shape resources the same way. Commands never
+ * print; hd.js formats whatever run() returns. Invalid input throws an
+ * inputError() (4xx route errors become one); any other error is a bug.
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROUTES } = require('../server/routes.js');
+const renderer = require('../visualization/generators/ring-renderer.js');
+const verification = require('../core/root-system/verification-protocol.js');
+const auditor = require('../core/audit/consistency-auditor.js');
+const systems = require('../core/store/system-loader.js');
+
+// Fields a query returns unless --select is given
+const QUERY_FIELDS = ['humanDesign.name', 'quarter', 'center'];
+const LINE_QUERY_FIELDS = ['humanDesign.name', 'lineKnowledge.lineKeynote'];
+
+/**
+ * Error for invalid input (hd exits with status 2)
+ * @param {string} message - Message for the user
+ * @returns {Error} Error with .invalidInput
+ */
+function inputError(message) {
+  const error = new Error(message);
+  error.invalidInput = true;
+  return error;
+}
+
+/**
+ * Run an input check, turning its error into an inputError()
+ */
+function validate(check) {
+  try {
+    return check();
+  } catch (error) {
+    throw inputError(error.message);
+  }
+}
+
+/**
+ * Run a REST route handler ("GET <routePath>") directly
+ * @throws {Error} inputError() for 4xx route errors
+ */
+function callRoute(routePath, { params = {}, query = {}, adapter }) {
+  const route = ROUTES.find(r => r.method === 'GET' && r.path === routePath);
+  try {
+    return route.handler({ params, query, adapter });
+  } catch (error) {
+    if (error.status >= 400 && error.status < 500) throw inputError(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Require a positional argument
+ */
+function required(value, name, usage) {
+  if (value === undefined || value === '') {
+    throw inputError(`Missing ${name} (usage: hd ${usage})`);
+  }
+  return value;
+}
+
+/**
+ * Query string of the options a list route accepts
+ */
+function pick(options, names) {
+  const query = {};
+  names.filter(name => options[name] !== undefined).forEach(name => { query[name] = String(options[name]); });
+  return query;
+}
+
+/**
+ * Read a wheel composition from a JSON file ("-" reads stdin)
+ */
+function readComposition(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file === '-' ? 0 : path.resolve(file), 'utf8');
+  } catch (error) {
+    throw inputError(`Cannot read composition ${file}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw inputError(`Composition ${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+const COMMANDS = [
+  {
+    name: 'gate',
+    usage: 'gate <gate>',
+    summary: 'Unified knowledge for a gate',
+    run: ({ args, adapter }) => callRoute('/gates/{gate}', {
+      params: { gate: required(args[0], 'gate', 'gate <gate>') },
+      adapter
+    })
+  },
+  {
+    name: 'line',
+    usage: 'line <gate> <line> | line <gate>.<line>',
+    summary: 'Unified knowledge for a gate line',
+    run: ({ args, adapter }) => {
+      const [gate, line] = args.length === 1 ? args[0].split('.') : args;
+      return callRoute('/gates/{gate}/lines/{line}', {
+        params: {
+          gate: required(gate, 'gate', 'line <gate> <line>'),
+          line: required(line, 'line', 'line <gate> <line>')
+        },
+        adapter
+      });
+    }
+  },
+  {
+    name: 'search',
+    usage: 'search <terms...> [--limit n]',
+    summary: 'Ranked full-text search across every knowledge system',
+    columns: ['id', 'level', 'title', 'score', 'field', 'snippet'],
+    run: ({ args, options, adapter }) => {
+      const terms = required(args.join(' '), 'search terms', 'search <terms...>');
+      const limit = options.limit === undefined ? Infinity : Number(options.limit);
+      if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
+        throw inputError(`Invalid --limit: ${options.limit} (must be a positive integer)`);
+      }
+      return validate(() => adapter.search(terms, { limit, highlight: ['', ''] })).map(hit => ({
+        id: hit.id,
+        level: hit.level,
+        title: hit.title,
+        score: hit.score,
+        field: hit.matches[0]?.field,
+        snippet: hit.matches[0]?.snippet
+      }));
+    }
+  },
+  {
+    name: 'query',
+    usage: 'query <expression> [--select field,field]',
+    summary: 'Gates or lines matching a query expression, e.g. "quarter:Mutation AND center:Sacral"',
+    columns: ['gate', ...QUERY_FIELDS],
+    run: ({ args, options, adapter }) => {
+      const source = required(args.join(' '), 'query expression', 'query <expression>');
+      const query = validate(() => adapter.query(source));
+      const fields = options.select
+        ? String(options.select).split(',').map(field => field.trim()).filter(Boolean)
+        : query.toPredicate().lineLevel ? LINE_QUERY_FIELDS : QUERY_FIELDS;
+      validate(() => query.select(...fields));
+      return query.run();
+    }
+  },
+  {
+    name: 'center',
+    usage: 'center [name]',
+    summary: 'List the centers, or the knowledge and gates of one',
+    run: ({ args, adapter }) => (args.length === 0
+      ? callRoute('/centers', { adapter })
+      : callRoute('/centers/{name}', { params: { name: args.join(' ') }, adapter }))
+  },
+  {
+    name: 'channel',
+    usage: 'channel [id] [--gate n]',
+    summary: 'List the channels (optionally those of one gate), or the knowledge of one',
+    run: ({ args, options, adapter }) => (args.length === 0
+      ? callRoute('/channels', { query: pick(options, ['gate']), adapter })
+      : callRoute('/channels/{id}', { params: { id: args[0] }, adapter }))
+  },
+  {
+    name: 'cross',
+    usage: 'cross [name] [--type RAX|JX|LAX] [--gate n]',
+    summary: 'List the incarnation crosses, or the definition of one',
+    run: ({ args, options, adapter }) => (args.length === 0
+      ? callRoute('/crosses', { query: pick(options, ['type', 'gate']), adapter })
+      : callRoute('/crosses/{name}', { params: { name: args.join(' ') }, adapter }))
+  },
+  {
+    name: 'render',
+    usage: 'render ring <name> | render wheel <config.json|-> [--scale n] [--theme dark|light]',
+    summary: 'Render a ring, or a wheel composition (the Ring Composer\'s "Copy Config" JSON), as SVG',
+    svg: true,
+    run: ({ args, options }) => {
+      const [kind, target] = args;
+      const renderOptions = pick(options, ['scale', 'theme']);
+
+      if (kind === 'ring') {
+        const name = validate(() => renderer.resolveRing(required(target, 'ring name', 'render ring <name>')));
+        validate(() => renderer.normalizeOptions(renderOptions));
+        return renderer.renderRing(name, renderOptions);
+      }
+      if (kind === 'wheel') {
+        const file = required(target, 'composition file', 'render wheel <config.json|->');
+        const composition = { ...readComposition(file), ...renderOptions };
+        validate(() => renderer.normalizeComposition(composition));
+        return renderer.renderWheel(composition);
+      }
+      throw inputError(`Unknown render target: ${kind === undefined ? '(none)' : kind} (must be ring or wheel)`);
+    }
+  },
+  {
+    name: 'verify',
+    usage: 'verify [system...]',
+    summary: 'Run the verification protocol on knowledge systems (all by default)',
+    columns: ['system', 'passed', 'tests', 'failed', 'errors'],
+    passed: rows => rows.every(row => row.passed),
+    run: ({ args }) => {
+      const names = args.length > 0 ? args : systems.getSystemNames();
+      names.forEach(name => validate(() => systems.getSystem(name)));
+      return names.map(name => {
+        const { report } = verification.verifySystem(name, { silent: true });
+        return {
+          system: name,
+          passed: report.passed,
+          tests: report.totals.tests,
+          failed: report.totals.failed,
+          errors: report.errors
+        };
+      });
+    }
+  },
+  {
+    name: 'audit',
+    usage: 'audit [--strict] [--check id,id]',
+    summary: 'Cross-system consistency audit (one row per discrepancy)',
+    columns: ['check', 'severity', 'subject', 'message'],
+    passed: (rows, options) => !rows.some(row => row.severity === 'error' || (options.strict && row.severity === 'warning')),
+    run: ({ options }) => {
+      const checks = options.check ? String(options.check).split(',') : undefined;
+      const known = auditor.listChecks().map(check => check.id);
+      const unknown = (checks || []).find(id => !known.includes(id));
+      if (unknown !== undefined) {
+        throw inputError(`Unknown consistency check: ${unknown} (must be one of ${known.join(', ')})`);
+      }
+      const report = auditor.auditConsistency({ strict: Boolean(options.strict), checks });
+      return report.discrepancies.map(({ check, severity, subject, message }) => ({ check, severity, subject, message }));
+    }
+  }
+];
+
+/**
+ * Get a command by name
+ * @throws {Error} If no such command exists
+ */
+function getCommand(name) {
+  const command = COMMANDS.find(c => c.name === name);
+  if (!command) {
+    throw inputError(`Unknown command: ${name} (must be one of ${COMMANDS.map(c => c.name).join(', ')})`);
+  }
+  return command;
+}
+
+module.exports = {
+  COMMANDS,
+  getCommand,
+  inputError
+};
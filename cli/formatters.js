@@ -0,0 +1,158 @@
+/**
+ * CLI Formatters - JSON, Table, Markdown and CSV Output
+ *
+ * Every hd command returns plain data; these turn it into text. Tabular
+ * formats lay data out as rows:
+ * - Array of objects: one row per item, nested fields as dot-path columns
+ *   ("geneKeys.shadow"), arrays of plain values joined with ", "
+ * - Object: one { field, value } row per (flattened) field
+ * - Anything else: a single value column
+ *
+ * @version 1.0.0
+ */
+
+const FORMATS = ['json', 'table', 'markdown', 'csv'];
+
+/**
+ * Is this a plain object (not an array or null)?
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Text of one cell
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(cellText).join(', ');
+  if (isPlainObject(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Flatten nested objects (and arrays of objects) to dot-path keys
+ * @param {*} value - Value to flatten
+ * @returns {Object} { 'a.b': text, 'list[0].c': text, ... }
+ */
+function flatten(value, prefix = '', into = {}) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, into);
+    }
+  } else if (Array.isArray(value) && value.some(isPlainObject)) {
+    value.forEach((child, i) => flatten(child, `${prefix}[${i}]`, into));
+  } else {
+    into[prefix || 'value'] = cellText(value);
+  }
+  return into;
+}
+
+/**
+ * Lay data out as columns and rows of text
+ * @param {*} data - Command result
+ * @param {Array<string>} columns - Columns to use when there are no rows
+ * @returns {Object} { columns: [...], rows: [[...], ...] }
+ */
+function toRows(data, columns = []) {
+  let records;
+  if (Array.isArray(data)) {
+    records = data.map(item => (isPlainObject(item) ? flatten(item) : { value: cellText(item) }));
+  } else if (isPlainObject(data)) {
+    records = Object.entries(flatten(data)).map(([field, value]) => ({ field, value }));
+  } else {
+    records = [{ value: cellText(data) }];
+  }
+
+  if (records.length === 0) {
+    return { columns: [...columns], rows: [] };
+  }
+
+  const names = [];
+  for (const record of records) {
+    for (const name of Object.keys(record)) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  return {
+    columns: names,
+    rows: records.map(record => names.map(name => record[name] ?? ''))
+  };
+}
+
+/**
+ * Single-line cell text (tables and Markdown)
+ */
+function oneLine(text) {
+  return text.replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+/**
+ * Aligned plain-text table
+ */
+function formatTable({ columns, rows }) {
+  if (columns.length === 0) return '';
+  const cells = [columns, ...rows.map(row => row.map(oneLine))];
+  const widths = columns.map((_, i) => Math.max(...cells.map(row => row[i].length)));
+  const line = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(columns),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.slice(1).map(line)
+  ].join('\n');
+}
+
+/**
+ * GitHub-flavoured Markdown table
+ */
+function formatMarkdown({ columns, rows }) {
+  if (columns.length === 0) return '';
+  const line = row => `| ${row.map(cell => oneLine(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+
+  return [
+    line(columns),
+    line(columns.map(() => '---')),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+/**
+ * CSV (RFC 4180 quoting, header row first)
+ */
+function formatCSV({ columns, rows }) {
+  if (columns.length === 0) return '';
+  const field = text => (/[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+  return [columns, ...rows].map(row => row.map(field).join(',')).join('\n');
+}
+
+/**
+ * Format command output
+ * @param {*} data - Command result
+ * @param {string} formatName - 'json', 'table', 'markdown' or 'csv'
+ * @param {Object} options - { columns: header for empty lists }
+ * @returns {string} Text (without a trailing newline)
+ * @throws {Error} For unknown formats
+ */
+function format(data, formatName = 'json', options = {}) {
+  if (formatName === 'json') {
+    return JSON.stringify(data, null, 2);
+  }
+
+  const rows = toRows(data, options.columns);
+  if (formatName === 'table') return formatTable(rows);
+  if (formatName === 'markdown') return formatMarkdown(rows);
+  if (formatName === 'csv') return formatCSV(rows);
+
+  throw new Error(`Unknown format: ${formatName} (must be one of ${FORMATS.join(', ')})`);
+}
+
+module.exports = {
+  format,
+  toRows,
+  flatten,
+
+  // Constants
+  FORMATS
+};
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * hd - Knowledge Engine Command Line
+ *
+ * One CLI for lookups, search, queries, rendering and data checks. Output
+ * goes to stdout with no banners, in the format chosen with --format:
+ *
+ *   hd gate 13 --format table
+ *   hd line 13.4
+ *   hd search courage --limit 5 --format csv
+ *   hd query "quarter:Mutation AND center:Sacral" --format markdown
+ *   hd render ring gene-keys --theme light --output gene-keys.svg
+ *   hd audit --strict
+ *
+ * Exit status: 0 success, 1 verify/audit found problems, 2 invalid input
+ * (usage errors, invalid or unknown gates, channels, crosses, ...), 3 an
+ * internal error (a bug - please report it with the stack trace).
+ * Invalid input is reported on stderr as "hd: <message>", internal errors
+ * as "hd: internal error: <stack>".
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const V3Adapter = require('../visualization/core/v3-adapter.js');
+const { COMMANDS, getCommand, inputError } = require('./commands.js');
+const { format, FORMATS } = require('./formatters.js');
+
+const DEFAULT_FORMAT = 'json';
+
+// Options that take no value
+const FLAGS = ['help', 'version', 'strict'];
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_INVALID = 2;
+const EXIT_INTERNAL = 3;
+
+/**
+ * Split arguments into positionals and --options
+ * Accepts "--name value", "--name=value" and -h; "--" ends the options.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { positionals: [...], options: { name: value } }
+ * @throws {Error} If an option is missing its value
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s);
+      if (FLAGS.includes(name)) {
+        options[name] = true;
+      } else if (inline !== undefined) {
+        options[name] = inline;
+      } else if (i + 1 < argv.length) {
+        options[name] = argv[++i];
+      } else {
+        throw new Error(`Option --${name} needs a value`);
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * Usage text (all commands, or one)
+ */
+function usage(command) {
+  if (command) {
+    return [`Usage: hd ${command.usage}`, '', command.summary].join('\n');
+  }
+
+  const width = Math.max(...COMMANDS.map(c => c.name.length));
+  return [
+    'Usage: hd <command> [arguments] [--format json|table|markdown|csv] [--output file]',
+    '',
+    'Commands:',
+    ...COMMANDS.map(c => `  ${c.name.padEnd(width)}  ${c.summary}`),
+    '',
+    'Run "hd help <command>" for a command\'s arguments.'
+  ].join('\n');
+}
+
+/**
+ * Run the CLI without touching the process (testable)
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} options - { adapter }
+ * @returns {Object} { status, stdout, stderr }
+ */
+function run(argv, { adapter = new V3Adapter({ logErrors: false }) } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    return { status: EXIT_INVALID, stdout: '', stderr: `hd: ${error.message}\n` };
+  }
+  const { positionals: [name, ...args], options } = parsed;
+
+  if (options.version) {
+    return { status: EXIT_OK, stdout: `${adapter.getVersion().version}\n`, stderr: '' };
+  }
+
+  try {
+    if (name === undefined || name === 'help') {
+      const text = args[0] ? usage(getCommand(args[0])) : usage();
+      return { status: EXIT_OK, stdout: `${text}\n`, stderr: '' };
+    }
+
+    const command = getCommand(name);
+    if (options.help) {
+      return { status: EXIT_OK, stdout: `${usage(command)}\n`, stderr: '' };
+    }
+
+    const formatName = options.format === undefined ? DEFAULT_FORMAT : options.format;
+    if (!FORMATS.includes(formatName)) {
+      throw inputError(`Unknown format: ${formatName} (must be one of ${FORMATS.join(', ')})`);
+    }
+
+    const data = command.run({ args, options, adapter });
+    const text = command.svg ? data : format(data, formatName, { columns: command.columns });
+    const passed = command.passed ? command.passed(data, options) : true;
+
+    return { status: passed ? EXIT_OK : EXIT_FAILED, stdout: text.endsWith('\n') ? text : `${text}\n`, stderr: '' };
+  } catch (error) {
+    if (error.invalidInput) {
+      return { status: EXIT_INVALID, stdout: '', stderr: `hd: ${error.message}\n` };
+    }
+    return { status: EXIT_INTERNAL, stdout: '', stderr: `hd: internal error: ${error.stack || error}\n` };
+  }
+}
+
+module.exports = {
+  run,
+  parseArgs,
+
+  // Constants
+  DEFAULT_FORMAT,
+  EXIT_OK,
+  EXIT_FAILED,
+  EXIT_INVALID,
+  EXIT_INTERNAL
+};
+
+// CLI
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const result = run(argv);
+
+  // Piping into head and the like closes stdout early - not an error
+  process.stdout.on('error', error => {
+    if (error.code !== 'EPIPE') throw error;
+  });
+
+  const outputFile = result.stdout && parseArgs(argv).options.output;
+  if (outputFile) {
+    fs.writeFileSync(path.resolve(outputFile), result.stdout);
+  } else {
+    process.stdout.write(result.stdout);
+  }
+  process.stderr.write(result.stderr);
+  process.exitCode = result.status;
+}
@@ -0,0 +1,714 @@
+/**
+ * Consistency Auditor - Cross-Checks Facts Duplicated Between Knowledge Systems
+ *
+ * Several facts live in more than one place: a gate's center in hd-gates and in
+ * the centers' gate lists, its trigrams in iching-names and in the root binary,
+ * cross counts in totals, descriptions and the cross list itself. Each check
+ * below compares one such fact everywhere it is stored.
+ *
+ * Severities:
+ * - error:   the systems contradict each other (different center, missing channel,
+ *            wrong count) - fails the audit
+ * - warning: the same fact is worded differently (names, keywords, keynotes after
+ *            normalising case, articles and punctuation) - fails only in strict mode
+ *
+ * Reports come as console output, JSON and a standalone HTML page:
+ *
+ *   node core/audit/consistency-auditor.js [--json] [--html report.html] [--strict] [--check id,...]
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const rootSystem = require('../root-system/positioning-algorithm.js');
+const binaryIdentity = require('../root-system/binary-identity.json');
+const systems = require('../store/system-loader.js');
+
+const SEVERITIES = ['error', 'warning'];
+const GATES = Array.from({ length: 64 }, (_, i) => i + 1);
+
+/**
+ * Normalise wording for comparison: case, articles and punctuation are ignored
+ */
+function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/\b(a|an|the)\b/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Normalise a gate name: "The Gate of X" and "X of (The) Self" reduce to "X"
+ */
+function normalizeGateName(text) {
+  return normalizeText(String(text ?? '')
+    .replace(/^the gate of /i, '')
+    .replace(/ of (the )?self$/i, ''));
+}
+
+/**
+ * Normalise a channel keynote: "A design of X" and "The design of X" reduce to "X"
+ */
+function normalizeKeynote(text) {
+  return normalizeText(String(text ?? '').replace(/^(a |the )?design of /i, ''));
+}
+
+/**
+ * Normalise a cross name: "LAX Limitation", "Cross of Limitation" and "Limitation 1"
+ * reduce to "Limitation"
+ */
+function normalizeCrossName(text) {
+  return normalizeText(String(text ?? '')
+    .replace(/^(LAX|RAX|JX) /, '')
+    .replace(/^Cross of /i, '')
+    .replace(/ 1$/, ''));
+}
+
+/**
+ * Data access for the checks (mapping files come from the system registry)
+ */
+function createContext(getMappingFile) {
+  const cache = new Map();
+  const file = (name, fileName = null) => {
+    const key = `${name}:${fileName || ''}`;
+    if (!cache.has(key)) cache.set(key, getMappingFile(name, fileName));
+    return cache.get(key);
+  };
+  const entries = name => file(name)[systems.getSystem(name).manifest.collection || 'mappings'];
+
+  return {
+    file,
+    entries,
+    gate: (name, gateNumber) => entries(name).find(entry => entry.gateNumber === gateNumber),
+    centersOf: gateNumber => entries('centers').filter(center => center.gates.includes(gateNumber)),
+    channelsOf: gateNumber => entries('channels').filter(ch => ch.gate1 === gateNumber || ch.gate2 === gateNumber),
+    findChannel: (gateA, gateB) => entries('channels').find(ch =>
+      (ch.gate1 === gateA && ch.gate2 === gateB) || (ch.gate1 === gateB && ch.gate2 === gateA))
+  };
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+const CHECKS = [
+  {
+    id: 'gate-centers',
+    description: 'hd-gates center matches the centers gate lists',
+    systems: ['hd-gates', 'centers'],
+    severity: 'error',
+    run(data, report) {
+      for (const gate of GATES) {
+        const centers = data.centersOf(gate).map(center => center.centerName);
+        const stated = data.gate('hd-gates', gate).knowledge.center;
+        if (centers.length !== 1) {
+          report(`gate ${gate}`, `Listed in ${centers.length} centers (${centers.join(', ') || 'none'}) - hd-gates says ${stated}`);
+        } else if (centers[0] !== stated) {
+          report(`gate ${gate}`, `hd-gates says ${stated}, centers lists it under ${centers[0]}`);
+        }
+      }
+      for (const center of data.entries('centers')) {
+        if (center.totalGates !== center.gates.length) {
+          report(center.centerName, `totalGates is ${center.totalGates} but ${center.gates.length} gates are listed`);
+        }
+      }
+    }
+  },
+  {
+    id: 'gate-channels',
+    description: 'hd-gates channel and harmonicGate match the channels system',
+    systems: ['hd-gates', 'channels'],
+    severity: 'error',
+    run(data, report) {
+      for (const gate of GATES) {
+        const { channel, harmonicGate } = data.gate('hd-gates', gate).knowledge;
+        const channels = data.channelsOf(gate);
+        const ids = channels.map(ch => ch.channelNumber).join(', ');
+
+        if (channel === null) {
+          if (channels.length <= 1) {
+            report(`gate ${gate}`, `hd-gates lists no channel, channels has ${channels.length} (${ids || 'none'})`);
+          }
+          continue;
+        }
+
+        const [gateA, gateB] = String(channel).split('-').map(Number);
+        const found = data.findChannel(gateA, gateB);
+        if (!found || (found.gate1 !== gate && found.gate2 !== gate)) {
+          report(`gate ${gate}`, `hd-gates channel ${channel} is not one of its channels (${ids || 'none'})`);
+          continue;
+        }
+        const other = found.gate1 === gate ? found.gate2 : found.gate1;
+        if (harmonicGate !== other) {
+          report(`gate ${gate}`, `harmonicGate is ${harmonicGate}, channel ${channel} connects it to ${other}`);
+        }
+        if (channels.length > 1) {
+          report(`gate ${gate}`, `hd-gates lists only ${channel} of its ${channels.length} channels (${ids})`, 'warning');
+        }
+      }
+    }
+  },
+  {
+    id: 'channel-names',
+    description: 'hd-gates channelName and channelKeynote match the channels system',
+    systems: ['hd-gates', 'channels'],
+    severity: 'warning',
+    run(data, report) {
+      for (const gate of GATES) {
+        const { channel, channelName, channelKeynote } = data.gate('hd-gates', gate).knowledge;
+        const found = channel && data.findChannel(...String(channel).split('-').map(Number));
+        if (!found) continue;  // Reported by gate-channels
+
+        if (normalizeText(channelName) !== normalizeText(found.knowledge.name)) {
+          report(`gate ${gate}`, `channelName "${channelName}" vs "${found.knowledge.name}" in channels`);
+        }
+        if (normalizeKeynote(channelKeynote) !== normalizeKeynote(found.knowledge.keynote)) {
+          report(`gate ${gate}`, `channelKeynote "${channelKeynote}" vs "${found.knowledge.keynote}" in channels`);
+        }
+      }
+    }
+  },
+  {
+    id: 'harmonic-gate-names',
+    description: 'hd-gates harmonicGateName matches the harmonic gate\'s own name',
+    systems: ['hd-gates'],
+    severity: 'warning',
+    run(data, report) {
+      for (const gate of GATES) {
+        const { harmonicGate, harmonicGateName } = data.gate('hd-gates', gate).knowledge;
+        const harmonic = Number.isInteger(harmonicGate) && data.gate('hd-gates', harmonicGate);
+        if (harmonic && normalizeText(harmonicGateName) !== normalizeText(harmonic.knowledge.name)) {
+          report(`gate ${gate}`, `harmonicGateName "${harmonicGateName}" vs gate ${harmonicGate} name "${harmonic.knowledge.name}"`);
+        }
+      }
+    }
+  },
+  {
+    id: 'channel-centers',
+    description: 'channels centerConnection matches the centers of both gates',
+    systems: ['channels', 'centers'],
+    severity: 'error',
+    run(data, report) {
+      for (const channel of data.entries('channels')) {
+        const [centerA, centerB] = [channel.gate1, channel.gate2]
+          .map(gate => data.centersOf(gate).map(center => center.centerName).join('/') || 'no center');
+        const stated = channel.knowledge.centerConnection;
+        if (stated !== `${centerA} to ${centerB}` && stated !== `${centerB} to ${centerA}`) {
+          report(`channel ${channel.channelNumber}`, `centerConnection "${stated}", gates sit in ${centerA} and ${centerB}`);
+        }
+      }
+    }
+  },
+  {
+    id: 'iching-trigrams',
+    description: 'iching-names trigrams and hexagram numbers match the root binary',
+    systems: ['iching-names'],
+    severity: 'error',
+    run(data, report) {
+      for (const gate of GATES) {
+        const { trigrams, hexagramNumber } = data.gate('iching-names', gate).knowledge;
+        const calculated = rootSystem.getTrigrams(gate);
+        if (trigrams.upper !== calculated.upper || trigrams.lower !== calculated.lower) {
+          report(`gate ${gate}`,
+            `Stored ${trigrams.upper} over ${trigrams.lower}, binary gives ${calculated.upper} over ${calculated.lower}`);
+        }
+        if (hexagramNumber !== gate) {
+          report(`gate ${gate}`, `hexagramNumber is ${hexagramNumber}`);
+        }
+      }
+    }
+  },
+  {
+    id: 'gate-names',
+    description: 'Gate names and keywords agree across hd-gates, hd-traditional-gates and iching-names',
+    systems: ['hd-gates', 'hd-traditional-gates', 'iching-names'],
+    severity: 'warning',
+    run(data, report) {
+      const lines = data.entries('hd-traditional-gates');
+      for (const gate of GATES) {
+        const { name, keyword } = data.gate('hd-gates', gate).knowledge;
+
+        const ichingName = data.gate('iching-names', gate).knowledge.ichingName;
+        if (normalizeText(ichingName) !== normalizeText(name)) {
+          report(`gate ${gate}`, `iching-names "${ichingName}" vs hd-gates "${name}"`);
+        }
+
+        for (const [field, expected] of [['gateName', name], ['gateKeyword', keyword]]) {
+          const differing = lines.filter(line =>
+            line.gateNumber === gate && normalizeText(line.knowledge[field]) !== normalizeText(expected));
+          if (differing.length > 0) {
+            report(`gate ${gate}`, `hd-traditional-gates ${field} "${differing[0].knowledge[field]}" ` +
+              `(lines ${differing.map(line => line.lineNumber).join(', ')}) vs hd-gates "${expected}"`);
+          }
+        }
+      }
+    }
+  },
+  {
+    id: 'mandala-keywords',
+    description: 'hd-mandala-gate-names agree with the hd-gates keywords',
+    systems: ['hd-mandala-gate-names', 'hd-gates'],
+    severity: 'warning',
+    run(data, report) {
+      for (const gate of GATES) {
+        const mandalaName = data.gate('hd-mandala-gate-names', gate).knowledge.mandalaGateName;
+        const { keyword } = data.gate('hd-gates', gate).knowledge;
+        if (normalizeGateName(mandalaName) !== normalizeGateName(keyword)) {
+          report(`gate ${gate}`, `Mandala name "${mandalaName}" vs keyword "${keyword}"`);
+        }
+      }
+    }
+  },
+  {
+    id: 'codon-rings',
+    description: 'codon-rings ring membership, amino acids and codons agree',
+    systems: ['codon-rings'],
+    severity: 'error',
+    run(data, report) {
+      const entries = data.entries('codon-rings');
+      const rings = new Map();
+      entries.forEach(entry => {
+        if (!rings.has(entry.knowledge.ring)) rings.set(entry.knowledge.ring, []);
+        rings.get(entry.knowledge.ring).push(entry);
+      });
+
+      for (const [ring, members] of rings) {
+        const gates = members.map(entry => entry.gateNumber).sort((a, b) => a - b).join(', ');
+        for (const entry of members) {
+          const listed = [...entry.knowledge.ringGates].sort((a, b) => a - b).join(', ');
+          if (listed !== gates) {
+            report(`${ring}`, `Gate ${entry.gateNumber} lists ringGates ${listed}, the ring holds ${gates}`);
+          }
+          if (entry.knowledge.aminoAcid !== members[0].knowledge.aminoAcid) {
+            report(`${ring}`, `Gate ${entry.gateNumber} names ${entry.knowledge.aminoAcid}, gate ` +
+              `${members[0].gateNumber} names ${members[0].knowledge.aminoAcid}`);
+          }
+        }
+      }
+
+      for (const gate of GATES) {
+        const own = entries.filter(entry => entry.gateNumber === gate);
+        const expected = own[0] && own[0].knowledge.allRings ? own[0].knowledge.allRings.length : 1;
+        if (own.length !== expected) {
+          report(`gate ${gate}`, `${own.length} entries, expected ${expected} (one per ring)`);
+        }
+        const codon = binaryIdentity.gates[gate].codon;
+        if (own.length > 0 && !own.some(entry => entry.knowledge.codons.includes(codon))) {
+          report(`gate ${gate}`, `Codon ${codon} from the root binary is not among ${own[0].knowledge.codons.join(', ')}`);
+        }
+      }
+    }
+  },
+  {
+    id: 'incarnation-crosses',
+    description: 'Gate cross lists and the wheel display match the cross definitions',
+    systems: ['incarnation-crosses'],
+    severity: 'error',
+    run(data, report) {
+      const definitions = data.file('incarnation-crosses', 'mappings/cross-definitions.json').crosses;
+      const display = data.file('incarnation-crosses', 'mappings/crosses-display-mappings.json').crosses;
+      const positions = cross =>
+        [cross.type, cross.personalitySun, cross.personalityEarth, cross.designSun, cross.designEarth].join(',');
+      const roles = {
+        crossesAsPersonalitySun: 'personalitySun',
+        crossesAsPersonalityEarth: 'personalityEarth',
+        crossesAsDesignSun: 'designSun',
+        crossesAsDesignEarth: 'designEarth'
+      };
+
+      for (const entry of data.entries('incarnation-crosses')) {
+        const gate = entry.gateNumber;
+        let total = 0;
+        for (const [list, role] of Object.entries(roles)) {
+          for (const cross of entry.knowledge[list] || []) {
+            total++;
+            const definition = definitions[cross.name];
+            if (!definition) {
+              report(`gate ${gate}`, `${list} names "${cross.name}", which has no definition`);
+            } else if (positions(definition) !== positions(cross)) {
+              report(`gate ${gate}`, `"${cross.name}" is ${positions(cross)}, defined as ${positions(definition)}`);
+            }
+            if (cross[role] !== gate) {
+              report(`gate ${gate}`, `"${cross.name}" is listed under ${list} but its ${role} is gate ${cross[role]}`);
+            }
+          }
+        }
+        if (entry.statistics && entry.statistics.total !== total) {
+          report(`gate ${gate}`, `statistics.total is ${entry.statistics.total}, ${total} crosses are listed`);
+        }
+      }
+
+      const byPositions = new Map(Object.entries(definitions).map(([name, cross]) => [positions(cross), name]));
+      for (const cross of display) {
+        const name = byPositions.get(positions(cross));
+        if (!name) {
+          report(`display "${cross.name}"`, `${positions(cross)} has no definition`);
+        } else if (normalizeCrossName(name) !== normalizeCrossName(cross.name)) {
+          report(`display "${cross.name}"`, `Defined as "${name}" (${positions(cross)})`, 'warning');
+        }
+      }
+    }
+  },
+  {
+    id: 'declared-totals',
+    description: 'Totals and counts stated in mapping files match their contents',
+    systems: ['incarnation-crosses'],
+    severity: 'error',
+    run(data, report) {
+      const definitionsFile = data.file('incarnation-crosses', 'mappings/cross-definitions.json');
+      const displayFile = data.file('incarnation-crosses', 'mappings/crosses-display-mappings.json');
+      const gateFile = data.file('incarnation-crosses');
+
+      const crosses = Object.values(definitionsFile.crosses);
+      const actual = crosses.length;
+      const byType = {};
+      crosses.forEach(cross => { byType[cross.type] = (byType[cross.type] || 0) + 1; });
+
+      if (definitionsFile.totalCrosses !== actual) {
+        report('cross-definitions.json', `totalCrosses is ${definitionsFile.totalCrosses}, ${actual} crosses are defined`);
+      }
+      for (const [type, count] of Object.entries(definitionsFile.crossTypes || {})) {
+        if ((byType[type] || 0) !== count) {
+          report('cross-definitions.json', `crossTypes.${type} is ${count}, ${byType[type] || 0} are defined`);
+        }
+      }
+
+      const displayTotals = {
+        totalCrosses: displayFile.crosses.length,
+        juxtaposition: displayFile.crosses.filter(cross => cross.type === 'JX').length,
+        rightAngle: displayFile.crosses.filter(cross => cross.type === 'RAX').length,
+        leftAngle: displayFile.crosses.filter(cross => cross.type === 'LAX').length
+      };
+      for (const [field, count] of Object.entries(displayTotals)) {
+        const stated = (displayFile.statistics || {})[field];
+        if (stated !== undefined && stated !== count) {
+          report('crosses-display-mappings.json', `statistics.${field} is ${stated}, ${count} crosses are listed`);
+        }
+      }
+      if (displayFile.crosses.length !== actual) {
+        report('crosses-display-mappings.json', `${displayFile.crosses.length} crosses displayed, ${actual} defined`);
+      }
+
+      const participations = gateFile.mappings.reduce((sum, entry) => sum + entry.statistics.total, 0);
+      const stated = (gateFile.statistics || {}).totalCrossParticipations;
+      if (stated !== undefined && stated !== participations) {
+        report('gate-cross-mappings.json', `totalCrossParticipations is ${stated}, gates list ${participations}`);
+      }
+
+      // Counts written into descriptions ("all 190 incarnation crosses")
+      for (const [fileName, file] of [
+        ['cross-definitions.json', definitionsFile],
+        ['crosses-display-mappings.json', displayFile],
+        ['gate-cross-mappings.json', gateFile]
+      ]) {
+        const match = /(\d+) incarnation crosses/i.exec(file.description || '');
+        if (match && Number(match[1]) !== actual) {
+          report(fileName, `Description says ${match[1]} crosses, ${actual} are defined`);
+        }
+      }
+    }
+  },
+  {
+    id: 'group-patterns',
+    description: 'Quarters, faces and trigrams agree with the root binary and the wheel',
+    systems: ['quarters', 'faces', 'trigrams'],
+    severity: 'error',
+    run(data, report) {
+      const gatesWithPrefix = prefix => GATES.filter(gate => binaryIdentity.gates[gate].binary.startsWith(prefix));
+
+      for (const [name, calculate, codonField] of [
+        ['quarters', gate => rootSystem.getQuarter(gate), 'codonLetter'],
+        ['faces', gate => rootSystem.getFace(gate), 'codonPattern'],
+        ['trigrams', gate => rootSystem.getTrigrams(gate).lower, null]
+      ]) {
+        for (const group of data.entries(name)) {
+          const gates = gatesWithPrefix(group.binaryPattern);
+          const other = gates.filter(gate => calculate(gate) !== group.groupName);
+          if (gates.length === 0 || other.length > 0) {
+            report(`${name} ${group.groupName}`, `binaryPattern ${group.binaryPattern} calculates to ` +
+              `${[...new Set(gates.map(calculate))].join(', ') || 'no gates'}`);
+          }
+          if (codonField && gates.some(gate => !binaryIdentity.gates[gate].codon.startsWith(group[codonField]))) {
+            report(`${name} ${group.groupName}`, `${codonField} ${group[codonField]} disagrees with the root codons`);
+          }
+        }
+      }
+
+      // Quarter arcs: first and last gate of each quarter following the wheel
+      const sequence = rootSystem.GATE_SEQUENCE;
+      for (const quarter of data.entries('quarters')) {
+        const { startGate, endGate } = quarter.wheelPosition;
+        const start = sequence.find((gate, i) =>
+          rootSystem.getQuarter(gate) === quarter.groupName &&
+          rootSystem.getQuarter(sequence[(i + 63) % 64]) !== quarter.groupName);
+        const end = sequence.find((gate, i) =>
+          rootSystem.getQuarter(gate) === quarter.groupName &&
+          rootSystem.getQuarter(sequence[(i + 1) % 64]) !== quarter.groupName);
+        if (startGate !== start || endGate !== end) {
+          report(`quarters ${quarter.groupName}`, `Arc stored as Gate ${startGate} to ${endGate}, wheel gives ${start} to ${end}`);
+        }
+      }
+    }
+  },
+  {
+    id: 'calendar-wheel',
+    description: 'Calendar lines agree with the gate zodiac table and the wheel',
+    systems: ['calendar'],
+    severity: 'error',
+    run(data, report) {
+      const zodiac = data.file('calendar', 'mappings/gate-zodiac-mapping.json');
+      const signs = data.file('calendar', 'mappings/zodiac-signs.json').signs;
+      const sequence = rootSystem.GATE_SEQUENCE;
+
+      if (JSON.stringify(zodiac.gateSequence) !== JSON.stringify(sequence)) {
+        report('gate-zodiac-mapping.json', 'gateSequence differs from the root gate sequence');
+      }
+      for (const gate of zodiac.gates) {
+        if (sequence[gate.wheelPosition] !== gate.gate) {
+          report(`gate ${gate.gate}`, `gate-zodiac wheelPosition ${gate.wheelPosition} holds gate ${sequence[gate.wheelPosition]}`);
+        }
+      }
+
+      for (const line of data.entries('calendar')) {
+        const gate = zodiac.gates.find(entry => entry.gate === line.gate);
+        const degree = gate ? (gate.startDegree + (line.line - 1) * rootSystem.DEGREES_PER_LINE) % 360 : null;
+        if (!gate || gate.wheelPosition !== line.wheelPosition || Math.abs(degree - line.degree) > 1e-6) {
+          report(`line ${line.gateLineKey}`, `degree ${line.degree} at wheel position ${line.wheelPosition}, ` +
+            `gate-zodiac gives ${degree} at ${gate ? gate.wheelPosition : 'none'}`);
+        }
+        const sign = signs.find(entry => entry.name === line.zodiac.sign);
+        const inSign = sign ? (line.degree - sign.startDegree + 360) % 360 : null;
+        if (!sign || Math.abs(inSign - line.zodiac.degreeInSign) > 1e-6) {
+          report(`line ${line.gateLineKey}`, `${line.zodiac.degreeInSign}° ${line.zodiac.sign} does not match degree ${line.degree}`);
+        }
+      }
+    }
+  }
+];
+
+// ============================================================================
+// AUDIT
+// ============================================================================
+
+/**
+ * Run the consistency checks
+ * @param {Object} options - {
+ *   checks: check ids to run (default: all),
+ *   strict: warnings fail the audit too,
+ *   getMappingFile: (system, file) => mapping file (default: the system registry)
+ * }
+ * @returns {Object} { passed, strict, totals, checks, discrepancies } - plain JSON
+ * @throws {Error} For unknown check ids
+ */
+function auditConsistency(options = {}) {
+  const { strict = false, getMappingFile = systems.getMappingFile } = options;
+  const selected = options.checks ? options.checks.map(getCheck) : CHECKS;
+  const data = createContext(getMappingFile);
+
+  const discrepancies = [];
+  const checks = selected.map(check => {
+    const found = [];
+    const report = (subject, message, severity = check.severity) => {
+      found.push({ check: check.id, severity, systems: [...check.systems], subject, message });
+    };
+    check.run(data, report);
+    discrepancies.push(...found);
+
+    return {
+      id: check.id,
+      description: check.description,
+      systems: [...check.systems],
+      errors: found.filter(d => d.severity === 'error').length,
+      warnings: found.filter(d => d.severity === 'warning').length
+    };
+  });
+
+  const totals = {
+    checks: checks.length,
+    errors: discrepancies.filter(d => d.severity === 'error').length,
+    warnings: discrepancies.filter(d => d.severity === 'warning').length
+  };
+
+  return {
+    passed: totals.errors === 0 && (!strict || totals.warnings === 0),
+    strict,
+    totals,
+    checks,
+    discrepancies
+  };
+}
+
+/**
+ * Get a check by id
+ * @throws {Error} If no such check exists
+ */
+function getCheck(id) {
+  const check = CHECKS.find(c => c.id === id);
+  if (!check) {
+    throw new Error(`Unknown consistency check: ${id} (must be one of ${CHECKS.map(c => c.id).join(', ')})`);
+  }
+  return check;
+}
+
+/**
+ * List the available checks
+ * @returns {Array<Object>} [{ id, description, systems, severity }]
+ */
+function listChecks() {
+  return CHECKS.map(({ id, description, systems: checked, severity }) => ({
+    id, description, systems: [...checked], severity
+  }));
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Console report
+ * @param {Object} report - Result of auditConsistency()
+ * @returns {string} Text for the console
+ */
+function formatReport(report) {
+  const lines = [
+    '',
+    '🔍 CROSS-SYSTEM CONSISTENCY AUDIT',
+    '='.repeat(60)
+  ];
+
+  report.checks.forEach((check, i) => {
+    const icon = check.errors > 0 ? '❌' : check.warnings > 0 ? '⚠️ ' : '✅';
+    lines.push('', `${i + 1}. ${check.description.toUpperCase()}`);
+    lines.push(`  ${icon} ${check.id}: ${check.errors} error(s), ${check.warnings} warning(s)`);
+    report.discrepancies
+      .filter(d => d.check === check.id)
+      .forEach(d => lines.push(`     ${d.severity === 'error' ? '❌' : '⚠️ '} ${d.subject}: ${d.message}`));
+  });
+
+  lines.push(
+    '',
+    '='.repeat(60),
+    'AUDIT SUMMARY',
+    '='.repeat(60),
+    `Checks: ${report.totals.checks}`,
+    `Errors: ${report.totals.errors} ❌`,
+    `Warnings: ${report.totals.warnings} ⚠️`,
+    '',
+    report.passed ? '✅ AUDIT PASSED' : `❌ AUDIT FAILED${report.strict ? ' (strict: warnings count)' : ''}`
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Standalone HTML report (no external assets)
+ * @param {Object} report - Result of auditConsistency()
+ * @returns {string} HTML document
+ */
+function renderHTML(report) {
+  const rows = report.discrepancies.map(d => `      <tr class="${d.severity}">
+        <td>${escapeHTML(d.severity)}</td>
+        <td>${escapeHTML(d.check)}</td>
+        <td>${escapeHTML(d.subject)}</td>
+        <td>${escapeHTML(d.message)}</td>
+      </tr>`).join('\n');
+
+  const checks = report.checks.map(check => `      <tr>
+        <td>${escapeHTML(check.id)}</td>
+        <td>${escapeHTML(check.description)}</td>
+        <td>${escapeHTML(check.systems.join(', '))}</td>
+        <td>${check.errors}</td>
+        <td>${check.warnings}</td>
+      </tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Cross-System Consistency Audit</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2em; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+    tr.error td:first-child { color: #b00020; font-weight: bold; }
+    tr.warning td:first-child { color: #a66a00; }
+    .passed { color: #1b7f3a; }
+    .failed { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>Cross-System Consistency Audit</h1>
+  <p class="${report.passed ? 'passed' : 'failed'}">${report.passed ? 'PASSED' : 'FAILED'}${report.strict ? ' (strict)' : ''} -
+    ${report.totals.checks} checks, ${report.totals.errors} errors, ${report.totals.warnings} warnings</p>
+  <h2>Checks</h2>
+  <table>
+    <thead>
+      <tr><th>Check</th><th>Description</th><th>Systems</th><th>Errors</th><th>Warnings</th></tr>
+    </thead>
+    <tbody>
+${checks}
+    </tbody>
+  </table>
+  <h2>Discrepancies</h2>
+  <table>
+    <thead>
+      <tr><th>Severity</th><th>Check</th><th>Subject</th><th>Discrepancy</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  auditConsistency,
+  listChecks,
+  formatReport,
+  renderHTML,
+  normalizeText,
+
+  // Constants
+  SEVERITIES
+};
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : null);
+
+  const checkList = valueOf('--check');
+  const report = auditConsistency({
+    strict: args.includes('--strict'),
+    checks: checkList ? checkList.split(',') : undefined
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatReport(report));
+  }
+
+  const htmlPath = valueOf('--html');
+  if (htmlPath) {
+    fs.writeFileSync(path.resolve(htmlPath), renderHTML(report));
+    if (!args.includes('--json')) console.log(`\n📄 HTML report: ${path.resolve(htmlPath)}`);
+  }
+
+  process.exit(report.passed ? 0 : 1);
+}
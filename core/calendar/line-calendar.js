@@ -0,0 +1,170 @@
+/**
+ * Line Calendar - Exact Solar Ingress Dates for All 384 Lines
+ *
+ * Replaces the averaged-motion dates in line-calendar-mapping.json with the
+ * actual UTC moment the Sun enters each line in a given year, found by the
+ * transit engine on the embedded ephemeris. A calendar year on the wheel runs
+ * from the Sun's ingress into Gate 41.1 (~21-22 January) to the next one.
+ *
+ * @version 1.0.0
+ */
+
+const positioning = require('../root-system/positioning-algorithm.js');
+const ephemeris = require('../ephemeris/ephemeris.js');
+const transits = require('../transit/transits.js');
+
+const MS_PER_DAY = 86400000;
+const ZODIAC_SIGNS = ['Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+  'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'];
+const MONTH_ABBREVS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Validate a calendar year
+ */
+function checkYear(year) {
+  if (!Number.isInteger(year)) {
+    throw new Error(`Invalid year: ${year} (must be an integer)`);
+  }
+}
+
+/**
+ * UTC timestamp (ms) of a calendar date in any year
+ * Date.UTC() reads years 0-99 as 1900-1999; setUTCFullYear() does not.
+ * @param {number} year - Calendar year
+ * @param {number} month - Month 0-11
+ * @param {number} day - Day of month
+ * @param {number} hours - Hour of day (default 0)
+ * @returns {number} Milliseconds since the Unix epoch
+ */
+function utcTime(year, month, day, hours = 0) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month, day);
+  date.setUTCHours(hours);
+  return date.getTime();
+}
+
+/**
+ * Sun line ingresses between two dates
+ */
+function getSunIngresses(start, end) {
+  return transits.getIngresses(start, end, { bodies: ['Sun'] });
+}
+
+/**
+ * Build one calendar entry from consecutive ingresses
+ */
+function buildEntry(ingress, nextIngress) {
+  const { gate, line } = ingress.to;
+  const position = positioning.getWheelPosition(gate, line);
+  const degree = ephemeris.normalizeDegrees(ephemeris.WHEEL_START_LONGITUDE + position.angle);
+  const start = new Date(ingress.time);
+  const end = new Date(nextIngress.time);
+
+  return {
+    gate,
+    line,
+    gateLineKey: `${gate}.${line}`,
+    wheelPosition: position.wheelIndex,
+    absoluteLinePosition: position.linePosition,
+    degree,
+    zodiac: {
+      sign: ZODIAC_SIGNS[Math.floor(degree / 30)],
+      degreeInSign: degree % 30
+    },
+    start: ingress.time,
+    end: nextIngress.time,
+    durationHours: (end - start) / 3600000,
+    calendar: {
+      month: start.getUTCMonth() + 1,
+      day: start.getUTCDate(),
+      formatted: `${MONTH_ABBREVS[start.getUTCMonth()]} ${start.getUTCDate()}`
+    }
+  };
+}
+
+/**
+ * Calculate the exact line calendar for a year
+ * @param {number} year - Calendar year (the wheel year starts at its 41.1 ingress)
+ * @returns {Object} { year, start, end, lines: [384 entries in wheel order from 41.1] }
+ */
+function getLineCalendar(year) {
+  checkYear(year);
+
+  // The 41.1 ingress always falls in the second half of January
+  const january = getSunIngresses(new Date(utcTime(year, 0, 1)), new Date(utcTime(year, 1, 1)));
+  const first = january.find(e => e.to.gate === positioning.GATE_SEQUENCE[0] && e.to.line === 1);
+  if (!first) {
+    throw new Error(`No Sun ingress into ${positioning.GATE_SEQUENCE[0]}.1 found in January ${year}`);
+  }
+
+  // One full turn plus a margin to catch the closing 41.1 ingress
+  const firstTime = new Date(first.time).getTime();
+  const ingresses = getSunIngresses(new Date(firstTime - 1000), new Date(firstTime + 370 * MS_PER_DAY))
+    .slice(0, positioning.TOTAL_LINES + 1);
+
+  const lines = [];
+  for (let i = 0; i < positioning.TOTAL_LINES; i++) {
+    lines.push(buildEntry(ingresses[i], ingresses[i + 1]));
+  }
+
+  return {
+    year,
+    start: lines[0].start,
+    end: lines[lines.length - 1].end,
+    totalLines: lines.length,
+    lines
+  };
+}
+
+/**
+ * Get the line the Sun occupies at a moment, with its exact start and end
+ * @param {Date|number|string} date - UTC timestamp
+ * @returns {Object} Calendar entry for that line
+ */
+function getLineForDate(date) {
+  const moment = new Date(date);
+  if (!Number.isFinite(moment.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+
+  // A line lasts under a day, so ±2 days always brackets it
+  const time = moment.getTime();
+  const ingresses = getSunIngresses(new Date(time - 2 * MS_PER_DAY), new Date(time + 2 * MS_PER_DAY));
+  const index = ingresses.findIndex(e => new Date(e.time).getTime() > time);
+
+  return buildEntry(ingresses[index - 1], ingresses[index]);
+}
+
+/**
+ * Get every period the Sun spends in a line during a calendar year
+ * Usually one; a line the Sun occupies on 1 January can also recur in late December.
+ * @param {number} gate - Gate 1-64
+ * @param {number} line - Line 1-6
+ * @param {number} year - Calendar year (UTC)
+ * @returns {Array<Object>} Calendar entries overlapping the year, in date order
+ */
+function getDatesForLine(gate, line, year) {
+  checkYear(year);
+  positioning.getWheelPosition(gate, line);  // Validates gate and line
+
+  const yearStart = utcTime(year, 0, 1);
+  const yearEnd = utcTime(year + 1, 0, 1);
+  const ingresses = getSunIngresses(new Date(yearStart - 2 * MS_PER_DAY), new Date(yearEnd + 2 * MS_PER_DAY));
+
+  const periods = [];
+  for (let i = 0; i < ingresses.length - 1; i++) {
+    const entry = ingresses[i];
+    if (entry.to.gate !== gate || entry.to.line !== line) continue;
+    if (new Date(ingresses[i + 1].time).getTime() <= yearStart) continue;
+    if (new Date(entry.time).getTime() >= yearEnd) continue;
+    periods.push(buildEntry(entry, ingresses[i + 1]));
+  }
+  return periods;
+}
+
+module.exports = {
+  getLineCalendar,
+  getLineForDate,
+  getDatesForLine,
+  utcTime
+};
@@ -0,0 +1,293 @@
+/**
+ * Chart Model - Defined Centers, Channels, Type, Authority, Profile, Definition
+ *
+ * Turns the 26 activations (13 Personality + 13 Design) into a bodygraph
+ * reading. Channel and center structure comes from the channels and centers
+ * knowledge systems - nothing here is hardcoded except the HD rules that
+ * combine them.
+ *
+ * @version 1.0.0
+ */
+
+const designDate = require('../ephemeris/design-date.js');
+const channels = require('../../knowledge-systems/channels/mappings/channels-mappings.json');
+const centers = require('../../knowledge-systems/centers/mappings/centers-mappings.json');
+
+// HD rules (not stored in the mapping files)
+const MOTOR_CENTERS = ['Sacral', 'Heart', 'Solar Plexus', 'Root'];
+const DEFINITION_NAMES = ['None', 'Single', 'Split', 'Triple Split', 'Quadruple Split'];
+const SIDES = ['personality', 'design'];
+
+// Gate → center lookup, built once from centers-mappings.json
+const CENTER_BY_GATE = {};
+for (const center of centers.mappings) {
+  for (const gate of center.gates) {
+    CENTER_BY_GATE[gate] = center.centerName;
+  }
+}
+
+/**
+ * Get the center a gate belongs to
+ * @param {number} gateNumber - Gate 1-64
+ * @returns {string} Center name
+ */
+function getCenterForGate(gateNumber) {
+  return CENTER_BY_GATE[gateNumber];
+}
+
+/**
+ * Get all channels whose two gates are both activated
+ * @param {Iterable<number>} gates - Activated gate numbers
+ * @returns {Array<Object>} Channel records with their two centers
+ */
+function getDefinedChannels(gates) {
+  const gateSet = new Set(gates);
+  return channels.mappings
+    .filter(ch => gateSet.has(ch.gate1) && gateSet.has(ch.gate2))
+    .map(ch => ({
+      channel: ch.channelNumber,
+      gate1: ch.gate1,
+      gate2: ch.gate2,
+      name: ch.knowledge.name,
+      circuit: ch.knowledge.circuit,
+      channelType: ch.channelType,
+      centers: [CENTER_BY_GATE[ch.gate1], CENTER_BY_GATE[ch.gate2]]
+    }));
+}
+
+/**
+ * Get defined centers - every center touched by a defined channel
+ * @param {Array<Object>} definedChannels - From getDefinedChannels()
+ * @returns {Array<string>} Center names, in centers-mappings.json order
+ */
+function getDefinedCenters(definedChannels) {
+  const defined = new Set(definedChannels.flatMap(ch => ch.centers));
+  return centers.mappings.map(c => c.centerName).filter(name => defined.has(name));
+}
+
+/**
+ * Group defined centers into connected areas of definition
+ * @param {Array<Object>} definedChannels - From getDefinedChannels()
+ * @returns {Array<Array<string>>} One array of center names per area
+ */
+function getDefinitionGroups(definedChannels) {
+  const adjacency = {};
+  for (const ch of definedChannels) {
+    const [a, b] = ch.centers;
+    (adjacency[a] = adjacency[a] || new Set()).add(b);
+    (adjacency[b] = adjacency[b] || new Set()).add(a);
+  }
+
+  const visited = new Set();
+  const groups = [];
+  for (const start of getDefinedCenters(definedChannels)) {
+    if (visited.has(start)) continue;
+
+    const group = [];
+    const stack = [start];
+    visited.add(start);
+    while (stack.length > 0) {
+      const center = stack.pop();
+      group.push(center);
+      for (const next of adjacency[center]) {
+        if (!visited.has(next)) {
+          visited.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+/**
+ * Get the Definition name from the number of separate areas
+ * @param {Array<Object>} definedChannels - From getDefinedChannels()
+ * @returns {string} "None", "Single", "Split", "Triple Split" or "Quadruple Split"
+ */
+function getDefinition(definedChannels) {
+  return DEFINITION_NAMES[getDefinitionGroups(definedChannels).length];
+}
+
+/**
+ * Is the Throat connected to any motor through defined channels?
+ */
+function hasMotorToThroat(definedChannels) {
+  const throatGroup = getDefinitionGroups(definedChannels).find(g => g.includes('Throat'));
+  return Boolean(throatGroup && throatGroup.some(c => MOTOR_CENTERS.includes(c)));
+}
+
+/**
+ * Derive Type
+ * @param {Array<Object>} definedChannels - From getDefinedChannels()
+ * @returns {string} "Generator", "Manifesting Generator", "Manifestor", "Projector" or "Reflector"
+ */
+function getType(definedChannels) {
+  const definedCenters = getDefinedCenters(definedChannels);
+  if (definedCenters.length === 0) return 'Reflector';
+
+  const sacral = definedCenters.includes('Sacral');
+  const motorToThroat = hasMotorToThroat(definedChannels);
+
+  if (sacral) return motorToThroat ? 'Manifesting Generator' : 'Generator';
+  if (motorToThroat) return 'Manifestor';
+  return 'Projector';
+}
+
+/**
+ * Is the G connected directly to the Throat?
+ */
+function hasGToThroat(definedChannels) {
+  return definedChannels.some(ch => ch.centers.includes('G') && ch.centers.includes('Throat'));
+}
+
+/**
+ * Derive inner Authority (standard hierarchy)
+ * @param {Array<Object>} definedChannels - From getDefinedChannels()
+ * @returns {string} Authority name
+ */
+function getAuthority(definedChannels) {
+  const definedCenters = getDefinedCenters(definedChannels);
+  const type = getType(definedChannels);
+
+  if (type === 'Reflector') return 'Lunar';
+  if (definedCenters.includes('Solar Plexus')) return 'Emotional';
+  if (definedCenters.includes('Sacral')) return 'Sacral';
+  if (definedCenters.includes('Spleen')) return 'Splenic';
+  if (definedCenters.includes('Heart')) {
+    return type === 'Manifestor' ? 'Ego Manifested' : 'Ego Projected';
+  }
+  if (hasGToThroat(definedChannels)) return 'Self-Projected';
+  return 'Mental';
+}
+
+/**
+ * Derive Profile from the Personality and Design Sun lines
+ * @returns {string} e.g. "5/1"
+ */
+function getProfile(personalitySunLine, designSunLine) {
+  return `${personalitySunLine}/${designSunLine}`;
+}
+
+/**
+ * Normalize one side of the input to an activation array
+ * Accepts an array or a { date, activations } object from design-date.js.
+ */
+function toActivationList(side, sideName) {
+  const activations = Array.isArray(side) ? side : side?.activations;
+  if (!Array.isArray(activations) || activations.length === 0) {
+    throw new Error(`Missing ${sideName} activations`);
+  }
+  for (const a of activations) {
+    if (!Number.isInteger(a.gate) || a.gate < 1 || a.gate > 64) {
+      throw new Error(`Invalid ${sideName} activation gate: ${a.gate}`);
+    }
+    if (!Number.isInteger(a.line) || a.line < 1 || a.line > 6) {
+      throw new Error(`Invalid ${sideName} activation line: ${a.line}`);
+    }
+  }
+  return activations;
+}
+
+/**
+ * Build a chart from Personality and Design activations
+ * @param {Object} activationSets - { personality, design } as returned by
+ *   designDate.getActivationSets(), or plain activation arrays per side
+ * @returns {Object} Complete chart
+ */
+function createChart(activationSets) {
+  const sides = {
+    personality: toActivationList(activationSets?.personality, 'personality'),
+    design: toActivationList(activationSets?.design, 'design')
+  };
+
+  // Which side (and which body) activated each gate
+  const gateActivations = {};
+  for (const side of SIDES) {
+    for (const a of sides[side]) {
+      (gateActivations[a.gate] = gateActivations[a.gate] || []).push({
+        side,
+        body: a.body,
+        line: a.line
+      });
+    }
+  }
+
+  const activatedGates = Object.keys(gateActivations).map(Number).sort((a, b) => a - b);
+  const definedChannels = getDefinedChannels(activatedGates).map(ch => ({
+    ...ch,
+    activatedBy: {
+      [ch.gate1]: activatedSides(gateActivations[ch.gate1]),
+      [ch.gate2]: activatedSides(gateActivations[ch.gate2])
+    }
+  }));
+  const definedCenters = getDefinedCenters(definedChannels);
+
+  const personalitySun = sides.personality.find(a => a.body === 'Sun') || sides.personality[0];
+  const designSun = sides.design.find(a => a.body === 'Sun') || sides.design[0];
+
+  return {
+    personality: {
+      date: activationSets.personality?.date || null,
+      activations: sides.personality
+    },
+    design: {
+      date: activationSets.design?.date || null,
+      activations: sides.design
+    },
+
+    // Structure
+    activatedGates,
+    gateActivations,
+    definedChannels,
+    definedCenters,
+    undefinedCenters: centers.mappings.map(c => c.centerName).filter(c => !definedCenters.includes(c)),
+
+    // Reading
+    type: getType(definedChannels),
+    authority: getAuthority(definedChannels),
+    profile: getProfile(personalitySun.line, designSun.line),
+    definition: getDefinition(definedChannels),
+    definitionGroups: getDefinitionGroups(definedChannels)
+  };
+}
+
+/**
+ * Which sides activated a gate: "personality", "design" or "both"
+ */
+function activatedSides(entries) {
+  const sides = new Set(entries.map(e => e.side));
+  return sides.size === 2 ? 'both' : [...sides][0];
+}
+
+/**
+ * Calculate a chart from a birth timestamp
+ * @param {Date|number|string} birthDate - Birth timestamp (UTC)
+ * @param {Object} options - { node: 'true' | 'mean' }
+ * @returns {Object} Complete chart
+ */
+function getChart(birthDate, options = {}) {
+  return createChart(designDate.getActivationSets(birthDate, options));
+}
+
+module.exports = {
+  // Chart construction
+  createChart,
+  getChart,
+
+  // Building blocks (reused by relationship, penta and transit analysis)
+  getCenterForGate,
+  getDefinedChannels,
+  getDefinedCenters,
+  getDefinitionGroups,
+  getDefinition,
+  getType,
+  getAuthority,
+  getProfile,
+
+  // Constants
+  MOTOR_CENTERS,
+  DEFINITION_NAMES
+};
@@ -0,0 +1,152 @@
+/**
+ * Incarnation Cross Resolver
+ *
+ * Picks the cross for a chart from its four Sun/Earth gates and the angle
+ * implied by the profile, then checks the result against the 192 crosses in
+ * cross-definitions.json. Disagreements are reported rather than thrown so
+ * that data-quality problems in the definitions surface with the chart
+ * (see knowledge-systems/incarnation-crosses/docs/DATA-QUALITY-ISSUES.md).
+ *
+ * @version 1.0.0
+ */
+
+const crossDefinitions = require('../../knowledge-systems/incarnation-crosses/mappings/cross-definitions.json');
+
+// HD rules (not stored in the mapping files)
+const PROFILE_ANGLES = {
+  '1/3': 'RAX', '1/4': 'RAX', '2/4': 'RAX', '2/5': 'RAX',
+  '3/5': 'RAX', '3/6': 'RAX', '4/6': 'RAX',
+  '4/1': 'JX',
+  '5/1': 'LAX', '5/2': 'LAX', '6/2': 'LAX', '6/3': 'LAX'
+};
+const ANGLE_NAMES = {
+  RAX: 'Right Angle',
+  JX: 'Juxtaposition',
+  LAX: 'Left Angle'
+};
+const ROLES = [
+  { key: 'personalitySun', side: 'personality', body: 'Sun', label: 'Personality Sun' },
+  { key: 'personalityEarth', side: 'personality', body: 'Earth', label: 'Personality Earth' },
+  { key: 'designSun', side: 'design', body: 'Sun', label: 'Design Sun' },
+  { key: 'designEarth', side: 'design', body: 'Earth', label: 'Design Earth' }
+];
+
+// Cross records keyed by name, with the name carried on each record
+const CROSSES = Object.entries(crossDefinitions.crosses).map(([name, cross]) => ({ name, ...cross }));
+
+/**
+ * Get the cross angle for a profile
+ * @param {string} profile - e.g. "5/1"
+ * @returns {string} "RAX", "JX" or "LAX"
+ */
+function getCrossAngle(profile) {
+  const angle = PROFILE_ANGLES[profile];
+  if (!angle) {
+    throw new Error(`Invalid profile: ${profile}`);
+  }
+  return angle;
+}
+
+/**
+ * Get the defined cross for an angle and Personality Sun gate
+ * @param {string} type - "RAX", "JX" or "LAX"
+ * @param {number} personalitySun - Gate 1-64
+ * @returns {Object|null} Cross record from cross-definitions.json
+ */
+function getCrossDefinition(type, personalitySun) {
+  return CROSSES.find(c => c.type === type && c.personalitySun === personalitySun) || null;
+}
+
+/**
+ * Find one body's activation on one side
+ * Accepts a chart, activation sets, or plain activation arrays per side.
+ */
+function findActivation(activations, side, body) {
+  const list = Array.isArray(activations?.[side]) ? activations[side] : activations?.[side]?.activations;
+  if (!Array.isArray(list)) {
+    throw new Error(`Missing ${side} activations`);
+  }
+  const activation = list.find(a => a.body === body);
+  if (!activation) {
+    throw new Error(`Missing ${side} ${body} activation`);
+  }
+  if (!Number.isInteger(activation.gate) || activation.gate < 1 || activation.gate > 64) {
+    throw new Error(`Invalid ${side} ${body} gate: ${activation.gate}`);
+  }
+  if (!Number.isInteger(activation.line) || activation.line < 1 || activation.line > 6) {
+    throw new Error(`Invalid ${side} ${body} line: ${activation.line}`);
+  }
+  return activation;
+}
+
+/**
+ * Resolve the Incarnation Cross for a set of activations
+ * @param {Object} activations - { personality, design } - a chart from
+ *   createChart(), activation sets from getActivationSets(), or plain arrays
+ * @returns {Object} Cross with gate roles, plus a data-quality report
+ */
+function getIncarnationCross(activations) {
+  const gates = {};
+  for (const role of ROLES) {
+    gates[role.key] = findActivation(activations, role.side, role.body).gate;
+  }
+
+  const profile = `${findActivation(activations, 'personality', 'Sun').line}/${findActivation(activations, 'design', 'Sun').line}`;
+  const type = getCrossAngle(profile);
+  const definition = getCrossDefinition(type, gates.personalitySun);
+
+  // Compare the chart's gates with the defined cross, role by role
+  const issues = [];
+  if (!definition) {
+    issues.push({
+      issue: 'missing-cross',
+      message: `No ${type} cross defined with Personality Sun ${gates.personalitySun}`
+    });
+  } else {
+    for (const role of ROLES) {
+      if (definition[role.key] !== gates[role.key]) {
+        issues.push({
+          issue: 'gate-mismatch',
+          role: role.label,
+          expected: definition[role.key],
+          actual: gates[role.key],
+          message: `${definition.name} (${type}) lists ${role.label} ${definition[role.key]}, chart has ${gates[role.key]}`
+        });
+      }
+    }
+  }
+
+  const gateList = ROLES.map(role => gates[role.key]);
+
+  return {
+    type,
+    angle: ANGLE_NAMES[type],
+    profile,
+    name: definition ? definition.name : null,
+    fullName: definition ? `${ANGLE_NAMES[type]} Cross of ${definition.name}` : null,
+
+    // The chart's own four gates and their roles
+    gates: gateList,
+    ...gates,
+    gateRoles: Object.fromEntries(ROLES.map(role => [gates[role.key], role.label])),
+
+    // Data-quality report
+    definition,
+    matched: issues.length === 0,
+    issues,
+    // Any crosses (of any angle) whose four gates match the chart exactly
+    candidates: CROSSES
+      .filter(c => ROLES.every(role => c[role.key] === gates[role.key]))
+      .map(c => ({ name: c.name, type: c.type }))
+  };
+}
+
+module.exports = {
+  getIncarnationCross,
+  getCrossAngle,
+  getCrossDefinition,
+
+  // Constants
+  PROFILE_ANGLES,
+  ANGLE_NAMES
+};
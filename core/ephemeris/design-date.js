@@ -0,0 +1,134 @@
+/**
+ * Design Date Solver - Personality and Design Activation Sets
+ *
+ * The Design (unconscious) imprint is taken at the moment the Sun stood
+ * exactly 88° of solar arc before its position at birth - roughly 88-89
+ * days earlier. This module iterates to that moment using the embedded
+ * solar routine in ephemeris.js, then builds both activation sets on the
+ * root positioning algorithm.
+ *
+ * @version 1.0.0
+ */
+
+const positioning = require('../root-system/positioning-algorithm.js');
+const ephemeris = require('./ephemeris.js');
+
+const DESIGN_SOLAR_ARC = 88;           // degrees
+const MEAN_SOLAR_MOTION = 0.98564736;  // degrees per day
+const TOLERANCE_DEGREES = 1e-7;        // ~0.0004" of arc, well under a second of time
+const MAX_ITERATIONS = 50;
+
+/**
+ * Signed angular difference a - b, wrapped to (-180, 180]
+ */
+function angularDifference(a, b) {
+  let diff = (a - b) % 360;
+  if (diff <= -180) diff += 360;
+  if (diff > 180) diff -= 360;
+  return diff;
+}
+
+/**
+ * Find the moment the Sun was exactly 88° before its birth longitude
+ * @param {Date|number|string} birthDate - Birth timestamp (UTC)
+ * @returns {Date} Design timestamp (UTC)
+ */
+function getDesignDate(birthDate) {
+  const birthJD = ephemeris.toJulianDay(birthDate);
+  const target = ephemeris.normalizeDegrees(
+    ephemeris.longitudeAtJulianDay('Sun', birthJD) - DESIGN_SOLAR_ARC
+  );
+
+  // Start from mean solar motion, then refine with the secant method
+  let jd0 = birthJD - DESIGN_SOLAR_ARC / MEAN_SOLAR_MOTION;
+  let err0 = angularDifference(ephemeris.longitudeAtJulianDay('Sun', jd0), target);
+  let jd1 = jd0 - err0 / MEAN_SOLAR_MOTION;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const err1 = angularDifference(ephemeris.longitudeAtJulianDay('Sun', jd1), target);
+    if (Math.abs(err1) < TOLERANCE_DEGREES) {
+      return ephemeris.fromJulianDay(jd1);
+    }
+
+    const slope = err1 === err0 ? MEAN_SOLAR_MOTION : (err1 - err0) / (jd1 - jd0);
+    jd0 = jd1;
+    err0 = err1;
+    jd1 = jd1 - err1 / slope;
+  }
+
+  throw new Error(`Design date did not converge for birth date ${new Date(birthDate).toISOString()}`);
+}
+
+/**
+ * Build one activation from an ephemeris position
+ * Gate/line come from the wheel mapping; positioning and docking data
+ * come straight from the root system.
+ */
+function buildActivation(position) {
+  const wheel = positioning.getWheelPosition(position.gate, position.line);
+
+  return {
+    body: position.body,
+    longitude: position.longitude,
+    gate: position.gate,
+    line: position.line,
+    color: position.color,
+    tone: position.tone,
+    base: position.base,
+
+    // Positioning (from root system)
+    wheelIndex: wheel.wheelIndex,
+    linePosition: wheel.linePosition,
+    angle: wheel.angle,
+
+    // Full docking data for knowledge lookups
+    docking: positioning.getDockingData(position.gate, position.line, {
+      color: position.color,
+      tone: position.tone,
+      base: position.base
+    })
+  };
+}
+
+/**
+ * Build the 13 activations for a single moment
+ * @param {Date|number|string} date - UTC timestamp
+ * @param {Object} options - Passed through to the ephemeris ({ node: 'true' | 'mean' })
+ * @returns {Array<Object>} Activations in ephemeris.BODIES order
+ */
+function getActivationSet(date, options = {}) {
+  return ephemeris.getActivations(date, options).map(buildActivation);
+}
+
+/**
+ * Calculate both activation sets for a birth moment
+ * @param {Date|number|string} birthDate - Birth timestamp (UTC)
+ * @param {Object} options - { node: 'true' | 'mean' }
+ * @returns {Object} { personality: { date, activations }, design: { date, activations } }
+ */
+function getActivationSets(birthDate, options = {}) {
+  const birth = new Date(birthDate);
+  if (!Number.isFinite(birth.getTime())) {
+    throw new Error(`Invalid birth date: ${birthDate}`);
+  }
+  const design = getDesignDate(birth);
+
+  return {
+    solarArc: DESIGN_SOLAR_ARC,
+    personality: {
+      date: birth.toISOString(),
+      activations: getActivationSet(birth, options)
+    },
+    design: {
+      date: design.toISOString(),
+      activations: getActivationSet(design, options)
+    }
+  };
+}
+
+module.exports = {
+  getDesignDate,
+  getActivationSet,
+  getActivationSets,
+  DESIGN_SOLAR_ARC
+};
@@ -0,0 +1,441 @@
+/**
+ * Offline Ephemeris - Planetary Longitudes for Human Design Activations
+ *
+ * Computes apparent geocentric ecliptic longitudes (true equinox of date)
+ * for the 13 Human Design bodies and maps them onto the wheel.
+ * Self-contained: all series coefficients are bundled in
+ * series-coefficients.json - no network, no external ephemeris files.
+ *
+ * Longitude → gate/line uses the same anchor as the calendar knowledge
+ * system: Gate 41.1 begins at 302° (2° Aquarius), each line spans 0.9375°.
+ *
+ * @version 1.0.0
+ */
+
+const positioning = require('../root-system/positioning-algorithm.js');
+const SERIES = require('./series-coefficients.json');
+const GATE_ZODIAC = require('../../knowledge-systems/calendar/mappings/gate-zodiac-mapping.json');
+
+// Wheel anchor - ecliptic longitude where wheel position 0 (Gate 41.1) begins
+const WHEEL_START_LONGITUDE = GATE_ZODIAC.gates[0].startDegree;  // 302°
+const DEGREES_PER_GATE = positioning.DEGREES_PER_LINE * 6;       // 5.625°
+
+// Time constants
+const J2000 = 2451545.0;
+const DAYS_PER_CENTURY = 36525;
+const UNIX_EPOCH_JD = 2440587.5;
+const MS_PER_DAY = 86400000;
+const LIGHT_TIME_DAYS_PER_AU = 0.0057755183;
+
+/**
+ * The 13 Human Design bodies, in chart display order
+ */
+const BODIES = [
+  'Sun', 'Earth', 'Moon', 'North Node', 'South Node',
+  'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn',
+  'Uranus', 'Neptune', 'Pluto'
+];
+
+const DEG = Math.PI / 180;
+
+function normalizeDegrees(degrees) {
+  const d = degrees % 360;
+  return d < 0 ? d + 360 : d;
+}
+
+function polynomial(coefficients, T) {
+  let result = 0;
+  for (let i = coefficients.length - 1; i >= 0; i--) {
+    result = result * T + coefficients[i];
+  }
+  return result;
+}
+
+// ============================================================================
+// TIME SCALES
+// ============================================================================
+
+/**
+ * Convert a UTC timestamp to a Julian Day (UT)
+ * @param {Date|number|string} date - Date object, epoch milliseconds or ISO string
+ * @returns {number} Julian Day
+ */
+function toJulianDay(date) {
+  const ms = date instanceof Date ? date.getTime() : new Date(date).getTime();
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return ms / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+/**
+ * Convert a Julian Day (UT) back to a UTC Date
+ * @param {number} jd - Julian Day
+ * @returns {Date}
+ */
+function fromJulianDay(jd) {
+  return new Date(Math.round((jd - UNIX_EPOCH_JD) * MS_PER_DAY));
+}
+
+/**
+ * ΔT = TT - UT in seconds (Espenak & Meeus polynomial fits)
+ * @param {number} year - Decimal year
+ * @returns {number} Seconds
+ */
+function getDeltaT(year) {
+  let t;
+  if (year < 1800) {
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u;
+  }
+  if (year < 1860) {
+    t = year - 1800;
+    return 13.72 - 0.332447 * t + 0.0068612 * t ** 2 + 0.0041116 * t ** 3 -
+      0.00037436 * t ** 4 + 0.0000121272 * t ** 5 - 0.0000001699 * t ** 6 + 0.000000000875 * t ** 7;
+  }
+  if (year < 1900) {
+    t = year - 1860;
+    return 7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3 -
+      0.0004473624 * t ** 4 + t ** 5 / 233174;
+  }
+  if (year < 1920) {
+    t = year - 1900;
+    return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+  }
+  if (year < 1941) {
+    t = year - 1920;
+    return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+  }
+  if (year < 1961) {
+    t = year - 1950;
+    return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+  }
+  if (year < 1986) {
+    t = year - 1975;
+    return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+  }
+  if (year < 2005) {
+    t = year - 2000;
+    return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 +
+      0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (year < 2050) {
+    t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+  }
+  if (year < 2150) {
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u - 0.5628 * (2150 - year);
+  }
+  const u = (year - 1820) / 100;
+  return -20 + 32 * u * u;
+}
+
+/**
+ * Julian centuries of Terrestrial Time since J2000.0
+ * @param {number} jdUT - Julian Day (UT)
+ * @returns {number}
+ */
+function toJulianCenturiesTT(jdUT) {
+  const year = 2000 + (jdUT - J2000) / 365.25;
+  const jdTT = jdUT + getDeltaT(year) / 86400;
+  return (jdTT - J2000) / DAYS_PER_CENTURY;
+}
+
+// ============================================================================
+// EARTH ORIENTATION
+// ============================================================================
+
+/**
+ * Nutation in longitude (Δψ) in degrees
+ */
+function getNutationInLongitude(T) {
+  const n = SERIES.nutation;
+  const node = polynomial(SERIES.nodes.meanNode, T) * DEG;
+  const L = polynomial(n.sunMeanLongitude, T) * DEG;
+  const Lm = polynomial(n.moonMeanLongitude, T) * DEG;
+
+  const arcseconds =
+    n.terms.sinNode * Math.sin(node) +
+    n.terms.sin2L * Math.sin(2 * L) +
+    n.terms.sin2Lmoon * Math.sin(2 * Lm) +
+    n.terms.sin2Node * Math.sin(2 * node);
+
+  return arcseconds / 3600;
+}
+
+/**
+ * Accumulated general precession in longitude since J2000.0 (degrees)
+ */
+function getPrecession(T) {
+  return polynomial(SERIES.precession.generalInLongitude, T);
+}
+
+// ============================================================================
+// BODY POSITIONS
+// ============================================================================
+
+/**
+ * Apparent solar longitude (Meeus ch. 25)
+ */
+function sunLongitude(T) {
+  const s = SERIES.sun;
+  const M = polynomial(s.meanAnomaly, T) * DEG;
+  const C =
+    polynomial(s.equationOfCenter.sinM, T) * Math.sin(M) +
+    polynomial(s.equationOfCenter.sin2M, T) * Math.sin(2 * M) +
+    polynomial(s.equationOfCenter.sin3M, T) * Math.sin(3 * M);
+  const trueLongitude = polynomial(s.meanLongitude, T) + C;
+  const node = (125.04 - 1934.136 * T) * DEG;
+
+  return normalizeDegrees(trueLongitude + s.aberration + s.nutationApprox * Math.sin(node));
+}
+
+/**
+ * Fundamental lunar arguments in degrees (Meeus ch. 47)
+ */
+function lunarArguments(T) {
+  const m = SERIES.moon;
+  return {
+    Lp: polynomial(m.meanLongitude, T),
+    D: polynomial(m.meanElongation, T),
+    M: polynomial(m.sunMeanAnomaly, T),
+    Mp: polynomial(m.moonMeanAnomaly, T),
+    F: polynomial(m.argumentOfLatitude, T),
+    E: polynomial(m.eccentricityFactor, T)
+  };
+}
+
+/**
+ * Apparent lunar longitude (truncated ELP-2000/82)
+ */
+function moonLongitude(T) {
+  const m = SERIES.moon;
+  const { Lp, D, M, Mp, F, E } = lunarArguments(T);
+
+  let sigma = 0;
+  for (const [cD, cM, cMp, cF, coefficient] of m.longitudeTerms) {
+    const arg = (cD * D + cM * M + cMp * Mp + cF * F) * DEG;
+    const eccentricity = cM === 0 ? 1 : Math.pow(E, Math.abs(cM));
+    sigma += coefficient * eccentricity * Math.sin(arg);
+  }
+
+  const A1 = polynomial(m.additive.A1, T) * DEG;
+  const A2 = polynomial(m.additive.A2, T) * DEG;
+  sigma += m.additive.venus * Math.sin(A1) +
+    m.additive.flattening * Math.sin((Lp - F) * DEG) +
+    m.additive.jupiter * Math.sin(A2);
+
+  return normalizeDegrees(Lp + sigma / 1e6 + getNutationInLongitude(T));
+}
+
+/**
+ * Lunar North Node longitude
+ * @param {number} T - Julian centuries TT
+ * @param {string} mode - 'true' (default) or 'mean'
+ */
+function northNodeLongitude(T, mode = 'true') {
+  let node = polynomial(SERIES.nodes.meanNode, T);
+
+  if (mode === 'true') {
+    const { D, M, Mp, F } = lunarArguments(T);
+    const args = {
+      '2D-2F': 2 * (D - F),
+      'M': M,
+      '2D': 2 * D,
+      '2F': 2 * F,
+      "2M'-2F": 2 * (Mp - F)
+    };
+    for (const term of SERIES.nodes.trueNodeTerms) {
+      node += term.coefficient * Math.sin(args[term.argument] * DEG);
+    }
+  }
+
+  return normalizeDegrees(node + getNutationInLongitude(T));
+}
+
+/**
+ * Solve Kepler's equation (E - e·sin E = M), all angles in radians
+ */
+function solveKepler(M, e) {
+  let E = M + e * Math.sin(M);
+  for (let i = 0; i < 30; i++) {
+    const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+  return E;
+}
+
+/**
+ * Heliocentric ecliptic coordinates (J2000 frame, au) from Keplerian elements
+ */
+function heliocentricPosition(planetName, T) {
+  const el = SERIES.planets[planetName];
+  const a = polynomial(el.a, T);
+  const e = polynomial(el.e, T);
+  const I = polynomial(el.I, T) * DEG;
+  const L = polynomial(el.L, T);
+  const longPeri = polynomial(el.longPeri, T);
+  const longNode = polynomial(el.longNode, T);
+
+  const omega = (longPeri - longNode) * DEG;
+  const node = longNode * DEG;
+  const M = normalizeDegrees(L - longPeri) * DEG;
+  const E = solveKepler(M, e);
+
+  const xp = a * (Math.cos(E) - e);
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  const cosW = Math.cos(omega), sinW = Math.sin(omega);
+  const cosN = Math.cos(node), sinN = Math.sin(node);
+  const cosI = Math.cos(I), sinI = Math.sin(I);
+
+  return {
+    x: (cosW * cosN - sinW * sinN * cosI) * xp + (-sinW * cosN - cosW * sinN * cosI) * yp,
+    y: (cosW * sinN + sinW * cosN * cosI) * xp + (-sinW * sinN + cosW * cosN * cosI) * yp,
+    z: (sinW * sinI) * xp + (cosW * sinI) * yp
+  };
+}
+
+/**
+ * Apparent geocentric planetary longitude, corrected for light-time,
+ * precession and nutation
+ */
+function planetLongitude(planetName, T) {
+  const earth = heliocentricPosition('EarthMoonBarycenter', T);
+
+  let planet = heliocentricPosition(planetName, T);
+  let dx = planet.x - earth.x;
+  let dy = planet.y - earth.y;
+  let dz = planet.z - earth.z;
+
+  // One light-time iteration is ample at this precision
+  const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const lightTime = distance * LIGHT_TIME_DAYS_PER_AU / DAYS_PER_CENTURY;
+  planet = heliocentricPosition(planetName, T - lightTime);
+  dx = planet.x - earth.x;
+  dy = planet.y - earth.y;
+
+  const longitudeJ2000 = Math.atan2(dy, dx) / DEG;
+  return normalizeDegrees(longitudeJ2000 + getPrecession(T) + getNutationInLongitude(T));
+}
+
+/**
+ * Get the apparent geocentric ecliptic longitude of a body
+ * @param {string} body - One of BODIES
+ * @param {Date|number|string} date - UTC timestamp
+ * @param {Object} options - { node: 'true' | 'mean' }
+ * @returns {number} Longitude in degrees (0-360, 0° = 0° Aries)
+ */
+function getLongitude(body, date, options = {}) {
+  return longitudeAtJulianDay(body, toJulianDay(date), options);
+}
+
+/**
+ * Same as getLongitude, but for a Julian Day (UT)
+ * Used by solvers that iterate in day units.
+ */
+function longitudeAtJulianDay(body, jd, options = {}) {
+  const T = toJulianCenturiesTT(jd);
+  const nodeMode = options.node || 'true';
+
+  switch (body) {
+    case 'Sun':
+      return sunLongitude(T);
+    case 'Earth':
+      return normalizeDegrees(sunLongitude(T) + 180);
+    case 'Moon':
+      return moonLongitude(T);
+    case 'North Node':
+      return northNodeLongitude(T, nodeMode);
+    case 'South Node':
+      return normalizeDegrees(northNodeLongitude(T, nodeMode) + 180);
+    default:
+      if (!BODIES.includes(body)) {
+        throw new Error(`Unknown body: ${body} (must be one of ${BODIES.join(', ')})`);
+      }
+      return planetLongitude(body, T);
+  }
+}
+
+/**
+ * Get longitudes for all 13 bodies
+ * @param {Date|number|string} date - UTC timestamp
+ * @param {Object} options - { node: 'true' | 'mean' }
+ * @returns {Object} { Sun: 280.37, Earth: 100.37, ... }
+ */
+function getLongitudes(date, options = {}) {
+  const jd = toJulianDay(date);
+  const longitudes = {};
+  for (const body of BODIES) {
+    longitudes[body] = longitudeAtJulianDay(body, jd, options);
+  }
+  return longitudes;
+}
+
+// ============================================================================
+// WHEEL MAPPING
+// ============================================================================
+
+/**
+ * Map an ecliptic longitude onto the wheel
+ * @param {number} longitude - Degrees (0° = 0° Aries)
+ * @returns {Object} { longitude, wheelAngle, wheelIndex, linePosition, gate, line, color, tone, base }
+ */
+function longitudeToGateLine(longitude) {
+  if (!Number.isFinite(longitude)) {
+    throw new Error(`Invalid longitude: ${longitude}`);
+  }
+
+  const wheelAngle = normalizeDegrees(longitude - WHEEL_START_LONGITUDE);
+  const position = positioning.getPositionAtAngle(wheelAngle);
+
+  return {
+    longitude: normalizeDegrees(longitude),
+    wheelAngle,
+    wheelIndex: position.wheelIndex,
+    linePosition: position.linePosition,
+    gate: position.gateNumber,
+    line: position.lineNumber,
+    color: position.colorNumber,
+    tone: position.toneNumber,
+    base: position.baseNumber
+  };
+}
+
+/**
+ * Turn a UTC timestamp into the 13 gate.line activations
+ * @param {Date|number|string} date - UTC timestamp
+ * @param {Object} options - { node: 'true' | 'mean' }
+ * @returns {Array<Object>} [{ body, longitude, gate, line, ... }] in BODIES order
+ */
+function getActivations(date, options = {}) {
+  const longitudes = getLongitudes(date, options);
+  return BODIES.map(body => ({
+    body,
+    ...longitudeToGateLine(longitudes[body])
+  }));
+}
+
+module.exports = {
+  // Positions
+  getLongitude,
+  getLongitudes,
+  longitudeAtJulianDay,
+
+  // Wheel mapping
+  longitudeToGateLine,
+  getActivations,
+
+  // Time helpers
+  toJulianDay,
+  fromJulianDay,
+  getDeltaT,
+  normalizeDegrees,
+
+  // Constants
+  BODIES,
+  WHEEL_START_LONGITUDE,
+  DEGREES_PER_GATE
+};
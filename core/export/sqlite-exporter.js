@@ -0,0 +1,491 @@
+/**
+ * SQLite Exporter - All Knowledge as a Normalized SQL Database
+ *
+ * Writes every registered knowledge system into one SQLite file for analysts:
+ *
+ *   Entity tables   gates, lines, quarters, faces, trigrams, centers, center_gates,
+ *                   channels, crosses, codon_rings, codon_ring_gates
+ *   System tables   system_<name> - one per knowledge system, one row per mapping
+ *                   entry: key columns (foreign keys to the entity tables) plus
+ *                   each knowledge field as a column (arrays and objects as JSON)
+ *   Full-text       knowledge_text (every text value, with its system, gate, line
+ *                   and field) indexed by the knowledge_fts FTS4 table
+ *   Provenance      metadata and sources (SHA-1 of every mapping file read)
+ *
+ * Everything comes from the mapping files the engine loads (system-loader.js)
+ * and the docking data of the knowledge store, in file order, with no
+ * timestamps - the same input and sql.js version give byte-identical files.
+ *
+ *   node core/export/sqlite-exporter.js [file]    (default: hd-knowledge.sqlite)
+ *
+ *   SELECT t.system, t.ref, t.field, snippet(knowledge_fts)
+ *   FROM knowledge_fts JOIN knowledge_text t ON t.id = knowledge_fts.rowid
+ *   WHERE knowledge_fts MATCH 'courage';
+ *
+ * Writing the file needs the sql.js package (SQLite compiled to WebAssembly).
+ * Its SQLite has FTS3/FTS4 but not FTS5, hence FTS4 - which the sqlite3
+ * modules of Python, Node and most SQLite builds read.
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const store = require('../store/knowledge-store.js');
+const systems = require('../store/system-loader.js');
+const { version: ENGINE_VERSION } = require('../../package.json');
+
+const SCHEMA_VERSION = 1;
+const DEFAULT_FILE = 'hd-knowledge.sqlite';
+const CROSS_DEFINITIONS_FILE = 'mappings/cross-definitions.json';
+const GATES = Array.from({ length: 64 }, (_, i) => i + 1);
+
+// Key columns of a system table by docking level (keyField values in order)
+const KEY_COLUMNS = {
+  gate: { columns: [['gate', 'INTEGER']], references: () => 'gates(gate)' },
+  line: { columns: [['gate', 'INTEGER'], ['line', 'INTEGER']], references: () => 'lines(gate, line)' },
+  group: { columns: [['name', 'TEXT']], references: manifest => `${tableName(manifest.name)}(name)` },
+  center: { columns: [['center', 'TEXT']], references: () => 'centers(name)' },
+  channel: { columns: [['channel', 'TEXT']], references: () => 'channels(id)' }
+};
+
+/**
+ * SQL identifier for a name ("hd-traditional-gates" → "hd_traditional_gates",
+ * "whenDefined" → "when_defined")
+ */
+function tableName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Is this a plain object (not an array or null)?
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten an entry's fields to [path, value] pairs - objects are walked,
+ * arrays kept whole ("knowledge." is dropped from paths)
+ */
+function fieldsOf(value, prefix = []) {
+  if (!isPlainObject(value)) {
+    return [[prefix.filter((part, i) => !(i === 0 && part === 'knowledge')), value]];
+  }
+  return Object.entries(value).flatMap(([key, child]) => fieldsOf(child, [...prefix, key]));
+}
+
+/**
+ * Every text value in a value, with its dot path (arrays walked too)
+ */
+function textsOf(value, fieldPath = '') {
+  if (typeof value === 'string') {
+    return value.trim() === '' ? [] : [[fieldPath, value]];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, i) => textsOf(item, `${fieldPath}[${i}]`));
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value).flatMap(([key, child]) => {
+      const childPath = fieldPath === '' && key === 'knowledge' ? '' : fieldPath ? `${fieldPath}.${key}` : key;
+      return textsOf(child, childPath);
+    });
+  }
+  return [];
+}
+
+/**
+ * SQLite column type that holds every (non-null) value
+ */
+function columnType(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return 'TEXT';
+  if (present.every(value => Number.isInteger(value) || typeof value === 'boolean')) return 'INTEGER';
+  if (present.every(value => typeof value === 'number')) return 'REAL';
+  return 'TEXT';
+}
+
+/**
+ * Cell value for a column type
+ */
+function cell(value, type) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return type === 'INTEGER' ? Number(value) : String(value);
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (type === 'TEXT') return String(value);
+  return value;
+}
+
+// ============================================================================
+// TABLES
+// ============================================================================
+
+/**
+ * Entity tables - structure shared by every system
+ */
+function entityTables() {
+  const groupTable = system => ({
+    name: tableName(system),
+    columns: [['name', 'TEXT PRIMARY KEY']],
+    rows: systems.getSystem(system).mappings.map(entry => [entry.groupName])
+  });
+
+  const centers = systems.getSystem('centers').mappings;
+  const channels = systems.getSystem('channels').mappings;
+  const crosses = systems.getMappingFile('incarnation-crosses', CROSS_DEFINITIONS_FILE).crosses;
+  const codonEntries = systems.getSystem('codon-rings').mappings;
+  const rings = [...new Set(codonEntries.map(entry => entry.knowledge.ring))];
+
+  return [
+    groupTable('quarters'),
+    groupTable('faces'),
+    groupTable('trigrams'),
+    {
+      name: 'centers',
+      columns: [['name', 'TEXT PRIMARY KEY'], ['type', 'TEXT']],
+      rows: centers.map(center => [center.centerName, center.type])
+    },
+    {
+      name: 'gates',
+      columns: [
+        ['gate', 'INTEGER PRIMARY KEY'],
+        ['binary', 'TEXT NOT NULL'],
+        ['codon', 'TEXT'],
+        ['wheel_index', 'INTEGER'],
+        ['quarter', 'TEXT REFERENCES quarters(name)'],
+        ['face', 'TEXT REFERENCES faces(name)'],
+        ['upper_trigram', 'TEXT REFERENCES trigrams(name)'],
+        ['lower_trigram', 'TEXT REFERENCES trigrams(name)'],
+        ['opposite_gate', 'INTEGER REFERENCES gates(gate)'],
+        ['center', 'TEXT REFERENCES centers(name)']
+      ],
+      rows: GATES.map(gateNumber => {
+        const gate = store.getGate(gateNumber);
+        return [
+          gate.gate, gate.binary, gate.codon, gate.wheelIndex, gate.quarter, gate.face,
+          gate.trigrams.upper, gate.trigrams.lower, gate.oppositeGate, gate.center
+        ];
+      })
+    },
+    {
+      name: 'lines',
+      columns: [['gate', 'INTEGER NOT NULL REFERENCES gates(gate)'], ['line', 'INTEGER NOT NULL'], ['key', 'TEXT NOT NULL UNIQUE']],
+      constraints: ['PRIMARY KEY (gate, line)'],
+      rows: GATES.flatMap(gate => [1, 2, 3, 4, 5, 6].map(line => [gate, line, `${gate}.${line}`]))
+    },
+    {
+      name: 'center_gates',
+      columns: [['center', 'TEXT NOT NULL REFERENCES centers(name)'], ['gate', 'INTEGER NOT NULL REFERENCES gates(gate)']],
+      constraints: ['PRIMARY KEY (center, gate)'],
+      rows: centers.flatMap(center => center.gates.map(gate => [center.centerName, gate]))
+    },
+    {
+      name: 'channels',
+      columns: [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['gate1', 'INTEGER NOT NULL REFERENCES gates(gate)'],
+        ['gate2', 'INTEGER NOT NULL REFERENCES gates(gate)'],
+        ['type', 'TEXT']
+      ],
+      rows: channels.map(channel => [channel.channelNumber, channel.gate1, channel.gate2, channel.channelType])
+    },
+    {
+      name: 'crosses',
+      columns: [
+        ['name', 'TEXT PRIMARY KEY'],
+        ['type', 'TEXT NOT NULL'],
+        ['personality_sun', 'INTEGER REFERENCES gates(gate)'],
+        ['personality_earth', 'INTEGER REFERENCES gates(gate)'],
+        ['design_sun', 'INTEGER REFERENCES gates(gate)'],
+        ['design_earth', 'INTEGER REFERENCES gates(gate)']
+      ],
+      rows: Object.entries(crosses).map(([name, cross]) => [
+        name, cross.type, cross.personalitySun, cross.personalityEarth, cross.designSun, cross.designEarth
+      ])
+    },
+    {
+      name: 'codon_rings',
+      columns: [['name', 'TEXT PRIMARY KEY']],
+      rows: rings.map(ring => [ring])
+    },
+    {
+      name: 'codon_ring_gates',
+      columns: [
+        ['ring', 'TEXT NOT NULL REFERENCES codon_rings(name)'],
+        ['gate', 'INTEGER NOT NULL REFERENCES gates(gate)'],
+        ['amino_acid', 'TEXT'],
+        ['codons', 'TEXT']
+      ],
+      constraints: ['PRIMARY KEY (ring, gate)'],
+      rows: codonEntries.map(entry => [
+        entry.knowledge.ring, entry.gateNumber, entry.knowledge.aminoAcid, JSON.stringify(entry.knowledge.codons)
+      ])
+    }
+  ];
+}
+
+/**
+ * System table - one row per mapping entry
+ * @throws {Error} If a knowledge field's column name clashes with another column
+ */
+function systemTable(name) {
+  const { manifest, mappings } = systems.getSystem(name);
+  const keys = KEY_COLUMNS[manifest.dockingLevel];
+  const keyFields = [].concat(manifest.keyField);
+  const skipped = new Set([...keyFields, 'gateNumber', 'lineNumber']);
+
+  // Knowledge columns in order of first appearance
+  const entries = mappings.map(entry => {
+    const fields = new Map();
+    for (const [fieldPath, value] of fieldsOf(entry)) {
+      if (fieldPath.length === 1 && skipped.has(fieldPath[0])) continue;
+      fields.set(fieldPath.map(tableName).join('_'), value);
+    }
+    return fields;
+  });
+  const names = [];
+  entries.forEach(fields => fields.forEach((_, column) => {
+    if (!names.includes(column)) names.push(column);
+  }));
+
+  const reserved = ['id', ...keys.columns.map(([column]) => column)];
+  const clash = names.find(column => reserved.includes(column));
+  if (clash) {
+    throw new Error(`Column ${clash} of system ${name} clashes with a key column`);
+  }
+
+  const types = names.map(column => columnType(entries.map(fields => fields.get(column))));
+  const keyList = keys.columns.map(([column]) => column).join(', ');
+
+  return {
+    name: `system_${tableName(name)}`,
+    system: name,
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY'],
+      ...keys.columns.map(([column, type]) => [column, `${type} NOT NULL`]),
+      ...names.map((column, i) => [column, types[i]])
+    ],
+    constraints: [`FOREIGN KEY (${keyList}) REFERENCES ${keys.references(manifest)}`],
+    indexes: [keyList],
+    rows: mappings.map((entry, i) => [
+      i + 1,
+      ...keyFields.map(field => entry[field]),
+      ...names.map((column, c) => cell(entries[i].get(column), types[c]))
+    ])
+  };
+}
+
+/**
+ * Every text value of every system, for full-text search
+ */
+function textTable() {
+  const rows = [];
+  for (const name of systems.getSystemNames()) {
+    const { manifest, mappings } = systems.getSystem(name);
+    const keyFields = [].concat(manifest.keyField);
+    const level = manifest.dockingLevel;
+
+    for (const entry of mappings) {
+      const keyValues = keyFields.map(field => entry[field]);
+      const gate = level === 'gate' || level === 'line' ? keyValues[0] : null;
+      const line = level === 'line' ? keyValues[1] : null;
+      const ref = keyValues.join('.');
+      const content = { ...entry };
+      keyFields.forEach(field => delete content[field]);
+
+      for (const [field, text] of textsOf(content)) {
+        rows.push([rows.length + 1, name, gate, line, ref, field, text]);
+      }
+    }
+  }
+
+  return {
+    name: 'knowledge_text',
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY'],
+      ['system', 'TEXT NOT NULL'],
+      ['gate', 'INTEGER REFERENCES gates(gate)'],
+      ['line', 'INTEGER'],
+      ['ref', 'TEXT NOT NULL'],
+      ['field', 'TEXT NOT NULL'],
+      ['text', 'TEXT NOT NULL']
+    ],
+    indexes: ['system', 'gate, line'],
+    rows
+  };
+}
+
+/**
+ * Provenance tables - engine version and a SHA-1 per mapping file
+ */
+function provenanceTables() {
+  const sources = [];
+  for (const name of systems.getSystemNames()) {
+    const { manifest, directory } = systems.getSystem(name);
+    for (const file of manifest.mappingFiles) {
+      const sha1 = crypto.createHash('sha1').update(fs.readFileSync(path.join(directory, file))).digest('hex');
+      sources.push([name, file, manifest.version, sha1]);
+    }
+  }
+
+  return [
+    {
+      name: 'metadata',
+      columns: [['key', 'TEXT PRIMARY KEY'], ['value', 'TEXT NOT NULL']],
+      rows: [
+        ['engine_version', ENGINE_VERSION],
+        ['schema_version', String(SCHEMA_VERSION)],
+        ['systems', systems.getSystemNames().join(',')]
+      ]
+    },
+    {
+      name: 'sources',
+      columns: [['system', 'TEXT NOT NULL'], ['file', 'TEXT NOT NULL'], ['version', 'TEXT'], ['sha1', 'TEXT NOT NULL']],
+      constraints: ['PRIMARY KEY (system, file)'],
+      rows: sources
+    }
+  ];
+}
+
+/**
+ * The tables to export, in insert order (referenced tables first)
+ * @returns {Array<Object>} [{ name, columns: [[name, type]], constraints, indexes, rows }]
+ */
+function buildTables() {
+  return [
+    ...entityTables(),
+    ...systems.getSystemNames().map(systemTable),
+    textTable(),
+    ...provenanceTables()
+  ];
+}
+
+/**
+ * SQL statements that create the schema (FTS table last)
+ * @param {Array<Object>} tables - From buildTables()
+ * @returns {Array<string>} CREATE statements
+ */
+function schemaStatements(tables) {
+  const statements = [];
+  for (const table of tables) {
+    const definitions = [
+      ...table.columns.map(([column, type]) => `  "${column}" ${type}`.trimEnd()),
+      ...(table.constraints || []).map(constraint => `  ${constraint}`)
+    ];
+    statements.push(`CREATE TABLE "${table.name}" (\n${definitions.join(',\n')}\n)`);
+    (table.indexes || []).forEach(columns => {
+      const index = `${table.name}_${columns.split(', ').join('_')}`;
+      statements.push(`CREATE INDEX "${index}" ON "${table.name}" (${columns.split(', ').map(c => `"${c}"`).join(', ')})`);
+    });
+  }
+  statements.push('CREATE VIRTUAL TABLE knowledge_fts USING fts4(content="knowledge_text", text, tokenize=porter)');
+  return statements;
+}
+
+// ============================================================================
+// SQLITE
+// ============================================================================
+
+/**
+ * Load sql.js
+ * @returns {Promise<Object>} sql.js module
+ */
+function loadSQL() {
+  let initSqlJs;
+  try {
+    initSqlJs = require('sql.js');
+  } catch (error) {
+    return Promise.reject(new Error('The SQLite exporter needs sql.js - run "npm install" (or: npm install sql.js)'));
+  }
+  return initSqlJs();
+}
+
+/**
+ * Build the database in memory
+ * @param {Object} options - { tables: from buildTables() }
+ * @returns {Promise<Uint8Array>} SQLite file contents
+ * @throws {Error} (rejects) If any foreign key is violated
+ */
+function exportToSQLite(options = {}) {
+  const tables = options.tables || buildTables();
+
+  return loadSQL().then(SQL => {
+    const db = new SQL.Database();
+    try {
+      db.run(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+      db.run('PRAGMA foreign_keys = ON');
+      schemaStatements(tables).forEach(statement => db.run(statement));
+
+      db.run('BEGIN');
+      db.run('PRAGMA defer_foreign_keys = ON');
+      for (const table of tables) {
+        const placeholders = table.columns.map(() => '?').join(', ');
+        const insert = db.prepare(`INSERT INTO "${table.name}" VALUES (${placeholders})`);
+        table.rows.forEach(row => insert.run(row));
+        insert.free();
+      }
+      db.run("INSERT INTO knowledge_fts(knowledge_fts) VALUES ('rebuild')");
+
+      const violations = db.exec('PRAGMA foreign_key_check');
+      if (violations.length > 0) {
+        const [table, rowid, parent] = violations[0].values[0];
+        throw new Error(`Foreign key violation: ${table} row ${rowid} → ${parent} (${violations[0].values.length} in all)`);
+      }
+      db.run('COMMIT');
+
+      return db.export();
+    } finally {
+      db.close();
+    }
+  });
+}
+
+/**
+ * Export to a file
+ * @param {string} file - Output path
+ * @returns {Promise<Object>} { file, bytes, tables: { name: rowCount } }
+ */
+function writeSQLite(file = DEFAULT_FILE) {
+  const tables = buildTables();
+  return exportToSQLite({ tables }).then(data => {
+    const output = path.resolve(file);
+    fs.writeFileSync(output, data);
+    return {
+      file: output,
+      bytes: data.length,
+      tables: Object.fromEntries(tables.map(table => [table.name, table.rows.length]))
+    };
+  });
+}
+
+module.exports = {
+  buildTables,
+  schemaStatements,
+  exportToSQLite,
+  writeSQLite,
+  tableName,
+
+  // Constants
+  SCHEMA_VERSION,
+  DEFAULT_FILE
+};
+
+// CLI
+if (require.main === module) {
+  writeSQLite(process.argv[2] || DEFAULT_FILE)
+    .then(result => {
+      console.log(`\n🗄️  SQLite export: ${result.file}`);
+      console.log('='.repeat(60));
+      Object.entries(result.tables).forEach(([table, rows]) => console.log(`  ${table.padEnd(32)} ${rows} rows`));
+      console.log(`\n✅ ${Object.keys(result.tables).length} tables, ${result.bytes} bytes`);
+    })
+    .catch(error => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,229 @@
+/**
+ * Hexagram Transformations - Classic I Ching Operations on the Binary Identity
+ *
+ * Every operation works on the gate's binary from binary-identity.json
+ * (position 0 = line 1, bottom; 1 = yang, 0 = yin) and returns the resulting
+ * gate with its wheel angle and full unified knowledge:
+ * - changing line:  flip one line (yin <-> yang)
+ * - changing lines: flip several lines at once
+ * - nuclear:        lines 2-3-4 as the lower trigram, 3-4-5 as the upper
+ * - inverse:        the hexagram turned upside down (line 6 becomes line 1)
+ * - complementary:  every line flipped (the binary opposite, see getOppositeGate)
+ * - cast:           six cast values (6, 7, 8, 9) to primary and relating hexagrams
+ *
+ * The "line leads to" table lists, for all 384 lines, the gate reached by
+ * changing that line.
+ *
+ * @version 1.0.0
+ */
+
+const positioning = require('../root-system/positioning-algorithm.js');
+const store = require('../store/knowledge-store.js');
+const BINARY_IDENTITY = require('../root-system/binary-identity.json').gates;
+
+// Cast values, bottom to top: 6 old yin and 9 old yang are changing lines
+const CAST_VALUES = {
+  6: { bit: '0', changing: true },   // Old yin
+  7: { bit: '1', changing: false },  // Young yang
+  8: { bit: '0', changing: false },  // Young yin
+  9: { bit: '1', changing: true }    // Old yang
+};
+
+// Binary -> gate (built once, at load)
+const GATE_BY_BINARY = new Map(
+  Object.entries(BINARY_IDENTITY).map(([gate, identity]) => [identity.binary, Number(gate)])
+);
+
+/**
+ * Get the gate for a six-bit binary (line 1 first)
+ * @param {string} binary - e.g. "111111"
+ * @returns {number} Gate 1-64
+ */
+function getGateByBinary(binary) {
+  const gate = GATE_BY_BINARY.get(binary);
+  if (!gate) {
+    throw new Error(`Invalid binary: ${binary} (must be six 0/1 digits)`);
+  }
+  return gate;
+}
+
+/**
+ * Validate a line number
+ */
+function checkLine(lineNumber) {
+  if (!Number.isInteger(lineNumber) || lineNumber < 1 || lineNumber > 6) {
+    throw new Error(`Invalid line number: ${lineNumber} (must be 1-6)`);
+  }
+}
+
+/**
+ * Flip the given lines of a binary
+ */
+function flipLines(binary, lines) {
+  const bits = binary.split('');
+  lines.forEach(line => { bits[line - 1] = bits[line - 1] === '1' ? '0' : '1'; });
+  return bits.join('');
+}
+
+/**
+ * Build a transformation result
+ */
+function buildResult(operation, fromGate, binary, changedLines = []) {
+  const gate = getGateByBinary(binary);
+  return {
+    operation,
+    from: fromGate,
+    gate,
+    binary,
+    angle: positioning.getWheelPosition(gate, 1).angle,
+    changedLines,
+    knowledge: store.getRecord(gate)
+  };
+}
+
+/**
+ * Change one line (yin <-> yang)
+ * @param {number} gateNumber - Gate 1-64
+ * @param {number} lineNumber - Line 1-6
+ * @returns {Object} { operation, from, gate, binary, angle, changedLines, knowledge }
+ */
+function changeLine(gateNumber, lineNumber) {
+  return changeLines(gateNumber, [lineNumber]);
+}
+
+/**
+ * Change several lines at once
+ * @param {number} gateNumber - Gate 1-64
+ * @param {Array<number>} lineNumbers - Lines 1-6 (each at most once)
+ * @returns {Object} { operation, from, gate, binary, angle, changedLines, knowledge }
+ */
+function changeLines(gateNumber, lineNumbers) {
+  store.getGate(gateNumber);  // Throws for invalid gates
+  if (!Array.isArray(lineNumbers) || lineNumbers.length === 0) {
+    throw new Error('Changing lines must be a non-empty array of line numbers');
+  }
+  lineNumbers.forEach(checkLine);
+  if (new Set(lineNumbers).size !== lineNumbers.length) {
+    throw new Error(`Changing lines must be unique, got: ${lineNumbers.join(', ')}`);
+  }
+
+  const lines = [...lineNumbers].sort((a, b) => a - b);
+  const binary = flipLines(positioning.getBinaryPattern(gateNumber), lines);
+  return buildResult('change', gateNumber, binary, lines);
+}
+
+/**
+ * Nuclear hexagram - lines 2-4 become the lower trigram, lines 3-5 the upper
+ * @param {number} gateNumber - Gate 1-64
+ * @returns {Object} { operation, from, gate, binary, angle, changedLines, knowledge }
+ */
+function getNuclearHexagram(gateNumber) {
+  store.getGate(gateNumber);
+  const binary = positioning.getBinaryPattern(gateNumber);
+  return buildResult('nuclear', gateNumber, binary.substring(1, 4) + binary.substring(2, 5));
+}
+
+/**
+ * Inverse (reversed) hexagram - turned upside down
+ * @param {number} gateNumber - Gate 1-64
+ * @returns {Object} { operation, from, gate, binary, angle, changedLines, knowledge }
+ */
+function getInverseHexagram(gateNumber) {
+  store.getGate(gateNumber);
+  const binary = positioning.getBinaryPattern(gateNumber);
+  return buildResult('inverse', gateNumber, binary.split('').reverse().join(''));
+}
+
+/**
+ * Complementary hexagram - every line changed (same gate as getOppositeGate)
+ * @param {number} gateNumber - Gate 1-64
+ * @returns {Object} { operation, from, gate, binary, angle, changedLines, knowledge }
+ */
+function getComplementaryHexagram(gateNumber) {
+  store.getGate(gateNumber);
+  const binary = flipLines(positioning.getBinaryPattern(gateNumber), [1, 2, 3, 4, 5, 6]);
+  return buildResult('complementary', gateNumber, binary, [1, 2, 3, 4, 5, 6]);
+}
+
+/**
+ * Resolve a six-line cast into its primary and relating hexagrams
+ * @param {Array<number>} values - Six cast values, line 1 first: 6 old yin, 7 young yang, 8 young yin, 9 old yang
+ * @returns {Object} { values, primary (from: null), changingLines, relating (null without changing lines) }
+ */
+function castHexagram(values) {
+  if (!Array.isArray(values) || values.length !== 6 || !values.every(v => CAST_VALUES[v])) {
+    throw new Error(`A cast needs six values of 6, 7, 8 or 9 (line 1 first), got: ${values}`);
+  }
+
+  const binary = values.map(v => CAST_VALUES[v].bit).join('');
+  const changingLines = values
+    .map((v, i) => (CAST_VALUES[v].changing ? i + 1 : null))
+    .filter(line => line !== null);
+
+  const primary = buildResult('cast', null, binary);
+
+  return {
+    values: [...values],
+    primary,
+    changingLines,
+    relating: changingLines.length ? changeLines(primary.gate, changingLines) : null
+  };
+}
+
+/**
+ * Build the "line leads to" table (runs once, at load)
+ */
+function buildLineLeadsTo() {
+  const table = [];
+  for (let gate = 1; gate <= 64; gate++) {
+    const binary = positioning.getBinaryPattern(gate);
+    for (let line = 1; line <= 6; line++) {
+      const leadsTo = getGateByBinary(flipLines(binary, [line]));
+      table.push({
+        gate,
+        line,
+        angle: positioning.getWheelPosition(gate, line).angle,
+        leadsTo,
+        leadsToAngle: positioning.getWheelPosition(leadsTo, line).angle
+      });
+    }
+  }
+  return table;
+}
+
+const LINE_LEADS_TO = buildLineLeadsTo();
+
+/**
+ * Get the gate a line leads to when it changes
+ * @param {number} gateNumber - Gate 1-64
+ * @param {number} lineNumber - Line 1-6
+ * @returns {Object} { gate, line, angle, leadsTo, leadsToAngle } (angles of gate.line and leadsTo.line)
+ */
+function getLineLeadsTo(gateNumber, lineNumber) {
+  store.getGate(gateNumber);
+  checkLine(lineNumber);
+  return { ...LINE_LEADS_TO[(gateNumber - 1) * 6 + (lineNumber - 1)] };
+}
+
+/**
+ * Get the full 384-entry "line leads to" table
+ * @returns {Array<Object>} [{ gate, line, angle, leadsTo, leadsToAngle }] in gate then line order
+ */
+function getLineLeadsToTable() {
+  return LINE_LEADS_TO.map(entry => ({ ...entry }));
+}
+
+module.exports = {
+  getGateByBinary,
+  changeLine,
+  changeLines,
+  getNuclearHexagram,
+  getInverseHexagram,
+  getComplementaryHexagram,
+  castHexagram,
+  getLineLeadsTo,
+  getLineLeadsToTable,
+
+  // Constants
+  CAST_VALUES
+};
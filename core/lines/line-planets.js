@@ -0,0 +1,210 @@
+/**
+ * Line Planets - Exaltation and Detriment Planets by Planet
+ *
+ * The traditional gates mappings carry Black Book and White Book planets for
+ * all 384 lines, one line at a time. This module indexes them by planet once
+ * at load, so "which lines does Venus exalt?" is a single lookup.
+ *
+ * Every assignment is a (line, book, role) triple with zero or more planets:
+ * - no planet:    5.6 detriment, 47.6 exaltation, 54.4 both, ... (dataIntegrity.noPlanetCases)
+ * - multi-planet: 11.4 exaltation (Moon, Venus), 25.4 exaltation (Venus, Jupiter)
+ *
+ * Books default to 'black' (the books agree line for line today, and the
+ * lines rings draw the Black Book planets).
+ *
+ * @version 1.0.0
+ */
+
+const store = require('../store/knowledge-store.js');
+
+const PLANETS = [
+  'Sun', 'Earth', 'Moon', 'Mercury', 'Venus', 'Mars',
+  'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'
+];
+const ROLES = ['exaltation', 'detriment'];
+const BOOKS = { black: 'blackBook', white: 'whiteBook' };
+
+/**
+ * Build the planet index (runs once, at load)
+ */
+function buildIndex() {
+  const assignments = [];
+  const byPlanet = new Map(PLANETS.map(planet => [planet, []]));
+
+  for (let gate = 1; gate <= 64; gate++) {
+    for (let line = 1; line <= 6; line++) {
+      const knowledge = store.getLine(gate, line).knowledge;
+      for (const book of Object.keys(BOOKS)) {
+        for (const role of ROLES) {
+          const planets = knowledge[BOOKS[book]]?.[role]?.planets || [];
+          const assignment = {
+            gate,
+            line,
+            book,
+            role,
+            planets: planets.map(p => p.planet),
+            descriptions: planets.map(p => p.description)
+          };
+          assignments.push(assignment);
+          planets.forEach(p => {
+            if (!byPlanet.has(p.planet)) {
+              throw new Error(`Unknown planet "${p.planet}" on line ${gate}.${line}`);
+            }
+            byPlanet.get(p.planet).push(assignment);
+          });
+        }
+      }
+    }
+  }
+
+  return { assignments, byPlanet };
+}
+
+const INDEX = buildIndex();
+
+/**
+ * Resolve a planet name (case-insensitive)
+ * @param {string} planet - e.g. "venus"
+ * @returns {string} Canonical name (e.g. "Venus")
+ * @throws {Error} If the planet is unknown
+ */
+function resolvePlanet(planet) {
+  const name = typeof planet === 'string'
+    ? PLANETS.find(p => p.toLowerCase() === planet.toLowerCase())
+    : undefined;
+  if (!name) {
+    throw new Error(`Unknown planet: ${planet} (must be one of ${PLANETS.join(', ')})`);
+  }
+  return name;
+}
+
+/**
+ * Validate { role, book } options
+ */
+function resolveOptions({ role = null, book = 'black' } = {}) {
+  if (role !== null && !ROLES.includes(role)) {
+    throw new Error(`Invalid role: ${role} (must be "exaltation" or "detriment")`);
+  }
+  if (!BOOKS[book]) {
+    throw new Error(`Invalid book: ${book} (must be "black" or "white")`);
+  }
+  return { role, book };
+}
+
+/**
+ * Keep assignments for one book and (optionally) one role
+ */
+function select(assignments, { role, book }) {
+  return assignments.filter(a => a.book === book && (role === null || a.role === role));
+}
+
+/**
+ * Shape an assignment for callers (planet arrays are copies)
+ */
+function toResult(assignment) {
+  return {
+    gate: assignment.gate,
+    line: assignment.line,
+    book: assignment.book,
+    role: assignment.role,
+    planets: [...assignment.planets]
+  };
+}
+
+/**
+ * Get the planets of one line
+ * @param {number} gateNumber - Gate 1-64
+ * @param {number} lineNumber - Line 1-6
+ * @param {Object} options - { book: 'black' | 'white' }
+ * @returns {Object} { exaltation: [planets], detriment: [planets] }
+ */
+function getLinePlanets(gateNumber, lineNumber, options = {}) {
+  const { book } = resolveOptions({ book: options.book });
+  const knowledge = store.getLine(gateNumber, lineNumber).knowledge;  // Throws for invalid lines
+
+  const result = {};
+  for (const role of ROLES) {
+    result[role] = (knowledge[BOOKS[book]]?.[role]?.planets || []).map(p => p.planet);
+  }
+  return result;
+}
+
+/**
+ * Get every line a planet exalts or is in detriment on
+ * @param {string} planet - Planet name (e.g. "Venus"; case-insensitive)
+ * @param {Object} options - { role: 'exaltation' | 'detriment' (default both), book: 'black' | 'white' }
+ * @returns {Array<Object>} [{ gate, line, book, role, planets, description }] in gate then line order
+ * @throws {Error} If the planet, role or book is unknown
+ */
+function getLinesByPlanet(planet, options = {}) {
+  const name = resolvePlanet(planet);
+  const selection = resolveOptions(options);
+
+  return select(INDEX.byPlanet.get(name), selection).map(assignment => ({
+    ...toResult(assignment),
+    description: assignment.descriptions[assignment.planets.indexOf(name)]
+  }));
+}
+
+/**
+ * Count exaltations and detriments per planet across the wheel
+ * @param {Object} options - { book: 'black' | 'white' }
+ * @returns {Object} { book, planets: [{ planet, exaltation, detriment, total, gates }], noPlanetCases, multiPlanetCases }
+ */
+function getPlanetStatistics(options = {}) {
+  const { book } = resolveOptions({ book: options.book });
+
+  const planets = PLANETS.map(planet => {
+    const assignments = select(INDEX.byPlanet.get(planet), { role: null, book });
+    return {
+      planet,
+      exaltation: assignments.filter(a => a.role === 'exaltation').length,
+      detriment: assignments.filter(a => a.role === 'detriment').length,
+      total: assignments.length,
+      gates: new Set(assignments.map(a => a.gate)).size
+    };
+  }).sort((a, b) => b.total - a.total || PLANETS.indexOf(a.planet) - PLANETS.indexOf(b.planet));
+
+  return {
+    book,
+    planets,
+    noPlanetCases: getNoPlanetLines({ book }).length,
+    multiPlanetCases: getMultiPlanetLines({ book }).length
+  };
+}
+
+/**
+ * Get the line roles with no planet assigned
+ * @param {Object} options - { role, book }
+ * @returns {Array<Object>} [{ gate, line, book, role, planets: [] }]
+ */
+function getNoPlanetLines(options = {}) {
+  return select(INDEX.assignments, resolveOptions(options))
+    .filter(a => a.planets.length === 0)
+    .map(toResult);
+}
+
+/**
+ * Get the line roles with more than one planet assigned
+ * @param {Object} options - { role, book }
+ * @returns {Array<Object>} [{ gate, line, book, role, planets }]
+ */
+function getMultiPlanetLines(options = {}) {
+  return select(INDEX.assignments, resolveOptions(options))
+    .filter(a => a.planets.length > 1)
+    .map(toResult);
+}
+
+module.exports = {
+  resolvePlanet,
+  getLinePlanets,
+  getLinesByPlanet,
+  getPlanetStatistics,
+  getNoPlanetLines,
+  getMultiPlanetLines,
+
+  // Constants
+  PLANETS,
+  ROLES,
+  BOOKS
+};
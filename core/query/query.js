@@ -0,0 +1,437 @@
+/**
+ * Query - Composable Filters Over Gates and Lines
+ *
+ * One mechanism for every "which gates/lines..." question, built on the
+ * unified records from core/store/knowledge-store.js (docking data from
+ * positioning-algorithm.js plus every mapping file). Quarter, face, trigram,
+ * center, channel and gate filters narrow the candidates through the store's
+ * indexes before any record is built.
+ *
+ * Builder:
+ *   query().quarter('Mutation').trigram('upper', 'Fire').center('Sacral').gates()
+ *   query().exaltation('Venus').select('lineKnowledge.lineKeynote').run()
+ *
+ * String syntax (AND, OR, NOT, parentheses; adjacent terms are ANDed):
+ *   query('quarter:Mutation AND center:Sacral')
+ *   query('exaltation:Venus OR detriment:Venus')
+ *   query('codonRing.ring:"Ring of Fire" NOT center:G')
+ *
+ * Results are gate-level records, or line-level records (all 384 lines) as
+ * soon as a line filter is used (line, exaltation, detriment, planet,
+ * lineKnowledge.*) or lines() is called.
+ *
+ * @version 1.0.0
+ */
+
+const store = require('../store/knowledge-store.js');
+
+const LINE_FIELDS = ['line', 'exaltation', 'detriment', 'planet', 'lineKnowledge'];
+const TRIGRAM_POSITIONS = ['upper', 'lower'];
+const PLANET_SIDES = ['exaltation', 'detriment'];
+
+// Top-level keys of a record - anything else in a path is a typo
+const RECORD_KEYS = [
+  'gate', 'line', 'binary', 'codon', 'wheelPosition', 'angle', 'quarter', 'face',
+  'trigrams', 'oppositeGate', 'geneKeys', 'ichingName', 'mandalaGateName', 'humanDesign',
+  'codonRing', 'quarterMeaning', 'faceMeaning', 'trigramMeanings', 'center',
+  'centerKnowledge', 'channelsInvolved', 'incarnationCrosses', 'lineKnowledge'
+];
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Every value at a dot path, descending through arrays
+ */
+function valuesAt(value, segments) {
+  if (segments.length === 0) {
+    return Array.isArray(value) ? value : [value];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(item => valuesAt(item, segments));
+  }
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return [];
+  }
+  return valuesAt(value[segments[0]], segments.slice(1));
+}
+
+/**
+ * Read a dot path from a record (single value, or an array where the path fans out)
+ */
+function getPath(record, path) {
+  const segments = path.split('.');
+  const direct = segments.reduce((v, key) => (v === null || v === undefined ? v : v[key]), record);
+  if (direct !== undefined) return direct;
+
+  const values = valuesAt(record, segments).filter(v => v !== undefined);
+  return values.length ? values : undefined;
+}
+
+/**
+ * Case-insensitive equality for strings, numeric equality for numbers
+ */
+function matchesValue(actual, expected) {
+  if (actual === null || actual === undefined) return false;
+  if (typeof expected === 'function') return Boolean(expected(actual));
+  if (typeof actual === 'number' || typeof expected === 'number') return Number(actual) === Number(expected);
+  return String(actual).toLowerCase() === String(expected).toLowerCase();
+}
+
+/**
+ * Validate a record path (first segment must be a record key)
+ */
+function checkPath(path) {
+  if (typeof path !== 'string' || !RECORD_KEYS.includes(path.split('.')[0])) {
+    throw new Error(`Unknown query field: ${path} (must start with one of ${RECORD_KEYS.join(', ')})`);
+  }
+}
+
+// ============================================================================
+// PREDICATES
+// ============================================================================
+
+/**
+ * A filter: test(record) plus, when an index can answer it, the candidate gates
+ */
+function predicate(test, { gates = null, lineLevel = false } = {}) {
+  return { test, gates, lineLevel };
+}
+
+/**
+ * Index candidates for a name lookup - the indexes are exact-case, so an
+ * empty hit falls back to a full scan with the case-insensitive test
+ */
+function candidates(gates) {
+  return gates.length ? gates : null;
+}
+
+/**
+ * Match any value at a record path
+ */
+function pathPredicate(path, expected) {
+  checkPath(path);
+  const segments = path.split('.');
+  return predicate(
+    record => valuesAt(record, segments).some(v => matchesValue(v, expected)),
+    { lineLevel: LINE_FIELDS.includes(segments[0]) }
+  );
+}
+
+/**
+ * Lines whose exaltation or detriment lists a planet
+ */
+function planetPredicate(side, planet) {
+  const sides = side ? [side] : PLANET_SIDES;
+  return predicate(record => sides.some(s =>
+    ['blackBook', 'whiteBook'].some(book =>
+      valuesAt(record.lineKnowledge, [book, s, 'planets', 'planet']).some(p => matchesValue(p, planet))
+    )
+  ), { lineLevel: true });
+}
+
+/**
+ * Predicate for one string-syntax term (key:value)
+ */
+function termPredicate(key, value) {
+  switch (key) {
+    case 'quarter': return predicate(r => matchesValue(r.quarter, value), { gates: candidates(store.getGatesInQuarter(value)) });
+    case 'face': return predicate(r => matchesValue(r.face, value), { gates: candidates(store.getGatesInFace(value)) });
+    case 'upper':
+    case 'lower': return trigramPredicate(key, value);
+    case 'trigram': return anyOf([trigramPredicate('upper', value), trigramPredicate('lower', value)]);
+    case 'center': return predicate(r => matchesValue(r.center, value), { gates: candidates(store.getGatesByCenter(value)) });
+    case 'channel': return channelPredicate(value);
+    case 'gate': return predicate(r => matchesValue(r.gate, value), { gates: [Number(value)] });
+    case 'line': return predicate(r => matchesValue(r.line, value), { lineLevel: true });
+    case 'exaltation':
+    case 'detriment': return planetPredicate(key, value);
+    case 'planet': return planetPredicate(null, value);
+    default: return pathPredicate(key, value);
+  }
+}
+
+/**
+ * Gates that belong to a channel
+ */
+function channelPredicate(id) {
+  const channel = store.getChannel(id);
+  return predicate(
+    r => r.channelsInvolved.some(ch => matchesValue(ch.channel, id)),
+    { gates: channel ? [channel.gate1, channel.gate2] : [] }  // Channel ids have no case
+  );
+}
+
+/**
+ * Gates with a trigram in one position
+ */
+function trigramPredicate(position, name) {
+  if (!TRIGRAM_POSITIONS.includes(position)) {
+    throw new Error(`Trigram position must be "upper" or "lower", got: ${position}`);
+  }
+  return predicate(r => matchesValue(r.trigrams[position], name), { gates: candidates(store.getGatesWithTrigram(name, position)) });
+}
+
+/**
+ * Combine predicates - all must pass
+ */
+function allOf(predicates) {
+  const indexed = predicates.filter(p => p.gates);
+  let gates = null;
+  for (const p of indexed) {
+    gates = gates === null ? p.gates : gates.filter(g => p.gates.includes(g));
+  }
+  return predicate(record => predicates.every(p => p.test(record)), {
+    gates,
+    lineLevel: predicates.some(p => p.lineLevel)
+  });
+}
+
+/**
+ * Combine predicates - any may pass
+ */
+function anyOf(predicates) {
+  const gates = predicates.every(p => p.gates)
+    ? [...new Set(predicates.flatMap(p => p.gates))]
+    : null;
+  return predicate(record => predicates.some(p => p.test(record)), {
+    gates,
+    lineLevel: predicates.some(p => p.lineLevel)
+  });
+}
+
+/**
+ * Negate a predicate
+ */
+function not(p) {
+  return predicate(record => !p.test(record), { lineLevel: p.lineLevel });
+}
+
+// ============================================================================
+// STRING SYNTAX
+// ============================================================================
+
+/**
+ * Split a query string into tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|([A-Za-z][\w.]*):(?:"([^"]*)"|([^\s()"]+))|(\S+))/y;
+
+  let index = 0;
+  while (index < source.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) break;  // Only trailing whitespace is left
+    index = pattern.lastIndex;
+
+    if (match[1]) tokens.push({ type: '(' });
+    else if (match[2]) tokens.push({ type: ')' });
+    else if (match[3]) tokens.push({ type: 'term', key: match[3], value: match[4] !== undefined ? match[4] : match[5] });
+    else if (/^(AND|OR|NOT)$/i.test(match[6])) tokens.push({ type: match[6].toUpperCase() });
+    else throw new Error(`Invalid query term: "${match[6]}" (expected key:value, AND, OR, NOT or parentheses)`);
+  }
+  return tokens;
+}
+
+/**
+ * Parse a query string into a predicate
+ * Grammar: or := and (OR and)* ; and := unary (AND? unary)* ; unary := NOT unary | ( or ) | term
+ * @param {string} source - e.g. 'quarter:Mutation AND (center:Sacral OR center:Root)'
+ * @returns {Object} Predicate
+ */
+function parse(source) {
+  if (typeof source !== 'string') {
+    throw new Error(`Query must be a string, got: ${typeof source}`);
+  }
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parseOr() {
+    const parts = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      next();
+      parts.push(parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : anyOf(parts);
+  }
+
+  function parseAnd() {
+    const parts = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') next();
+      parts.push(parseUnary());
+    }
+    return parts.length === 1 ? parts[0] : allOf(parts);
+  }
+
+  function parseUnary() {
+    const token = next();
+    if (!token) throw new Error(`Unexpected end of query: "${source}"`);
+    if (token.type === 'NOT') return not(parseUnary());
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (next()?.type !== ')') throw new Error(`Missing closing parenthesis in query: "${source}"`);
+      return inner;
+    }
+    if (token.type === 'term') return termPredicate(token.key, token.value);
+    throw new Error(`Unexpected ${token.type} in query: "${source}"`);
+  }
+
+  if (tokens.length === 0) {
+    throw new Error('Empty query');
+  }
+  const result = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${peek().type} in query: "${source}"`);
+  }
+  return result;
+}
+
+// ============================================================================
+// BUILDER
+// ============================================================================
+
+/**
+ * Chainable query over gate and line records - every filter is ANDed
+ */
+class Query {
+  constructor() {
+    this.predicates = [];
+    this.fields = null;
+    this.lineLevel = false;
+  }
+
+  /** Add a predicate (returns this for chaining) */
+  filter(p) {
+    this.predicates.push(p);
+    return this;
+  }
+
+  /** Add a string-syntax expression */
+  match(source) {
+    return this.filter(parse(source));
+  }
+
+  quarter(name) { return this.filter(termPredicate('quarter', name)); }
+  face(name) { return this.filter(termPredicate('face', name)); }
+  center(name) { return this.filter(termPredicate('center', name)); }
+  channel(id) { return this.filter(channelPredicate(id)); }
+  exaltation(planet) { return this.filter(planetPredicate('exaltation', planet)); }
+  detriment(planet) { return this.filter(planetPredicate('detriment', planet)); }
+  planet(planet) { return this.filter(planetPredicate(null, planet)); }
+
+  /** Trigram in the 'upper' or 'lower' position */
+  trigram(position, name) { return this.filter(trigramPredicate(position, name)); }
+
+  /** Only these gates */
+  gate(...gates) {
+    return this.filter(predicate(r => gates.includes(r.gate), { gates }));
+  }
+
+  /** Only these line numbers (switches to line level) */
+  line(...lines) {
+    return this.filter(predicate(r => lines.includes(r.line), { lineLevel: true }));
+  }
+
+  /** Any record path - value, or a function of the value */
+  where(path, expected) {
+    return this.filter(pathPredicate(path, expected));
+  }
+
+  /** Any of several sub-queries */
+  anyOf(...queries) {
+    return this.filter(anyOf(queries.map(q => q.toPredicate())));
+  }
+
+  /** None of a sub-query */
+  not(subQuery) {
+    return this.filter(not(subQuery.toPredicate()));
+  }
+
+  /** Return line-level records (all 384 lines) */
+  lines() {
+    this.lineLevel = true;
+    return this;
+  }
+
+  /** Project each record onto these dot paths (gate and line are always kept) */
+  select(...fields) {
+    fields.forEach(checkPath);
+    this.fields = fields;
+    return this;
+  }
+
+  /** Combined predicate of every filter */
+  toPredicate() {
+    const combined = allOf(this.predicates);
+    if (this.lineLevel) combined.lineLevel = true;
+    return combined;
+  }
+
+  /**
+   * Run the query
+   * @returns {Array<Object>} Matching records in gate order (then line order)
+   */
+  run() {
+    const p = this.toPredicate();
+    const gates = p.gates
+      ? [...new Set(p.gates)].filter(g => Number.isInteger(g) && g >= 1 && g <= 64).sort((a, b) => a - b)
+      : Array.from({ length: 64 }, (_, i) => i + 1);
+
+    const results = [];
+    for (const gate of gates) {
+      const lines = p.lineLevel ? [1, 2, 3, 4, 5, 6] : [null];
+      for (const line of lines) {
+        const record = store.getRecord(gate, line);
+        if (p.test(record)) results.push(this.project(record));
+      }
+    }
+    return results;
+  }
+
+  /** Apply select() to one record */
+  project(record) {
+    if (!this.fields) return record;
+    const projected = { gate: record.gate };
+    if (record.line) projected.line = record.line;
+    for (const field of this.fields) {
+      projected[field] = getPath(record, field);
+    }
+    return projected;
+  }
+
+  /** Matching gate numbers (unique, ascending) */
+  gates() {
+    return [...new Set(this.run().map(r => r.gate))];
+  }
+
+  /** Number of matching records */
+  count() {
+    return this.run().length;
+  }
+}
+
+/**
+ * Start a query
+ * @param {string} source - Optional string-syntax expression
+ * @returns {Query} Chainable query
+ */
+function query(source) {
+  const q = new Query();
+  return source === undefined ? q : q.match(source);
+}
+
+module.exports = {
+  query,
+  parse,
+  Query,
+
+  // Constants
+  LINE_FIELDS,
+  RECORD_KEYS
+};
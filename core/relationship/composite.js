@@ -0,0 +1,123 @@
+/**
+ * Composite Chart - Connection Analysis Between Two People
+ *
+ * Combines two sets of activated gates and classifies every channel the
+ * pair defines together. Channel gate pairs come from channels-mappings.json
+ * and centers from centers-mappings.json (through core/chart/chart.js).
+ *
+ * Channel classes (standard connection theory):
+ * - electromagnetic: each person brings a different gate, neither has the channel
+ * - companionship:   both people have the whole channel
+ * - dominance:       one person has the whole channel, the other neither gate
+ * - compromise:      one person has the whole channel, the other one gate of it
+ *
+ * @version 1.0.0
+ */
+
+const chartModel = require('../chart/chart.js');
+const centers = require('../../knowledge-systems/centers/mappings/centers-mappings.json');
+
+const CONNECTION_TYPES = ['electromagnetic', 'companionship', 'dominance', 'compromise'];
+
+/**
+ * Validate one person's gate list and return it as a sorted, de-duplicated array
+ */
+function toGateList(gates, label) {
+  if (gates === null || gates === undefined || typeof gates[Symbol.iterator] !== 'function') {
+    throw new Error(`Missing gates for person ${label}`);
+  }
+  const list = [...new Set(gates)];
+  for (const gate of list) {
+    if (!Number.isInteger(gate) || gate < 1 || gate > 64) {
+      throw new Error(`Invalid gate for person ${label}: ${gate}`);
+    }
+  }
+  return list.sort((a, b) => a - b);
+}
+
+/**
+ * Classify one composite channel
+ * @param {Object} channel - { gate1, gate2 } from getDefinedChannels()
+ * @param {Set<number>} gatesA - Person A's gates
+ * @param {Set<number>} gatesB - Person B's gates
+ * @returns {Object} { connection, holder } - holder is 'A'/'B' for dominance and compromise
+ */
+function classifyChannel(channel, gatesA, gatesB) {
+  const countA = [channel.gate1, channel.gate2].filter(g => gatesA.has(g)).length;
+  const countB = [channel.gate1, channel.gate2].filter(g => gatesB.has(g)).length;
+
+  if (countA === 2 && countB === 2) return { connection: 'companionship', holder: null };
+  if (countA === 2) return { connection: countB === 0 ? 'dominance' : 'compromise', holder: 'A' };
+  if (countB === 2) return { connection: countA === 0 ? 'dominance' : 'compromise', holder: 'B' };
+  return { connection: 'electromagnetic', holder: null };
+}
+
+/**
+ * Summarize one person on their own
+ */
+function describePerson(gates) {
+  const definedChannels = chartModel.getDefinedChannels(gates);
+  return {
+    gates,
+    definedChannels: definedChannels.map(ch => ch.channel),
+    definedCenters: chartModel.getDefinedCenters(definedChannels),
+    type: chartModel.getType(definedChannels)
+  };
+}
+
+/**
+ * Build the composite chart for two people
+ * @param {Array<number>} gatesA - Person A's activated gates
+ * @param {Array<number>} gatesB - Person B's activated gates
+ * @returns {Object} Classified channels, composite-only centers, composite Type and Definition
+ */
+function getCompositeChart(gatesA, gatesB) {
+  const listA = toGateList(gatesA, 'A');
+  const listB = toGateList(gatesB, 'B');
+  const setA = new Set(listA);
+  const setB = new Set(listB);
+
+  const personA = describePerson(listA);
+  const personB = describePerson(listB);
+
+  const compositeChannels = chartModel.getDefinedChannels([...setA, ...setB]).map(ch => ({
+    ...ch,
+    ...classifyChannel(ch, setA, setB),
+    gatesA: [ch.gate1, ch.gate2].filter(g => setA.has(g)),
+    gatesB: [ch.gate1, ch.gate2].filter(g => setB.has(g))
+  }));
+
+  const definedCenters = chartModel.getDefinedCenters(compositeChannels);
+  const individuallyDefined = new Set([...personA.definedCenters, ...personB.definedCenters]);
+
+  // Channel ids grouped by connection type
+  const connections = {};
+  for (const type of CONNECTION_TYPES) {
+    connections[type] = compositeChannels.filter(ch => ch.connection === type).map(ch => ch.channel);
+  }
+
+  return {
+    personA,
+    personB,
+
+    // Composite structure
+    channels: compositeChannels,
+    connections,
+    definedCenters,
+    undefinedCenters: centers.mappings.map(c => c.centerName).filter(c => !definedCenters.includes(c)),
+    compositeOnlyCenters: definedCenters.filter(c => !individuallyDefined.has(c)),
+
+    // Composite reading
+    type: chartModel.getType(compositeChannels),
+    definition: chartModel.getDefinition(compositeChannels),
+    definitionGroups: chartModel.getDefinitionGroups(compositeChannels)
+  };
+}
+
+module.exports = {
+  getCompositeChart,
+  classifyChannel,
+
+  // Constants
+  CONNECTION_TYPES
+};
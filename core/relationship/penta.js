@@ -0,0 +1,132 @@
+/**
+ * Penta - Group Analysis for 3-5 People
+ *
+ * A Penta forms when three to five people come together. Only the 12 gates
+ * and 6 channels between the G, Throat and Sacral centers take part:
+ * - Upper Penta (G to Throat):  1-8, 7-31, 13-33
+ * - Lower Penta (G to Sacral):  2-14, 5-15, 29-46
+ *
+ * Gates 10-20 and 10-34 also join these centers but belong to the
+ * Integration channels, not the Penta. Channel gate pairs and names come
+ * from channels-mappings.json, centers through core/chart/chart.js.
+ *
+ * @version 1.0.0
+ */
+
+const chartModel = require('../chart/chart.js');
+const channels = require('../../knowledge-systems/channels/mappings/channels-mappings.json');
+
+const PENTA_CENTERS = ['Throat', 'G', 'Sacral'];
+const PENTA_CHANNEL_IDS = ['1-8', '7-31', '13-33', '2-14', '5-15', '29-46'];
+const MIN_MEMBERS = 3;
+const MAX_MEMBERS = 5;
+
+// Penta channels in upper → lower order, built once from channels-mappings.json
+const PENTA_CHANNELS = PENTA_CHANNEL_IDS.map(id => {
+  const mapping = channels.mappings.find(ch => ch.channelNumber === id);
+  const centers = [chartModel.getCenterForGate(mapping.gate1), chartModel.getCenterForGate(mapping.gate2)];
+  return {
+    channel: id,
+    gate1: mapping.gate1,
+    gate2: mapping.gate2,
+    name: mapping.knowledge.name,
+    centers,
+    section: centers.includes('Throat') ? 'upper' : 'lower'
+  };
+});
+
+const PENTA_GATES = PENTA_CHANNELS.flatMap(ch => [ch.gate1, ch.gate2]);
+
+/**
+ * Normalize one member: a gate list, { name, gates }, or a chart from createChart()
+ */
+function toMember(input, index) {
+  const fallbackName = String.fromCharCode(65 + index);  // A, B, C...
+  let name = fallbackName;
+  let gates = input;
+
+  if (input && !Array.isArray(input) && typeof input === 'object') {
+    name = input.name || fallbackName;
+    gates = input.gates || input.activatedGates;
+  }
+
+  if (gates === null || gates === undefined || typeof gates[Symbol.iterator] !== 'function') {
+    throw new Error(`Missing gates for member ${name}`);
+  }
+  const list = [...new Set(gates)];
+  for (const gate of list) {
+    if (!Number.isInteger(gate) || gate < 1 || gate > 64) {
+      throw new Error(`Invalid gate for member ${name}: ${gate}`);
+    }
+  }
+  list.sort((a, b) => a - b);
+
+  return {
+    name,
+    gates: list,
+    pentaGates: list.filter(g => PENTA_GATES.includes(g))
+  };
+}
+
+/**
+ * Analyze a Penta
+ * @param {Array} members - 3-5 entries, each a gate list, { name, gates } or a chart
+ * @returns {Object} Penta gates and channels with their holders, plus the remaining gaps
+ */
+function getPentaAnalysis(members) {
+  if (!Array.isArray(members) || members.length < MIN_MEMBERS || members.length > MAX_MEMBERS) {
+    throw new Error(`A Penta needs ${MIN_MEMBERS}-${MAX_MEMBERS} members, got ${Array.isArray(members) ? members.length : members}`);
+  }
+
+  const people = members.map(toMember);
+  const names = new Set(people.map(p => p.name));
+  if (names.size !== people.length) {
+    throw new Error('Member names must be unique');
+  }
+
+  const holdersOf = gate => people.filter(p => p.pentaGates.includes(gate)).map(p => p.name);
+
+  const gates = PENTA_CHANNELS.flatMap(ch => [ch.gate1, ch.gate2].map(gate => ({
+    gate,
+    center: chartModel.getCenterForGate(gate),
+    channel: ch.channel,
+    heldBy: holdersOf(gate)
+  })));
+
+  const pentaChannels = PENTA_CHANNELS.map(ch => {
+    const heldBy = { [ch.gate1]: holdersOf(ch.gate1), [ch.gate2]: holdersOf(ch.gate2) };
+    const filled = heldBy[ch.gate1].length > 0 && heldBy[ch.gate2].length > 0;
+    return {
+      ...ch,
+      filled,
+      heldBy,
+      filledBy: filled ? [...new Set([...heldBy[ch.gate1], ...heldBy[ch.gate2]])] : []
+    };
+  });
+
+  const filledChannels = pentaChannels.filter(ch => ch.filled);
+
+  return {
+    members: people,
+    gates,
+    channels: pentaChannels,
+    filledChannels: filledChannels.map(ch => ch.channel),
+    definedCenters: chartModel.getDefinedCenters(filledChannels),
+
+    // What the group is missing
+    gaps: {
+      channels: pentaChannels.filter(ch => !ch.filled).map(ch => ch.channel),
+      gates: gates.filter(g => g.heldBy.length === 0).map(g => g.gate)
+    },
+    complete: filledChannels.length === PENTA_CHANNELS.length
+  };
+}
+
+module.exports = {
+  getPentaAnalysis,
+
+  // Constants
+  PENTA_CENTERS,
+  PENTA_CHANNELS,
+  PENTA_GATES
+};
@@ -0,0 +1,183 @@
+/**
+ * JSON Schema Validator - Knowledge System Mapping Entries
+ *
+ * Zero-dependency validator for the JSON Schema (draft-07) subset the
+ * knowledge-systems/<system>/schema.json files use:
+ * - type, enum, const
+ * - properties, required, additionalProperties
+ * - items, minItems, maxItems, uniqueItems
+ * - minimum, maximum, minLength, pattern
+ * - anyOf, $ref (local "#/definitions/..." only)
+ *
+ * Plus one extension keyword for cross-references between systems:
+ *   "x-ref": "channel"   - resolved by the caller's references(kind, value, path)
+ *
+ * Unknown keywords ($schema, title, description, ...) are ignored.
+ *
+ * @version 1.0.0
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * JSON type of a value ('integer' counts as 'number' too)
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON type name
+ */
+function isType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Path for a property (dot notation) or array item (brackets)
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolve a local $ref
+ */
+function resolveRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref} (only local "#/..." references)`);
+  }
+  const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (target === undefined) {
+    throw new Error(`Unresolved $ref: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object} schema - JSON Schema (subset above)
+ * @param {*} value - Value to validate
+ * @param {Object} options - { path: root path label, references: (kind, value, path) => error message or null }
+ * @returns {Array<Object>} Errors [{ path, keyword, message }] (empty when valid)
+ * @throws {Error} If the schema itself is unusable (bad $ref, unknown type, x-ref without resolver)
+ */
+function validate(schema, value, options = {}) {
+  const errors = [];
+  check(schema, value, options.path || '', { root: schema, references: options.references, errors });
+  return errors;
+}
+
+/**
+ * Recursive check - appends to context.errors
+ */
+function check(schema, value, path, context) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    context.errors.push({ path, keyword: 'false', message: 'is not allowed' });
+    return;
+  }
+
+  const fail = (keyword, message) => context.errors.push({ path, keyword, message });
+
+  if (schema.$ref) {
+    check(resolveRef(context.root, schema.$ref), value, path, context);
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    types.forEach(type => {
+      if (!TYPES.includes(type)) throw new Error(`Unknown schema type: ${type}`);
+    });
+    if (!types.some(type => isType(value, type))) {
+      fail('type', `must be ${types.join(' or ')} (got ${typeOf(value)})`);
+      return;  // Further keywords would only repeat the type error
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    fail('enum', `must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail('const', `must be ${JSON.stringify(schema.const)} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match ${schema.pattern} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum} (got ${value})`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items (got ${value.length})`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items (got ${value.length})`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('uniqueItems', 'must not contain duplicates');
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => check(schema.items, item, childPath(path, i), context));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        context.errors.push({ path: childPath(path, key), keyword: 'required', message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (key in properties) {
+        check(properties[key], child, childPath(path, key), context);
+      } else if (schema.additionalProperties !== undefined) {
+        check(schema.additionalProperties, child, childPath(path, key), context);
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const nested = { ...context, errors: [] };
+      check(option, value, path, nested);
+      return nested.errors.length === 0;
+    });
+    if (!matches) fail('anyOf', 'must match at least one allowed shape');
+  }
+
+  if (schema['x-ref'] !== undefined) {
+    if (!context.references) {
+      throw new Error(`Schema uses x-ref "${schema['x-ref']}" but no references resolver was given`);
+    }
+    const message = context.references(schema['x-ref'], value, path);
+    if (message) fail('x-ref', message);
+  }
+}
+
+module.exports = {
+  validate,
+
+  // Constants
+  TYPES
+};
@@ -13,6 +13,7 @@ const path = require('path');
 // Load immutable constants
 const GATE_SEQUENCE = require('./gate-sequence.json').sequence;
 const BINARY_IDENTITY = require('./binary-identity.json').gates;
+const { WheelConfiguration } = require('./wheel-config.js');
 
 // Mathematical constants
 const DEGREES_PER_LINE = 0.9375;  // 360° / 384 lines
@@ -20,6 +21,75 @@ const LINES_PER_GATE = 6;
 const TOTAL_LINES = 384;
 const TOTAL_GATES = 64;
 
+// Sub-line divisions: each line holds 6 colors, each color 6 tones, each tone 5 bases
+const COLORS_PER_LINE = 6;
+const TONES_PER_COLOR = 6;
+const BASES_PER_TONE = 5;
+const DEGREES_PER_COLOR = DEGREES_PER_LINE / COLORS_PER_LINE;   // 0.15625°
+const DEGREES_PER_TONE = DEGREES_PER_COLOR / TONES_PER_COLOR;   // ~0.026042°
+const DEGREES_PER_BASE = DEGREES_PER_TONE / BASES_PER_TONE;     // ~0.005208°
+const BASES_PER_LINE = COLORS_PER_LINE * TONES_PER_COLOR * BASES_PER_TONE; // 180
+const TOTAL_BASES = TOTAL_LINES * BASES_PER_LINE;                          // 69120
+
+// Active wheel configuration (visual orientation only - wheel angles never change)
+let activeConfiguration = null;
+
+/**
+ * Get the active wheel configuration (default: Rave Wheel, NWSE, North on 10|11)
+ * @returns {WheelConfiguration}
+ */
+function getConfiguration() {
+  if (!activeConfiguration) {
+    activeConfiguration = new WheelConfiguration();
+  }
+  return activeConfiguration;
+}
+
+/**
+ * Set the active wheel configuration
+ * The sequence is the docking foundation, so only the orientation may change.
+ * @param {WheelConfiguration|Object} configuration - Instance or constructor options
+ * @returns {WheelConfiguration} The active configuration
+ * @throws {Error} If the configuration is invalid or changes the gate sequence
+ */
+function setConfiguration(configuration) {
+  const config = configuration instanceof WheelConfiguration
+    ? configuration
+    : new WheelConfiguration(configuration);
+
+  if (config.sequence.some((gate, i) => gate !== GATE_SEQUENCE[i])) {
+    throw new Error(
+      'Custom sequences cannot be activated: every knowledge system docks into ' +
+      `gate-sequence.json (Gate ${GATE_SEQUENCE[0]} at 0°). Change cardinalProgression ` +
+      'or northPosition to re-orient the wheel instead.'
+    );
+  }
+
+  activeConfiguration = config;
+  return activeConfiguration;
+}
+
+/**
+ * Restore the default wheel configuration
+ * @returns {WheelConfiguration}
+ */
+function resetConfiguration() {
+  activeConfiguration = null;
+  return getConfiguration();
+}
+
+/**
+ * Convert a wheel angle to a visual angle under the active configuration
+ * @param {number} angle - Wheel angle (0° = Gate 41 Line 1)
+ * @returns {number} Degrees from the progression's first cardinal (default: North, counter-clockwise)
+ */
+function getVisualAngle(angle) {
+  if (!Number.isFinite(angle)) {
+    throw new Error(`Invalid angle: ${angle}`);
+  }
+  return getConfiguration().toVisualAngle(angle);
+}
+
 /**
  * Calculate wheel position for any gate/line
  * This is the ROOT calculation that all systems dock into
@@ -48,7 +118,79 @@ function getWheelPosition(gateNumber, lineNumber = 1) {
     wheelIndex,        // 0-63 (gate position on wheel)
     linePosition,      // 0-383 (absolute line position)
     angle,             // 0-360 degrees
-    angleNormalized: angle % 360
+    angleNormalized: angle % 360,
+    visualAngle: getVisualAngle(angle)  // Orientation from the active configuration
+  };
+}
+
+/**
+ * Calculate wheel position down to color, tone and base
+ * Extends getWheelPosition - sub-line divisions start at the line's start angle.
+ */
+function getSubLinePosition(gateNumber, lineNumber = 1, colorNumber = 1, toneNumber = 1, baseNumber = 1) {
+  if (!Number.isInteger(colorNumber) || colorNumber < 1 || colorNumber > COLORS_PER_LINE) {
+    throw new Error(`Invalid color number: ${colorNumber} (must be 1-${COLORS_PER_LINE})`);
+  }
+  if (!Number.isInteger(toneNumber) || toneNumber < 1 || toneNumber > TONES_PER_COLOR) {
+    throw new Error(`Invalid tone number: ${toneNumber} (must be 1-${TONES_PER_COLOR})`);
+  }
+  if (!Number.isInteger(baseNumber) || baseNumber < 1 || baseNumber > BASES_PER_TONE) {
+    throw new Error(`Invalid base number: ${baseNumber} (must be 1-${BASES_PER_TONE})`);
+  }
+
+  const position = getWheelPosition(gateNumber, lineNumber);
+
+  // Absolute base index: 0-69119 around the wheel
+  const basePosition = (position.linePosition * BASES_PER_LINE) +
+    ((colorNumber - 1) * TONES_PER_COLOR * BASES_PER_TONE) +
+    ((toneNumber - 1) * BASES_PER_TONE) +
+    (baseNumber - 1);
+  // Offset from the line's own angle so color 1 tone 1 base 1 equals getWheelPosition exactly
+  const angle = position.angle +
+    ((colorNumber - 1) * DEGREES_PER_COLOR) +
+    ((toneNumber - 1) * DEGREES_PER_TONE) +
+    ((baseNumber - 1) * DEGREES_PER_BASE);
+
+  return {
+    ...position,
+    colorNumber,
+    toneNumber,
+    baseNumber,
+    basePosition,      // 0-69119 (absolute base position)
+    angle,             // 0-360 degrees, start of the base
+    angleNormalized: angle % 360,
+    visualAngle: getVisualAngle(angle)
+  };
+}
+
+/**
+ * Reverse lookup: wheel angle → gate.line.color.tone.base
+ * @param {number} angle - Wheel angle in degrees (0° = Gate 41 Line 1); any value, wrapped to 0-360
+ * @returns {Object} Full sub-line position containing that angle
+ */
+function getPositionAtAngle(angle) {
+  if (!Number.isFinite(angle)) {
+    throw new Error(`Invalid angle: ${angle}`);
+  }
+
+  const normalized = ((angle % 360) + 360) % 360;
+  // Small epsilon so exact division boundaries don't fall into the previous base
+  const basePosition = Math.min(Math.floor(normalized / 360 * TOTAL_BASES + 1e-9), TOTAL_BASES - 1);
+
+  const linePosition = Math.floor(basePosition / BASES_PER_LINE);
+  const withinLine = basePosition % BASES_PER_LINE;
+  const wheelIndex = Math.floor(linePosition / LINES_PER_GATE);
+
+  return {
+    gateNumber: GATE_SEQUENCE[wheelIndex],
+    lineNumber: (linePosition % LINES_PER_GATE) + 1,
+    colorNumber: Math.floor(withinLine / (TONES_PER_COLOR * BASES_PER_TONE)) + 1,
+    toneNumber: Math.floor(withinLine / BASES_PER_TONE) % TONES_PER_COLOR + 1,
+    baseNumber: (withinLine % BASES_PER_TONE) + 1,
+    wheelIndex,
+    linePosition,
+    basePosition,
+    angle: normalized
   };
 }
 
@@ -150,8 +292,9 @@ function getOppositeGate(gateNumber) {
 /**
  * Get complete docking data for any gate/line
  * This is what knowledge systems use to attach their mappings
+ * @param {Object} subLine - Optional { color, tone, base } to resolve below the line
  */
-function getDockingData(gateNumber, lineNumber = null) {
+function getDockingData(gateNumber, lineNumber = null, subLine = null) {
   const position = getWheelPosition(gateNumber, lineNumber || 1);
   const binary = getBinaryPattern(gateNumber);
 
@@ -178,6 +321,18 @@ function getDockingData(gateNumber, lineNumber = null) {
     timestamp: new Date().toISOString()
   };
 
+  // Sub-line resolution (Variables, Gene Keys sequences)
+  if (subLine) {
+    const subPosition = getSubLinePosition(
+      gateNumber, lineNumber || 1, subLine.color ?? 1, subLine.tone ?? 1, subLine.base ?? 1
+    );
+    dockingData.color = subPosition.colorNumber;
+    dockingData.tone = subPosition.toneNumber;
+    dockingData.base = subPosition.baseNumber;
+    dockingData.basePosition = subPosition.basePosition;
+    dockingData.subLineAngle = subPosition.angle;
+  }
+
   return dockingData;
 }
 
@@ -205,11 +360,19 @@ function verifyDocking(mapping) {
 module.exports = {
   // Core functions
   getWheelPosition,
+  getSubLinePosition,
+  getPositionAtAngle,
   getBinaryPattern,
   getQuarter,
   getFace,
   getTrigrams,
   getOppositeGate,
+  getVisualAngle,
+
+  // Wheel configuration
+  getConfiguration,
+  setConfiguration,
+  resetConfiguration,
 
   // Docking interface
   getDockingData,
@@ -218,6 +381,10 @@ module.exports = {
   // Constants (for reference)
   GATE_SEQUENCE,
   DEGREES_PER_LINE,
+  DEGREES_PER_COLOR,
+  DEGREES_PER_TONE,
+  DEGREES_PER_BASE,
   TOTAL_LINES,
-  TOTAL_GATES
+  TOTAL_GATES,
+  TOTAL_BASES
 };
@@ -3,17 +3,37 @@
  *
  * All knowledge systems must pass these tests before merging
  *
+ * Systems that ship a schema.json (see system.json) are also validated entry by
+ * entry: required fields, enums and cross-references ("x-ref") between systems.
+ * Every run produces a machine-readable JSON report next to the console output:
+ *
+ *   node core/root-system/verification-protocol.js [system ...] [--json]
+ *
  * @version 1.0.0
  */
 
 const rootSystem = require('./positioning-algorithm.js');
+const jsonSchema = require('./json-schema.js');
+const systems = require('../store/system-loader.js');
 
 /**
  * Verify a complete knowledge system mapping file
+ * @param {Object} mappingFile - { systemName, version, completeness, mappings }
+ * @param {Object} options - {
+ *   silent: no console output,
+ *   groups: group names for group-level mappings,
+ *   docking: false for systems not keyed by gateNumber (centers, channels, calendar),
+ *   schema: JSON Schema every mapping entry must match
+ * }
+ * @returns {Object} { passed, results, report } - report is plain JSON
  */
-function verifyKnowledgeSystem(mappingFile) {
-  console.log(`\n🔍 VERIFICATION: ${mappingFile.systemName}`);
-  console.log('='.repeat(60));
+function verifyKnowledgeSystem(mappingFile, options = {}) {
+  const log = options.silent ? () => {} : console.log;
+  const mappings = Array.isArray(mappingFile.mappings) ? mappingFile.mappings : [];
+  let step = 1;
+
+  log(`\n🔍 VERIFICATION: ${mappingFile.systemName}`);
+  log('='.repeat(60));
 
   const results = {
     systemName: mappingFile.systemName,
@@ -22,119 +42,249 @@ function verifyKnowledgeSystem(mappingFile) {
     passed: 0,
     failed: 0,
     errors: [],
-    warnings: []
+    warnings: [],
+    schemaErrors: []
   };
 
   // Test 1: Structural validation
-  console.log('\n1. STRUCTURAL VALIDATION');
+  log('\n1. STRUCTURAL VALIDATION');
   const structuralTests = [
-    testHasSystemName(mappingFile, results),
-    testHasVersion(mappingFile, results),
-    testHasMappings(mappingFile, results),
-    testMappingsIsArray(mappingFile, results)
+    testHasSystemName(mappingFile, results, log),
+    testHasVersion(mappingFile, results, log),
+    testHasMappings(mappingFile, results, log),
+    testMappingsIsArray(mappingFile, results, log)
   ];
 
-  // Test 2: Gate/Line validation
-  console.log('\n2. GATE/LINE VALIDATION');
-  const gateLineTests = mappingFile.mappings.map((mapping, index) => {
-    return testMappingValidity(mapping, index, results);
-  });
+  if (options.groups) {
+    // Test 2: Group validation (group-level systems dock by group name)
+    log(`\n${++step}. GROUP VALIDATION`);
+    mappings.forEach((mapping, index) => testGroupValidity(mapping, index, options.groups, results, log));
 
-  // Test 3: Docking validation
-  console.log('\n3. DOCKING VALIDATION');
-  const dockingTests = mappingFile.mappings.map((mapping, index) => {
-    return testCanDock(mapping, index, results);
-  });
+    // Test 3: Completeness (if system claims to be complete)
+    if (mappingFile.completeness === 'full') {
+      log(`\n${++step}. COMPLETENESS VALIDATION`);
+      testAllGroupsCovered(mappings, options.groups, results, log);
+    }
+  } else if (options.docking !== false) {
+    // Test 2: Gate/Line validation
+    log(`\n${++step}. GATE/LINE VALIDATION`);
+    const gateLineTests = mappings.map((mapping, index) => {
+      return testMappingValidity(mapping, index, results, log);
+    });
+
+    // Test 3: Docking validation
+    log(`\n${++step}. DOCKING VALIDATION`);
+    const dockingTests = mappings.map((mapping, index) => {
+      return testCanDock(mapping, index, results, log);
+    });
+
+    // Test 4: Completeness (if system claims to be complete)
+    if (mappingFile.completeness === 'full') {
+      log(`\n${++step}. COMPLETENESS VALIDATION`);
+      testAllGatesCovered(mappingFile, results, log);
+    }
+  }
 
-  // Test 4: Completeness (if system claims to be complete)
-  if (mappingFile.completeness === 'full') {
-    console.log('\n4. COMPLETENESS VALIDATION');
-    testAllGatesCovered(mappingFile, results);
+  // Schema validation (if the system ships a schema)
+  if (options.schema) {
+    log(`\n${++step}. SCHEMA VALIDATION`);
+    mappings.forEach((mapping, index) => testSchemaValidity(mapping, index, options.schema, results, log));
   }
 
   // Summary
-  console.log('\n' + '='.repeat(60));
-  console.log('VERIFICATION SUMMARY');
-  console.log('='.repeat(60));
-  console.log(`Total tests: ${results.totalTests}`);
-  console.log(`Passed: ${results.passed} ✅`);
-  console.log(`Failed: ${results.failed} ❌`);
+  log('\n' + '='.repeat(60));
+  log('VERIFICATION SUMMARY');
+  log('='.repeat(60));
+  log(`Total tests: ${results.totalTests}`);
+  log(`Passed: ${results.passed} ✅`);
+  log(`Failed: ${results.failed} ❌`);
 
   if (results.warnings.length > 0) {
-    console.log(`\nWarnings: ${results.warnings.length} ⚠️`);
-    results.warnings.forEach(w => console.log(`  - ${w}`));
+    log(`\nWarnings: ${results.warnings.length} ⚠️`);
+    results.warnings.forEach(w => log(`  - ${w}`));
   }
 
   if (results.errors.length > 0) {
-    console.log(`\nErrors:`);
-    results.errors.forEach(e => console.log(`  ❌ ${e}`));
+    log(`\nErrors:`);
+    results.errors.forEach(e => log(`  ❌ ${e}`));
   }
 
   const passed = results.failed === 0;
-  console.log(`\n${passed ? '✅ VERIFICATION PASSED' : '❌ VERIFICATION FAILED'}`);
+  log(`\n${passed ? '✅ VERIFICATION PASSED' : '❌ VERIFICATION FAILED'}`);
+
+  return { passed, results, report: buildReport(results, passed) };
+}
+
+/**
+ * Machine-readable report of a verification run
+ * @returns {Object} { systemName, version, passed, totals, errors, warnings, schemaErrors }
+ */
+function buildReport(results, passed) {
+  return {
+    systemName: results.systemName ?? null,
+    version: results.version ?? null,
+    passed,
+    totals: { tests: results.totalTests, passed: results.passed, failed: results.failed },
+    errors: [...results.errors],
+    warnings: [...results.warnings],
+    schemaErrors: results.schemaErrors.map(e => ({ ...e }))
+  };
+}
+
+/**
+ * Verify a registered knowledge system (knowledge-systems/<name>/system.json)
+ * Applies its schema, and docks group-level systems against the calculated groups.
+ * @param {string} name - System name (e.g. "channels")
+ * @param {Object} options - { silent }
+ * @returns {Object} { passed, results, report }
+ */
+function verifySystem(name, options = {}) {
+  const system = systems.getSystem(name);
+  const { manifest } = system;
+  const primary = system.files[manifest.mappingFiles[0]];
+
+  const mappingFile = {
+    ...primary,
+    systemName: primary.systemName || manifest.displayName,
+    version: primary.version || manifest.version,
+    mappings: system.mappings
+  };
+
+  return verifyKnowledgeSystem(mappingFile, { ...options, ...systemOptions(name) });
+}
+
+/**
+ * Verification options a registered system implies (schema, docking, groups)
+ */
+function systemOptions(name) {
+  const { manifest, schema } = systems.getSystem(name);
+  return {
+    schema,
+    docking: [].concat(manifest.keyField)[0] === 'gateNumber',
+    groups: manifest.dockingLevel === 'group' ? calculatedGroups(name) : undefined
+  };
+}
 
-  return { passed, results };
+/**
+ * Verify every registered knowledge system
+ * @param {Object} options - { silent }
+ * @returns {Object} { passed, reports: { name: report } }
+ */
+function verifyAllSystems(options = {}) {
+  const reports = {};
+  for (const name of systems.getSystemNames()) {
+    reports[name] = verifySystem(name, options).report;
+  }
+  return { passed: Object.values(reports).every(report => report.passed), reports };
+}
+
+/**
+ * Group names the root system calculates for a group-level system
+ */
+function calculatedGroups(name) {
+  const names = new Set();
+  for (let gate = 1; gate <= 64; gate++) {
+    if (name === 'quarters') names.add(rootSystem.getQuarter(gate));
+    if (name === 'faces') names.add(rootSystem.getFace(gate));
+    if (name === 'trigrams') {
+      const { upper, lower } = rootSystem.getTrigrams(gate);
+      names.add(upper).add(lower);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Find the registered system a mapping file belongs to (by file, then by name)
+ */
+function findSystem(mappingFile) {
+  const names = systems.getSystemNames();
+  return names.find(name => systems.getMappingFile(name) === mappingFile) ||
+    names.find(name => systems.getSystem(name).manifest.displayName === mappingFile.systemName) ||
+    null;
+}
+
+/**
+ * Complete verification of a mapping file, with its registered schema if any
+ * @param {Object} mappingFile - Mapping file (e.g. require('.../gene-keys-mappings.json'))
+ * @returns {Object} { passed, overallValid, results, report }
+ */
+function runCompleteVerification(mappingFile) {
+  const name = findSystem(mappingFile);
+  const verification = name && systems.getMappingFile(name) === mappingFile
+    ? verifySystem(name, { silent: true })
+    : verifyKnowledgeSystem(mappingFile, { silent: true, ...(name ? systemOptions(name) : {}) });
+  return { ...verification, overallValid: verification.passed };
+}
+
+/**
+ * Format a verification as a JSON report
+ * @param {Object} verification - Result of verifyKnowledgeSystem/runCompleteVerification
+ * @returns {string} Pretty-printed JSON
+ */
+function generateReport(verification) {
+  return JSON.stringify(verification.report, null, 2);
 }
 
 // Individual test functions
 
-function testHasSystemName(mappingFile, results) {
+function testHasSystemName(mappingFile, results, log) {
   results.totalTests++;
   if (mappingFile.systemName && typeof mappingFile.systemName === 'string') {
     results.passed++;
-    console.log('  ✅ Has system name');
+    log('  ✅ Has system name');
     return true;
   } else {
     results.failed++;
     results.errors.push('Missing or invalid systemName');
-    console.log('  ❌ Missing or invalid systemName');
+    log('  ❌ Missing or invalid systemName');
     return false;
   }
 }
 
-function testHasVersion(mappingFile, results) {
+function testHasVersion(mappingFile, results, log) {
   results.totalTests++;
   if (mappingFile.version) {
     results.passed++;
-    console.log('  ✅ Has version');
+    log('  ✅ Has version');
     return true;
   } else {
     results.failed++;
     results.warnings.push('Missing version number');
-    console.log('  ⚠️  Missing version number');
+    log('  ⚠️  Missing version number');
     return false;
   }
 }
 
-function testHasMappings(mappingFile, results) {
+function testHasMappings(mappingFile, results, log) {
   results.totalTests++;
   if (mappingFile.mappings) {
     results.passed++;
-    console.log('  ✅ Has mappings array');
+    log('  ✅ Has mappings array');
     return true;
   } else {
     results.failed++;
     results.errors.push('Missing mappings array');
-    console.log('  ❌ Missing mappings array');
+    log('  ❌ Missing mappings array');
     return false;
   }
 }
 
-function testMappingsIsArray(mappingFile, results) {
+function testMappingsIsArray(mappingFile, results, log) {
   results.totalTests++;
   if (Array.isArray(mappingFile.mappings)) {
     results.passed++;
-    console.log(`  ✅ Mappings is array (${mappingFile.mappings.length} entries)`);
+    log(`  ✅ Mappings is array (${mappingFile.mappings.length} entries)`);
     return true;
   } else {
     results.failed++;
     results.errors.push('Mappings is not an array');
-    console.log('  ❌ Mappings is not an array');
+    log('  ❌ Mappings is not an array');
     return false;
   }
 }
 
-function testMappingValidity(mapping, index, results) {
+function testMappingValidity(mapping, index, results, log) {
   results.totalTests++;
   const gate = mapping.gateNumber;
   const line = mapping.lineNumber;
@@ -142,14 +292,14 @@ function testMappingValidity(mapping, index, results) {
   if (!gate || gate < 1 || gate > 64) {
     results.failed++;
     results.errors.push(`Mapping ${index}: Invalid gate number ${gate}`);
-    console.log(`  ❌ Mapping ${index}: Invalid gate ${gate}`);
+    log(`  ❌ Mapping ${index}: Invalid gate ${gate}`);
     return false;
   }
 
   if (line && (line < 1 || line > 6)) {
     results.failed++;
     results.errors.push(`Mapping ${index}: Invalid line number ${line}`);
-    console.log(`  ❌ Mapping ${index}: Invalid line ${line}`);
+    log(`  ❌ Mapping ${index}: Invalid line ${line}`);
     return false;
   }
 
@@ -157,31 +307,31 @@ function testMappingValidity(mapping, index, results) {
   return true;
 }
 
-function testCanDock(mapping, index, results) {
+function testCanDock(mapping, index, results, log) {
   results.totalTests++;
   try {
     const docking = rootSystem.verifyDocking(mapping);
     if (docking.valid) {
       results.passed++;
-      if (index === 0) console.log(`  ✅ All mappings can dock into root system`);
+      if (index === 0) log(`  ✅ All mappings can dock into root system`);
       return true;
     } else {
       results.failed++;
       results.errors.push(`Mapping ${index}: Cannot dock - ${docking.error}`);
-      console.log(`  ❌ Mapping ${index}: Cannot dock`);
+      log(`  ❌ Mapping ${index}: Cannot dock`);
       return false;
     }
   } catch (error) {
     results.failed++;
     results.errors.push(`Mapping ${index}: Docking error - ${error.message}`);
-    console.log(`  ❌ Mapping ${index}: Docking error`);
+    log(`  ❌ Mapping ${index}: Docking error`);
     return false;
   }
 }
 
-function testAllGatesCovered(mappingFile, results) {
+function testAllGatesCovered(mappingFile, results, log) {
   results.totalTests++;
-  const coveredGates = new Set(mappingFile.mappings.map(m => m.gateNumber));
+  const coveredGates = new Set((mappingFile.mappings || []).map(m => m.gateNumber));
   const missing = [];
 
   for (let g = 1; g <= 64; g++) {
@@ -192,16 +342,160 @@ function testAllGatesCovered(mappingFile, results) {
 
   if (missing.length === 0) {
     results.passed++;
-    console.log('  ✅ All 64 gates covered');
+    log('  ✅ All 64 gates covered');
     return true;
   } else {
     results.failed++;
     results.errors.push(`Missing gates: ${missing.join(', ')}`);
-    console.log(`  ❌ Missing ${missing.length} gates: ${missing.slice(0, 5).join(', ')}...`);
+    log(`  ❌ Missing ${missing.length} gates: ${missing.slice(0, 5).join(', ')}...`);
+    return false;
+  }
+}
+
+function testGroupValidity(mapping, index, groups, results, log) {
+  results.totalTests++;
+  if (!groups.includes(mapping.groupName)) {
+    results.failed++;
+    results.errors.push(`Mapping ${index}: Unknown group ${mapping.groupName}`);
+    log(`  ❌ Mapping ${index}: Unknown group ${mapping.groupName}`);
     return false;
   }
+
+  results.passed++;
+  if (index === 0) log(`  ✅ Mappings dock into known groups`);
+  return true;
+}
+
+function testAllGroupsCovered(mappings, groups, results, log) {
+  results.totalTests++;
+  const covered = new Set(mappings.map(m => m.groupName));
+  const missing = groups.filter(group => !covered.has(group));
+
+  if (missing.length === 0) {
+    results.passed++;
+    log(`  ✅ All ${groups.length} groups covered`);
+    return true;
+  } else {
+    results.failed++;
+    results.errors.push(`Missing groups: ${missing.join(', ')}`);
+    log(`  ❌ Missing ${missing.length} groups: ${missing.slice(0, 5).join(', ')}...`);
+    return false;
+  }
+}
+
+/**
+ * Cross-reference resolver for one mapping entry (schema "x-ref" keyword)
+ * - gate:         a gate number 1-64
+ * - channel:      a channel id (either gate order) that includes the entry's gate
+ * - harmonicGate: the gate across one of the entry gate's channels, or "multiple"
+ *                 for gates in several channels
+ * - <system>:     a key of that registered system (e.g. "centers", "trigrams")
+ */
+function createReferenceResolver(mapping) {
+  const gate = mapping.gateNumber ?? mapping.gate;
+
+  return (kind, value) => {
+    if (kind === 'gate') {
+      return Number.isInteger(value) && value >= 1 && value <= 64 ? null : `${value} is not a gate (1-64)`;
+    }
+
+    if (kind === 'channel') {
+      const channel = findChannel(...String(value).split('-').map(Number));
+      if (!channel) return `channel ${value} does not exist`;
+      if (gate !== undefined && channel.gate1 !== gate && channel.gate2 !== gate) {
+        return `channel ${value} does not include gate ${gate}`;
+      }
+      return null;
+    }
+
+    if (kind === 'harmonicGate') {
+      if (value === 'multiple') {
+        return channelsOfGate(gate).length > 1 ? null : `gate ${gate} is in only one channel`;
+      }
+      return findChannel(gate, value) ? null : `no channel connects gate ${gate} and gate ${value}`;
+    }
+
+    const keys = systemKeys(kind);
+    return keys.has(value) ? null : `${JSON.stringify(value)} is not a known ${kind} entry`;
+  };
+}
+
+// Reference lookups (built on first use)
+let channelIndex = null;
+const keyIndexes = new Map();
+
+function channelMappings() {
+  if (!channelIndex) {
+    channelIndex = systems.getSystem('channels').mappings;
+  }
+  return channelIndex;
+}
+
+function findChannel(gateA, gateB) {
+  return channelMappings().find(channel =>
+    (channel.gate1 === gateA && channel.gate2 === gateB) || (channel.gate1 === gateB && channel.gate2 === gateA)
+  );
+}
+
+function channelsOfGate(gate) {
+  return channelMappings().filter(channel => channel.gate1 === gate || channel.gate2 === gate);
+}
+
+function systemKeys(name) {
+  if (!keyIndexes.has(name)) {
+    const system = systems.getSystem(name);  // Throws for unknown x-ref kinds
+    keyIndexes.set(name, new Set(system.mappings.map(entry => systems.keyOf(system.manifest, entry))));
+  }
+  return keyIndexes.get(name);
+}
+
+function testSchemaValidity(mapping, index, schema, results, log) {
+  results.totalTests++;
+  const errors = jsonSchema.validate(schema, mapping, { references: createReferenceResolver(mapping) });
+
+  if (errors.length > 0) {
+    results.failed++;
+    errors.forEach(error => {
+      results.errors.push(`Mapping ${index}: ${error.path || '(entry)'} ${error.message}`);
+      results.schemaErrors.push({ mapping: index, ...error });
+    });
+    log(`  ❌ Mapping ${index}: ${errors.length} schema error(s)`);
+    return false;
+  }
+
+  results.passed++;
+  if (index === 0) log(`  ✅ Mappings match the schema`);
+  return true;
 }
 
 module.exports = {
-  verifyKnowledgeSystem
+  verifyKnowledgeSystem,
+  verifySystem,
+  verifyAllSystems,
+  runCompleteVerification,
+  generateReport
 };
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const names = args.filter(arg => arg !== '--json');
+  const targets = names.length > 0 ? names : systems.getSystemNames();
+
+  const reports = {};
+  for (const name of targets) {
+    reports[name] = verifySystem(name, { silent: json }).report;
+  }
+
+  const passed = Object.values(reports).every(report => report.passed);
+  if (json) {
+    console.log(JSON.stringify({ passed, reports }, null, 2));
+  } else {
+    console.log('\n' + '='.repeat(60));
+    Object.entries(reports).forEach(([name, report]) => {
+      console.log(`${report.passed ? '✅' : '❌'} ${name} (${report.totals.passed}/${report.totals.tests})`);
+    });
+  }
+  process.exit(passed ? 0 : 1);
+}
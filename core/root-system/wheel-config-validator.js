@@ -0,0 +1,255 @@
+/**
+ * Wheel Configuration Validator
+ *
+ * Validates wheel configurations strictly (see BULLETPROOF-CONFIG-SYSTEM.md).
+ * Rejects anything ambiguous or invalid, with messages that say how to fix it.
+ *
+ * VISUAL CLOCK FACE REFERENCE:
+ *
+ *        12 (NORTH)
+ *           |
+ *   9 (WEST)+--3 (EAST)
+ *           |
+ *        6 (SOUTH)
+ *
+ * Counter-clockwise: 12 → 11 → 10 → 9 → 8 → 7 → 6...
+ * Clockwise: 12 → 1 → 2 → 3 → 4 → 5 → 6...
+ *
+ * @version 1.0.0
+ */
+
+const VALID_CARDINAL_PROGRESSIONS = [
+  'NWSE', 'NESW', 'ESWN', 'ENWS',
+  'SWNE', 'SENW', 'WNES', 'WSEN'
+];
+
+const CARDINAL_PROGRESSION_DESCRIPTIONS = {
+  'NWSE': 'Counter-clockwise from North: 12→9→6→3 (North→West→South→East)',
+  'NESW': 'Clockwise from North: 12→3→6→9 (North→East→South→West)',
+  'ESWN': 'Clockwise from East: 3→6→9→12 (East→South→West→North)',
+  'ENWS': 'Counter-clockwise from East: 3→12→9→6 (East→North→West→South)',
+  'SWNE': 'Clockwise from South: 6→9→12→3 (South→West→North→East)',
+  'SENW': 'Counter-clockwise from South: 6→3→12→9 (South→East→North→West)',
+  'WNES': 'Clockwise from West: 9→12→3→6 (West→North→East→South)',
+  'WSEN': 'Counter-clockwise from West: 9→6→3→12 (West→South→East→North)'
+};
+
+const CARDINAL_POSITION_FIELDS = ['northPosition', 'eastPosition', 'southPosition', 'westPosition'];
+
+const POSITION_FORMATS =
+  'Valid formats:\n' +
+  '  Straddled: "10|11" (cardinal between two gates)\n' +
+  '  Centered: "10" (cardinal at center of gate)';
+
+/**
+ * Validate a wheel configuration
+ *
+ * @param {Object} config - { sequence, cardinalProgression, northPosition, [east|south|west]Position }
+ * @throws {Error} If the configuration is invalid (with a detailed message)
+ * @returns {Object} The configuration with cardinalProgression upper-cased
+ */
+function validateWheelConfiguration(config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error(`INVALID WHEEL CONFIGURATION: Must be an object.\nGot: ${config === null ? 'null' : typeof config}`);
+  }
+
+  // ========================================================================
+  // VALIDATION 1: Required fields present
+  // ========================================================================
+
+  const missing = [];
+  if (!config.sequence) {
+    missing.push('MISSING REQUIRED FIELD: sequence (array of 64 gates)');
+  }
+  if (!config.cardinalProgression) {
+    missing.push('MISSING REQUIRED FIELD: cardinalProgression (e.g., "NWSE" or "NESW")');
+  }
+  if (!config.northPosition) {
+    missing.push('MISSING REQUIRED FIELD: northPosition (e.g., "10|11" or "10")');
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      'INVALID WHEEL CONFIGURATION - Missing required fields:\n' +
+      missing.map(e => `  ❌ ${e}`).join('\n') +
+      '\n\nRequired fields:\n' +
+      '  1. sequence: number[] (64 gates)\n' +
+      '  2. cardinalProgression: "NWSE" | "NESW" | ... (visual direction)\n' +
+      '  3. northPosition: "10|11" (straddled) or "10" (centered)'
+    );
+  }
+
+  // ========================================================================
+  // VALIDATION 2: Sequence array
+  // ========================================================================
+
+  validateSequence(config.sequence);
+
+  // ========================================================================
+  // VALIDATION 3: Cardinal progression
+  // ========================================================================
+
+  if (typeof config.cardinalProgression !== 'string') {
+    throw new Error(
+      'INVALID CARDINAL PROGRESSION: Must be a string.\n' +
+      `Got: ${typeof config.cardinalProgression}\n\n` +
+      `Valid values: ${VALID_CARDINAL_PROGRESSIONS.join(', ')}`
+    );
+  }
+
+  const progression = config.cardinalProgression.toUpperCase();
+
+  if (!VALID_CARDINAL_PROGRESSIONS.includes(progression)) {
+    throw new Error(
+      `INVALID CARDINAL PROGRESSION: "${config.cardinalProgression}"\n\n` +
+      'Valid progressions (VISUAL CLOCK FACE):\n' +
+      Object.entries(CARDINAL_PROGRESSION_DESCRIPTIONS)
+        .map(([key, desc]) => `  ✓ "${key}" = ${desc}`)
+        .join('\n') +
+      '\n\nYou provided: "' + config.cardinalProgression + '"\n' +
+      'Did you mean one of the above?'
+    );
+  }
+
+  // ========================================================================
+  // VALIDATION 4: Cardinal positions
+  // ========================================================================
+
+  for (const name of CARDINAL_POSITION_FIELDS) {
+    const position = config[name];
+    if (position === undefined || position === null) continue;  // Only north is required (checked above)
+
+    if (typeof position !== 'string') {
+      throw new Error(
+        `INVALID ${name.toUpperCase()}: Must be a string.\n` +
+        `Got: ${typeof position}\n\n` +
+        'Format: "10|11" (straddled) or "10" (centered)'
+      );
+    }
+
+    const parsed = parseCardinalPosition(position, config.sequence);
+    if (!parsed.valid) {
+      throw new Error(
+        `INVALID ${name.toUpperCase()}: "${position}"\n\n` +
+        `Reason: ${parsed.error}\n\n` +
+        POSITION_FORMATS
+      );
+    }
+  }
+
+  return {
+    ...config,
+    cardinalProgression: progression
+  };
+}
+
+/**
+ * Validate a 64-gate sequence (every gate 1-64 exactly once)
+ * @throws {Error} If the sequence is invalid
+ */
+function validateSequence(sequence) {
+  if (!Array.isArray(sequence)) {
+    throw new Error(
+      'INVALID SEQUENCE: Must be an array of numbers.\n' +
+      `Got: ${typeof sequence}`
+    );
+  }
+
+  if (sequence.length !== 64) {
+    throw new Error(
+      'INVALID SEQUENCE: Must contain exactly 64 gates.\n' +
+      `Got: ${sequence.length} gates\n\n` +
+      'The wheel must have all 64 gates in sequence order.'
+    );
+  }
+
+  for (let i = 0; i < sequence.length; i++) {
+    const gate = sequence[i];
+    if (!Number.isInteger(gate) || gate < 1 || gate > 64) {
+      throw new Error(
+        `INVALID SEQUENCE: Invalid gate number at position ${i}.\n` +
+        `Got: ${gate} (type: ${typeof gate})\n` +
+        'Expected: Integer between 1 and 64'
+      );
+    }
+  }
+
+  const unique = new Set(sequence);
+  if (unique.size !== 64) {
+    const missingGates = [];
+    for (let gate = 1; gate <= 64; gate++) {
+      if (!unique.has(gate)) missingGates.push(gate);
+    }
+    throw new Error(
+      'INVALID SEQUENCE: Contains duplicate gates.\n' +
+      `Found only ${unique.size} unique gates (expected 64); missing: ${missingGates.join(', ')}.\n\n` +
+      'Each gate 1-64 must appear exactly once in the sequence.'
+    );
+  }
+}
+
+/**
+ * Parse a cardinal position string against a sequence
+ *
+ * @param {string} positionString - "10|11" (straddled) or "10" (centered)
+ * @param {Array<number>} sequence - 64-gate sequence
+ * @returns {Object} { valid, mode, gates, description } or { valid: false, error }
+ */
+function parseCardinalPosition(positionString, sequence) {
+  const parts = String(positionString).split('|');
+
+  if (parts.length > 2) {
+    return { valid: false, error: 'Straddled format must have exactly two gates separated by "|"' };
+  }
+
+  const gates = parts.map(part => (/^\s*\d+\s*$/.test(part) ? parseInt(part, 10) : NaN));
+
+  if (gates.some(isNaN)) {
+    return { valid: false, error: parts.length === 2 ? 'Both gates must be valid numbers' : 'Gate must be a valid number' };
+  }
+
+  if (gates.some(gate => gate < 1 || gate > 64)) {
+    return { valid: false, error: parts.length === 2 ? 'Gates must be between 1 and 64' : 'Gate must be between 1 and 64' };
+  }
+
+  const missingGate = gates.find(gate => !sequence.includes(gate));
+  if (missingGate !== undefined) {
+    return { valid: false, error: `Gate ${missingGate} not found in sequence` };
+  }
+
+  if (gates.length === 1) {
+    return {
+      valid: true,
+      mode: 'centered',
+      gates,
+      description: `Center of Gate ${gates[0]} (Line 3.5)`
+    };
+  }
+
+  // Straddled gates must be next to each other (the boundary between them)
+  const [pos1, pos2] = gates.map(gate => sequence.indexOf(gate));
+  const adjacent = (pos1 + 1) % sequence.length === pos2 || (pos2 + 1) % sequence.length === pos1;
+
+  if (!adjacent) {
+    return {
+      valid: false,
+      error: `Gates ${gates[0]} and ${gates[1]} are not adjacent in sequence (positions ${pos1} and ${pos2}). ` +
+             'For straddled positioning, gates must be next to each other.'
+    };
+  }
+
+  return {
+    valid: true,
+    mode: 'straddled',
+    gates,
+    description: `Boundary between Gate ${gates[0]} and Gate ${gates[1]}`
+  };
+}
+
+module.exports = {
+  validateWheelConfiguration,
+  validateSequence,
+  parseCardinalPosition,
+  VALID_CARDINAL_PROGRESSIONS,
+  CARDINAL_PROGRESSION_DESCRIPTIONS
+};
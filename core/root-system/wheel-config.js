@@ -0,0 +1,226 @@
+/**
+ * Wheel Configuration - Orientation of the Visual Wheel
+ *
+ * The three mandatory fields (see BULLETPROOF-CONFIG-SYSTEM.md):
+ * 1. sequence:            64 gates in array order (position 0 = wheel angle 0°)
+ * 2. cardinalProgression: order the cardinals are met following the array,
+ *                         on the VISUAL CLOCK FACE ("NWSE" counter-clockwise,
+ *                         "NESW" clockwise, ...)
+ * 3. northPosition:       gate(s) at 12 o'clock - straddled "10|11" (the
+ *                         boundary between two adjacent gates) or centered
+ *                         "10" (Line 3.5 of one gate)
+ *
+ * Everything else is derived: the wheel angle at each cardinal, the gates at
+ * East, South and West, and the visual angle of any wheel angle. Visual
+ * angles start at the progression's first cardinal and grow in its direction
+ * (NWSE: North 0°, West 90°, South 180°, East 270°).
+ *
+ * Default: the Rave Wheel - Gate 41 first, counter-clockwise, North on 10|11.
+ *
+ * @version 1.0.0
+ */
+
+const validator = require('./wheel-config-validator.js');
+
+const GATE_SEQUENCE = require('./gate-sequence.json').sequence;
+
+const DEGREES_PER_GATE = 5.625;  // 360° / 64 gates
+const HALF_GATE = DEGREES_PER_GATE / 2;
+
+// Clockwise order of the cardinals on the clock face
+const CLOCKWISE_CARDINALS = 'NESW';
+
+const CARDINALS = {
+  N: { name: 'north', label: 'North', clockPosition: 12 },
+  E: { name: 'east', label: 'East', clockPosition: 3 },
+  S: { name: 'south', label: 'South', clockPosition: 6 },
+  W: { name: 'west', label: 'West', clockPosition: 9 }
+};
+
+const DEFAULT_CONFIGURATION = {
+  name: 'rave-wheel-41-start',
+  description: 'Standard Rave Wheel - Counter-clockwise',
+  version: '1.0.0',
+  sequence: GATE_SEQUENCE,
+  cardinalProgression: 'NWSE',
+  northPosition: '10|11'
+};
+
+/**
+ * Normalize an angle to 0-360
+ */
+function normalize(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * WheelConfiguration - validated wheel orientation with derived values
+ */
+class WheelConfiguration {
+  /**
+   * @param {Object} options - Overrides of DEFAULT_CONFIGURATION
+   * @param {Array<number>} options.sequence - 64-gate sequence (alias: customSequence)
+   * @param {string} options.cardinalProgression - e.g. "NWSE" or "NESW"
+   * @param {string} options.northPosition - e.g. "10|11" or "10"
+   * @throws {Error} If the configuration is invalid
+   */
+  constructor(options = {}) {
+    const { customSequence, ...overrides } = options;
+    if (customSequence !== undefined) {
+      overrides.sequence = customSequence;
+    }
+
+    this.config = validator.validateWheelConfiguration({ ...DEFAULT_CONFIGURATION, ...overrides });
+    this.config.sequence = [...this.config.sequence];
+    this.sequence = this.config.sequence;
+
+    this.derived = this.derive();
+    this.cardinals = this.deriveCardinals();
+    this.checkCardinalConsistency();
+  }
+
+  /**
+   * Calculate direction, rotation and the visual coordinate system
+   */
+  derive() {
+    const progression = this.config.cardinalProgression;
+    const north = validator.parseCardinalPosition(this.config.northPosition, this.sequence);
+    const clockwise = (CLOCKWISE_CARDINALS + CLOCKWISE_CARDINALS).includes(progression);
+
+    // Wheel angle at 12 o'clock: the start of the later of two straddled gates, or a gate's center
+    let northAngle;
+    if (north.mode === 'straddled') {
+      const [pos1, pos2] = north.gates.map(gate => this.sequence.indexOf(gate));
+      const later = (pos1 + 1) % 64 === pos2 ? pos2 : pos1;
+      northAngle = later * DEGREES_PER_GATE;
+    } else {
+      northAngle = this.sequence.indexOf(north.gates[0]) * DEGREES_PER_GATE + HALF_GATE;
+    }
+
+    // Visual angles count from the first cardinal of the progression
+    const cardinalAngles = {};
+    progression.split('').forEach((letter, i) => { cardinalAngles[CARDINALS[letter].name] = i * 90; });
+
+    return {
+      cardinalMode: north.mode,
+      northAngle,
+      rotationOffset: normalize(360 - northAngle),
+      arrayStart: this.sequence[0],
+      visualDirection: clockwise ? 'clockwise' : 'counter-clockwise',
+      visualCoordinateSystem: {
+        zeroPosition: CARDINALS[progression[0]].name,
+        angleProgression: clockwise ? 'clockwise' : 'counter-clockwise',
+        cardinalAngles
+      }
+    };
+  }
+
+  /**
+   * Gates at each cardinal, in the North position's mode
+   */
+  deriveCardinals() {
+    const cardinals = {};
+    for (const { name, label, clockPosition } of Object.values(CARDINALS)) {
+      const wheelAngle = this.getCardinalWheelAngle(name);
+      const index = Math.round(wheelAngle / DEGREES_PER_GATE * 2) / 2;  // Boundaries and centers only
+
+      let gates;
+      if (this.derived.cardinalMode === 'straddled') {
+        gates = `${this.sequence[index % 64]}|${this.sequence[(index + 63) % 64]}`;
+      } else {
+        gates = `${this.sequence[Math.floor(index) % 64]}`;
+      }
+
+      cardinals[name] = {
+        gates,
+        clockPosition,
+        wheelAngle,
+        description: this.derived.cardinalMode === 'straddled'
+          ? `Straddles ${clockPosition} o'clock (${label})`
+          : `Centered on ${clockPosition} o'clock (${label})`
+      };
+    }
+    return cardinals;
+  }
+
+  /**
+   * Reject East/South/West positions that disagree with the derived ones
+   */
+  checkCardinalConsistency() {
+    for (const { name, label, clockPosition } of Object.values(CARDINALS)) {
+      const given = this.config[`${name}Position`];
+      if (!given || name === 'north') continue;
+
+      const expected = this.cardinals[name];
+      const sameGates = given.split('|').map(Number).sort((a, b) => a - b).join('|') ===
+        expected.gates.split('|').map(Number).sort((a, b) => a - b).join('|');
+
+      if (!sameGates) {
+        throw new Error(
+          'Cardinal position mismatch!\n' +
+          `Expected: ${expected.gates} at ${clockPosition} o'clock (${label})\n` +
+          `Actual: ${given} at ${clockPosition} o'clock (${label})\n` +
+          `With northPosition "${this.config.northPosition}" and cardinalProgression ` +
+          `"${this.config.cardinalProgression}", ${label} must be "${expected.gates}".`
+        );
+      }
+    }
+  }
+
+  /**
+   * Wheel angle at a cardinal
+   * @param {string} cardinal - 'north', 'east', 'south' or 'west'
+   * @returns {number} Wheel angle (0° = first gate in the sequence)
+   */
+  getCardinalWheelAngle(cardinal) {
+    const letter = Object.keys(CARDINALS).find(key => CARDINALS[key].name === cardinal);
+    if (!letter) {
+      throw new Error(`Unknown cardinal: ${cardinal} (must be north, east, south or west)`);
+    }
+    // Quarter turns from North, following the array
+    const progression = this.config.cardinalProgression;
+    const quarters = (progression.indexOf(letter) - progression.indexOf('N') + 4) % 4;
+    return normalize(this.derived.northAngle + quarters * 90);
+  }
+
+  /**
+   * Convert a wheel angle to a visual angle
+   * @param {number} wheelAngle - Wheel angle (0° = first gate in the sequence)
+   * @returns {number} Degrees from the progression's first cardinal, in its direction (0-360)
+   */
+  toVisualAngle(wheelAngle) {
+    const zero = this.getCardinalWheelAngle(this.derived.visualCoordinateSystem.zeroPosition);
+    return normalize(wheelAngle - zero);
+  }
+
+  /**
+   * Convert a visual angle back to a wheel angle
+   * @param {number} visualAngle - Degrees from the progression's first cardinal, in its direction
+   * @returns {number} Wheel angle (0-360)
+   */
+  toWheelAngle(visualAngle) {
+    const zero = this.getCardinalWheelAngle(this.derived.visualCoordinateSystem.zeroPosition);
+    return normalize(visualAngle + zero);
+  }
+
+  /**
+   * Plain-object form (configuration plus derived values)
+   */
+  toJSON() {
+    return {
+      ...this.config,
+      sequence: [...this.sequence],
+      cardinals: this.cardinals,
+      visualDirection: this.derived.visualDirection,
+      visualDescription: validator.CARDINAL_PROGRESSION_DESCRIPTIONS[this.config.cardinalProgression],
+      derived: this.derived
+    };
+  }
+}
+
+module.exports = {
+  WheelConfiguration,
+  DEFAULT_CONFIGURATION,
+  DEGREES_PER_GATE,
+  HALF_GATE
+};
@@ -0,0 +1,503 @@
+/**
+ * Search Index - Ranked Full-Text Search Across All Knowledge Systems
+ *
+ * Builds an inverted index (stemmed term → document → field → count) over
+ * every text field the knowledge systems carry, at eight levels:
+ * - gate:     Gene Keys, I Ching names, mandala names, HD gates, codon rings
+ * - line:     all 384 traditional lines (keynotes, Black Book / White Book)
+ * - channel, center, cross (cross-definitions.json)
+ * - quarter, face, trigram
+ *
+ * Query syntax:
+ *   courage                    every term must match (stemmed, then fuzzy)
+ *   system:gene-keys shadow    only fields from that knowledge system
+ *   field:gift courage         only fields whose path contains that segment
+ *   level:line exaltation      only hits at that level
+ *
+ * The index is built on the first search and reused.
+ *
+ * @version 1.0.0
+ */
+
+const store = require('../store/knowledge-store.js');
+const incarnationCross = require('../chart/incarnation-cross.js');
+const channels = require('../../knowledge-systems/channels/mappings/channels-mappings.json');
+const centers = require('../../knowledge-systems/centers/mappings/centers-mappings.json');
+const crossDefinitions = require('../../knowledge-systems/incarnation-crosses/mappings/cross-definitions.json');
+
+const LEVELS = ['gate', 'line', 'channel', 'center', 'cross', 'quarter', 'face', 'trigram'];
+const QUALIFIERS = ['system', 'field', 'level'];
+
+// Gate-level systems, keyed by their knowledge-systems/ directory
+const GATE_SYSTEMS = {
+  'gene-keys': 'geneKeys',
+  'iching-names': 'ichingName',
+  'hd-mandala-gate-names': 'mandalaGateName',
+  'hd-gates': 'humanDesign',
+  'codon-rings': 'codonRing'
+};
+
+// Line fields that repeat the gate-level record on all six lines
+const LINE_SKIP_FIELDS = ['gateName', 'gateKeyword'];
+
+// Field boosts by last path segment - names and keynotes outrank prose
+const FIELD_BOOSTS = {
+  name: 3,
+  ichingName: 3,
+  mandalaGateName: 3,
+  keyword: 3,
+  fullName: 3,
+  shadow: 2,
+  gift: 2,
+  siddhi: 2,
+  lineKeynote: 2,
+  keynote: 2,
+  ring: 2,
+  archetype: 2,
+  theme: 1.5
+};
+
+const FUZZY_WEIGHT = 0.5;
+const SNIPPET_RADIUS = 60;
+const DEFAULT_HIGHLIGHT = ['<mark>', '</mark>'];
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+const STEM_CACHE = new Map();
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'
+]);
+
+// Suffix rules, longest first: [suffix, replacement]
+const SUFFIXES = [
+  ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+  ['ousness', 'ous'], ['ations', 'ate'], ['ation', 'ate'], ['ments', ''], ['ment', ''],
+  ['ness', ''], ['ingly', ''], ['edly', ''], ['ies', 'y'], ['ied', 'y'], ['sses', 'ss'],
+  ['ing', ''], ['ers', ''], ['er', ''], ['ed', ''], ['ly', ''], ['es', ''], ['s', '']
+];
+
+// ============================================================================
+// TEXT PROCESSING
+// ============================================================================
+
+/**
+ * Light suffix-stripping stemmer (Porter-style, step 1-2 only)
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (STEM_CACHE.has(word)) return STEM_CACHE.get(word);
+  const result = stripSuffix(word);
+  STEM_CACHE.set(word, result);
+  return result;
+}
+
+/**
+ * Apply the first suffix rule that leaves a stem of 3+ letters
+ */
+function stripSuffix(word) {
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (!word.endsWith(suffix)) continue;
+    if (suffix === 's' && (word.endsWith('ss') || word.endsWith('us') || word.endsWith('is'))) continue;
+
+    let base = word.slice(0, -suffix.length) + replacement;
+    if (base.length < 3) continue;
+
+    // running → runn → run
+    if (['ing', 'ed', 'er', 'ers'].includes(suffix) && /([^aeiouls])\1$/.test(base)) {
+      base = base.slice(0, -1);
+    }
+    return base;
+  }
+  return word;
+}
+
+/**
+ * Split text into lowercase words with their offsets
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Index terms for a piece of text (stop words dropped, stemmed)
+ */
+function terms(text) {
+  return tokenize(text).map(t => t.word).filter(w => !STOP_WORDS.has(w)).map(stem);
+}
+
+/**
+ * Edit distance with an early exit once it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Typos allowed for a query term of this length
+ */
+function allowedTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+// ============================================================================
+// INDEX
+// ============================================================================
+
+/**
+ * Flatten a knowledge object into [{ path, text }] for every string value
+ * Array indexes are dropped from the path (planets.0.description → planets.description).
+ */
+function flattenFields(value, prefix = '', skip = []) {
+  if (typeof value === 'string') {
+    return value.trim() ? [{ path: prefix, text: value }] : [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(item => flattenFields(item, prefix, skip));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([key]) => !skip.includes(key))
+      .flatMap(([key, child]) => flattenFields(child, prefix ? `${prefix}.${key}` : key, skip));
+  }
+  return [];
+}
+
+/**
+ * Build one document from { system: knowledge } sources
+ */
+function makeDocument(meta, sources, skip = []) {
+  const fields = [];
+  for (const [system, knowledge] of Object.entries(sources)) {
+    for (const { path, text } of flattenFields(knowledge, '', skip)) {
+      fields.push({ system, path, text });
+    }
+  }
+  return { ...meta, fields };
+}
+
+/**
+ * Collect every searchable document
+ */
+function collectDocuments() {
+  const documents = [];
+
+  for (let gate = 1; gate <= 64; gate++) {
+    const record = store.getGate(gate);
+    const sources = {};
+    for (const [system, key] of Object.entries(GATE_SYSTEMS)) {
+      sources[system] = record[key];
+    }
+    documents.push(makeDocument({
+      level: 'gate', id: String(gate), gate,
+      title: `Gate ${gate} - ${record.ichingName?.ichingName || record.humanDesign?.name}`
+    }, sources));
+
+    for (let line = 1; line <= 6; line++) {
+      const { knowledge } = store.getLine(gate, line);
+      documents.push(makeDocument({
+        level: 'line', id: `${gate}.${line}`, gate, line,
+        title: `Gate ${gate}.${line} - ${knowledge?.lineKeynote || ''}`.trim()
+      }, { 'hd-traditional-gates': knowledge }, LINE_SKIP_FIELDS));
+    }
+  }
+
+  for (const ch of channels.mappings) {
+    documents.push(makeDocument({
+      level: 'channel', id: ch.channelNumber, channel: ch.channelNumber,
+      title: `Channel ${ch.channelNumber} - ${ch.knowledge.name}`
+    }, { channels: { ...ch.knowledge, channelType: ch.channelType } }));
+  }
+
+  for (const center of centers.mappings) {
+    documents.push(makeDocument({
+      level: 'center', id: center.centerName, center: center.centerName,
+      title: `${center.centerName} Center`
+    }, { centers: { name: center.centerName, type: center.type, ...center.knowledge } }));
+  }
+
+  for (const [name, cross] of Object.entries(crossDefinitions.crosses)) {
+    const fullName = `${incarnationCross.ANGLE_NAMES[cross.type]} Cross of ${name}`;
+    documents.push(makeDocument({
+      level: 'cross', id: fullName, cross: name, type: cross.type, gates: cross.gates,
+      title: fullName
+    }, { 'incarnation-crosses': { name, fullName } }));
+  }
+
+  for (const [level, system] of [['quarter', 'quarters'], ['face', 'faces'], ['trigram', 'trigrams']]) {
+    for (const groupName of store.getGroupNames(system)) {
+      documents.push(makeDocument({
+        level, id: groupName, [level]: groupName,
+        title: `${level[0].toUpperCase()}${level.slice(1)} of ${groupName}`
+      }, { [system]: { name: groupName, ...store.getGroupKnowledge(system, groupName) } }));
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Build the inverted index
+ * @returns {Object} { documents, postings: Map<term, Map<docIndex, Map<fieldIndex, count>>>,
+ *   vocabulary: Map<first letter, [terms]> }
+ */
+function buildIndex() {
+  const documents = collectDocuments();
+  const postings = new Map();
+
+  documents.forEach((doc, docIndex) => {
+    doc.fields.forEach((field, fieldIndex) => {
+      for (const term of terms(field.text)) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        if (!docs.has(docIndex)) docs.set(docIndex, new Map());
+        const fields = docs.get(docIndex);
+        fields.set(fieldIndex, (fields.get(fieldIndex) || 0) + 1);
+      }
+    });
+  });
+
+  // Terms by first letter, for the fuzzy scan
+  const vocabulary = new Map();
+  for (const term of postings.keys()) {
+    if (!vocabulary.has(term[0])) vocabulary.set(term[0], []);
+    vocabulary.get(term[0]).push(term);
+  }
+
+  return { documents, postings, vocabulary };
+}
+
+let INDEX = null;
+
+/**
+ * Get the index, building it on first use
+ */
+function getIndex() {
+  if (!INDEX) INDEX = buildIndex();
+  return INDEX;
+}
+
+// ============================================================================
+// QUERY
+// ============================================================================
+
+/**
+ * Split a query into terms and qualifiers
+ * @param {string} query - e.g. 'system:gene-keys field:gift courage'
+ * @returns {Object} { terms: [stems], words: [original], system: [], field: [], level: [] }
+ */
+function parseQuery(query) {
+  if (typeof query !== 'string') {
+    throw new Error(`Search query must be a string, got: ${typeof query}`);
+  }
+
+  const parsed = { words: [], system: [], field: [], level: [] };
+  for (const part of query.trim().split(/\s+/).filter(Boolean)) {
+    const qualifier = part.match(/^([a-z]+):(.+)$/i);
+    if (qualifier && QUALIFIERS.includes(qualifier[1].toLowerCase())) {
+      parsed[qualifier[1].toLowerCase()].push(qualifier[2].toLowerCase());
+    } else {
+      parsed.words.push(...tokenize(part).map(t => t.word));
+    }
+  }
+
+  for (const level of parsed.level) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown level: ${level} (must be one of ${LEVELS.join(', ')})`);
+    }
+  }
+
+  parsed.words = parsed.words.filter(w => !STOP_WORDS.has(w));
+  parsed.terms = parsed.words.map(stem);
+  return parsed;
+}
+
+/**
+ * Whether a field passes the system: and field: qualifiers
+ */
+function fieldAllowed(field, parsed) {
+  if (parsed.system.length && !parsed.system.includes(field.system)) return false;
+  if (parsed.field.length) {
+    const segments = field.path.toLowerCase().split('.');
+    return parsed.field.some(wanted => {
+      const want = wanted.split('.');
+      for (let i = 0; i + want.length <= segments.length; i++) {
+        if (want.every((w, j) => segments[i + j] === w)) return true;
+      }
+      return false;
+    });
+  }
+  return true;
+}
+
+/**
+ * Index terms a query term matches: itself (weight 1) and close typos (fuzzy weight)
+ * Typos must keep the first letter, which also keeps the vocabulary scan short.
+ */
+function expandTerm(term, { postings, vocabulary }, fuzzy) {
+  const variants = new Map();
+  if (postings.has(term)) variants.set(term, 1);
+
+  const max = fuzzy ? allowedTypos(term) : 0;
+  if (max > 0) {
+    for (const candidate of vocabulary.get(term[0]) || []) {
+      if (candidate === term) continue;
+      const distance = editDistance(term, candidate, max);
+      if (distance <= max) variants.set(candidate, FUZZY_WEIGHT / distance);
+    }
+  }
+  return variants;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHTML(text) {
+  return text.replace(/[&<>"]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Wrap matched words in a field's text and trim to a window around the first
+ * (with escape, the text between the markers is HTML-escaped)
+ */
+function makeSnippet(text, matchedTerms, [open, close], escape) {
+  const clean = escape ? escapeHTML : value => value;
+  const hits = tokenize(text).filter(t => matchedTerms.has(stem(t.word)));
+  if (hits.length === 0) return clean(text);
+
+  const from = Math.max(0, hits[0].start - SNIPPET_RADIUS);
+  const to = Math.min(text.length, hits[0].end + SNIPPET_RADIUS);
+
+  let snippet = '';
+  let cursor = from;
+  for (const hit of hits) {
+    if (hit.start < from || hit.end > to) continue;
+    snippet += clean(text.slice(cursor, hit.start)) + open + clean(text.slice(hit.start, hit.end)) + close;
+    cursor = hit.end;
+  }
+  snippet += clean(text.slice(cursor, to));
+
+  return `${from > 0 ? '…' : ''}${snippet}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search every knowledge system
+ * @param {string} query - Terms plus optional system:/field:/level: qualifiers
+ * @param {Object} options - { limit, fuzzy (default true), highlight: [open, close], escape }
+ *   Snippets are HTML by default: matches in <mark>, the text escaped. With
+ *   custom highlight markers the text is left as-is unless escape is true.
+ * @returns {Array<Object>} Ranked hits:
+ *   [{ level, id, title, score, gate?, line?, channel?, center?, cross?, ..., matches: [{ field, snippet }] }]
+ */
+function search(query, options = {}) {
+  const { limit = Infinity, fuzzy = true, highlight = DEFAULT_HIGHLIGHT } = options;
+  const escape = options.escape ?? highlight === DEFAULT_HIGHLIGHT;
+  const parsed = parseQuery(query);
+  if (parsed.terms.length === 0) return [];
+
+  const index = getIndex();
+  const { documents, postings } = index;
+  const total = documents.length;
+
+  // Per document: score and which index terms matched in which fields
+  let candidates = null;
+  for (const term of parsed.terms) {
+    const termHits = new Map();  // docIndex → { score, fields: Map<fieldIndex, Set<term>> }
+
+    for (const [variant, weight] of expandTerm(term, index, fuzzy)) {
+      const docs = postings.get(variant);
+      const idf = Math.log(1 + (total - docs.size + 0.5) / (docs.size + 0.5));
+
+      for (const [docIndex, fields] of docs) {
+        const doc = documents[docIndex];
+        if (parsed.level.length && !parsed.level.includes(doc.level)) continue;
+
+        for (const [fieldIndex, count] of fields) {
+          const field = doc.fields[fieldIndex];
+          if (!fieldAllowed(field, parsed)) continue;
+
+          const boost = FIELD_BOOSTS[field.path.split('.').pop()] || 1;
+          const hit = termHits.get(docIndex) || { score: 0, fields: new Map() };
+          hit.score += weight * idf * boost * (count / (count + 1.2));
+          if (!hit.fields.has(fieldIndex)) hit.fields.set(fieldIndex, new Set());
+          hit.fields.get(fieldIndex).add(variant);
+          termHits.set(docIndex, hit);
+        }
+      }
+    }
+
+    // Every term must match
+    if (candidates === null) {
+      candidates = termHits;
+    } else {
+      for (const [docIndex, hit] of candidates) {
+        const next = termHits.get(docIndex);
+        if (!next) {
+          candidates.delete(docIndex);
+          continue;
+        }
+        hit.score += next.score;
+        for (const [fieldIndex, matched] of next.fields) {
+          if (!hit.fields.has(fieldIndex)) hit.fields.set(fieldIndex, new Set());
+          matched.forEach(t => hit.fields.get(fieldIndex).add(t));
+        }
+      }
+    }
+  }
+
+  // Rank first, then build snippets only for the hits returned
+  const ranked = [...candidates].map(([docIndex, hit]) => ({
+    doc: documents[docIndex],
+    hit,
+    score: Math.round(hit.score * 1000) / 1000
+  }));
+
+  ranked.sort((a, b) =>
+    b.score - a.score ||
+    LEVELS.indexOf(a.doc.level) - LEVELS.indexOf(b.doc.level) ||
+    a.doc.id.localeCompare(b.doc.id, 'en', { numeric: true })
+  );
+
+  return ranked.slice(0, limit).map(({ doc, hit, score }) => {
+    const { fields, ...meta } = doc;
+    return {
+      ...meta,
+      score,
+      matches: [...hit.fields].map(([fieldIndex, matched]) => ({
+        field: `${fields[fieldIndex].system}.${fields[fieldIndex].path}`,
+        snippet: makeSnippet(fields[fieldIndex].text, matched, highlight, escape)
+      }))
+    };
+  });
+}
+
+module.exports = {
+  search,
+  parseQuery,
+  stem,
+
+  // Constants
+  LEVELS,
+  QUALIFIERS
+};
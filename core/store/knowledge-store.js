@@ -0,0 +1,332 @@
+/**
+ * Knowledge Store - Indexed Lookups Across All Knowledge Systems
+ *
+ * Builds every index once at load so queries never scan the mapping arrays:
+ * - by gate:        calculated foundation + gate-level knowledge from every system
+ * - by gate.line:   wheel position + traditional line knowledge (all 384 lines)
+ * - by group name:  quarter, face and trigram knowledge and their gates
+ * - by center:      center mapping and gates
+ * - by channel:     channel mapping, plus the channels each gate belongs to
+ *
+ * Mapping files come from the system.json registry (system-loader.js); gate-level
+ * systems land on the record field their manifest names. Records point at the
+ * same mapping objects the JSON files load, so results are identical to the
+ * linear lookups they replace. Gate lists are returned
+ * as copies; the indexes themselves are never handed out.
+ *
+ * @version 1.0.0
+ */
+
+const positioning = require('../root-system/positioning-algorithm.js');
+const systems = require('./system-loader.js');
+
+// Mapping files come from the knowledge-systems/*/system.json registry
+const quarters = systems.getMappingFile('quarters');
+const trigrams = systems.getMappingFile('trigrams');
+const faces = systems.getMappingFile('faces');
+const channels = systems.getMappingFile('channels');
+const centers = systems.getMappingFile('centers');
+const hdTraditional = systems.getMappingFile('hd-traditional-gates');
+
+const GROUP_SYSTEMS = ['quarters', 'faces', 'trigrams'];
+const TRIGRAM_POSITIONS = ['upper', 'lower'];
+
+/**
+ * Index a mapping array by one of its keys
+ */
+function indexBy(mappings, key) {
+  const index = new Map();
+  for (const mapping of mappings) {
+    if (!index.has(mapping[key])) {
+      index.set(mapping[key], mapping);  // First match wins, as Array.find did
+    }
+  }
+  return index;
+}
+
+/**
+ * Append a value to a Map of arrays
+ */
+function push(index, key, value) {
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(value);
+}
+
+/**
+ * Build all indexes (runs once, at load)
+ */
+function buildStore() {
+  // Gate-level systems, by the record field their manifest names
+  const gateIndexes = {};
+  for (const manifest of systems.listSystems({ dockingLevel: 'gate' })) {
+    gateIndexes[manifest.recordField] = indexBy(systems.getSystem(manifest.name).mappings, manifest.keyField);
+  }
+
+  const groups = {
+    quarters: indexBy(quarters.mappings, 'groupName'),
+    faces: indexBy(faces.mappings, 'groupName'),
+    trigrams: indexBy(trigrams.mappings, 'groupName')
+  };
+
+  const centersByName = indexBy(centers.mappings, 'centerName');
+  const channelsById = indexBy(channels.mappings, 'channelNumber');
+
+  const centerByGate = new Map();
+  for (const center of centers.mappings) {
+    for (const gate of center.gates) {
+      if (!centerByGate.has(gate)) centerByGate.set(gate, center);
+    }
+  }
+
+  const channelsByGate = new Map();
+  for (const channel of channels.mappings) {
+    push(channelsByGate, channel.gate1, channel);
+    if (channel.gate2 !== channel.gate1) push(channelsByGate, channel.gate2, channel);
+  }
+
+  const linesByKey = new Map();
+  for (const mapping of hdTraditional.mappings) {
+    const key = `${mapping.gateNumber}.${mapping.lineNumber}`;
+    if (!linesByKey.has(key)) linesByKey.set(key, mapping);
+  }
+
+  const gatesByGroup = {
+    quarters: new Map(),
+    faces: new Map(),
+    trigrams: { upper: new Map(), lower: new Map() }
+  };
+
+  const gates = new Map();
+  const lines = new Map();
+
+  for (let gate = 1; gate <= 64; gate++) {
+    const foundation = positioning.getDockingData(gate, 1);
+    const center = centerByGate.get(gate);
+
+    gates.set(gate, {
+      gate,
+      binary: foundation.binary,
+      codon: foundation.codon,
+      wheelIndex: foundation.wheelIndex,
+      quarter: foundation.quarter,
+      face: foundation.face,
+      trigrams: foundation.trigrams,
+      oppositeGate: foundation.oppositeGate,
+
+      // geneKeys, ichingName, mandalaGateName, humanDesign, codonRing, incarnationCrosses
+      ...Object.fromEntries(
+        Object.entries(gateIndexes).map(([field, index]) => [field, index.get(gate)?.knowledge])
+      ),
+
+      center: center?.centerName,
+      centerKnowledge: center?.knowledge,
+      channels: channelsByGate.get(gate) || []
+    });
+
+    push(gatesByGroup.quarters, foundation.quarter, gate);
+    push(gatesByGroup.faces, foundation.face, gate);
+    push(gatesByGroup.trigrams.upper, foundation.trigrams.upper, gate);
+    push(gatesByGroup.trigrams.lower, foundation.trigrams.lower, gate);
+
+    for (let line = 1; line <= 6; line++) {
+      const position = positioning.getWheelPosition(gate, line);
+      lines.set(`${gate}.${line}`, {
+        gate,
+        line,
+        linePosition: position.linePosition,
+        angle: position.angle,
+        knowledge: linesByKey.get(`${gate}.${line}`)?.knowledge
+      });
+    }
+  }
+
+  return { gates, lines, groups, gatesByGroup, centersByName, channelsById, gateFields: Object.keys(gateIndexes) };
+}
+
+const STORE = buildStore();
+
+/**
+ * Get the indexed record for a gate
+ * @param {number} gateNumber - Gate 1-64
+ * @returns {Object} Foundation and gate-level knowledge from every system
+ * @throws {Error} If the gate is out of range
+ */
+function getGate(gateNumber) {
+  const record = STORE.gates.get(gateNumber);
+  if (!record) {
+    positioning.getWheelPosition(gateNumber, 1);  // Throws the positioning error
+    throw new Error(`Invalid gate number: ${gateNumber} (must be 1-64)`);
+  }
+  return record;
+}
+
+/**
+ * Get the indexed record for a gate line
+ * @param {number} gateNumber - Gate 1-64
+ * @param {number} lineNumber - Line 1-6
+ * @returns {Object} { gate, line, linePosition, angle, knowledge }
+ * @throws {Error} If the gate or line is out of range
+ */
+function getLine(gateNumber, lineNumber) {
+  const record = STORE.lines.get(`${gateNumber}.${lineNumber}`);
+  if (!record) {
+    positioning.getWheelPosition(gateNumber, lineNumber);  // Throws the positioning error
+    throw new Error(`Invalid line: ${gateNumber}.${lineNumber}`);
+  }
+  return record;
+}
+
+/**
+ * Assemble the unified record for a gate or gate line
+ * @param {number} gateNumber - Gate 1-64
+ * @param {number|null} lineNumber - Line 1-6, or null for gate-level only
+ * @returns {Object} Foundation plus knowledge from every system (getGateKnowledge() shape)
+ */
+function getRecord(gateNumber, lineNumber = null) {
+  const record = getGate(gateNumber);
+  const position = getLine(gateNumber, lineNumber || 1);
+
+  const result = {
+    gate: gateNumber,
+    line: lineNumber,
+
+    // Mathematical foundation (calculated)
+    binary: record.binary,
+    codon: record.codon,
+    wheelPosition: record.wheelIndex,
+    angle: position.angle,
+
+    // Calculated groupings
+    quarter: record.quarter,
+    face: record.face,
+    trigrams: { ...record.trigrams },
+    oppositeGate: record.oppositeGate,
+
+    // Gate-level knowledge, from every gate-level system in the registry
+    ...Object.fromEntries(STORE.gateFields.map(field => [field, record[field]])),
+
+    // Grouping meanings
+    quarterMeaning: getGroupKnowledge('quarters', record.quarter),
+    faceMeaning: getGroupKnowledge('faces', record.face),
+    trigramMeanings: {
+      upper: getGroupKnowledge('trigrams', record.trigrams.upper),
+      lower: getGroupKnowledge('trigrams', record.trigrams.lower)
+    },
+
+    // Structural
+    center: record.center,
+    centerKnowledge: record.centerKnowledge,
+
+    // Connections
+    channelsInvolved: record.channels.map(ch => ({
+      channel: ch.channelNumber,
+      name: ch.knowledge.name,
+      circuit: ch.knowledge.circuit
+    })),
+
+    incarnationCrosses: record.incarnationCrosses || {}
+  };
+
+  // Line-level knowledge if requested
+  if (lineNumber) {
+    result.lineKnowledge = position.knowledge;
+  }
+
+  return result;
+}
+
+/**
+ * Get the knowledge for a quarter, face or trigram
+ * @param {string} system - 'quarters', 'faces' or 'trigrams'
+ * @param {string} groupName - Group name (e.g. "Mutation", "Hades", "Heaven")
+ * @returns {Object|undefined} Group knowledge
+ */
+function getGroupKnowledge(system, groupName) {
+  if (!GROUP_SYSTEMS.includes(system)) {
+    throw new Error(`Unknown group system: ${system} (must be one of ${GROUP_SYSTEMS.join(', ')})`);
+  }
+  return STORE.groups[system].get(groupName)?.knowledge;
+}
+
+/**
+ * Get the group names a system defines
+ * @param {string} system - 'quarters', 'faces' or 'trigrams'
+ * @returns {Array<string>} Group names in mapping order
+ */
+function getGroupNames(system) {
+  if (!GROUP_SYSTEMS.includes(system)) {
+    throw new Error(`Unknown group system: ${system} (must be one of ${GROUP_SYSTEMS.join(', ')})`);
+  }
+  return [...STORE.groups[system].keys()];
+}
+
+/**
+ * Get all gates in a quarter, in gate order
+ */
+function getGatesInQuarter(quarterName) {
+  return [...(STORE.gatesByGroup.quarters.get(quarterName) || [])];
+}
+
+/**
+ * Get all gates in a face, in gate order
+ */
+function getGatesInFace(faceName) {
+  return [...(STORE.gatesByGroup.faces.get(faceName) || [])];
+}
+
+/**
+ * Get all gates with a trigram in the upper or lower position, in gate order
+ */
+function getGatesWithTrigram(trigramName, position = 'upper') {
+  if (!TRIGRAM_POSITIONS.includes(position)) return [];
+  return [...(STORE.gatesByGroup.trigrams[position].get(trigramName) || [])];
+}
+
+/**
+ * Get a center mapping by name
+ * @returns {Object|undefined} { centerName, type, gates, knowledge, ... }
+ */
+function getCenter(centerName) {
+  return STORE.centersByName.get(centerName);
+}
+
+/**
+ * Get all gates in a center, in mapping order
+ */
+function getGatesByCenter(centerName) {
+  const center = STORE.centersByName.get(centerName);
+  return center ? [...center.gates] : [];
+}
+
+/**
+ * Get a channel mapping by id (e.g. "1-8")
+ * @returns {Object|undefined} { channelNumber, gate1, gate2, knowledge, ... }
+ */
+function getChannel(channelId) {
+  return STORE.channelsById.get(channelId);
+}
+
+/**
+ * Get every channel a gate belongs to, in mapping order
+ */
+function getChannelsForGate(gateNumber) {
+  return [...(STORE.gates.get(gateNumber)?.channels || [])];
+}
+
+module.exports = {
+  getGate,
+  getLine,
+  getRecord,
+  getGroupKnowledge,
+  getGroupNames,
+  getGatesInQuarter,
+  getGatesInFace,
+  getGatesWithTrigram,
+  getCenter,
+  getGatesByCenter,
+  getChannel,
+  getChannelsForGate,
+
+  // Constants
+  GROUP_SYSTEMS
+};
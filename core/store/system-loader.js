@@ -0,0 +1,278 @@
+/**
+ * System Loader - Knowledge Systems Discovered from system.json Manifests
+ *
+ * Every folder in knowledge-systems/ with a mappings/ directory carries a
+ * system.json manifest:
+ *
+ *   {
+ *     "name": "gene-keys",                 // Must match the folder name
+ *     "displayName": "Gene Keys",
+ *     "description": "...",
+ *     "version": "1.0.0",
+ *     "dockingLevel": "gate",              // gate | line | group | center | channel
+ *     "keyField": "gateNumber",            // Or ["gateNumber", "lineNumber"]
+ *     "collection": "mappings",            // Optional - array holding the entries
+ *     "recordField": "geneKeys",           // Field in getGateKnowledge() (required for gate level)
+ *     "mappingFiles": ["mappings/gene-keys-mappings.json"],  // First is primary
+ *     "schema": "schema.json",             // Optional - JSON Schema of one entry
+ *     "source": "..."
+ *   }
+ *
+ * The folder is scanned once at load and every manifest is checked against
+ * its mapping files. Any invalid manifest throws - a half-loaded registry
+ * would silently drop knowledge.
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KNOWLEDGE_SYSTEMS_DIR = path.join(__dirname, '../../knowledge-systems');
+const MANIFEST_FILE = 'system.json';
+
+const DOCKING_LEVELS = ['gate', 'line', 'group', 'center', 'channel'];
+const REQUIRED_FIELDS = ['name', 'displayName', 'version', 'dockingLevel', 'keyField', 'mappingFiles', 'source'];
+const DEFAULT_COLLECTION = 'mappings';
+
+/**
+ * Check a manifest's fields
+ * @param {Object} manifest - Parsed system.json
+ * @param {string} folder - Folder the manifest was found in
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateManifest(manifest, folder) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return ['Manifest must be a JSON object'];
+  }
+
+  const problems = REQUIRED_FIELDS
+    .filter(field => manifest[field] === undefined || manifest[field] === '')
+    .map(field => `Missing required field: ${field}`);
+
+  if (manifest.name !== undefined && manifest.name !== folder) {
+    problems.push(`name "${manifest.name}" must match the folder name "${folder}"`);
+  }
+  if (manifest.version !== undefined && !/^\d+\.\d+\.\d+$/.test(manifest.version)) {
+    problems.push(`version "${manifest.version}" must be semver (e.g. "1.0.0")`);
+  }
+  if (manifest.dockingLevel !== undefined && !DOCKING_LEVELS.includes(manifest.dockingLevel)) {
+    problems.push(`dockingLevel "${manifest.dockingLevel}" must be one of ${DOCKING_LEVELS.join(', ')}`);
+  }
+
+  const keyFields = [].concat(manifest.keyField ?? []);
+  if (manifest.keyField !== undefined &&
+      (keyFields.length === 0 || !keyFields.every(field => typeof field === 'string' && field))) {
+    problems.push('keyField must be a field name or an array of field names');
+  }
+  if (manifest.mappingFiles !== undefined &&
+      (!Array.isArray(manifest.mappingFiles) || manifest.mappingFiles.length === 0 ||
+       !manifest.mappingFiles.every(file => typeof file === 'string' && file.endsWith('.json')))) {
+    problems.push('mappingFiles must be a non-empty array of .json paths');
+  }
+  if (manifest.dockingLevel === 'gate' && (manifest.recordField === undefined || manifest.recordField === '')) {
+    problems.push('Missing required field: recordField (gate-level systems land on it in getGateKnowledge())');
+  }
+  for (const field of ['collection', 'recordField', 'description', 'schema']) {
+    if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+      problems.push(`${field} must be a string`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Key of a mapping entry under a manifest (multi-field keys join with ".")
+ * @param {Object} manifest - System manifest
+ * @param {Object} entry - Mapping entry
+ * @returns {string|number} e.g. 13, "Mutation" or "13.4"
+ */
+function keyOf(manifest, entry) {
+  const fields = [].concat(manifest.keyField);
+  return fields.length === 1 ? entry[fields[0]] : fields.map(field => entry[field]).join('.');
+}
+
+/**
+ * Throw an invalid-manifest error listing every problem
+ */
+function fail(folder, problems) {
+  throw new Error(
+    `Invalid ${MANIFEST_FILE} in knowledge-systems/${folder}:\n` +
+    problems.map(p => `  ❌ ${p}`).join('\n')
+  );
+}
+
+/**
+ * Load one system folder: manifest plus mapping files
+ * @param {string} directory - Absolute path of the system folder
+ * @returns {Object} { manifest, directory, files: { relativePath: data }, mappings, schema }
+ * @throws {Error} If the manifest or its mapping files are invalid
+ */
+function loadSystem(directory) {
+  const folder = path.basename(directory);
+  const manifestPath = path.join(directory, MANIFEST_FILE);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    fail(folder, [error.code === 'ENOENT'
+      ? `No ${MANIFEST_FILE} (every system folder needs one)`
+      : `${MANIFEST_FILE} is not valid JSON: ${error.message}`]);
+  }
+
+  const problems = validateManifest(manifest, folder);
+  if (problems.length > 0) fail(folder, problems);
+
+  // Mapping files (required, so they share the module cache with direct requires)
+  const files = {};
+  for (const file of manifest.mappingFiles) {
+    const filePath = path.join(directory, file);
+    if (!fs.existsSync(filePath)) {
+      fail(folder, [`Mapping file not found: ${file}`]);
+    }
+    try {
+      files[file] = require(filePath);
+    } catch (error) {
+      fail(folder, [`Mapping file ${file} is not valid JSON: ${error.message}`]);
+    }
+  }
+
+  // Primary mapping file: entries carry the key fields, version agrees when given
+  const primaryFile = manifest.mappingFiles[0];
+  const primary = files[primaryFile];
+  const collection = manifest.collection || DEFAULT_COLLECTION;
+  const mappings = primary[collection];
+
+  if (!Array.isArray(mappings)) {
+    fail(folder, [`${primaryFile} has no "${collection}" array`]);
+  }
+  if (primary.version !== undefined && primary.version !== manifest.version) {
+    fail(folder, [`version "${manifest.version}" does not match ${primaryFile} (${primary.version})`]);
+  }
+
+  const keyFields = [].concat(manifest.keyField);
+  const missingKey = mappings.findIndex(entry => keyFields.some(field => entry[field] === undefined));
+  if (missingKey !== -1) {
+    fail(folder, [`${primaryFile} entry ${missingKey} has no ${keyFields.join('/')}`]);
+  }
+
+  // Entry schema (checked entry by entry by the verification protocol)
+  let schema = null;
+  if (manifest.schema !== undefined) {
+    const schemaPath = path.join(directory, manifest.schema);
+    if (!fs.existsSync(schemaPath)) {
+      fail(folder, [`Schema file not found: ${manifest.schema}`]);
+    }
+    try {
+      schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    } catch (error) {
+      fail(folder, [`Schema file ${manifest.schema} is not valid JSON: ${error.message}`]);
+    }
+  }
+
+  return { manifest, directory, files, mappings, schema };
+}
+
+/**
+ * Scan a directory for knowledge systems
+ * @param {string} rootDir - Directory holding one folder per system (default: knowledge-systems/)
+ * @returns {Map<string, Object>} System name → loaded system, in folder order
+ * @throws {Error} On the first invalid manifest, or two gate-level systems on one recordField
+ */
+function loadSystems(rootDir = KNOWLEDGE_SYSTEMS_DIR) {
+  const systems = new Map();
+
+  const folders = fs.readdirSync(rootDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .filter(folder => fs.existsSync(path.join(rootDir, folder, 'mappings')) ||
+                      fs.existsSync(path.join(rootDir, folder, MANIFEST_FILE)))
+    .sort();
+
+  const recordFields = new Map();
+  for (const folder of folders) {
+    const system = loadSystem(path.join(rootDir, folder));
+    const { dockingLevel, recordField } = system.manifest;
+    if (dockingLevel === 'gate') {
+      if (recordFields.has(recordField)) {
+        fail(folder, [`recordField "${recordField}" is already used by ${recordFields.get(recordField)}`]);
+      }
+      recordFields.set(recordField, folder);
+    }
+    systems.set(system.manifest.name, system);
+  }
+
+  return systems;
+}
+
+// The engine's registry (built once, at load)
+const REGISTRY = loadSystems();
+
+/**
+ * Get a loaded system
+ * @param {string} name - System name (its folder, e.g. "gene-keys")
+ * @returns {Object} { manifest, directory, files, mappings, schema }
+ * @throws {Error} If no such system was discovered
+ */
+function getSystem(name) {
+  const system = REGISTRY.get(name);
+  if (!system) {
+    throw new Error(`Unknown knowledge system: ${name} (must be one of ${[...REGISTRY.keys()].join(', ')})`);
+  }
+  return system;
+}
+
+/**
+ * Get a system's mapping file
+ * @param {string} name - System name
+ * @param {string} file - Path from mappingFiles (default: the primary file)
+ * @returns {Object} Parsed mapping file
+ */
+function getMappingFile(name, file = null) {
+  const system = getSystem(name);
+  const key = file || system.manifest.mappingFiles[0];
+  if (!(key in system.files)) {
+    throw new Error(`Knowledge system ${name} has no mapping file ${key}`);
+  }
+  return system.files[key];
+}
+
+/**
+ * Get the discovered system names, in folder order
+ */
+function getSystemNames() {
+  return [...REGISTRY.keys()];
+}
+
+/**
+ * List the discovered manifests (copies)
+ * @param {Object} filter - { dockingLevel }
+ * @returns {Array<Object>} Manifests, each with its entry count
+ */
+function listSystems({ dockingLevel = null } = {}) {
+  return [...REGISTRY.values()]
+    .filter(system => dockingLevel === null || system.manifest.dockingLevel === dockingLevel)
+    .map(system => ({
+      ...system.manifest,
+      keyField: Array.isArray(system.manifest.keyField) ? [...system.manifest.keyField] : system.manifest.keyField,
+      mappingFiles: [...system.manifest.mappingFiles],
+      entries: system.mappings.length
+    }));
+}
+
+module.exports = {
+  loadSystems,
+  loadSystem,
+  validateManifest,
+  keyOf,
+  getSystem,
+  getMappingFile,
+  getSystemNames,
+  listSystems,
+
+  // Constants
+  KNOWLEDGE_SYSTEMS_DIR,
+  DOCKING_LEVELS
+};
@@ -2,36 +2,50 @@
 /**
  * Template Verification Script
  *
- * Usage: node core/templates/verify-template.js path/to/your-mapping.json
+ * Usage: node core/templates/verify-template.js path/to/your-mapping.json [--schema path/to/schema.json] [--json]
+ *
+ * --schema  Validate every mapping entry against a JSON Schema (see knowledge-systems/<system>/schema.json)
+ * --json    Print the machine-readable report instead of the console output
  */
 
 const fs = require('fs');
 const path = require('path');
 const verification = require('../root-system/verification-protocol.js');
 
-// Get mapping file path from command line
+// Get mapping file path and options from command line
 const args = process.argv.slice(2);
-if (args.length === 0) {
-  console.error('❌ Usage: node verify-template.js <path-to-mapping-file.json>');
+const json = args.includes('--json');
+const schemaFlag = args.indexOf('--schema');
+const schemaPath = schemaFlag !== -1 ? args[schemaFlag + 1] : null;
+const positional = args.filter((arg, i) => !arg.startsWith('--') && (schemaFlag === -1 || i !== schemaFlag + 1));
+
+if (positional.length === 0 || (schemaFlag !== -1 && !schemaPath)) {
+  console.error('❌ Usage: node verify-template.js <path-to-mapping-file.json> [--schema <schema.json>] [--json]');
   process.exit(1);
 }
 
-const mappingPath = path.resolve(args[0]);
-
-// Load mapping file
-console.log(`📂 Loading mapping file: ${mappingPath}`);
-
-let mappingFile;
-try {
-  const content = fs.readFileSync(mappingPath, 'utf8');
-  mappingFile = JSON.parse(content);
-} catch (error) {
-  console.error(`❌ Error loading mapping file: ${error.message}`);
-  process.exit(1);
+/**
+ * Load a JSON file or exit with an error
+ */
+function loadJSON(filePath, label) {
+  if (!json) console.log(`📂 Loading ${label}: ${filePath}`);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Error loading ${label}: ${error.message}`);
+    process.exit(1);
+  }
 }
 
+const mappingFile = loadJSON(path.resolve(positional[0]), 'mapping file');
+const schema = schemaPath ? loadJSON(path.resolve(schemaPath), 'schema') : null;
+
 // Run verification
-const result = verification.verifyKnowledgeSystem(mappingFile);
+const result = verification.verifyKnowledgeSystem(mappingFile, { schema, silent: json });
+
+if (json) {
+  console.log(JSON.stringify(result.report, null, 2));
+}
 
 // Exit with appropriate code
 process.exit(result.passed ? 0 : 1);
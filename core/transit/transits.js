@@ -0,0 +1,226 @@
+/**
+ * Transit Engine - Gate/Line Ingress Timelines and Natal Overlays
+ *
+ * Scans the embedded ephemeris (core/ephemeris/ephemeris.js) for every moment
+ * a body moves into a new line, refining each crossing to the second. The
+ * overlay merges the transits for a moment with a natal chart to show which
+ * channels and centers are temporarily completed.
+ *
+ * @version 1.0.0
+ */
+
+const positioning = require('../root-system/positioning-algorithm.js');
+const ephemeris = require('../ephemeris/ephemeris.js');
+const designDate = require('../ephemeris/design-date.js');
+const chartModel = require('../chart/chart.js');
+
+// Scan step per body (days) - short enough that no body can cross a whole
+// line (0.9375°) between samples, even at its fastest
+const SCAN_STEP_DAYS = {
+  Moon: 1 / 24,
+  Sun: 0.25,
+  Earth: 0.25,
+  Mercury: 0.25,
+  Venus: 0.25,
+  'North Node': 0.25,
+  'South Node': 0.25,
+  Mars: 0.5,
+  Jupiter: 1,
+  Saturn: 1,
+  Uranus: 1,
+  Neptune: 1,
+  Pluto: 1
+};
+const TOLERANCE_DAYS = 1 / 86400;  // Refine crossings to one second
+const LEVELS = ['line', 'gate'];
+
+/**
+ * Absolute line position (0-383) of a body at a Julian Day
+ */
+function linePositionAt(body, jd, options) {
+  return ephemeris.longitudeToGateLine(ephemeris.longitudeAtJulianDay(body, jd, options)).linePosition;
+}
+
+/**
+ * Gate and line for an absolute line position
+ */
+function gateLineAt(linePosition) {
+  return {
+    gate: positioning.GATE_SEQUENCE[Math.floor(linePosition / 6)],
+    line: (linePosition % 6) + 1
+  };
+}
+
+/**
+ * Bisect between two Julian Days to the moment the line position changes
+ * @returns {number} Julian Day just after the change
+ */
+function refineCrossing(body, jdBefore, jdAfter, fromPosition, options) {
+  let a = jdBefore;
+  let b = jdAfter;
+  while (b - a > TOLERANCE_DAYS) {
+    const mid = (a + b) / 2;
+    if (linePositionAt(body, mid, options) === fromPosition) {
+      a = mid;
+    } else {
+      b = mid;
+    }
+  }
+  return b;
+}
+
+/**
+ * Build one ingress event
+ */
+function buildEvent(body, jd, fromPosition, toPosition) {
+  const from = gateLineAt(fromPosition);
+  const to = gateLineAt(toPosition);
+  const forward = (toPosition - fromPosition + positioning.TOTAL_LINES) % positioning.TOTAL_LINES;
+
+  return {
+    body,
+    time: ephemeris.fromJulianDay(jd).toISOString(),
+    from,
+    to,
+    gateChange: from.gate !== to.gate,
+    retrograde: forward > positioning.TOTAL_LINES / 2
+  };
+}
+
+/**
+ * List every line (or gate) ingress for one body
+ */
+function getBodyIngresses(body, startJD, endJD, options) {
+  const step = SCAN_STEP_DAYS[body];
+  const events = [];
+
+  let jd = startJD;
+  let position = linePositionAt(body, jd, options);
+
+  while (jd < endJD) {
+    const nextJD = Math.min(jd + step, endJD);
+    const nextPosition = linePositionAt(body, nextJD, options);
+
+    // Walk every change inside this step (there is at most one in practice)
+    let from = position;
+    let fromJD = jd;
+    while (from !== nextPosition) {
+      const crossingJD = refineCrossing(body, fromJD, nextJD, from, options);
+      const to = linePositionAt(body, crossingJD, options);
+      events.push(buildEvent(body, crossingJD, from, to));
+      from = to;
+      fromJD = crossingJD;
+    }
+
+    jd = nextJD;
+    position = nextPosition;
+  }
+
+  return options.level === 'gate' ? events.filter(e => e.gateChange) : events;
+}
+
+/**
+ * List every gate/line ingress in a date range
+ * @param {Date|number|string} startDate - Range start (UTC)
+ * @param {Date|number|string} endDate - Range end (UTC)
+ * @param {Object} options - { bodies: [...], level: 'line' | 'gate', node: 'true' | 'mean' }
+ * @returns {Array<Object>} [{ body, time, from: { gate, line }, to: { gate, line }, gateChange, retrograde }]
+ *   sorted by time
+ */
+function getIngresses(startDate, endDate, options = {}) {
+  const { bodies = ephemeris.BODIES, level = 'line' } = options;
+
+  const startJD = ephemeris.toJulianDay(startDate);
+  const endJD = ephemeris.toJulianDay(endDate);
+  if (!Number.isFinite(startJD) || !Number.isFinite(endJD)) {
+    throw new Error(`Invalid date range: ${startDate} - ${endDate}`);
+  }
+  if (endJD <= startJD) {
+    throw new Error(`End date must be after start date: ${startDate} - ${endDate}`);
+  }
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Invalid level: ${level} (must be one of ${LEVELS.join(', ')})`);
+  }
+  for (const body of bodies) {
+    if (!ephemeris.BODIES.includes(body)) {
+      throw new Error(`Unknown body: ${body} (must be one of ${ephemeris.BODIES.join(', ')})`);
+    }
+  }
+
+  const events = bodies.flatMap(body => getBodyIngresses(body, startJD, endJD, { ...options, level }));
+  return events.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Get the 13 transit activations for a moment
+ * @param {Date|number|string} date - UTC timestamp
+ * @param {Object} options - { node: 'true' | 'mean' }
+ * @returns {Object} { date, activations } - same shape as one side of a chart
+ */
+function getTransits(date, options = {}) {
+  const moment = new Date(date);
+  if (!Number.isFinite(moment.getTime())) {
+    throw new Error(`Invalid transit date: ${date}`);
+  }
+  return {
+    date: moment.toISOString(),
+    activations: designDate.getActivationSet(moment, options)
+  };
+}
+
+/**
+ * Overlay transits on a natal chart
+ * @param {Object} natal - Chart from createChart()/getChart(), or its activation sets
+ * @param {Date|number|string} date - Transit moment (UTC)
+ * @param {Object} options - { node: 'true' | 'mean' }
+ * @returns {Object} Combined channels and centers, with the temporary ones singled out
+ */
+function getTransitOverlay(natal, date, options = {}) {
+  const natalChart = natal?.definedChannels ? natal : chartModel.createChart(natal);
+  const transits = getTransits(date, options);
+
+  const natalGates = new Set(natalChart.activatedGates);
+  const transitGates = new Set(transits.activations.map(a => a.gate));
+  const sourceOf = gate => {
+    if (natalGates.has(gate) && transitGates.has(gate)) return 'both';
+    return natalGates.has(gate) ? 'natal' : 'transit';
+  };
+
+  const natalChannels = new Set(natalChart.definedChannels.map(ch => ch.channel));
+  const channels = chartModel.getDefinedChannels([...natalGates, ...transitGates]).map(ch => ({
+    ...ch,
+    activatedBy: {
+      [ch.gate1]: sourceOf(ch.gate1),
+      [ch.gate2]: sourceOf(ch.gate2)
+    },
+    temporary: !natalChannels.has(ch.channel)
+  }));
+
+  const definedCenters = chartModel.getDefinedCenters(channels);
+
+  return {
+    date: transits.date,
+    natal: natalChart,
+    transits: transits.activations,
+
+    // Combined structure
+    activatedGates: [...new Set([...natalGates, ...transitGates])].sort((a, b) => a - b),
+    definedChannels: channels,
+    definedCenters,
+    type: chartModel.getType(channels),
+    definition: chartModel.getDefinition(channels),
+
+    // What the transits add
+    temporaryChannels: channels.filter(ch => ch.temporary),
+    temporaryCenters: definedCenters.filter(c => !natalChart.definedCenters.includes(c))
+  };
+}
+
+module.exports = {
+  getIngresses,
+  getTransits,
+  getTransitOverlay,
+
+  // Constants
+  SCAN_STEP_DAYS
+};
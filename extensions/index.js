@@ -0,0 +1,267 @@
+/**
+ * Extensions - Register Custom Knowledge Systems
+ *
+ * Plugs extra knowledge systems (astrology, numerology, ...) into the engine
+ * without patching unified-query-engine.js. A manifest names the system and
+ * carries its mapping file; the mapping is checked with the verification
+ * protocol, indexed once, and merged into getGateKnowledge() output under the
+ * system's own namespace:
+ *
+ *   registerKnowledgeSystem({
+ *     name: 'astrology',          // Namespace in getGateKnowledge() output
+ *     version: '1.0.0',
+ *     level: 'gate',              // 'gate' | 'line' | 'group'
+ *     dependencies: [],           // Systems that must be registered first
+ *     schema: { ... },            // Optional JSON Schema every mapping entry must match
+ *     mapping: { systemName, version, completeness, mappings: [...] }
+ *   });
+ *
+ * Docking levels:
+ * - gate:  { gateNumber, lineNumber: null, knowledge } - one entry per gate
+ * - line:  { gateNumber, lineNumber, knowledge } - merged when a line is requested
+ * - group: { groupName, knowledge } with manifest.groupSystem 'quarters', 'faces'
+ *          or 'trigrams' - every gate in the group receives it
+ *
+ * The namespace holds the docked knowledge, or null where nothing docks.
+ *
+ * @version 1.0.0
+ */
+
+const store = require('../core/store/knowledge-store.js');
+const verification = require('../core/root-system/verification-protocol.js');
+const { RECORD_KEYS } = require('../core/query/query.js');
+
+const LEVELS = ['gate', 'line', 'group'];
+const NAME_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+
+// Registered systems by name, in registration order
+const registry = new Map();
+
+/**
+ * Validate a manifest's fields (the mapping itself is verified separately)
+ */
+function validateManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object') {
+    throw new Error('Knowledge system manifest must be an object');
+  }
+
+  const { name, level, groupSystem, dependencies = [], schema, mapping } = manifest;
+
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid knowledge system name: ${name} (must be camelCase, e.g. "astrology")`);
+  }
+  if (RECORD_KEYS.includes(name)) {
+    throw new Error(`Knowledge system name "${name}" is reserved by the engine`);
+  }
+  if (registry.has(name)) {
+    throw new Error(`Knowledge system "${name}" is already registered`);
+  }
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Invalid docking level: ${level} (must be one of ${LEVELS.join(', ')})`);
+  }
+  if (level === 'group' && !store.GROUP_SYSTEMS.includes(groupSystem)) {
+    throw new Error(`Invalid group system: ${groupSystem} (must be one of ${store.GROUP_SYSTEMS.join(', ')})`);
+  }
+  if (!Array.isArray(dependencies) || dependencies.some(dep => typeof dep !== 'string')) {
+    throw new Error(`Dependencies of "${name}" must be an array of knowledge system names`);
+  }
+
+  const missing = dependencies.filter(dep => !registry.has(dep));
+  if (missing.length > 0) {
+    throw new Error(`Knowledge system "${name}" depends on unregistered systems: ${missing.join(', ')}`);
+  }
+  if (schema !== undefined && (!schema || typeof schema !== 'object')) {
+    throw new Error(`Schema of "${name}" must be a JSON Schema object`);
+  }
+  if (!mapping || typeof mapping !== 'object') {
+    throw new Error(`Knowledge system "${name}" has no mapping`);
+  }
+}
+
+/**
+ * Verify the mapping with the verification protocol and the docking level
+ */
+function verifyMapping(manifest) {
+  const { name, level, groupSystem, schema, mapping } = manifest;
+  const groups = level === 'group' ? store.getGroupNames(groupSystem) : undefined;
+
+  const { passed, results } = verification.verifyKnowledgeSystem(mapping, { silent: true, groups, schema });
+  const errors = [...results.errors];
+
+  if (passed) {
+    mapping.mappings.forEach((entry, index) => {
+      if (level === 'gate' && entry.lineNumber) {
+        errors.push(`Mapping ${index}: Gate-level systems cannot dock at line ${entry.gateNumber}.${entry.lineNumber}`);
+      }
+      if (level === 'line' && !entry.lineNumber) {
+        errors.push(`Mapping ${index}: Line-level systems need a lineNumber (gate ${entry.gateNumber})`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Knowledge system "${name}" failed verification:\n` +
+      errors.map(e => `  ❌ ${e}`).join('\n')
+    );
+  }
+}
+
+/**
+ * Index the mapping by its docking key (runs once, at registration)
+ */
+function indexMapping(manifest) {
+  const index = new Map();
+
+  manifest.mapping.mappings.forEach((entry, i) => {
+    const key = manifest.level === 'group'
+      ? entry.groupName
+      : manifest.level === 'line' ? `${entry.gateNumber}.${entry.lineNumber}` : entry.gateNumber;
+
+    if (index.has(key)) {
+      throw new Error(`Knowledge system "${manifest.name}" docks twice at ${key} (mapping ${i})`);
+    }
+    index.set(key, entry.knowledge);
+  });
+
+  return index;
+}
+
+/**
+ * Register a custom knowledge system
+ * @param {Object} manifest - { name, version, description, level, groupSystem, dependencies, schema, mapping }
+ * @returns {Object} Summary { name, version, description, level, groupSystem, dependencies, mappings }
+ * @throws {Error} If the manifest or mapping is invalid, the name is taken, or a dependency is missing
+ */
+function registerKnowledgeSystem(manifest) {
+  validateManifest(manifest);
+  verifyMapping(manifest);
+
+  const system = {
+    name: manifest.name,
+    version: manifest.version || manifest.mapping.version || null,
+    description: manifest.description || manifest.mapping.description || '',
+    level: manifest.level,
+    groupSystem: manifest.level === 'group' ? manifest.groupSystem : null,
+    dependencies: [...(manifest.dependencies || [])],
+    index: indexMapping(manifest)
+  };
+
+  registry.set(system.name, system);
+  return summarize(system);
+}
+
+/**
+ * Unregister a knowledge system
+ * @param {string} name - System name
+ * @returns {boolean} true if it was registered
+ * @throws {Error} If other registered systems depend on it
+ */
+function unregisterKnowledgeSystem(name) {
+  if (!registry.has(name)) return false;
+
+  const dependents = [...registry.values()]
+    .filter(system => system.dependencies.includes(name))
+    .map(system => system.name);
+  if (dependents.length > 0) {
+    throw new Error(`Cannot unregister "${name}": required by ${dependents.join(', ')}`);
+  }
+
+  return registry.delete(name);
+}
+
+/**
+ * Public shape of a registered system (the index stays private)
+ */
+function summarize(system) {
+  return {
+    name: system.name,
+    version: system.version,
+    description: system.description,
+    level: system.level,
+    groupSystem: system.groupSystem,
+    dependencies: [...system.dependencies],
+    mappings: system.index.size
+  };
+}
+
+/**
+ * Get a registered system's summary
+ * @param {string} name - System name
+ * @returns {Object|null} Summary, or null if not registered
+ */
+function getKnowledgeSystem(name) {
+  const system = registry.get(name);
+  return system ? summarize(system) : null;
+}
+
+/**
+ * List registered systems, in registration order
+ * @returns {Array<Object>} Summaries
+ */
+function listKnowledgeSystems() {
+  return [...registry.values()].map(summarize);
+}
+
+/**
+ * Look up one system's knowledge for a gate or gate line
+ */
+function lookup(system, gateNumber, lineNumber) {
+  if (system.level === 'gate') {
+    return system.index.get(gateNumber) ?? null;
+  }
+  if (system.level === 'line') {
+    return lineNumber ? system.index.get(`${gateNumber}.${lineNumber}`) ?? null : null;
+  }
+
+  const gate = store.getGate(gateNumber);
+  if (system.groupSystem === 'trigrams') {
+    return {
+      upper: system.index.get(gate.trigrams.upper) ?? null,
+      lower: system.index.get(gate.trigrams.lower) ?? null
+    };
+  }
+  const groupName = system.groupSystem === 'quarters' ? gate.quarter : gate.face;
+  return system.index.get(groupName) ?? null;
+}
+
+/**
+ * Get one registered system's knowledge for a gate or gate line
+ * @param {string} name - System name
+ * @param {number} gateNumber - Gate 1-64
+ * @param {number|null} lineNumber - Line 1-6, or null for gate-level only
+ * @returns {*} Docked knowledge, or null where nothing docks
+ * @throws {Error} If the system is not registered or the gate/line is invalid
+ */
+function getExtensionKnowledge(name, gateNumber, lineNumber = null) {
+  const system = registry.get(name);
+  if (!system) {
+    throw new Error(`Knowledge system "${name}" is not registered`);
+  }
+  store.getLine(gateNumber, lineNumber || 1);  // Throws for invalid gates and lines
+  return lookup(system, gateNumber, lineNumber);
+}
+
+/**
+ * Merge every registered system into a getGateKnowledge() record
+ * @param {Object} record - Record from the knowledge store (modified in place)
+ * @returns {Object} The record, with one namespace per registered system
+ */
+function applyExtensions(record) {
+  for (const system of registry.values()) {
+    record[system.name] = lookup(system, record.gate, record.line);
+  }
+  return record;
+}
+
+module.exports = {
+  registerKnowledgeSystem,
+  unregisterKnowledgeSystem,
+  getKnowledgeSystem,
+  listKnowledgeSystems,
+  getExtensionKnowledge,
+  applyExtensions,
+
+  // Constants
+  LEVELS
+};
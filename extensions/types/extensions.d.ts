@@ -0,0 +1,96 @@
+/**
+ * Type definitions for hd-knowledge-engine-v3/extensions (extensions/index.js)
+ *
+ * @version 1.0.0
+ */
+
+/** Where a custom system docks */
+export type DockingLevel = 'gate' | 'line' | 'group';
+
+/** Group systems a group-level system can dock into */
+export type GroupSystem = 'quarters' | 'faces' | 'trigrams';
+
+/** One mapping entry - gate/line systems use gateNumber (and lineNumber), group systems groupName */
+export interface MappingEntry<K = unknown> {
+  gateNumber?: number;
+  lineNumber?: number | null;
+  groupName?: string;
+  knowledge: K;
+}
+
+/** Mapping file, in the shape every built-in knowledge system uses */
+export interface KnowledgeMapping<K = unknown> {
+  systemName: string;
+  version?: string;
+  description?: string;
+  completeness?: string;
+  mappings: Array<MappingEntry<K>>;
+}
+
+/** Manifest passed to registerKnowledgeSystem() */
+export interface KnowledgeSystemManifest<K = unknown> {
+  /** Namespace in getGateKnowledge() output (camelCase, not an engine field) */
+  name: string;
+  version?: string;
+  description?: string;
+  level: DockingLevel;
+  /** Required when level is 'group' */
+  groupSystem?: GroupSystem;
+  /** Systems that must be registered first */
+  dependencies?: string[];
+  /** JSON Schema every mapping entry must match */
+  schema?: object;
+  mapping: KnowledgeMapping<K>;
+}
+
+/** Public summary of a registered system */
+export interface KnowledgeSystemSummary {
+  name: string;
+  version: string | null;
+  description: string;
+  level: DockingLevel;
+  groupSystem: GroupSystem | null;
+  dependencies: string[];
+  /** Number of docked entries */
+  mappings: number;
+}
+
+/** Knowledge docked into a trigram group system (a gate has an upper and a lower trigram) */
+export interface TrigramKnowledge<K = unknown> {
+  upper: K | null;
+  lower: K | null;
+}
+
+/**
+ * Register a custom knowledge system
+ * @throws If the manifest or mapping is invalid, the name is taken, or a dependency is missing
+ */
+export function registerKnowledgeSystem<K = unknown>(manifest: KnowledgeSystemManifest<K>): KnowledgeSystemSummary;
+
+/**
+ * Unregister a knowledge system (true if it was registered)
+ * @throws If other registered systems depend on it
+ */
+export function unregisterKnowledgeSystem(name: string): boolean;
+
+/** A registered system's summary, or null if not registered */
+export function getKnowledgeSystem(name: string): KnowledgeSystemSummary | null;
+
+/** Registered systems, in registration order */
+export function listKnowledgeSystems(): KnowledgeSystemSummary[];
+
+/**
+ * One registered system's knowledge for a gate or gate line (null where nothing docks)
+ * @throws If the system is not registered or the gate/line is invalid
+ */
+export function getExtensionKnowledge<K = unknown>(
+  name: string,
+  gateNumber: number,
+  lineNumber?: number | null
+): K | TrigramKnowledge<K> | null;
+
+/** Merge every registered system into a getGateKnowledge() record (modified in place) */
+export function applyExtensions<R extends { gate: number; line?: number | null }>(record: R): R & Record<string, unknown>;
+
+/** Docking levels a custom system can use */
+export const LEVELS: DockingLevel[];
@@ -61,14 +61,14 @@ function degreeToDay(degree) {
   const daysFromAries = degree / AVG_DEGREES_PER_DAY;
 
   // Add to Aries day (March 20)
-  let dayOfYear = ARIES_0_DAY_OF_YEAR + daysFromAries;
+  let dayOfYear = Math.round(ARIES_0_DAY_OF_YEAR + daysFromAries);
 
-  // Wrap around year
+  // Wrap around year (after rounding - day 365.4 is Dec 31, not day 0)
   if (dayOfYear > 365) {
     dayOfYear -= 365;
   }
 
-  return Math.round(dayOfYear);
+  return dayOfYear;
 }
 
 /**
@@ -0,0 +1,64 @@
+/**
+ * Generate Exact Line Calendar for a Year
+ *
+ * Calculates the actual UTC ingress of the Sun into all 384 lines for one
+ * year, using the embedded ephemeris (core/calendar/line-calendar.js):
+ * - Gate 41.1 starts at 302° (2° Aquarius), ~January 21-22
+ * - Real solar motion (faster near perihelion, slower near aphelion)
+ * - No leap-year drift - every date is calculated for its own year
+ *
+ * Usage: node generate-year-calendar.js [year] [output.json]
+ * Default output: ../mappings/line-calendar-<year>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const lineCalendar = require('../../../core/calendar/line-calendar');
+
+/**
+ * Main execution
+ */
+function main() {
+  const year = process.argv[2] ? parseInt(process.argv[2], 10) : new Date().getUTCFullYear();
+  const outputPath = process.argv[3] ||
+    path.join(__dirname, `../mappings/line-calendar-${year}.json`);
+
+  console.log(`Generating exact 384 line calendar for ${year}...\n`);
+
+  const calendar = lineCalendar.getLineCalendar(year);
+
+  // Same layout as line-calendar-mapping.json, with exact start/end times
+  const output = {
+    systemName: "Line Calendar Mapping",
+    version: "1.0.0",
+    description: `Exact UTC Sun ingress dates for all 384 Human Design lines in ${year}`,
+    source: "Calculated from the embedded ephemeris (core/ephemeris)",
+    notes: {
+      zodiacSystem: "Tropical (0° Aries = March equinox)",
+      startingPoint: `Gate 41.1 at 302° (2° Aquarius) - ${calendar.start}`,
+      sunMotion: "Actual solar longitude, refined to the second",
+      lineSpan: "Each line spans 0.9375° - 22 to 24 hours depending on season",
+      accuracy: "Ingress times within a few minutes (solar longitude to ~0.01°)",
+      year: `Runs from the ${year} Gate 41.1 ingress to the next`
+    },
+    year,
+    start: calendar.start,
+    end: calendar.end,
+    totalLines: calendar.totalLines,
+    lines: calendar.lines
+  };
+
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+
+  console.log(`Generated ${calendar.lines.length} line mappings`);
+  console.log(`Saved to: ${outputPath}\n`);
+
+  // Print sample entries
+  console.log('Gate 41 (Wheel Start - Aquarius):');
+  calendar.lines.filter(l => l.gate === 41).forEach(l => {
+    console.log(`  ${l.gateLineKey}: ${l.start} (${l.durationHours.toFixed(2)}h)`);
+  });
+}
+
+main();
@@ -313,7 +313,7 @@ function generateCrossDefinitions() {
   const definitions = {
     systemName: 'Incarnation Crosses',
     version: '1.0.0',
-    description: 'Cross-centric reference of all 190 incarnation crosses',
+    description: `Cross-centric reference of all ${Object.keys(sourceData.crosses).length} incarnation crosses`,
     totalCrosses: Object.keys(sourceData.crosses).length,
     crossTypes: {
       LAX: 0,
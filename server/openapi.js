@@ -0,0 +1,144 @@
+/**
+ * OpenAPI Document - Generated from the Route Table
+ *
+ * Builds an OpenAPI 3.0 document from server/routes.js entries, so the
+ * published API description cannot drift from the routes actually served.
+ * Paginated routes gain the offset/limit parameters and a list envelope.
+ *
+ * @version 1.0.0
+ */
+
+const OPENAPI_VERSION = '3.0.3';
+
+/**
+ * Parameter object for one route parameter
+ */
+function parameterObject(parameter) {
+  const schema = { type: parameter.type || 'string' };
+  if (parameter.enum) schema.enum = [...parameter.enum];
+  if (parameter.minimum !== undefined) schema.minimum = parameter.minimum;
+  if (parameter.maximum !== undefined) schema.maximum = parameter.maximum;
+  if (parameter.default !== undefined) schema.default = parameter.default;
+
+  return {
+    name: parameter.name,
+    in: parameter.in,
+    required: parameter.in === 'path' || Boolean(parameter.required),
+    description: parameter.description,
+    schema
+  };
+}
+
+/**
+ * Operation id from method and path ("GET /gates/{gate}/lines" → "getGatesGateLines")
+ */
+function operationId(route) {
+  const words = route.path.split('/').filter(Boolean).map(segment => segment.replace(/[{}]/g, ''));
+  return route.method.toLowerCase() + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Operation object for one route
+ */
+function operationObject(route, pagination) {
+  const parameters = (route.parameters || []).map(parameterObject);
+  if (route.paginated) {
+    parameters.push(
+      parameterObject({ name: 'offset', in: 'query', type: 'integer', minimum: 0, default: 0, description: 'Items to skip' }),
+      parameterObject({
+        name: 'limit',
+        in: 'query',
+        type: 'integer',
+        minimum: 1,
+        maximum: pagination.maxLimit,
+        default: pagination.defaultLimit,
+        description: 'Items per page'
+      })
+    );
+  }
+
+  const data = route.paginated ? { type: 'array', items: {} } : {};
+  const properties = route.paginated
+    ? { data, pagination: { $ref: '#/components/schemas/Pagination' } }
+    : { data };
+  const body = route.raw ? { type: 'object' } : { type: 'object', properties };
+  const error = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+
+  const responses = {
+    200: {
+      description: 'OK',
+      headers: { ETag: { description: 'Entity tag of the response body', schema: { type: 'string' } } },
+      content: { 'application/json': { schema: body } }
+    },
+    304: { description: 'Not modified (If-None-Match matched the ETag)' }
+  };
+  if (parameters.length > 0) responses[400] = error('Invalid parameter');
+  if (route.path.includes('{')) responses[404] = error('Unknown resource');
+
+  return {
+    operationId: operationId(route),
+    summary: route.summary,
+    parameters,
+    responses
+  };
+}
+
+/**
+ * Build the OpenAPI document for a route table
+ * @param {Array<Object>} routes - Route table entries
+ * @param {Object} options - { title, version, description, defaultLimit, maxLimit }
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenAPI(routes, options = {}) {
+  const pagination = { defaultLimit: options.defaultLimit || 20, maxLimit: options.maxLimit || 100 };
+
+  const paths = {};
+  for (const route of routes) {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = operationObject(route, pagination);
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: options.title || 'HD Knowledge Engine API',
+      version: options.version || '1.0.0',
+      description: options.description || ''
+    },
+    paths,
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: { status: { type: 'integer' }, message: { type: 'string' } },
+              required: ['status', 'message']
+            }
+          }
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            offset: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            next: { type: 'string', nullable: true },
+            prev: { type: 'string', nullable: true }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenAPI,
+
+  // Constants
+  OPENAPI_VERSION
+};
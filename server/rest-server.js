@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * REST Server - Knowledge Engine over HTTP
+ *
+ * Zero-dependency JSON API for clients that cannot require() the engine
+ * (web and mobile apps). Routes come from server/routes.js; this module adds
+ * the HTTP behaviour every route shares:
+ * - JSON bodies: { data } or, on list routes, { data, pagination }
+ * - Errors as { error: { status, message } } (400 invalid input, 404 unknown
+ *   resource or route, 405 wrong method, 500 anything else)
+ * - Strong ETags with If-None-Match → 304
+ * - offset/limit pagination with next/prev links
+ * - HEAD, OPTIONS and CORS (Access-Control-Allow-Origin: *)
+ * - GET / (route index) and GET /openapi.json (generated from the routes)
+ *
+ * Usage: node server/rest-server.js [port]
+ * Default port: 3000 (or $PORT)
+ *
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const V3Adapter = require('../visualization/core/v3-adapter.js');
+const { ROUTES, httpError } = require('./routes.js');
+const { buildOpenAPI } = require('./openapi.js');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const BASE_HEADERS = {
+  'Content-Type': 'application/json; charset=utf-8',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag'
+};
+
+/**
+ * Compile a route path ("/gates/{gate}") to a matcher
+ */
+function compileRoute(route) {
+  const names = [];
+  const pattern = route.path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { ...route, pattern: new RegExp(`^${pattern}$`), names };
+}
+
+/**
+ * Parse an optional integer query parameter within bounds
+ */
+function parseInteger(value, name, fallback, min, max) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min || number > max) {
+    throw httpError(400, `Invalid ${name}: ${value} (must be integer ${min}-${max})`);
+  }
+  return number;
+}
+
+/**
+ * Link to another page of the same list
+ */
+function pageLink(pathname, query, offset, limit) {
+  const search = new URLSearchParams(query);
+  search.delete('offset');
+  search.delete('limit');
+  search.set('offset', String(offset));
+  search.set('limit', String(limit));
+  return `${pathname}?${search}`;
+}
+
+/**
+ * Slice a list and describe the page
+ */
+function paginate(items, pathname, query, { defaultLimit, maxLimit }) {
+  const offset = parseInteger(query.offset, 'offset', 0, 0, Number.MAX_SAFE_INTEGER);
+  const limit = parseInteger(query.limit, 'limit', defaultLimit, 1, maxLimit);
+  const total = items.length;
+
+  return {
+    data: items.slice(offset, offset + limit),
+    pagination: {
+      offset,
+      limit,
+      total,
+      next: offset + limit < total ? pageLink(pathname, query, offset + limit, limit) : null,
+      prev: offset > 0 ? pageLink(pathname, query, Math.max(0, offset - limit), limit) : null
+    }
+  };
+}
+
+/**
+ * Strong ETag of a response body
+ */
+function etagOf(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+/**
+ * Does an If-None-Match header match an ETag?
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * JSON response with the shared headers
+ */
+function jsonResponse(status, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  return {
+    status,
+    headers: { ...BASE_HEADERS, 'Content-Length': Buffer.byteLength(body), ...headers },
+    body
+  };
+}
+
+/**
+ * Error response
+ */
+function errorResponse(status, message, headers = {}) {
+  return jsonResponse(status, { error: { status, message } }, headers);
+}
+
+/**
+ * Create the request handler (HTTP-independent, so it can be tested and reused)
+ * @param {Object} options - { adapter, defaultLimit, maxLimit, logErrors }
+ * @returns {Object} { routes, openapi, handle(method, url, headers) → { status, headers, body } }
+ */
+function createHandler(options = {}) {
+  const adapter = options.adapter || new V3Adapter({ logErrors: false });
+  const limits = {
+    defaultLimit: options.defaultLimit || DEFAULT_LIMIT,
+    maxLimit: options.maxLimit || MAX_LIMIT
+  };
+  const version = adapter.getVersion();
+
+  const builtIn = [
+    {
+      method: 'GET',
+      path: '/',
+      summary: 'API index',
+      handler: () => ({
+        name: version.name,
+        version: version.version,
+        description: version.description,
+        openapi: '/openapi.json',
+        routes: routes.map(route => ({ method: route.method, path: route.path, summary: route.summary }))
+      })
+    },
+    {
+      method: 'GET',
+      path: '/openapi.json',
+      summary: 'OpenAPI 3.0 description of this API',
+      raw: true,  // The document itself, not wrapped in { data }
+      handler: () => openapi
+    }
+  ];
+
+  const routes = [...builtIn, ...ROUTES];
+  const compiled = routes.map(compileRoute);
+  const openapi = buildOpenAPI(routes, {
+    title: 'HD Knowledge Engine API',
+    version: version.version,
+    description: version.description,
+    ...limits
+  });
+
+  /**
+   * Handle one request
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL (path and query)
+   * @param {Object} headers - Request headers (lower-case names)
+   * @returns {Object} { status, headers, body } (body is '' for 204/304)
+   */
+  function handle(method, url, headers = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url, 'http://localhost');
+    } catch (error) {
+      return errorResponse(400, `Invalid request URL: ${url}`);
+    }
+    const { pathname: rawPath, searchParams } = parsed;
+    const pathname = rawPath.length > 1 ? rawPath.replace(/\/+$/, '') : rawPath;
+
+    const matches = compiled
+      .map(route => ({ route, match: route.pattern.exec(pathname) }))
+      .filter(({ match }) => match);
+
+    if (matches.length === 0) {
+      return errorResponse(404, `Unknown route: ${pathname}`);
+    }
+
+    const allowed = [...new Set(matches.map(({ route }) => route.method)), 'HEAD', 'OPTIONS'].join(', ');
+    if (method === 'OPTIONS') {
+      return {
+        status: 204,
+        headers: { ...BASE_HEADERS, Allow: allowed, 'Access-Control-Allow-Methods': allowed },
+        body: ''
+      };
+    }
+
+    const lookupMethod = method === 'HEAD' ? 'GET' : method;
+    const found = matches.find(({ route }) => route.method === lookupMethod);
+    if (!found) {
+      return errorResponse(405, `Method ${method} not allowed on ${pathname}`, { Allow: allowed });
+    }
+
+    let payload;
+    try {
+      const { route, match } = found;
+      const params = {};
+      route.names.forEach((name, i) => {
+        try {
+          params[name] = decodeURIComponent(match[i + 1]);
+        } catch (error) {
+          throw httpError(400, `Invalid path parameter ${name}: ${match[i + 1]}`);
+        }
+      });
+      const query = Object.fromEntries(searchParams);
+
+      const data = route.handler({ params, query, adapter });
+      if (route.paginated) {
+        payload = paginate(data, pathname, query, limits);
+      } else {
+        payload = route.raw ? data : { data };
+      }
+    } catch (error) {
+      if (error.status) {
+        return errorResponse(error.status, error.message);
+      }
+      if (options.logErrors) {
+        console.error(`Error in ${method} ${url}:`, error.message);
+      }
+      return errorResponse(500, 'Internal server error');
+    }
+
+    const response = jsonResponse(200, payload, { 'Cache-Control': 'no-cache' });
+    response.headers.ETag = etagOf(response.body);
+
+    if (etagMatches(headers['if-none-match'], response.headers.ETag)) {
+      const notModified = { ...response.headers };
+      delete notModified['Content-Type'];
+      delete notModified['Content-Length'];
+      return { status: 304, headers: notModified, body: '' };
+    }
+    return response;
+  }
+
+  return { routes, openapi, handle };
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ * @param {Object} options - See createHandler()
+ * @returns {http.Server} Server - call .listen(port)
+ */
+function createServer(options = {}) {
+  const { handle } = createHandler(options);
+
+  return http.createServer((req, res) => {
+    const response = handle(req.method, req.url, req.headers);
+    res.writeHead(response.status, response.headers);
+    res.end(req.method === 'HEAD' ? undefined : response.body);
+  });
+}
+
+module.exports = {
+  createHandler,
+  createServer,
+
+  // Constants
+  DEFAULT_PORT,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
+
+// CLI
+if (require.main === module) {
+  const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+  const server = createServer({ logErrors: true });
+
+  server.listen(port, () => {
+    console.log(`\n🌐 HD Knowledge Engine API running at http://localhost:${server.address().port}/`);
+    console.log(`📘 OpenAPI document: http://localhost:${server.address().port}/openapi.json`);
+    console.log('\nPress Ctrl+C to stop\n');
+  });
+}
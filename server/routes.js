@@ -0,0 +1,295 @@
+/**
+ * REST Routes - Knowledge Engine Resources
+ *
+ * One table drives the HTTP server, its OpenAPI document and its index:
+ *
+ *   {
+ *     method: 'GET',
+ *     path: '/gates/{gate}',             // {name} segments become params
+ *     summary: '...',
+ *     parameters: [{ name, in: 'path' | 'query', type, required, description, enum }],
+ *     paginated: false,                  // true - handler returns the full list
+ *     handler: ({ params, query, adapter }) => data
+ *   }
+ *
+ * Handlers validate input through V3Adapter, so an invalid gate is a 400
+ * rather than a thrown exception, and report unknown resources as 404s.
+ *
+ * @version 1.0.0
+ */
+
+const store = require('../core/store/knowledge-store.js');
+const systems = require('../core/store/system-loader.js');
+
+const CROSS_DEFINITIONS_FILE = 'mappings/cross-definitions.json';
+const CROSS_TYPES = ['RAX', 'JX', 'LAX'];
+
+/**
+ * Error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message for the client
+ * @returns {Error} Error with .status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Run an input check, turning its error into a 400
+ */
+function validate(check) {
+  try {
+    return check();
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+}
+
+/**
+ * Throw a 404 unless the resource exists
+ */
+function found(resource, kind, name) {
+  if (resource === undefined || resource === null) {
+    throw httpError(404, `Unknown ${kind}: ${name}`);
+  }
+  return resource;
+}
+
+/**
+ * Short form of a gate for list endpoints
+ */
+function gateSummary(gateNumber) {
+  const gate = store.getGate(gateNumber);
+  return {
+    gate: gateNumber,
+    name: gate.humanDesign?.name,
+    ichingName: gate.ichingName?.ichingName,
+    center: gate.center,
+    quarter: gate.quarter,
+    face: gate.face,
+    trigrams: gate.trigrams
+  };
+}
+
+/**
+ * Quarter, face or trigram with its knowledge and gates
+ */
+function groupResource(system, name, adapter) {
+  const knowledge = found(store.getGroupKnowledge(system, name), system.slice(0, -1), name);
+  if (system === 'trigrams') {
+    return {
+      name,
+      knowledge,
+      upperGates: adapter.getGatesWithTrigram(name, 'upper'),
+      lowerGates: adapter.getGatesWithTrigram(name, 'lower')
+    };
+  }
+  const gates = system === 'quarters' ? adapter.getGatesInQuarter(name) : adapter.getGatesInFace(name);
+  return { name, knowledge, gates };
+}
+
+/**
+ * Cross definitions by name
+ */
+function getCrosses() {
+  return systems.getMappingFile('incarnation-crosses', CROSS_DEFINITIONS_FILE).crosses;
+}
+
+const GATE_PARAMETER = { name: 'gate', in: 'path', type: 'integer', required: true, description: 'Gate 1-64' };
+const LINE_PARAMETER = { name: 'line', in: 'path', type: 'integer', required: true, description: 'Line 1-6' };
+
+const ROUTES = [
+  {
+    method: 'GET',
+    path: '/gates',
+    summary: 'List gates, optionally filtered by a query expression',
+    parameters: [
+      { name: 'query', in: 'query', type: 'string', description: 'Query expression, e.g. "quarter:Mutation AND center:Sacral"' }
+    ],
+    paginated: true,
+    handler: ({ query, adapter }) => {
+      const gates = query.query === undefined
+        ? Array.from({ length: 64 }, (_, i) => i + 1)
+        : validate(() => adapter.query(query.query).gates());
+      return gates.map(gateSummary);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/gates/{gate}',
+    summary: 'Unified knowledge for a gate',
+    parameters: [GATE_PARAMETER],
+    handler: ({ params, adapter }) => {
+      const gate = validate(() => adapter.validateGateNumber(params.gate));
+      return adapter.getGateKnowledge(gate);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/gates/{gate}/lines',
+    summary: 'Line knowledge for the six lines of a gate',
+    parameters: [GATE_PARAMETER],
+    paginated: true,
+    handler: ({ params, adapter }) => {
+      const gate = validate(() => adapter.validateGateNumber(params.gate));
+      return [1, 2, 3, 4, 5, 6].map(line => ({
+        gate,
+        line,
+        ...adapter.getGateKnowledge(gate, line).lineKnowledge
+      }));
+    }
+  },
+  {
+    method: 'GET',
+    path: '/gates/{gate}/lines/{line}',
+    summary: 'Unified knowledge for a gate line',
+    parameters: [GATE_PARAMETER, LINE_PARAMETER],
+    handler: ({ params, adapter }) => {
+      const gate = validate(() => adapter.validateGateNumber(params.gate));
+      const line = validate(() => adapter.validateLineNumber(params.line));
+      return adapter.getGateKnowledge(gate, line);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/quarters',
+    summary: 'List the four quarters',
+    paginated: true,
+    handler: ({ adapter }) => store.getGroupNames('quarters').map(name => groupResource('quarters', name, adapter))
+  },
+  {
+    method: 'GET',
+    path: '/quarters/{name}',
+    summary: 'Knowledge and gates of a quarter',
+    parameters: [{ name: 'name', in: 'path', type: 'string', required: true, description: 'Quarter name, e.g. "Mutation"' }],
+    handler: ({ params, adapter }) => groupResource('quarters', params.name, adapter)
+  },
+  {
+    method: 'GET',
+    path: '/faces',
+    summary: 'List the sixteen faces',
+    paginated: true,
+    handler: ({ adapter }) => store.getGroupNames('faces').map(name => groupResource('faces', name, adapter))
+  },
+  {
+    method: 'GET',
+    path: '/faces/{name}',
+    summary: 'Knowledge and gates of a face',
+    parameters: [{ name: 'name', in: 'path', type: 'string', required: true, description: 'Face name, e.g. "Hades"' }],
+    handler: ({ params, adapter }) => groupResource('faces', params.name, adapter)
+  },
+  {
+    method: 'GET',
+    path: '/trigrams',
+    summary: 'List the eight trigrams',
+    paginated: true,
+    handler: ({ adapter }) => store.getGroupNames('trigrams').map(name => groupResource('trigrams', name, adapter))
+  },
+  {
+    method: 'GET',
+    path: '/trigrams/{name}',
+    summary: 'Knowledge of a trigram and the gates holding it above and below',
+    parameters: [{ name: 'name', in: 'path', type: 'string', required: true, description: 'Trigram name, e.g. "Heaven"' }],
+    handler: ({ params, adapter }) => groupResource('trigrams', params.name, adapter)
+  },
+  {
+    method: 'GET',
+    path: '/centers',
+    summary: 'List the nine centers',
+    paginated: true,
+    handler: () => systems.getSystem('centers').mappings.map(center => ({
+      name: center.centerName,
+      type: center.type,
+      gates: [...center.gates]
+    }))
+  },
+  {
+    method: 'GET',
+    path: '/centers/{name}',
+    summary: 'Knowledge and gates of a center',
+    parameters: [{ name: 'name', in: 'path', type: 'string', required: true, description: 'Center name, e.g. "Solar Plexus"' }],
+    handler: ({ params }) => found(store.getCenter(params.name), 'center', params.name)
+  },
+  {
+    method: 'GET',
+    path: '/channels',
+    summary: 'List the channels, optionally those of one gate',
+    parameters: [{ name: 'gate', in: 'query', type: 'integer', description: 'Only channels with this gate' }],
+    paginated: true,
+    handler: ({ query, adapter }) => {
+      const channels = query.gate === undefined
+        ? systems.getSystem('channels').mappings
+        : store.getChannelsForGate(validate(() => adapter.validateGateNumber(query.gate)));
+      return channels.map(channel => ({
+        id: channel.channelNumber,
+        name: channel.knowledge?.name,
+        gates: [channel.gate1, channel.gate2],
+        type: channel.channelType
+      }));
+    }
+  },
+  {
+    method: 'GET',
+    path: '/channels/{id}',
+    summary: 'Knowledge of a channel',
+    parameters: [{ name: 'id', in: 'path', type: 'string', required: true, description: 'Channel id, e.g. "1-8" (either gate order)' }],
+    handler: ({ params }) => {
+      const reversed = params.id.split('-').reverse().join('-');
+      return found(store.getChannel(params.id) || store.getChannel(reversed), 'channel', params.id);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/crosses',
+    summary: 'List the incarnation crosses',
+    parameters: [
+      { name: 'type', in: 'query', type: 'string', enum: CROSS_TYPES, description: 'Cross type' },
+      { name: 'gate', in: 'query', type: 'integer', description: 'Only crosses with this gate' }
+    ],
+    paginated: true,
+    handler: ({ query, adapter }) => {
+      if (query.type !== undefined && !CROSS_TYPES.includes(query.type)) {
+        throw httpError(400, `Invalid cross type: ${query.type} (must be one of ${CROSS_TYPES.join(', ')})`);
+      }
+      const gate = query.gate === undefined ? null : validate(() => adapter.validateGateNumber(query.gate));
+      return Object.entries(getCrosses())
+        .filter(([, cross]) => query.type === undefined || cross.type === query.type)
+        .filter(([, cross]) => gate === null || cross.gates.includes(gate))
+        .map(([name, cross]) => ({ name, ...cross }));
+    }
+  },
+  {
+    method: 'GET',
+    path: '/crosses/{name}',
+    summary: 'Definition of an incarnation cross',
+    parameters: [{ name: 'name', in: 'path', type: 'string', required: true, description: 'Cross name, e.g. "Education 2"' }],
+    handler: ({ params }) => {
+      const crosses = getCrosses();
+      const known = Object.prototype.hasOwnProperty.call(crosses, params.name);
+      const cross = found(known ? crosses[params.name] : undefined, 'cross', params.name);
+      return { name: params.name, ...cross };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/search',
+    summary: 'Ranked full-text search across every knowledge system',
+    parameters: [
+      { name: 'q', in: 'query', type: 'string', required: true, description: 'Search terms plus optional system:/field:/level: qualifiers' }
+    ],
+    paginated: true,
+    handler: ({ query, adapter }) => {
+      if (query.q === undefined) {
+        throw httpError(400, 'Missing required query parameter: q');
+      }
+      return validate(() => adapter.search(query.q));
+    }
+  }
+];
+
+module.exports = {
+  ROUTES,
+  httpError
+};
@@ -0,0 +1,262 @@
+/**
+ * JSON-RPC Methods - Knowledge Engine Tools
+ *
+ * One table drives the stdio JSON-RPC server and its capabilities listing:
+ *
+ *   {
+ *     name: 'getGateKnowledge',
+ *     description: '...',
+ *     params: { type: 'object', properties, required },   // JSON Schema (core/root-system/json-schema.js subset)
+ *     handler: (params, { adapter }) => result
+ *   }
+ *
+ * The server validates params against the schema before calling a handler.
+ * Group names, ring names and themes are schema enums built from the loaded
+ * data, so a client can discover every valid value from "capabilities".
+ *
+ * @version 1.0.0
+ */
+
+const store = require('../core/store/knowledge-store.js');
+const systems = require('../core/store/system-loader.js');
+const extensions = require('../extensions/index.js');
+const renderer = require('../visualization/generators/ring-renderer.js');
+
+// JSON-RPC 2.0 error codes, plus server errors (-32000 to -32099)
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  INVALID_GATE: -32001,
+  INVALID_LINE: -32002
+};
+
+// Params whose validation errors have their own code
+const PARAM_ERROR_CODES = {
+  gate: ERROR_CODES.INVALID_GATE,
+  line: ERROR_CODES.INVALID_LINE
+};
+
+/**
+ * Error carrying a JSON-RPC error code
+ * @param {number} code - One of ERROR_CODES
+ * @param {string} message - Message for the client
+ * @param {*} data - Optional structured detail
+ * @returns {Error} Error with .code (and .data)
+ */
+function rpcError(code, message, data) {
+  const error = new Error(message);
+  error.code = code;
+  if (data !== undefined) error.data = data;
+  return error;
+}
+
+/**
+ * Run a call whose errors mean invalid params
+ */
+function validate(check) {
+  try {
+    return check();
+  } catch (error) {
+    throw rpcError(ERROR_CODES.INVALID_PARAMS, error.message);
+  }
+}
+
+/**
+ * Every name a ring or center piece can be given by (name or Ring Composer alias)
+ */
+function namesOf(registry) {
+  return Object.entries(registry).flatMap(([name, entry]) => [name, entry.alias]);
+}
+
+const RENDER_OPTIONS = {
+  scale: { type: 'number', minimum: 0, maximum: 10, description: 'Multiplies the SVG width and height (default 1)' },
+  theme: { type: 'string', enum: Object.keys(renderer.THEMES), description: 'Color theme (default "dark")' }
+};
+
+/**
+ * Knowledge systems a client can expect in getGateKnowledge() results
+ */
+function knowledgeSystems() {
+  const builtIn = systems.listSystems().map(manifest => ({
+    name: manifest.name,
+    displayName: manifest.displayName,
+    description: manifest.description,
+    version: manifest.version,
+    level: manifest.dockingLevel,
+    field: manifest.recordField || null,
+    entries: manifest.entries,
+    extension: false
+  }));
+  const registered = extensions.listKnowledgeSystems().map(system => ({
+    name: system.name,
+    displayName: system.name,
+    description: system.description,
+    version: system.version,
+    level: system.level,
+    field: system.name,
+    entries: system.mappings,
+    extension: true
+  }));
+  return [...builtIn, ...registered];
+}
+
+const METHODS = [
+  {
+    name: 'getGateKnowledge',
+    description: 'Unified knowledge for a gate, or a gate line',
+    params: {
+      type: 'object',
+      properties: {
+        gate: { type: 'integer', minimum: 1, maximum: 64, description: 'Gate 1-64' },
+        line: { type: 'integer', minimum: 1, maximum: 6, description: 'Line 1-6 (omit for the gate only)' }
+      },
+      required: ['gate'],
+      additionalProperties: false
+    },
+    handler: ({ gate, line }, { adapter }) => adapter.getGateKnowledge(gate, line === undefined ? null : line)
+  },
+  {
+    name: 'search',
+    description: 'Ranked full-text search across every knowledge system',
+    params: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 2, description: 'Search terms plus optional system:/field:/level: qualifiers' },
+        limit: { type: 'integer', minimum: 1, description: 'Most hits to return (default all)' },
+        fuzzy: { type: 'boolean', description: 'Match close typos (default true)' }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    handler: ({ query, limit, fuzzy }, { adapter }) => validate(() => adapter.search(query, { limit, fuzzy }))
+  },
+  {
+    name: 'getGatesInQuarter',
+    description: 'Gates in a quarter',
+    params: {
+      type: 'object',
+      properties: { quarter: { type: 'string', enum: store.getGroupNames('quarters') } },
+      required: ['quarter'],
+      additionalProperties: false
+    },
+    handler: ({ quarter }, { adapter }) => adapter.getGatesInQuarter(quarter)
+  },
+  {
+    name: 'getGatesInFace',
+    description: 'Gates in a face',
+    params: {
+      type: 'object',
+      properties: { face: { type: 'string', enum: store.getGroupNames('faces') } },
+      required: ['face'],
+      additionalProperties: false
+    },
+    handler: ({ face }, { adapter }) => adapter.getGatesInFace(face)
+  },
+  {
+    name: 'getGatesWithTrigram',
+    description: 'Gates holding a trigram as their upper or lower trigram',
+    params: {
+      type: 'object',
+      properties: {
+        trigram: { type: 'string', enum: store.getGroupNames('trigrams') },
+        position: { type: 'string', enum: ['upper', 'lower'], description: 'Default "upper"' }
+      },
+      required: ['trigram'],
+      additionalProperties: false
+    },
+    handler: ({ trigram, position = 'upper' }, { adapter }) => adapter.getGatesWithTrigram(trigram, position)
+  },
+  {
+    name: 'getGatesByCenter',
+    description: 'Gates in a center',
+    params: {
+      type: 'object',
+      properties: { center: { type: 'string', enum: systems.getSystem('centers').mappings.map(c => c.centerName) } },
+      required: ['center'],
+      additionalProperties: false
+    },
+    handler: ({ center }, { adapter }) => adapter.getGatesByCenter(center)
+  },
+  {
+    name: 'renderRing',
+    description: 'SVG of one ring, as its generator draws it',
+    params: {
+      type: 'object',
+      properties: {
+        ring: { type: 'string', enum: namesOf(renderer.RINGS), description: 'Ring name or Ring Composer type' },
+        ...RENDER_OPTIONS
+      },
+      required: ['ring'],
+      additionalProperties: false
+    },
+    handler: ({ ring, scale, theme }) => ({ svg: validate(() => renderer.renderRing(ring, { scale, theme })) })
+  },
+  {
+    name: 'renderWheel',
+    description: 'SVG of a composed wheel (params: a Ring Composer "Copy Config" composition)',
+    params: {
+      type: 'object',
+      properties: {
+        rings: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            anyOf: [
+              { type: 'string', enum: namesOf(renderer.RINGS) },
+              {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: namesOf(renderer.RINGS) },
+                  scale: { type: 'number' },
+                  gapAfter: { type: 'number' }
+                },
+                required: ['type']
+              }
+            ]
+          }
+        },
+        centerPiece: { type: ['string', 'null'], enum: [...namesOf(renderer.CENTER_PIECES), 'none', null] },
+        center: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' } } },
+        startRadius: { type: 'number' },
+        defaultGap: { type: 'number' },
+        exportPadding: { type: 'number' },
+        branding: { type: ['boolean', 'object'] },
+        ...RENDER_OPTIONS
+      }
+    },
+    handler: composition => ({ svg: validate(() => renderer.renderWheel(composition)) })
+  },
+  {
+    name: 'capabilities',
+    description: 'Methods with their parameter schemas, error codes, knowledge systems and renderable rings',
+    params: { type: 'object', properties: {}, additionalProperties: false },
+    handler: (params, { adapter }) => {
+      const version = adapter.getVersion();
+      const renderables = renderer.listRenderables();
+      return {
+        server: { name: version.name, version: version.version },
+        protocol: 'JSON-RPC 2.0',
+        methods: METHODS.map(method => ({
+          name: method.name,
+          description: method.description,
+          params: method.params
+        })),
+        errors: { ...ERROR_CODES },
+        knowledgeSystems: knowledgeSystems(),
+        rings: renderables.rings.map(ring => ({ name: ring.id, alias: ring.alias, title: ring.name })),
+        centerPieces: renderables.centerPieces.map(piece => ({ name: piece.id, alias: piece.alias, title: piece.name })),
+        themes: renderables.themes
+      };
+    }
+  }
+];
+
+module.exports = {
+  METHODS,
+  ERROR_CODES,
+  PARAM_ERROR_CODES,
+  rpcError
+};
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Stdio Server - Knowledge Engine over JSON-RPC 2.0
+ *
+ * For editor plugins and local automation that should not open an HTTP port:
+ * the client starts this process and exchanges newline-delimited JSON-RPC 2.0
+ * messages on stdin/stdout (one request, response or batch per line).
+ * Methods come from server/rpc-methods.js; this module adds what every
+ * method shares:
+ * - Params validated against the method's JSON Schema (named or positional)
+ * - Error codes: -32700 parse error, -32600 invalid request, -32601 unknown
+ *   method, -32602 invalid params, -32603 internal error, -32001 invalid gate,
+ *   -32002 invalid line - with { param, errors } as error.data for params
+ * - Batches and notifications (requests without an id get no response)
+ *
+ * Nothing but responses is written to stdout.
+ *
+ * Usage: node server/stdio-server.js
+ *   {"jsonrpc":"2.0","id":1,"method":"getGateKnowledge","params":{"gate":13,"line":4}}
+ *
+ * @version 1.0.0
+ */
+
+const readline = require('readline');
+const V3Adapter = require('../visualization/core/v3-adapter.js');
+const jsonSchema = require('../core/root-system/json-schema.js');
+const { METHODS, ERROR_CODES, PARAM_ERROR_CODES, rpcError } = require('./rpc-methods.js');
+
+const JSONRPC_VERSION = '2.0';
+
+/**
+ * Success response
+ */
+function resultResponse(id, result) {
+  return { jsonrpc: JSONRPC_VERSION, id, result };
+}
+
+/**
+ * Error response
+ */
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: JSONRPC_VERSION, id, error };
+}
+
+/**
+ * Is this a valid request id? (JSON-RPC allows strings, numbers and null)
+ */
+function isValidId(id) {
+  return id === null || typeof id === 'string' || typeof id === 'number';
+}
+
+/**
+ * Named params from a request's params (positional params follow the schema's property order)
+ */
+function namedParams(method, params) {
+  if (params === undefined) return {};
+  if (!Array.isArray(params)) return params;
+
+  const names = Object.keys(method.params.properties || {});
+  if (params.length > names.length) {
+    throw rpcError(ERROR_CODES.INVALID_PARAMS, `${method.name} takes at most ${names.length} positional params`);
+  }
+  const named = {};
+  params.forEach((value, i) => { named[names[i]] = value; });
+  return named;
+}
+
+/**
+ * Validate params against a method's schema
+ * @throws {Error} rpcError - INVALID_GATE/INVALID_LINE when the first failing param is gate/line
+ */
+function checkParams(method, params) {
+  const errors = jsonSchema.validate(method.params, params);
+  if (errors.length === 0) return;
+
+  const param = errors[0].path.split(/[.[]/)[0] || null;
+  const code = PARAM_ERROR_CODES[param] || ERROR_CODES.INVALID_PARAMS;
+  const message = errors.map(error => `${error.path || 'params'} ${error.message}`).join('; ');
+  throw rpcError(code, `Invalid params for ${method.name}: ${message}`, {
+    param,
+    errors: errors.map(error => ({ ...error }))
+  });
+}
+
+/**
+ * Create the message handler (transport-independent, so it can be tested and reused)
+ * @param {Object} options - { adapter, logErrors }
+ * @returns {Object} { methods, handle(message), handleLine(line) }
+ */
+function createHandler(options = {}) {
+  const adapter = options.adapter || new V3Adapter({ logErrors: false });
+  const methods = new Map(METHODS.map(method => [method.name, method]));
+
+  /**
+   * Handle one request object
+   * @returns {Object|null} Response, or null for notifications
+   */
+  function handleRequest(request) {
+    const isObject = request !== null && typeof request === 'object' && !Array.isArray(request);
+    const id = isObject && isValidId(request.id) ? request.id : null;
+
+    if (!isObject || request.jsonrpc !== JSONRPC_VERSION || typeof request.method !== 'string' ||
+        ('id' in request && !isValidId(request.id)) ||
+        (request.params !== undefined && (request.params === null || typeof request.params !== 'object'))) {
+      return errorResponse(id, ERROR_CODES.INVALID_REQUEST, 'Invalid request: expected { jsonrpc: "2.0", method, params?, id? }');
+    }
+
+    const notification = !('id' in request);
+    let response;
+    try {
+      const method = methods.get(request.method);
+      if (!method) {
+        throw rpcError(ERROR_CODES.METHOD_NOT_FOUND, `Unknown method: ${request.method}`);
+      }
+      const params = namedParams(method, request.params);
+      checkParams(method, params);
+      response = resultResponse(id, method.handler(params, { adapter }));
+    } catch (error) {
+      if (error.code !== undefined && Object.values(ERROR_CODES).includes(error.code)) {
+        response = errorResponse(id, error.code, error.message, error.data);
+      } else {
+        if (options.logErrors) {
+          console.error(`Error in ${request.method}:`, error.message);
+        }
+        response = errorResponse(id, ERROR_CODES.INTERNAL_ERROR, 'Internal error');
+      }
+    }
+    return notification ? null : response;
+  }
+
+  /**
+   * Handle a parsed message (request or batch)
+   * @param {*} message - Parsed JSON
+   * @returns {Object|Array|null} Response(s), or null when nothing is owed
+   */
+  function handle(message) {
+    if (!Array.isArray(message)) {
+      return handleRequest(message);
+    }
+    if (message.length === 0) {
+      return errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Invalid request: empty batch');
+    }
+    const responses = message.map(handleRequest).filter(response => response !== null);
+    return responses.length > 0 ? responses : null;
+  }
+
+  /**
+   * Handle one line of the stdio stream
+   * @param {string} line - Raw JSON text
+   * @returns {string|null} Response line (without newline), or null
+   */
+  function handleLine(line) {
+    if (line.trim() === '') return null;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return JSON.stringify(errorResponse(null, ERROR_CODES.PARSE_ERROR, `Parse error: ${error.message}`));
+    }
+    const response = handle(message);
+    return response === null ? null : JSON.stringify(response);
+  }
+
+  return { methods: [...methods.values()], handle, handleLine };
+}
+
+/**
+ * Serve JSON-RPC over a pair of streams until the input ends
+ * @param {Object} options - { input, output, ... createHandler() options }
+ * @returns {readline.Interface} Line reader - emits 'close' when the input ends
+ */
+function createStdioServer(options = {}) {
+  const { input = process.stdin, output = process.stdout } = options;
+  const { handleLine } = createHandler(options);
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  lines.on('line', line => {
+    const response = handleLine(line);
+    if (response !== null) output.write(`${response}\n`);
+  });
+  return lines;
+}
+
+module.exports = {
+  createHandler,
+  createStdioServer,
+
+  // Constants
+  JSONRPC_VERSION,
+  ERROR_CODES
+};
+
+// CLI
+if (require.main === module) {
+  createStdioServer({ logErrors: true });
+}
@@ -0,0 +1,188 @@
+/**
+ * Bodygraph Chart Mode Tests
+ *
+ * Tests for the chart mode of visualization/generators/bodygraph-generator.js
+ * Verifies:
+ * 1. Defined centers and channel halves colored by side
+ * 2. Planet data attributes and activation columns
+ * 3. Canvas size and accepted chart inputs
+ * 4. Glyph bounds used to place the planet glyphs
+ */
+
+const {
+  generateBodygraph,
+  COLORS,
+  CHART_COLORS,
+  getPathBounds
+} = require('../visualization/generators/bodygraph-generator');
+const { createChart } = require('../core/chart/chart');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+// 23-43 (Personality 23, Design 43) and 1-8 (1 by both sides)
+const chart = createChart({
+  personality: [
+    { body: 'Sun', gate: 23, line: 4 },
+    { body: 'Earth', gate: 1, line: 4 },
+    { body: 'Moon', gate: 8, line: 2 }
+  ],
+  design: [
+    { body: 'Sun', gate: 43, line: 6 },
+    { body: 'Earth', gate: 1, line: 6 },
+    { body: 'North Node', gate: 30, line: 1 }
+  ]
+});
+const svg = generateBodygraph({ chart });
+const template = generateBodygraph();
+
+/**
+ * Opening tag of the element with this id ('' if there is none)
+ */
+function getElement(id) {
+  const match = svg.match(new RegExp(`<[a-z]+\\s+id="${id}"[^>]*>`));
+  return match ? match[0] : '';
+}
+
+/**
+ * Width of an SVG's root element
+ */
+function width(markup) {
+  return parseFloat(markup.match(/<svg[^>]*width="([\d.]+)"/)[1]);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('BODYGRAPH CHART MODE TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. DEFINITION
+// ============================================================================
+console.log('\n1. Definition');
+console.log('─'.repeat(40));
+
+test('Template output is unchanged without a chart', () => {
+  assertTrue(!template.includes('data-activation'));
+  assertTrue(!template.includes('data-is-defined'));
+});
+
+test('Defined centers are filled, undefined centers are not', () => {
+  assertTrue(getElement('SYMBOL_-_CENTRE_-_THROAT').includes('data-is-defined="true"'));
+  assertTrue(getElement('SYMBOL_-_CENTRE_-_THROAT').includes(`fill="${CHART_COLORS.definedCenterFill}"`));
+  assertTrue(getElement('SYMBOL_-_CENTRE_-_SACRAL').includes('data-is-defined="false"'));
+  assertTrue(getElement('SYMBOL_-_CENTRE_-_SACRAL').includes(`fill="${COLORS.centerFill}"`));
+});
+
+test('Channel halves are colored by side', () => {
+  assertTrue(getElement('PATH_-_23').includes(`stroke="${CHART_COLORS.personality}"`));
+  assertTrue(getElement('PATH_-_43').includes(`stroke="${CHART_COLORS.design}"`));
+  assertTrue(getElement('PATH_-_23').includes('data-activation="personality"'));
+  assertTrue(getElement('PATH_-_43').includes('data-activation="design"'));
+});
+
+test('Halves activated by both sides are striped', () => {
+  assertTrue(getElement('PATH_-_1').includes('data-activation="both"'));
+  assertTrue(getElement('PATH_-_1').includes(`stroke="${CHART_COLORS.design}"`));
+  assertTrue(getElement('PATH_-_1_-_STRIPE').includes('stroke-dasharray'));
+  assertEqual(getElement('PATH_-_23_-_STRIPE'), '');
+});
+
+test('Hanging gates color their half without defining the channel', () => {
+  assertTrue(getElement('PATH_-_30').includes('data-activation="design"'));
+  assertTrue(getElement('PATH_-_41').includes(`stroke="${COLORS.channelStroke}"`));
+  assertTrue(/data-channel="30-41"[\s\S]*?data-is-defined="false"/.test(svg));
+  assertTrue(/data-channel="23-43"[\s\S]*?data-is-defined="true"/.test(svg));
+});
+
+// ============================================================================
+// 2. ACTIVATIONS
+// ============================================================================
+console.log('\n2. Activations');
+console.log('─'.repeat(40));
+
+test('Elements record which planets activated them', () => {
+  const gate = getElement('SYMBOL_-_GATE_-_1');
+  assertTrue(gate.includes('data-personality-planets="Earth"'));
+  assertTrue(gate.includes('data-design-planets="Earth"'));
+  assertTrue(getElement('PATH_-_8').includes('data-personality-planets="Moon"'));
+});
+
+test('Activation columns list every activation with its planet', () => {
+  assertTrue(svg.includes('id="GROUP_-_ACTIVATIONS_-_PERSONALITY"'));
+  assertTrue(svg.includes('id="GROUP_-_ACTIVATIONS_-_DESIGN"'));
+  assertEqual((svg.match(/id="ACTIVATION_-_PERSONALITY_-_/g) || []).length, 3);
+  assertEqual((svg.match(/id="ACTIVATION_-_DESIGN_-_/g) || []).length, 3);
+  assertTrue(getElement('ACTIVATION_-_DESIGN_-_Sun').includes('data-gate="43"'));
+  assertTrue(getElement('ACTIVATION_-_DESIGN_-_Sun').includes('data-line="6"'));
+  assertTrue(svg.includes('>43.6</text>'));
+});
+
+// ============================================================================
+// 3. CANVAS AND INPUT
+// ============================================================================
+console.log('\n3. Canvas and Input');
+console.log('─'.repeat(40));
+
+test('Canvas widens for the columns, and not without them', () => {
+  assertTrue(width(svg) > width(template));
+  assertEqual(width(generateBodygraph({ chart, includeActivations: false })), width(template));
+});
+
+test('Raw activation sets render like a chart', () => {
+  const fromSets = generateBodygraph({ chart: { personality: chart.personality, design: chart.design } });
+  assertTrue(fromSets === svg);
+});
+
+// ============================================================================
+// 4. GLYPH BOUNDS
+// ============================================================================
+console.log('\n4. Glyph Bounds');
+console.log('─'.repeat(40));
+
+test('Glyph bounds handle relative commands and arcs', () => {
+  // Circle of radius 10 drawn with two relative arcs
+  const bounds = getPathBounds('M0,0a10,10,0,1,1,20,0a10,10,0,1,1,-20,0Z');
+  assertEqual(Math.round(bounds.width), 20);
+  assertEqual(Math.round(bounds.height), 20);
+  assertEqual(Math.round(bounds.centerX), 10);
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,234 @@
+/**
+ * Chart Model Tests
+ *
+ * Tests for core/chart/chart.js
+ * Verifies:
+ * 1. Defined channels and centers from activated gates
+ * 2. Type and Authority derivation
+ * 3. Profile and Definition
+ * 4. Charts calculated from a birth timestamp
+ * 5. Exposure from the unified query engine
+ */
+
+const chart = require('../core/chart/chart');
+const engine = require('../unified-query-engine');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+const BODIES = ['Sun', 'Earth', 'Moon', 'North Node', 'South Node', 'Mercury', 'Venus'];
+
+/**
+ * Build synthetic activation sets - Sun first, all line 1 unless given
+ */
+function makeSets(personalityGates, designGates, sunLines = [1, 1]) {
+  const toActivations = (gates, sunLine) => gates.map((gate, i) => ({
+    body: BODIES[i],
+    gate,
+    line: i === 0 ? sunLine : 1
+  }));
+  return {
+    personality: toActivations(personalityGates, sunLines[0]),
+    design: toActivations(designGates, sunLines[1])
+  };
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('CHART MODEL TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. CHANNELS AND CENTERS
+// ============================================================================
+console.log('\n1. Channels and Centers');
+console.log('─'.repeat(40));
+
+test('Gate centers come from centers-mappings.json', () => {
+  assertEqual(chart.getCenterForGate(1), 'G');
+  assertEqual(chart.getCenterForGate(34), 'Sacral');
+  assertEqual(chart.getCenterForGate(64), 'Head');
+});
+
+test('A channel is defined only when both gates are activated', () => {
+  assertEqual(chart.getDefinedChannels([1]).length, 0);
+  const defined = chart.getDefinedChannels([1, 8]);
+  assertEqual(defined.length, 1);
+  assertEqual(defined[0].channel, '1-8');
+  assertEqual(defined[0].centers.join(','), 'G,Throat');
+});
+
+test('Defined centers are exactly the centers of defined channels', () => {
+  const defined = chart.getDefinedCenters(chart.getDefinedChannels([1, 8, 64]));
+  assertEqual(defined.join(','), 'Throat,G');
+});
+
+test('Channel halves record which side activated them', () => {
+  const result = chart.createChart(makeSets([1, 8], [8, 2]));
+  const channel = result.definedChannels.find(ch => ch.channel === '1-8');
+  assertEqual(channel.activatedBy[1], 'personality');
+  assertEqual(channel.activatedBy[8], 'both');
+});
+
+test('A channel can be completed across Personality and Design', () => {
+  const result = chart.createChart(makeSets([30], [41]));
+  assertEqual(result.definedChannels.length, 1);
+  assertEqual(result.definedChannels[0].activatedBy[30], 'personality');
+  assertEqual(result.definedChannels[0].activatedBy[41], 'design');
+});
+
+test('Defined and undefined centers together list all 9', () => {
+  const result = chart.createChart(makeSets([5, 15], [2]));
+  assertEqual(result.definedCenters.length + result.undefinedCenters.length, 9);
+});
+
+// ============================================================================
+// 2. TYPE AND AUTHORITY
+// ============================================================================
+console.log('\n2. Type and Authority');
+console.log('─'.repeat(40));
+
+const TYPE_CASES = [
+  { gates: [3, 10], type: 'Reflector', authority: 'Lunar' },
+  { gates: [5, 15], type: 'Generator', authority: 'Sacral' },
+  { gates: [34, 20], type: 'Manifesting Generator', authority: 'Sacral' },
+  { gates: [59, 6, 12, 22], type: 'Manifesting Generator', authority: 'Emotional' },
+  { gates: [21, 45], type: 'Manifestor', authority: 'Ego Manifested' },
+  { gates: [35, 36], type: 'Manifestor', authority: 'Emotional' },
+  { gates: [30, 41], type: 'Projector', authority: 'Emotional' },
+  { gates: [26, 44], type: 'Projector', authority: 'Splenic' },
+  { gates: [25, 51], type: 'Projector', authority: 'Ego Projected' },
+  { gates: [1, 8], type: 'Projector', authority: 'Self-Projected' },
+  { gates: [64, 47, 17, 62], type: 'Projector', authority: 'Mental' }
+];
+
+for (const { gates, type, authority } of TYPE_CASES) {
+  test(`Gates ${gates.join(', ')} → ${type}, ${authority}`, () => {
+    const result = chart.createChart(makeSets(gates, [gates[0]]));
+    assertEqual(result.type, type);
+    assertEqual(result.authority, authority);
+  });
+}
+
+test('Motor reaching the Throat through the G makes a Manifestor', () => {
+  // Heart → G (25-51), G → Throat (1-8)
+  const result = chart.createChart(makeSets([25, 51, 1, 8], [25]));
+  assertEqual(result.type, 'Manifestor');
+  assertEqual(result.authority, 'Ego Manifested');
+});
+
+// ============================================================================
+// 3. PROFILE AND DEFINITION
+// ============================================================================
+console.log('\n3. Profile and Definition');
+console.log('─'.repeat(40));
+
+test('Profile comes from the Personality and Design Sun lines', () => {
+  const result = chart.createChart(makeSets([1], [2], [3, 5]));
+  assertEqual(result.profile, '3/5');
+});
+
+test('No defined centers → no definition', () => {
+  assertEqual(chart.createChart(makeSets([3], [10])).definition, 'None');
+});
+
+test('Single, Split, Triple Split and Quadruple Split', () => {
+  assertEqual(chart.createChart(makeSets([64, 47], [64])).definition, 'Single');
+  assertEqual(chart.createChart(makeSets([64, 47, 18, 58], [64])).definition, 'Split');
+  assertEqual(chart.createChart(makeSets([64, 47, 18, 58, 5], [15])).definition, 'Triple Split');
+  assertEqual(chart.createChart(makeSets([64, 47, 18, 58, 5, 12, 22], [15])).definition, 'Quadruple Split');
+});
+
+test('Two channels sharing a center form one area of definition', () => {
+  const result = chart.createChart(makeSets([64, 47, 17, 62], [64]));
+  assertEqual(result.definition, 'Single');
+  assertEqual(result.definitionGroups.length, 1);
+  assertEqual(result.definitionGroups[0].length, 3);
+});
+
+test('Invalid activations throw', () => {
+  assertThrows(() => chart.createChart({ personality: [{ body: 'Sun', gate: 65, line: 1 }], design: [] }));
+  assertThrows(() => chart.createChart({ personality: [{ body: 'Sun', gate: 1, line: 7 }], design: [{ body: 'Sun', gate: 2, line: 1 }] }));
+  assertThrows(() => chart.createChart({}));
+});
+
+// ============================================================================
+// 4. CHARTS FROM BIRTH DATA
+// ============================================================================
+console.log('\n4. Charts from Birth Data');
+console.log('─'.repeat(40));
+
+test('Ra Uru Hu: Splenic Manifestor, 5/1, Single Definition', () => {
+  const result = chart.getChart('1948-04-09T05:13:00Z');
+  assertEqual(result.type, 'Manifestor');
+  assertEqual(result.authority, 'Splenic');
+  assertEqual(result.profile, '5/1');
+  assertEqual(result.definition, 'Single');
+  assertEqual(result.personality.activations.length + result.design.activations.length, 26);
+});
+
+test('Calculated charts keep both dates', () => {
+  const result = chart.getChart('1948-04-09T05:13:00Z');
+  assertEqual(result.personality.date, '1948-04-09T05:13:00.000Z');
+  assertTrue(result.design.date < result.personality.date);
+});
+
+// ============================================================================
+// 5. ENGINE EXPOSURE
+// ============================================================================
+console.log('\n5. Engine Exposure');
+console.log('─'.repeat(40));
+
+test('getChart and createChart are exported next to getGateKnowledge', () => {
+  assertEqual(typeof engine.getChart, 'function');
+  assertEqual(typeof engine.createChart, 'function');
+  assertEqual(engine.createChart(makeSets([5, 15], [5])).type, 'Generator');
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
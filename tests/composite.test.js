@@ -0,0 +1,177 @@
+/**
+ * Composite Chart Tests
+ *
+ * Tests for core/relationship/composite.js
+ * Verifies:
+ * 1. Channel classification (electromagnetic, companionship, dominance, compromise)
+ * 2. Composite-only centers, Type and Definition
+ * 3. Input validation and engine exposure
+ */
+
+const composite = require('../core/relationship/composite');
+const chart = require('../core/chart/chart');
+const engine = require('../unified-query-engine');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+function channelOf(result, channel) {
+  return result.channels.find(ch => ch.channel === channel);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('COMPOSITE CHART TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. CHANNEL CLASSIFICATION
+// ============================================================================
+console.log('\n1. Channel Classification');
+console.log('─'.repeat(40));
+
+test('Each person bringing one gate → electromagnetic', () => {
+  const result = composite.getCompositeChart([1], [8]);
+  assertEqual(channelOf(result, '1-8').connection, 'electromagnetic');
+  assertEqual(channelOf(result, '1-8').holder, null);
+  assertEqual(result.connections.electromagnetic.join(','), '1-8');
+});
+
+test('Both people with the whole channel → companionship', () => {
+  const result = composite.getCompositeChart([1, 8], [1, 8]);
+  assertEqual(channelOf(result, '1-8').connection, 'companionship');
+});
+
+test('One person with the channel, the other neither gate → dominance', () => {
+  const result = composite.getCompositeChart([5], [1, 8]);
+  assertEqual(channelOf(result, '1-8').connection, 'dominance');
+  assertEqual(channelOf(result, '1-8').holder, 'B');
+});
+
+test('One person with the channel, the other one gate → compromise', () => {
+  const result = composite.getCompositeChart([1, 8], [8]);
+  assertEqual(channelOf(result, '1-8').connection, 'compromise');
+  assertEqual(channelOf(result, '1-8').holder, 'A');
+  assertEqual(channelOf(result, '1-8').gatesB.join(','), '8');
+});
+
+test('Shared hanging gate alone defines nothing', () => {
+  const result = composite.getCompositeChart([1], [1]);
+  assertEqual(result.channels.length, 0);
+  assertEqual(result.type, 'Reflector');
+});
+
+test('Every composite channel gets exactly one class', () => {
+  const a = chart.getChart('1948-04-09T05:13:00Z').activatedGates;
+  const b = chart.getChart('1961-08-05T05:24:00Z').activatedGates;
+  const result = composite.getCompositeChart(a, b);
+  const classified = composite.CONNECTION_TYPES.reduce((n, type) => n + result.connections[type].length, 0);
+  assertEqual(classified, result.channels.length);
+});
+
+// ============================================================================
+// 2. COMPOSITE CENTERS, TYPE AND DEFINITION
+// ============================================================================
+console.log('\n2. Composite Centers, Type and Definition');
+console.log('─'.repeat(40));
+
+test('Centers defined only in the composite are reported', () => {
+  // 34-20 electromagnetic: neither person defines Sacral or Throat alone
+  const result = composite.getCompositeChart([34], [20]);
+  assertEqual(result.compositeOnlyCenters.join(','), 'Throat,Sacral');
+  assertEqual(result.personA.definedCenters.length, 0);
+});
+
+test('Centers one person already defines are not composite-only', () => {
+  // A defines Throat and G (1-8), B defines G and Sacral (2-14)
+  const result = composite.getCompositeChart([1, 8], [2, 14]);
+  assertEqual(result.definedCenters.join(','), 'Throat,G,Sacral');
+  assertEqual(result.compositeOnlyCenters.length, 0);
+});
+
+test('Composite Type and Definition come from the combined channels', () => {
+  const result = composite.getCompositeChart([34], [20]);
+  assertEqual(result.type, 'Manifesting Generator');
+  assertEqual(result.definition, 'Single');
+
+  const split = composite.getCompositeChart([64, 18], [47, 58]);
+  assertEqual(split.definition, 'Split');
+  assertEqual(split.type, 'Projector');
+});
+
+test('Each person is also described on their own', () => {
+  const result = composite.getCompositeChart([1, 8, 3], [60]);
+  assertEqual(result.personA.definedChannels.join(','), '1-8');
+  assertEqual(result.personA.type, 'Projector');
+  assertEqual(result.personB.type, 'Reflector');
+});
+
+// ============================================================================
+// 3. VALIDATION AND ENGINE
+// ============================================================================
+console.log('\n3. Validation and Engine');
+console.log('─'.repeat(40));
+
+test('Duplicate gates are ignored', () => {
+  const result = composite.getCompositeChart([1, 1, 8], [8, 8]);
+  assertEqual(result.personA.gates.join(','), '1,8');
+});
+
+test('Invalid input throws', () => {
+  assertThrows(() => composite.getCompositeChart([65], [1]));
+  assertThrows(() => composite.getCompositeChart([1], null));
+  assertThrows(() => composite.getCompositeChart(['1'], [2]));
+});
+
+test('getCompositeChart is exposed from the unified query engine', () => {
+  assertTrue(typeof engine.getCompositeChart === 'function');
+  assertEqual(engine.getCompositeChart([1], [8]).connections.electromagnetic.length, 1);
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -18,10 +18,9 @@
  * Clockwise: 12 → 1 → 2 → 3 → 4 → 5 → 6...
  */
 
-// These tests run BEFORE implementation (TDD)
-// Uncomment when implementing SESSION-02
+// Wheel angles never move (0° = Gate 41 Line 1); the configuration orients
+// the wheel through visualAngle (degrees from North, counter-clockwise for NWSE).
 
-/*
 const { WheelConfiguration } = require('../../core/root-system/wheel-config.js');
 const positioning = require('../../core/root-system/positioning-algorithm.js');
 
@@ -46,6 +45,17 @@ function assert(condition, message) {
   }
 }
 
+function assertThrows(fn, pattern, message) {
+  let error = null;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  assert(error, message || 'Expected an error');
+  assert(pattern.test(error.message), `Unexpected error: ${error.message.split('\n')[0]}`);
+}
+
 console.log('═'.repeat(80));
 console.log('FUNDAMENTAL CONFIGURATION TESTS');
 console.log('═'.repeat(80));
@@ -85,7 +95,7 @@ test('All gates 1-64 present exactly once', () => {
 
 test('Cardinal progression is valid', () => {
   const config = new WheelConfiguration();
-  const valid = ['NWSE', 'NESW', 'ESWN', 'ENWN', 'SWNE', 'SENW', 'WNES', 'WSEN'];
+  const valid = ['NWSE', 'NESW', 'ESWN', 'ENWS', 'SWNE', 'SENW', 'WNES', 'WSEN'];
 
   assert(
     valid.includes(config.config.cardinalProgression),
@@ -143,16 +153,16 @@ test('North (12 o\'clock) has gates 10|11', () => {
   const pos10 = positioning.getWheelPosition(10, 1);
   const pos11 = positioning.getWheelPosition(11, 1);
 
-  // With NWSE and 33.75° rotation, Gate 10 should be at ~0°
+  // With NWSE and 33.75° rotation, Gate 10 should be at ~0° visually
   assert(
-    Math.abs(pos10.angle - 0) < 1,
-    `Gate 10 should be at ~0° (North), got ${pos10.angle.toFixed(2)}°`
+    Math.abs(pos10.visualAngle - 0) < 1,
+    `Gate 10 should be at ~0° (North), got ${pos10.visualAngle.toFixed(2)}°`
   );
 
   // Gate 11 should be just before 0° (like 359.x°)
   assert(
-    pos11.angle > 354 || pos11.angle < 5,
-    `Gate 11 should be near 0° (North), got ${pos11.angle.toFixed(2)}°`
+    pos11.visualAngle > 354 || pos11.visualAngle < 5,
+    `Gate 11 should be near 0° (North), got ${pos11.visualAngle.toFixed(2)}°`
   );
 });
 
@@ -163,14 +173,14 @@ test('West (9 o\'clock) has gates 25|36', () => {
 
   // With NWSE, Gate 25 should be at ~90° (which is West in counter-clockwise system)
   assert(
-    Math.abs(pos25.angle - 90) < 1,
-    `Gate 25 should be at ~90° (West in NWSE), got ${pos25.angle.toFixed(2)}°`
+    Math.abs(pos25.visualAngle - 90) < 1,
+    `Gate 25 should be at ~90° (West in NWSE), got ${pos25.visualAngle.toFixed(2)}°`
   );
 
   // Gate 36 should be just before 90°
   assert(
-    Math.abs(pos36.angle - 84.375) < 1,
-    `Gate 36 should be near 90° (West), got ${pos36.angle.toFixed(2)}°`
+    Math.abs(pos36.visualAngle - 84.375) < 1,
+    `Gate 36 should be near 90° (West), got ${pos36.visualAngle.toFixed(2)}°`
   );
 });
 
@@ -181,14 +191,14 @@ test('South (6 o\'clock) has gates 15|12', () => {
 
   // Gate 15 should be at ~180°
   assert(
-    Math.abs(pos15.angle - 180) < 1,
-    `Gate 15 should be at ~180° (South), got ${pos15.angle.toFixed(2)}°`
+    Math.abs(pos15.visualAngle - 180) < 1,
+    `Gate 15 should be at ~180° (South), got ${pos15.visualAngle.toFixed(2)}°`
   );
 
   // Gate 12 should be just before 180°
   assert(
-    Math.abs(pos12.angle - 174.375) < 1,
-    `Gate 12 should be near 180° (South), got ${pos12.angle.toFixed(2)}°`
+    Math.abs(pos12.visualAngle - 174.375) < 1,
+    `Gate 12 should be near 180° (South), got ${pos12.visualAngle.toFixed(2)}°`
   );
 });
 
@@ -199,14 +209,14 @@ test('East (3 o\'clock) has gates 46|6', () => {
 
   // With NWSE, Gate 46 should be at ~270° (which is East in counter-clockwise system)
   assert(
-    Math.abs(pos46.angle - 270) < 1,
-    `Gate 46 should be at ~270° (East in NWSE), got ${pos46.angle.toFixed(2)}°`
+    Math.abs(pos46.visualAngle - 270) < 1,
+    `Gate 46 should be at ~270° (East in NWSE), got ${pos46.visualAngle.toFixed(2)}°`
   );
 
   // Gate 6 should be just before 270°
   assert(
-    Math.abs(pos6.angle - 264.375) < 1,
-    `Gate 6 should be near 270° (East), got ${pos6.angle.toFixed(2)}°`
+    Math.abs(pos6.visualAngle - 264.375) < 1,
+    `Gate 6 should be near 270° (East), got ${pos6.visualAngle.toFixed(2)}°`
   );
 });
 
@@ -236,17 +246,17 @@ test('NWSE means counter-clockwise visual movement', () => {
   for (const { gate, expectedAngle, cardinal } of cardinalAngles) {
     const pos = positioning.getWheelPosition(gate, 1);
     assert(
-      Math.abs(pos.angle - expectedAngle) < 1,
-      `${cardinal} (Gate ${gate}) should be at ${expectedAngle}°, got ${pos.angle.toFixed(2)}°`
+      Math.abs(pos.visualAngle - expectedAngle) < 1,
+      `${cardinal} (Gate ${gate}) should be at ${expectedAngle}°, got ${pos.visualAngle.toFixed(2)}°`
     );
 
     if (previousAngle >= 0 && expectedAngle > previousAngle) {
       assert(
-        pos.angle > previousAngle,
+        pos.visualAngle > previousAngle,
         `Angles should increase in counter-clockwise order`
       );
     }
-    previousAngle = pos.angle;
+    previousAngle = pos.visualAngle;
   }
 });
 
@@ -264,15 +274,15 @@ test('Following array sequence moves counter-clockwise on clock face', () => {
 
     if (previousAngle >= 0) {
       // Allow for wrap-around at 360°
-      const increased = pos.angle > previousAngle || (previousAngle > 350 && pos.angle < 10);
+      const increased = pos.visualAngle > previousAngle || (previousAngle > 350 && pos.visualAngle < 10);
       assert(
         increased,
         `Array progression should increase angles (counter-clockwise). ` +
-        `Gate ${gate}: ${pos.angle.toFixed(2)}° should be > ${previousAngle.toFixed(2)}°`
+        `Gate ${gate}: ${pos.visualAngle.toFixed(2)}° should be > ${previousAngle.toFixed(2)}°`
       );
     }
 
-    previousAngle = pos.angle;
+    previousAngle = pos.visualAngle;
   }
 });
 
@@ -358,41 +368,32 @@ console.log('─'.repeat(80));
 console.log();
 
 test('Rejects invalid cardinal progression', () => {
-  try {
+  assertThrows(() => {
     new WheelConfiguration({
       cardinalProgression: 'INVALID'
     });
-    assert(false, 'Should have thrown error for invalid cardinal progression');
-  } catch (error) {
-    assert(true, 'Correctly rejected invalid cardinal progression');
-  }
+  }, /INVALID CARDINAL PROGRESSION/, 'Should have thrown error for invalid cardinal progression');
 });
 
 test('Rejects non-adjacent gates in straddled position', () => {
-  try {
+  assertThrows(() => {
     new WheelConfiguration({
       cardinalProgression: 'NWSE',
       northPosition: '10|25' // Not adjacent in sequence
     });
-    assert(false, 'Should have thrown error for non-adjacent gates');
-  } catch (error) {
-    assert(true, 'Correctly rejected non-adjacent gates in straddle');
-  }
+  }, /not adjacent/, 'Should have thrown error for non-adjacent gates');
 });
 
 test('Rejects sequence with duplicate gates', () => {
-  const invalidSequence = [41, 41, 13, ...]; // Duplicate 41
+  const invalidSequence = [41, ...positioning.GATE_SEQUENCE.slice(1, 63), 41]; // Duplicate 41
 
-  try {
+  assertThrows(() => {
     new WheelConfiguration({
       cardinalProgression: 'NWSE',
       northPosition: '10|11',
       customSequence: invalidSequence
     });
-    assert(false, 'Should have thrown error for duplicate gates');
-  } catch (error) {
-    assert(true, 'Correctly rejected duplicate gates');
-  }
+  }, /duplicate gates/, 'Should have thrown error for duplicate gates');
 });
 
 test('Rejects sequence with missing gates', () => {
@@ -401,16 +402,71 @@ test('Rejects sequence with missing gates', () => {
     i < 41 ? i + 1 : i + 2
   );
 
-  try {
+  assertThrows(() => {
     new WheelConfiguration({
       cardinalProgression: 'NWSE',
       northPosition: '10|11',
       customSequence: invalidSequence
     });
-    assert(false, 'Should have thrown error for missing gates');
-  } catch (error) {
-    assert(true, 'Correctly rejected missing gates');
-  }
+  }, /INVALID SEQUENCE/, 'Should have thrown error for missing gates');
+});
+
+// ============================================================================
+// TEST GROUP 8: Derived Cardinals and Active Configuration
+// ============================================================================
+
+console.log('\nTEST GROUP 8: Derived Cardinals and Active Configuration');
+console.log('─'.repeat(80));
+console.log();
+
+test('Default cardinals are derived from North and the progression', () => {
+  const config = new WheelConfiguration();
+  assert(config.derived.northAngle === 326.25, `North angle should be 326.25°, got ${config.derived.northAngle}°`);
+  assert(config.derived.rotationOffset === 33.75, `Rotation should be 33.75°, got ${config.derived.rotationOffset}°`);
+  assert(config.cardinals.west.gates === '25|36', `West should be 25|36, got ${config.cardinals.west.gates}`);
+  assert(config.cardinals.south.gates === '15|12', `South should be 15|12, got ${config.cardinals.south.gates}`);
+  assert(config.cardinals.east.gates === '46|6', `East should be 46|6, got ${config.cardinals.east.gates}`);
+});
+
+test('NESW mirrors East and West (clockwise)', () => {
+  const config = new WheelConfiguration({ cardinalProgression: 'NESW' });
+  assert(config.derived.visualDirection === 'clockwise', 'NESW should be clockwise');
+  assert(config.cardinals.east.gates === '25|36', `East should be 25|36, got ${config.cardinals.east.gates}`);
+  assert(config.cardinals.west.gates === '46|6', `West should be 46|6, got ${config.cardinals.west.gates}`);
+  assert(config.toVisualAngle(56.25) === 90, 'Gate 25 should be at 90° (East in NESW)');
+});
+
+test('Centered North puts the gate center at 12 o\'clock', () => {
+  const config = new WheelConfiguration({ northPosition: '10' });
+  assert(config.derived.cardinalMode === 'centered', 'Should be centered');
+  assert(config.cardinals.south.gates === '15', `South should be 15, got ${config.cardinals.south.gates}`);
+  assert(config.toVisualAngle(positioning.getWheelPosition(10, 4).angle) === 0, 'Gate 10 line 3.5 should be at 0°');
+});
+
+test('Rejects cardinal positions that disagree with North', () => {
+  new WheelConfiguration({ eastPosition: '6|46', southPosition: '15|12', westPosition: '25|36' });
+  assertThrows(() => {
+    new WheelConfiguration({ eastPosition: '25|36' });
+  }, /Cardinal position mismatch/, 'Should have thrown error for East 25|36 in NWSE');
+});
+
+test('Active configuration re-orients visual angles, not wheel angles', () => {
+  positioning.setConfiguration({ cardinalProgression: 'NESW' });
+  const pos25 = positioning.getWheelPosition(25, 1);
+  positioning.resetConfiguration();
+
+  assert(pos25.angle === 56.25, `Wheel angle must not change, got ${pos25.angle}°`);
+  assert(pos25.visualAngle === 90, `Gate 25 should be at 90° (East in NESW), got ${pos25.visualAngle}°`);
+  assert(positioning.getWheelPosition(25, 1).visualAngle === 90, 'Reset should restore the default');
+});
+
+test('Active configuration rejects custom sequences', () => {
+  const reversed = [...positioning.GATE_SEQUENCE].reverse();
+  new WheelConfiguration({ customSequence: reversed });
+  assertThrows(() => {
+    positioning.setConfiguration({ customSequence: reversed });
+  }, /Custom sequences cannot be activated/, 'Should have thrown error for a custom sequence');
+  assert(positioning.getConfiguration().config.cardinalProgression === 'NWSE', 'Default should stay active');
 });
 
 // ============================================================================
@@ -445,23 +501,3 @@ if (failCount === 0) {
   console.log('Fix the failures before proceeding with implementation.');
   process.exit(1);
 }
-*/
-
-// Placeholder while awaiting SESSION-02 implementation
-console.log('═'.repeat(80));
-console.log('FUNDAMENTAL CONFIGURATION TESTS');
-console.log('═'.repeat(80));
-console.log();
-console.log('⏳ Awaiting SESSION-02 implementation...');
-console.log();
-console.log('These tests will verify:');
-console.log('  1. Configuration structure (3 mandatory fields)');
-console.log('  2. Default NWSE configuration');
-console.log('  3. Visual clock positions (N=12, W=9, S=6, E=3)');
-console.log('  4. Counter-clockwise visual movement');
-console.log('  5. Line-level precision (0.9375° per line)');
-console.log('  6. Configuration variants (all 8 progressions)');
-console.log('  7. Validation (reject invalid configs)');
-console.log();
-console.log('Uncomment test code after implementing WheelConfiguration class.');
-console.log('═'.repeat(80));
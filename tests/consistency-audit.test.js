@@ -0,0 +1,194 @@
+/**
+ * Consistency Audit Tests
+ *
+ * Tests for core/audit/consistency-auditor.js
+ * Verifies:
+ * 1. The shipped knowledge systems have no contradicting facts (fails the suite otherwise)
+ * 2. Injected contradictions are reported as errors, wording differences as warnings
+ * 3. Reports render as JSON and HTML
+ */
+
+const auditor = require('../core/audit/consistency-auditor');
+const systems = require('../core/store/system-loader');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('CONSISTENCY AUDIT TESTS');
+console.log('═'.repeat(60));
+
+// Audit with one mapping file replaced by a modified deep copy
+function auditWith(name, fileName, modify, options = {}) {
+  const copy = JSON.parse(JSON.stringify(systems.getMappingFile(name, fileName)));
+  modify(copy);
+  return auditor.auditConsistency({
+    ...options,
+    getMappingFile: (system, file) =>
+      (system === name && (file || null) === fileName ? copy : systems.getMappingFile(system, file))
+  });
+}
+
+// Discrepancies of one check
+function found(report, check) {
+  return report.discrepancies.filter(d => d.check === check);
+}
+
+// ============================================================================
+// 1. Shipped systems
+// ============================================================================
+console.log('\n1. Shipped systems');
+console.log('─'.repeat(40));
+
+const shipped = auditor.auditConsistency();
+
+test('No duplicated fact contradicts another system', () => {
+  const errors = shipped.discrepancies.filter(d => d.severity === 'error');
+  assertEqual(errors.length, 0, errors.map(d => `${d.check} ${d.subject}: ${d.message}`).join('; '));
+  assertTrue(shipped.passed);
+});
+
+test('Every check runs', () => {
+  assertEqual(shipped.totals.checks, auditor.listChecks().length);
+  assertEqual(shipped.checks.map(c => c.id).join(','), auditor.listChecks().map(c => c.id).join(','));
+});
+
+test('Known wording differences are warnings', () => {
+  const mandala = found(shipped, 'mandala-keywords').find(d => d.subject === 'gate 5');
+  assertTrue(mandala !== undefined && mandala.severity === 'warning', 'Fixed Rhythms vs Fixed Patterns');
+  assertEqual(found(shipped, 'mandala-keywords').some(d => d.subject === 'gate 2'), false, '"The Direction of The Self" is "Direction"');
+  assertEqual(auditor.auditConsistency({ strict: true }).passed, shipped.totals.warnings === 0);
+});
+
+// ============================================================================
+// 2. Injected contradictions
+// ============================================================================
+console.log('\n2. Injected contradictions');
+console.log('─'.repeat(40));
+
+test('A gate moved to another center', () => {
+  const report = auditWith('hd-gates', null, file => {
+    file.mappings.find(m => m.gateNumber === 1).knowledge.center = 'Throat';
+  });
+  assertEqual(report.passed, false);
+  assertEqual(found(report, 'gate-centers').map(d => d.subject).join(','), 'gate 1');
+});
+
+test('A channel that does not exist, and a wrong harmonic gate', () => {
+  const report = auditWith('hd-gates', null, file => {
+    file.mappings.find(m => m.gateNumber === 1).knowledge.channel = '1-2';
+    file.mappings.find(m => m.gateNumber === 2).knowledge.harmonicGate = 15;
+  });
+  assertEqual(found(report, 'gate-channels').filter(d => d.severity === 'error').map(d => d.subject).join(','), 'gate 1,gate 2');
+});
+
+test('Stored trigrams that disagree with the binary', () => {
+  const report = auditWith('iching-names', null, file => {
+    file.mappings.find(m => m.gateNumber === 1).knowledge.trigrams = { upper: 'Earth', lower: 'Heaven' };
+  });
+  assertEqual(found(report, 'iching-trigrams').length, 1);
+  assertTrue(found(report, 'iching-trigrams')[0].message.includes('binary gives Heaven over Heaven'));
+});
+
+test('Gate names that differ between hd-gates and the traditional lines', () => {
+  const report = auditWith('hd-traditional-gates', null, file => {
+    file.mappings.filter(m => m.gateNumber === 13).forEach(m => { m.knowledge.gateName = 'The Listener'; });
+  });
+  const names = found(report, 'gate-names').filter(d => d.subject === 'gate 13');
+  assertEqual(names.length, 1);
+  assertTrue(names[0].message.includes('lines 1, 2, 3, 4, 5, 6'));
+  assertEqual(report.passed, true, 'Wording only warns');
+});
+
+test('Declared cross totals and descriptions', () => {
+  const report = auditWith('incarnation-crosses', 'mappings/cross-definitions.json', file => {
+    file.totalCrosses = 190;
+    file.description = 'Cross-centric reference of all 190 incarnation crosses';
+  });
+  assertEqual(found(report, 'declared-totals').length, 2);
+  assertEqual(report.passed, false);
+});
+
+test('Quarter arcs must follow the wheel', () => {
+  const report = auditWith('quarters', null, file => {
+    const mutation = file.mappings.find(m => m.groupName === 'Mutation');
+    mutation.wheelPosition.startGate = 13;
+    mutation.wheelPosition.endGate = 24;
+  });
+  const arcs = found(report, 'group-patterns');
+  assertEqual(arcs.length, 1);
+  assertTrue(arcs[0].message.includes('wheel gives 1 to 19'), arcs[0].message);
+});
+
+// ============================================================================
+// 3. Reports
+// ============================================================================
+console.log('\n3. Reports');
+console.log('─'.repeat(40));
+
+test('JSON and console reports', () => {
+  const report = auditor.auditConsistency({ checks: ['gate-centers', 'mandala-keywords'] });
+  assertEqual(report.checks.length, 2);
+  assertEqual(JSON.stringify(JSON.parse(JSON.stringify(report))), JSON.stringify(report));
+  assertTrue(auditor.formatReport(report).includes('AUDIT PASSED'));
+  assertThrows(() => auditor.auditConsistency({ checks: ['no-such-check'] }));
+});
+
+test('HTML report escapes its content', () => {
+  const report = auditWith('channels', null, file => {
+    file.mappings[0].knowledge.centerConnection = '<G> to Sacral';
+  }, { checks: ['channel-centers'] });
+  const html = auditor.renderHTML(report);
+  assertTrue(html.startsWith('<!DOCTYPE html>'));
+  assertTrue(html.includes('&lt;G&gt; to Sacral') && !html.includes('<G>'));
+  assertTrue(html.includes('FAILED'));
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
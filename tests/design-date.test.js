@@ -0,0 +1,201 @@
+/**
+ * Design Date Solver Tests
+ *
+ * Tests for core/ephemeris/design-date.js
+ * Verifies:
+ * 1. The solver lands exactly 88° of solar arc before birth
+ * 2. Activation sets are built on the root positioning algorithm
+ * 3. Known reference charts reproduce their Sun/Earth gates and profile
+ */
+
+const designDate = require('../core/ephemeris/design-date');
+const ephemeris = require('../core/ephemeris/ephemeris');
+const positioning = require('../core/root-system/positioning-algorithm');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertAlmostEqual(actual, expected, tolerance = 0.0001, message = '') {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${expected} (±${tolerance}), got ${actual}. Diff: ${Math.abs(actual - expected)}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+function gateLine(activations, body) {
+  const activation = activations.find(a => a.body === body);
+  return `${activation.gate}.${activation.line}`;
+}
+
+/**
+ * Reference charts (birth times converted to UTC)
+ * Sun/Earth gate.line for both sides, as published for each chart.
+ */
+const REFERENCE_CHARTS = [
+  {
+    name: 'Ra Uru Hu (1948-04-09 00:13 EST, Montreal)',
+    birth: '1948-04-09T05:13:00Z',
+    personality: { Sun: '51.5', Earth: '57.5' },
+    design: { Sun: '61.1', Earth: '62.1' },
+    profile: '5/1'
+  },
+  {
+    name: 'Barack Obama (1961-08-04 19:24 HST, Honolulu)',
+    birth: '1961-08-05T05:24:00Z',
+    personality: { Sun: '33.6', Earth: '19.6' },
+    design: { Sun: '2.2', Earth: '1.2' },
+    profile: '6/2'
+  }
+];
+
+console.log('\n' + '═'.repeat(60));
+console.log('DESIGN DATE SOLVER TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. SOLVER
+// ============================================================================
+console.log('\n1. Solver');
+console.log('─'.repeat(40));
+
+test('Design Sun is exactly 88° before the Personality Sun', () => {
+  const births = ['1948-04-09T05:13:00Z', '1977-12-31T23:59:00Z', '2003-07-04T12:00:00Z', '2024-02-29T06:30:00Z'];
+  for (const birth of births) {
+    const design = designDate.getDesignDate(birth);
+    const arc = ephemeris.normalizeDegrees(
+      ephemeris.getLongitude('Sun', birth) - ephemeris.getLongitude('Sun', design)
+    );
+    assertAlmostEqual(arc, 88, 1e-5, birth);
+  }
+});
+
+test('Design date falls 85-93 days before birth', () => {
+  for (let month = 0; month < 12; month++) {
+    const birth = new Date(Date.UTC(1990, month, 15));
+    const days = (birth - designDate.getDesignDate(birth)) / 86400000;
+    assertTrue(days > 85 && days < 93, `${birth.toISOString()}: ${days.toFixed(2)} days`);
+  }
+});
+
+test('88° spans fewer days across perihelion than across aphelion', () => {
+  const perihelion = new Date('1990-03-01T00:00:00Z');
+  const aphelion = new Date('1990-09-01T00:00:00Z');
+  const perihelionDays = (perihelion - designDate.getDesignDate(perihelion)) / 86400000;
+  const aphelionDays = (aphelion - designDate.getDesignDate(aphelion)) / 86400000;
+  assertTrue(perihelionDays < aphelionDays, `perihelion ${perihelionDays.toFixed(2)} vs aphelion ${aphelionDays.toFixed(2)}`);
+});
+
+test('Solver wraps correctly across 0° Aries', () => {
+  // Sun near 40° at birth → design Sun near 312°
+  const birth = '2010-04-30T00:00:00Z';
+  const design = designDate.getDesignDate(birth);
+  assertTrue(ephemeris.getLongitude('Sun', design) > 300);
+});
+
+test('Invalid birth date throws', () => {
+  assertThrows(() => designDate.getActivationSets('not a date'));
+});
+
+// ============================================================================
+// 2. ACTIVATION SETS
+// ============================================================================
+console.log('\n2. Activation Sets');
+console.log('─'.repeat(40));
+
+const sets = designDate.getActivationSets('1948-04-09T05:13:00Z');
+
+test('Returns personality and design sets with 13 activations each', () => {
+  assertEqual(sets.personality.activations.length, 13);
+  assertEqual(sets.design.activations.length, 13);
+  assertEqual(sets.solarArc, 88);
+});
+
+test('Personality date is the birth date', () => {
+  assertEqual(sets.personality.date, '1948-04-09T05:13:00.000Z');
+});
+
+test('Activations carry getWheelPosition fields', () => {
+  for (const a of sets.personality.activations) {
+    const wheel = positioning.getWheelPosition(a.gate, a.line);
+    assertEqual(a.angle, wheel.angle, a.body);
+    assertEqual(a.linePosition, wheel.linePosition, a.body);
+  }
+});
+
+test('Activations carry getDockingData', () => {
+  for (const a of sets.design.activations) {
+    assertEqual(a.docking.gate, a.gate, a.body);
+    assertEqual(a.docking.line, a.line, a.body);
+    assertEqual(a.docking.quarter, positioning.getQuarter(a.gate), a.body);
+  }
+});
+
+// ============================================================================
+// 3. REFERENCE CHARTS
+// ============================================================================
+console.log('\n3. Reference Charts');
+console.log('─'.repeat(40));
+
+for (const chart of REFERENCE_CHARTS) {
+  test(chart.name, () => {
+    const result = designDate.getActivationSets(chart.birth);
+    const p = result.personality.activations;
+    const d = result.design.activations;
+
+    assertEqual(gateLine(p, 'Sun'), chart.personality.Sun, 'Personality Sun');
+    assertEqual(gateLine(p, 'Earth'), chart.personality.Earth, 'Personality Earth');
+    assertEqual(gateLine(d, 'Sun'), chart.design.Sun, 'Design Sun');
+    assertEqual(gateLine(d, 'Earth'), chart.design.Earth, 'Design Earth');
+
+    const profile = `${p.find(a => a.body === 'Sun').line}/${d.find(a => a.body === 'Sun').line}`;
+    assertEqual(profile, chart.profile, 'Profile');
+  });
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
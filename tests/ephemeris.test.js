@@ -0,0 +1,248 @@
+/**
+ * Ephemeris Tests
+ *
+ * Tests for core/ephemeris/ephemeris.js
+ * Verifies:
+ * 1. Time scale helpers (Julian Day, ΔT)
+ * 2. Body longitudes against published reference values
+ * 3. Longitude → gate/line mapping (302° anchor, 0.9375° lines)
+ * 4. Full 13-body activation sets
+ */
+
+const ephemeris = require('../core/ephemeris/ephemeris');
+const positioning = require('../core/root-system/positioning-algorithm');
+const gateZodiac = require('../knowledge-systems/calendar/mappings/gate-zodiac-mapping.json');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertAlmostEqual(actual, expected, tolerance = 0.0001, message = '') {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${expected} (±${tolerance}), got ${actual}. Diff: ${Math.abs(actual - expected)}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+/**
+ * Meeus examples are given in Terrestrial Time - convert to a UTC Date
+ */
+function fromTerrestrialTime(jde) {
+  const year = 2000 + (jde - 2451545) / 365.25;
+  return ephemeris.fromJulianDay(jde - ephemeris.getDeltaT(year) / 86400);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('EPHEMERIS TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. TIME SCALES
+// ============================================================================
+console.log('\n1. Time Scales');
+console.log('─'.repeat(40));
+
+test('J2000.0 is JD 2451545.0', () => {
+  assertEqual(ephemeris.toJulianDay('2000-01-01T12:00:00Z'), 2451545);
+});
+
+test('Julian Day round-trips to the same UTC instant', () => {
+  const date = new Date('1987-04-10T19:21:00Z');
+  assertEqual(ephemeris.fromJulianDay(ephemeris.toJulianDay(date)).getTime(), date.getTime());
+});
+
+test('Accepts Date, epoch milliseconds and ISO strings', () => {
+  const iso = '1992-10-13T00:00:00Z';
+  const jd = ephemeris.toJulianDay(iso);
+  assertEqual(ephemeris.toJulianDay(new Date(iso)), jd);
+  assertEqual(ephemeris.toJulianDay(Date.parse(iso)), jd);
+});
+
+test('Invalid dates throw', () => {
+  assertThrows(() => ephemeris.toJulianDay('not a date'));
+});
+
+test('ΔT is ~64s in 2000 and ~29s in 1950', () => {
+  assertAlmostEqual(ephemeris.getDeltaT(2000), 63.86, 0.5);
+  assertAlmostEqual(ephemeris.getDeltaT(1950), 29.07, 0.5);
+});
+
+// ============================================================================
+// 2. BODY LONGITUDES
+// ============================================================================
+console.log('\n2. Body Longitudes (Meeus reference examples)');
+console.log('─'.repeat(40));
+
+test('Sun: 1992 Oct 13.0 TD apparent λ = 199.90895° (Meeus 25.a)', () => {
+  assertAlmostEqual(ephemeris.getLongitude('Sun', fromTerrestrialTime(2448908.5)), 199.90895, 0.001);
+});
+
+test('Moon: 1992 Apr 12.0 TD apparent λ = 133.167265° (Meeus 47.a)', () => {
+  assertAlmostEqual(ephemeris.getLongitude('Moon', fromTerrestrialTime(2448724.5)), 133.167265, 0.001);
+});
+
+test('Venus: 1992 Dec 20.0 TD apparent λ = 313.08102° (Meeus 33.a)', () => {
+  assertAlmostEqual(ephemeris.getLongitude('Venus', fromTerrestrialTime(2448976.5)), 313.08102, 0.02);
+});
+
+test('Earth is always exactly opposite the Sun', () => {
+  const date = '1975-06-15T08:30:00Z';
+  const diff = ephemeris.normalizeDegrees(
+    ephemeris.getLongitude('Earth', date) - ephemeris.getLongitude('Sun', date)
+  );
+  assertAlmostEqual(diff, 180, 1e-9);
+});
+
+test('South Node is always exactly opposite the North Node', () => {
+  const date = '1975-06-15T08:30:00Z';
+  const diff = ephemeris.normalizeDegrees(
+    ephemeris.getLongitude('South Node', date) - ephemeris.getLongitude('North Node', date)
+  );
+  assertAlmostEqual(diff, 180, 1e-9);
+});
+
+test('True node stays within ~2° of the mean node', () => {
+  for (let year = 1950; year <= 2040; year += 7) {
+    const date = `${year}-03-01T00:00:00Z`;
+    const trueNode = ephemeris.getLongitude('North Node', date);
+    const meanNode = ephemeris.getLongitude('North Node', date, { node: 'mean' });
+    const diff = Math.abs(((trueNode - meanNode + 540) % 360) - 180);
+    assertTrue(diff < 2, `${year}: true/mean differ by ${diff.toFixed(3)}°`);
+  }
+});
+
+test('Outer planets at J2000.0 match published positions within 0.25°', () => {
+  const longitudes = ephemeris.getLongitudes('2000-01-01T12:00:00Z');
+  assertAlmostEqual(longitudes.Mercury, 271.89, 0.25, 'Mercury 1°53\' Capricorn');
+  assertAlmostEqual(longitudes.Mars, 327.96, 0.25, 'Mars 27°58\' Aquarius');
+  assertAlmostEqual(longitudes.Jupiter, 25.25, 0.25, 'Jupiter 25°15\' Aries');
+  assertAlmostEqual(longitudes.Saturn, 40.40, 0.25, 'Saturn 10°24\' Taurus');
+  assertAlmostEqual(longitudes.Uranus, 314.80, 0.25, 'Uranus 14°48\' Aquarius');
+  assertAlmostEqual(longitudes.Neptune, 303.19, 0.25, 'Neptune 3°11\' Aquarius');
+  assertAlmostEqual(longitudes.Pluto, 251.45, 0.25, 'Pluto 11°27\' Sagittarius');
+});
+
+test('Unknown body throws', () => {
+  assertThrows(() => ephemeris.getLongitude('Chiron', '2000-01-01T00:00:00Z'));
+});
+
+// ============================================================================
+// 3. WHEEL MAPPING
+// ============================================================================
+console.log('\n3. Longitude → Gate/Line Mapping');
+console.log('─'.repeat(40));
+
+test('Anchor is read from gate-zodiac-mapping.json (302°)', () => {
+  assertEqual(ephemeris.WHEEL_START_LONGITUDE, 302);
+});
+
+test('302° is Gate 41 line 1', () => {
+  const result = ephemeris.longitudeToGateLine(302);
+  assertEqual(result.gate, 41);
+  assertEqual(result.line, 1);
+  assertEqual(result.linePosition, 0);
+});
+
+test('Just below 302° is Gate 60 line 6', () => {
+  const result = ephemeris.longitudeToGateLine(301.999);
+  assertEqual(result.gate, 60);
+  assertEqual(result.line, 6);
+});
+
+test('Every gate start in gate-zodiac-mapping.json maps to line 1 of that gate', () => {
+  for (const entry of gateZodiac.gates) {
+    const result = ephemeris.longitudeToGateLine(entry.startDegree + 0.0001);
+    assertEqual(result.gate, entry.gate, `at ${entry.startDegree}°`);
+    assertEqual(result.line, 1, `at ${entry.startDegree}°`);
+  }
+});
+
+test('Mapping agrees with positioning.getWheelPosition for all 384 lines', () => {
+  for (const gate of positioning.GATE_SEQUENCE) {
+    for (let line = 1; line <= 6; line++) {
+      const { angle } = positioning.getWheelPosition(gate, line);
+      const result = ephemeris.longitudeToGateLine(302 + angle + positioning.DEGREES_PER_LINE / 2);
+      assertEqual(`${result.gate}.${result.line}`, `${gate}.${line}`);
+    }
+  }
+});
+
+test('Negative and >360° longitudes are normalized', () => {
+  assertEqual(ephemeris.longitudeToGateLine(-58).gate, 41);
+  assertEqual(ephemeris.longitudeToGateLine(662).gate, 41);
+});
+
+// ============================================================================
+// 4. ACTIVATIONS
+// ============================================================================
+console.log('\n4. Activations');
+console.log('─'.repeat(40));
+
+test('Returns 13 activations in body order', () => {
+  const activations = ephemeris.getActivations('2000-01-01T12:00:00Z');
+  assertEqual(activations.length, 13);
+  assertEqual(activations.map(a => a.body).join(','), ephemeris.BODIES.join(','));
+});
+
+test('J2000.0 Sun is in Gate 38 line 1, Earth in Gate 39 line 1', () => {
+  const activations = ephemeris.getActivations('2000-01-01T12:00:00Z');
+  const sun = activations.find(a => a.body === 'Sun');
+  const earth = activations.find(a => a.body === 'Earth');
+  assertEqual(`${sun.gate}.${sun.line}`, '38.1');
+  assertEqual(`${earth.gate}.${earth.line}`, '39.1');
+});
+
+test('Every activation has a valid gate and line', () => {
+  const activations = ephemeris.getActivations('1968-08-21T03:15:00Z');
+  for (const a of activations) {
+    assertTrue(a.gate >= 1 && a.gate <= 64, `${a.body} gate ${a.gate}`);
+    assertTrue(a.line >= 1 && a.line <= 6, `${a.body} line ${a.line}`);
+  }
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,250 @@
+/**
+ * Extensions Tests
+ *
+ * Tests for extensions/index.js
+ * Verifies:
+ * 1. Gate, line and group docking merged into getGateKnowledge()
+ * 2. Verification of manifests and mappings
+ * 3. Dependencies and unregistering
+ */
+
+const extensions = require('../extensions');
+const engine = require('../unified-query-engine');
+const store = require('../core/store/knowledge-store');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('EXTENSIONS TESTS');
+console.log('═'.repeat(60));
+
+// Sample systems
+function gateMapping(gates, knowledgeFor) {
+  return {
+    systemName: 'Sample',
+    version: '1.0.0',
+    completeness: 'partial',
+    mappings: gates.map(gate => ({ gateNumber: gate, lineNumber: null, knowledge: knowledgeFor(gate) }))
+  };
+}
+
+const astrology = {
+  name: 'astrology',
+  version: '1.0.0',
+  level: 'gate',
+  mapping: gateMapping([1, 2, 13], gate => ({ sign: gate === 13 ? 'Aquarius' : 'Scorpio' }))
+};
+
+const numerology = {
+  name: 'numerology',
+  level: 'line',
+  dependencies: ['astrology'],
+  mapping: {
+    systemName: 'Numerology',
+    version: '0.1.0',
+    completeness: 'partial',
+    mappings: [{ gateNumber: 13, lineNumber: 4, knowledge: { number: 17 } }]
+  }
+};
+
+const seasons = {
+  name: 'seasons',
+  level: 'group',
+  groupSystem: 'quarters',
+  mapping: {
+    systemName: 'Seasons',
+    version: '1.0.0',
+    completeness: 'full',
+    mappings: store.getGroupNames('quarters').map((name, i) => ({
+      groupName: name,
+      knowledge: { season: ['Spring', 'Summer', 'Autumn', 'Winter'][i] }
+    }))
+  }
+};
+
+// ============================================================================
+// 1. Docking
+// ============================================================================
+console.log('\n1. Docking');
+console.log('─'.repeat(40));
+
+test('Gate-level system merges under its namespace', () => {
+  const summary = extensions.registerKnowledgeSystem(astrology);
+  assertEqual(summary.mappings, 3);
+  assertEqual(engine.getGateKnowledge(13).astrology.sign, 'Aquarius');
+  assertEqual(engine.getGateKnowledge(13, 4).astrology.sign, 'Aquarius');
+  assertEqual(engine.getGateKnowledge(14).astrology, null, 'Nothing docks at gate 14');
+  assertEqual(engine.getGateKnowledge(13).geneKeys.gift, store.getRecord(13).geneKeys.gift, 'Core knowledge unchanged');
+});
+
+test('Line-level system merges only when a line is requested', () => {
+  extensions.registerKnowledgeSystem(numerology);
+  assertEqual(engine.getGateKnowledge(13, 4).numerology.number, 17);
+  assertEqual(engine.getGateKnowledge(13, 3).numerology, null);
+  assertEqual(engine.getGateKnowledge(13).numerology, null);
+});
+
+test('Group-level system reaches every gate in the group', () => {
+  extensions.registerKnowledgeSystem(seasons);
+  const quarter = store.getGroupNames('quarters')[0];
+  for (const gate of store.getGatesInQuarter(quarter)) {
+    assertEqual(engine.getGateKnowledge(gate).seasons.season, 'Spring', `Gate ${gate}`);
+  }
+  assertEqual(extensions.getExtensionKnowledge('seasons', 13).season !== undefined, true);
+});
+
+test('Trigram groups dock as upper and lower', () => {
+  const names = store.getGroupNames('trigrams');
+  extensions.registerKnowledgeSystem({
+    name: 'elements',
+    level: 'group',
+    groupSystem: 'trigrams',
+    mapping: {
+      systemName: 'Elements',
+      version: '1.0.0',
+      mappings: names.map(name => ({ groupName: name, knowledge: { trigram: name } }))
+    }
+  });
+  const record = engine.getGateKnowledge(1);
+  assertEqual(record.elements.upper.trigram, record.trigrams.upper);
+  assertEqual(record.elements.lower.trigram, record.trigrams.lower);
+  assertTrue(extensions.unregisterKnowledgeSystem('elements'));
+});
+
+test('List and summaries keep the index private', () => {
+  const names = extensions.listKnowledgeSystems().map(s => s.name);
+  assertEqual(names.join(','), 'astrology,numerology,seasons');
+  const summary = extensions.getKnowledgeSystem('numerology');
+  assertEqual(summary.version, '0.1.0', 'Version falls back to the mapping');
+  assertEqual(summary.index, undefined);
+  assertEqual(extensions.getKnowledgeSystem('nobody'), null);
+});
+
+// ============================================================================
+// 2. Verification
+// ============================================================================
+console.log('\n2. Verification');
+console.log('─'.repeat(40));
+
+test('Rejects invalid manifests', () => {
+  assertThrows(() => extensions.registerKnowledgeSystem(null));
+  assertThrows(() => extensions.registerKnowledgeSystem({ ...astrology }), 'Already registered');
+  assertThrows(() => extensions.registerKnowledgeSystem({ ...astrology, name: 'geneKeys' }), 'Reserved name');
+  assertThrows(() => extensions.registerKnowledgeSystem({ ...astrology, name: 'Bad Name' }));
+  assertThrows(() => extensions.registerKnowledgeSystem({ ...astrology, name: 'other', level: 'planet' }));
+  assertThrows(() => extensions.registerKnowledgeSystem({ ...seasons, name: 'other', groupSystem: 'centers' }));
+});
+
+test('Rejects mappings that fail verification', () => {
+  let message = '';
+  try {
+    extensions.registerKnowledgeSystem({ name: 'broken', level: 'gate', mapping: gateMapping([65], () => ({})) });
+  } catch (error) {
+    message = error.message;
+  }
+  assertTrue(message.includes('failed verification') && message.includes('Invalid gate number 65'), message);
+
+  assertThrows(() => extensions.registerKnowledgeSystem({
+    name: 'broken', level: 'gate', mapping: { systemName: 'Broken', version: '1.0.0' }
+  }), 'No mappings array');
+  assertThrows(() => extensions.registerKnowledgeSystem({
+    name: 'broken', level: 'line', mapping: gateMapping([1], () => ({}))
+  }), 'Line-level entries need a line');
+  assertThrows(() => extensions.registerKnowledgeSystem({
+    name: 'broken', level: 'gate', mapping: gateMapping([1, 1], () => ({}))
+  }), 'Docks twice at gate 1');
+  assertThrows(() => extensions.registerKnowledgeSystem({
+    name: 'broken', level: 'group', groupSystem: 'faces',
+    mapping: { systemName: 'Broken', version: '1.0.0', mappings: [{ groupName: 'Nobody', knowledge: {} }] }
+  }), 'Unknown group');
+  assertThrows(() => extensions.registerKnowledgeSystem({
+    ...seasons, name: 'broken', mapping: { ...seasons.mapping, mappings: seasons.mapping.mappings.slice(1) }
+  }), 'Claims full but misses a quarter');
+  assertThrows(() => extensions.registerKnowledgeSystem({
+    ...astrology, name: 'broken',
+    schema: { properties: { knowledge: { properties: { sign: { enum: ['Aries'] } } } } }
+  }), 'Fails its schema');
+  assertEqual(extensions.getKnowledgeSystem('broken'), null, 'Nothing registered on failure');
+});
+
+test('Invalid gates still throw through the engine', () => {
+  assertThrows(() => engine.getGateKnowledge(65));
+  assertThrows(() => extensions.getExtensionKnowledge('astrology', 13, 7));
+  assertThrows(() => extensions.getExtensionKnowledge('nobody', 13));
+});
+
+// ============================================================================
+// 3. Dependencies
+// ============================================================================
+console.log('\n3. Dependencies');
+console.log('─'.repeat(40));
+
+test('Dependencies must be registered first', () => {
+  assertThrows(() => extensions.registerKnowledgeSystem({ ...numerology, name: 'tarot', dependencies: ['kabbalah'] }));
+  assertThrows(() => extensions.registerKnowledgeSystem({ ...numerology, name: 'tarot', dependencies: 'astrology' }));
+});
+
+test('Cannot unregister a system others depend on', () => {
+  assertThrows(() => extensions.unregisterKnowledgeSystem('astrology'));
+  assertTrue(extensions.unregisterKnowledgeSystem('numerology'));
+  assertTrue(extensions.unregisterKnowledgeSystem('astrology'));
+  assertEqual(extensions.unregisterKnowledgeSystem('astrology'), false, 'Already gone');
+});
+
+test('Unregistered namespaces leave the record', () => {
+  assertTrue(engine.unregisterKnowledgeSystem('seasons'));
+  const record = engine.getGateKnowledge(13, 4);
+  assertEqual('astrology' in record || 'numerology' in record || 'seasons' in record, false);
+  assertEqual(engine.listKnowledgeSystems().length, 0);
+  assertEqual(JSON.stringify(record), JSON.stringify(store.getRecord(13, 4)));
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,284 @@
+/**
+ * hd CLI Tests
+ *
+ * Tests for cli/hd.js, cli/commands.js and cli/formatters.js
+ * Verifies:
+ * 1. json, table, markdown and csv output
+ * 2. Argument parsing, help and invalid input
+ * 3. Lookups, search and queries match the engine and the REST resources
+ * 4. Rendering, verify/audit exit statuses and the hd binary itself
+ */
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hd = require('../cli/hd');
+const commands = require('../cli/commands');
+const formatters = require('../cli/formatters');
+const engine = require('../unified-query-engine');
+const V3Adapter = require('../visualization/core/v3-adapter');
+const renderer = require('../visualization/generators/ring-renderer');
+const systems = require('../core/store/system-loader');
+const auditor = require('../core/audit/consistency-auditor');
+
+const HD_BIN = path.join(__dirname, '..', 'cli', 'hd.js');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('HD CLI TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. Formatters
+// ============================================================================
+console.log('\n1. Formatters');
+console.log('─'.repeat(40));
+
+const SAMPLE = [
+  { gate: 13, name: 'The Listener', keys: { shadow: 'Discord' }, centers: ['G'] },
+  { gate: 7, name: 'Role, "Self"', keys: { shadow: 'Division' }, centers: ['G', 'Throat'] }
+];
+
+test('Arrays of objects become rows with dot-path columns', () => {
+  const { columns, rows } = formatters.toRows(SAMPLE);
+  assertEqual(columns.join(','), 'gate,name,keys.shadow,centers');
+  assertEqual(rows[1].join('|'), '7|Role, "Self"|Division|G, Throat');
+});
+
+test('Objects become field/value rows', () => {
+  const { columns, rows } = formatters.toRows({ gate: 13, geneKeys: { gift: 'Discernment' } });
+  assertEqual(columns.join(','), 'field,value');
+  assertEqual(rows[1].join('='), 'geneKeys.gift=Discernment');
+});
+
+test('Table columns are aligned', () => {
+  const lines = formatters.format(SAMPLE, 'table').split('\n');
+  assertEqual(lines.length, 4);
+  assertEqual(lines[0].indexOf('name'), lines[2].indexOf('The Listener'));
+  assertTrue(/^-+ {2}-+/.test(lines[1]));
+});
+
+test('Markdown tables escape pipes', () => {
+  const text = formatters.format([{ a: 'x|y' }], 'markdown');
+  assertEqual(text, '| a |\n| --- |\n| x\\|y |');
+});
+
+test('CSV quotes commas, quotes and newlines', () => {
+  const text = formatters.format([{ a: 'plain', b: 'Role, "Self"', c: 'two\nlines' }], 'csv');
+  assertEqual(text, 'a,b,c\nplain,"Role, ""Self""","two\nlines"');
+});
+
+test('Empty lists keep their header', () => {
+  assertEqual(formatters.format([], 'csv', { columns: ['check', 'message'] }), 'check,message');
+  assertEqual(formatters.format([], 'json'), '[]');
+});
+
+test('Unknown formats throw', () => {
+  assertThrows(() => formatters.format(SAMPLE, 'xml'));
+});
+
+// ============================================================================
+// 2. Arguments
+// ============================================================================
+console.log('\n2. Arguments');
+console.log('─'.repeat(40));
+
+test('Options take values, flags do not', () => {
+  const { positionals, options } = hd.parseArgs(['audit', '--strict', '--format', 'csv', '--check=gate-channels']);
+  assertEqual(positionals.join(','), 'audit');
+  assertEqual(options.strict, true);
+  assertEqual(options.format, 'csv');
+  assertEqual(options.check, 'gate-channels');
+});
+
+test('"--" ends the options', () => {
+  assertEqual(hd.parseArgs(['query', '--', '--not-an-option']).positionals[1], '--not-an-option');
+});
+
+test('Options missing a value are invalid input', () => {
+  const result = hd.run(['gate', '13', '--format']);
+  assertEqual(result.status, hd.EXIT_INVALID);
+  assertTrue(result.stderr.startsWith('hd: '));
+});
+
+test('Help lists every command', () => {
+  const result = hd.run([]);
+  assertEqual(result.status, hd.EXIT_OK);
+  commands.COMMANDS.forEach(command => assertTrue(result.stdout.includes(`  ${command.name} `), command.name));
+  assertTrue(hd.run(['help', 'render']).stdout.includes('render ring <name>'));
+});
+
+test('Unknown commands and formats are invalid input', () => {
+  assertEqual(hd.run(['bogus']).status, hd.EXIT_INVALID);
+  assertEqual(hd.run(['gate', '13', '--format', 'xml']).status, hd.EXIT_INVALID);
+});
+
+test('Internal errors exit 3 and are not reported as invalid input', () => {
+  const adapter = new V3Adapter({ logErrors: false });
+  adapter.getGateKnowledge = () => { throw new TypeError('broken adapter'); };
+  const result = hd.run(['gate', '13'], { adapter });
+  assertEqual(result.status, hd.EXIT_INTERNAL);
+  assertTrue(result.stderr.startsWith('hd: internal error: TypeError: broken adapter'));
+  assertEqual(hd.run(['gate', '99'], { adapter }).status, hd.EXIT_INVALID);
+});
+
+// ============================================================================
+// 3. Lookups
+// ============================================================================
+console.log('\n3. Lookups');
+console.log('─'.repeat(40));
+
+test('gate prints JSON by default with no banners', () => {
+  const result = hd.run(['gate', '13']);
+  assertEqual(result.status, hd.EXIT_OK);
+  assertEqual(JSON.parse(result.stdout).geneKeys.shadow, engine.getGateKnowledge(13).geneKeys.shadow);
+});
+
+test('Invalid gates are invalid input', () => {
+  const result = hd.run(['gate', '99']);
+  assertEqual(result.status, hd.EXIT_INVALID);
+  assertEqual(result.stdout, '');
+  assertTrue(result.stderr.includes('99'));
+});
+
+test('line accepts "13 4" and "13.4"', () => {
+  assertEqual(hd.run(['line', '13', '4']).stdout, hd.run(['line', '13.4']).stdout);
+  assertEqual(JSON.parse(hd.run(['line', '13.4']).stdout).line, 4);
+});
+
+test('search returns one row per hit', () => {
+  const rows = JSON.parse(hd.run(['search', 'courage', '--limit', '3']).stdout);
+  assertEqual(rows.length, 3);
+  assertTrue(!rows[0].snippet.includes('<mark>'), 'snippets are plain text');
+  assertEqual(hd.run(['search', 'courage', '--limit', '0']).status, hd.EXIT_INVALID);
+});
+
+test('query returns summary fields, or --select fields', () => {
+  const csv = hd.run(['query', 'quarter:Mutation AND center:Sacral', '--format', 'csv']).stdout.trim().split('\n');
+  assertEqual(csv[0], 'gate,humanDesign.name,quarter,center');
+  assertEqual(csv.slice(1).map(line => line.split(',')[0]).join(','), '5,9,14,34');
+
+  const selected = JSON.parse(hd.run(['query', 'exaltation:Venus', '--select', 'lineKnowledge.lineKeynote']).stdout);
+  assertEqual(Object.keys(selected[0]).join(','), 'gate,line,lineKnowledge.lineKeynote');
+  assertEqual(hd.run(['query', 'quarter:Mutation AND']).status, hd.EXIT_INVALID);
+  assertEqual(hd.run(['query', 'quarter:Mutation', '--select', 'bogus']).status, hd.EXIT_INVALID);
+});
+
+test('center, channel and cross match the REST resources', () => {
+  assertEqual(JSON.parse(hd.run(['center', 'Solar', 'Plexus']).stdout).centerName, 'Solar Plexus');
+  assertEqual(JSON.parse(hd.run(['center']).stdout).length, 9);
+  assertEqual(JSON.parse(hd.run(['channel', '8-1']).stdout).channelNumber, '1-8');
+  assertEqual(JSON.parse(hd.run(['channel', '--gate', '13']).stdout)[0].id, '13-33');
+  const crosses = JSON.parse(hd.run(['cross', '--type', 'JX', '--gate', '13']).stdout);
+  assertTrue(crosses.length > 0 && crosses.every(cross => cross.type === 'JX' && cross.gates.includes(13)));
+  assertEqual(hd.run(['cross', 'No', 'Such', 'Cross']).status, hd.EXIT_INVALID);
+  assertEqual(hd.run(['cross', 'constructor']).status, hd.EXIT_INVALID);
+  assertEqual(hd.run(['cross', '--type', 'XX']).status, hd.EXIT_INVALID);
+});
+
+// ============================================================================
+// 4. Rendering and Checks
+// ============================================================================
+console.log('\n4. Rendering and Checks');
+console.log('─'.repeat(40));
+
+test('render ring writes the SVG as-is', () => {
+  const result = hd.run(['render', 'ring', 'genekeys', '--theme', 'light', '--format', 'csv']);
+  assertEqual(result.status, hd.EXIT_OK);
+  assertEqual(result.stdout, renderer.renderRing('gene-keys', { theme: 'light' }) + '\n');
+  assertEqual(hd.run(['render', 'ring', 'planets']).status, hd.EXIT_INVALID);
+  assertEqual(hd.run(['render', 'ring', 'constructor']).status, hd.EXIT_INVALID);
+  assertEqual(hd.run(['render', 'ring', 'numbers', '--theme', 'toString']).status, hd.EXIT_INVALID);
+});
+
+test('render wheel reads a composition file', () => {
+  const file = path.join(os.tmpdir(), `hd-cli-wheel-${process.pid}.json`);
+  const composition = { rings: ['numbers', 'hexagrams'], centerPiece: 'none' };
+  fs.writeFileSync(file, JSON.stringify(composition));
+  try {
+    const result = hd.run(['render', 'wheel', file, '--scale', '0.5']);
+    assertEqual(result.status, hd.EXIT_OK);
+    assertEqual(result.stdout, renderer.renderWheel({ ...composition, scale: 0.5 }) + '\n');
+  } finally {
+    fs.unlinkSync(file);
+  }
+  assertEqual(hd.run(['render', 'wheel', path.join(os.tmpdir(), 'hd-cli-missing.json')]).status, hd.EXIT_INVALID);
+});
+
+test('verify reports every system and passes', () => {
+  const result = hd.run(['verify', '--format', 'csv']);
+  assertEqual(result.status, hd.EXIT_OK);
+  assertEqual(result.stdout.trim().split('\n').length, 1 + systems.getSystemNames().length);
+  assertEqual(hd.run(['verify', 'no-such-system']).status, hd.EXIT_INVALID);
+});
+
+test('audit exits 1 only when checks fail', () => {
+  const report = auditor.auditConsistency();
+  const result = hd.run(['audit']);
+  assertEqual(result.status, report.passed ? hd.EXIT_OK : hd.EXIT_FAILED);
+  assertEqual(JSON.parse(result.stdout).length, report.discrepancies.length);
+  const strict = auditor.auditConsistency({ strict: true });
+  assertEqual(hd.run(['audit', '--strict']).status, strict.passed ? hd.EXIT_OK : hd.EXIT_FAILED);
+  assertEqual(hd.run(['audit', '--check', 'bogus']).status, hd.EXIT_INVALID);
+});
+
+test('The hd binary writes to stdout and sets the exit status', () => {
+  const ok = childProcess.spawnSync(process.execPath, [HD_BIN, 'gate', '1', '--format', 'csv'], { encoding: 'utf8' });
+  assertEqual(ok.status, 0);
+  assertTrue(ok.stdout.startsWith('field,value\ngate,1\n'));
+  const invalid = childProcess.spawnSync(process.execPath, [HD_BIN, 'gate', '65'], { encoding: 'utf8' });
+  assertEqual(invalid.status, 2);
+  assertTrue(invalid.stderr.startsWith('hd: '));
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
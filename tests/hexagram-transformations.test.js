@@ -0,0 +1,173 @@
+/**
+ * Hexagram Transformation Tests
+ *
+ * Tests for core/iching/hexagram-transformations.js
+ * Verifies:
+ * 1. Changing lines (single and multiple)
+ * 2. Nuclear, inverse and complementary hexagrams
+ * 3. Casting with 6/7/8/9 values
+ * 4. The 384-entry "line leads to" table
+ */
+
+const hexagrams = require('../core/iching/hexagram-transformations');
+const positioning = require('../core/root-system/positioning-algorithm');
+const engine = require('../unified-query-engine');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('HEXAGRAM TRANSFORMATION TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. CHANGING LINES
+// ============================================================================
+console.log('\n1. Changing lines');
+console.log('─'.repeat(40));
+
+test('Changing line 1 of the Creative gives Coming to Meet (44)', () => {
+  const result = hexagrams.changeLine(1, 1);
+  assertEqual(result.gate, 44);
+  assertEqual(result.binary, '011111');
+  assertEqual(result.changedLines.join(','), '1');
+  assertEqual(result.knowledge.ichingName.ichingName, 'Coming to Meet');
+});
+
+test('Results carry the wheel angle and unified knowledge', () => {
+  const result = hexagrams.changeLine(13, 4);
+  assertEqual(result.angle, positioning.getWheelPosition(result.gate, 1).angle);
+  assertEqual(JSON.stringify(result.knowledge), JSON.stringify(engine.getGateKnowledge(result.gate)));
+});
+
+test('Changing the same lines twice returns to the start', () => {
+  for (let gate = 1; gate <= 64; gate++) {
+    const there = hexagrams.changeLines(gate, [2, 5]);
+    assertEqual(hexagrams.changeLines(there.gate, [5, 2]).gate, gate, `gate ${gate}`);
+  }
+});
+
+test('Invalid gates and lines throw', () => {
+  assertThrows(() => hexagrams.changeLine(65, 1));
+  assertThrows(() => hexagrams.changeLine(1, 7));
+  assertThrows(() => hexagrams.changeLines(1, []));
+  assertThrows(() => hexagrams.changeLines(1, [3, 3]));
+});
+
+// ============================================================================
+// 2. NUCLEAR, INVERSE, COMPLEMENTARY
+// ============================================================================
+console.log('\n2. Nuclear, inverse, complementary');
+console.log('─'.repeat(40));
+
+test('Nuclear hexagrams', () => {
+  assertEqual(hexagrams.getNuclearHexagram(1).gate, 1);
+  assertEqual(hexagrams.getNuclearHexagram(3).gate, 23);   // Difficulty at the Beginning -> Splitting Apart
+  assertEqual(hexagrams.getNuclearHexagram(63).gate, 64);  // After Completion -> Before Completion
+});
+
+test('Inverse hexagrams turn the figure upside down', () => {
+  assertEqual(hexagrams.getInverseHexagram(3).gate, 4);
+  assertEqual(hexagrams.getInverseHexagram(11).gate, 12);
+  assertEqual(hexagrams.getInverseHexagram(1).gate, 1);  // Symmetric
+});
+
+test('Complementary matches getOppositeGate for every gate', () => {
+  for (let gate = 1; gate <= 64; gate++) {
+    assertEqual(hexagrams.getComplementaryHexagram(gate).gate, positioning.getOppositeGate(gate), `gate ${gate}`);
+  }
+});
+
+// ============================================================================
+// 3. CASTING
+// ============================================================================
+console.log('\n3. Casting');
+console.log('─'.repeat(40));
+
+test('Old lines change, young lines hold', () => {
+  const cast = hexagrams.castHexagram([9, 7, 7, 7, 7, 6]);
+  assertEqual(cast.primary.binary, '111110');
+  assertEqual(cast.changingLines.join(','), '1,6');
+  assertEqual(cast.relating.binary, '011111');
+  assertEqual(cast.relating.from, cast.primary.gate);
+});
+
+test('A cast without changing lines has no relating hexagram', () => {
+  const cast = hexagrams.castHexagram([7, 8, 7, 8, 7, 8]);
+  assertEqual(cast.primary.gate, 63);
+  assertEqual(cast.relating, null);
+  assertThrows(() => hexagrams.castHexagram([7, 8, 7]));
+  assertThrows(() => hexagrams.castHexagram([7, 8, 7, 8, 7, 5]));
+});
+
+// ============================================================================
+// 4. LINE LEADS TO
+// ============================================================================
+console.log('\n4. Line leads to');
+console.log('─'.repeat(40));
+
+test('Table covers all 384 lines and agrees with changeLine', () => {
+  const table = hexagrams.getLineLeadsToTable();
+  assertEqual(table.length, 384);
+  table.forEach(entry => {
+    assertEqual(entry.leadsTo, hexagrams.changeLine(entry.gate, entry.line).gate, `${entry.gate}.${entry.line}`);
+  });
+});
+
+test('Entries carry the angles of both lines', () => {
+  const entry = engine.getLineLeadsTo(1, 1);
+  assertEqual(entry.leadsTo, 44);
+  assertEqual(entry.angle, positioning.getWheelPosition(1, 1).angle);
+  assertEqual(entry.leadsToAngle, positioning.getWheelPosition(44, 1).angle);
+  entry.leadsTo = 0;
+  assertEqual(engine.getLineLeadsTo(1, 1).leadsTo, 44, 'Entries are copies');
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,193 @@
+/**
+ * Incarnation Cross Resolver Tests
+ *
+ * Tests for core/chart/incarnation-cross.js
+ * Verifies:
+ * 1. Profile → cross angle
+ * 2. Cross lookup from activations
+ * 3. Data-quality reporting when gates disagree with the definitions
+ * 4. Reference charts and engine exposure
+ */
+
+const incarnationCross = require('../core/chart/incarnation-cross');
+const chart = require('../core/chart/chart');
+const engine = require('../unified-query-engine');
+const crossDefinitions = require('../knowledge-systems/incarnation-crosses/mappings/cross-definitions.json');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+/**
+ * Build Sun/Earth activations for both sides
+ */
+function makeActivations([ps, pe, ds, de], [personalityLine, designLine]) {
+  return {
+    personality: [
+      { body: 'Sun', gate: ps, line: personalityLine },
+      { body: 'Earth', gate: pe, line: personalityLine }
+    ],
+    design: [
+      { body: 'Sun', gate: ds, line: designLine },
+      { body: 'Earth', gate: de, line: designLine }
+    ]
+  };
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('INCARNATION CROSS RESOLVER TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. ANGLES
+// ============================================================================
+console.log('\n1. Angles');
+console.log('─'.repeat(40));
+
+test('Seven Right Angle, one Juxtaposition and four Left Angle profiles', () => {
+  const angles = Object.values(incarnationCross.PROFILE_ANGLES);
+  assertEqual(angles.filter(a => a === 'RAX').length, 7);
+  assertEqual(angles.filter(a => a === 'JX').length, 1);
+  assertEqual(angles.filter(a => a === 'LAX').length, 4);
+});
+
+test('4/1 is the only Juxtaposition profile', () => {
+  assertEqual(incarnationCross.getCrossAngle('4/1'), 'JX');
+  assertEqual(incarnationCross.getCrossAngle('4/6'), 'RAX');
+  assertEqual(incarnationCross.getCrossAngle('5/1'), 'LAX');
+});
+
+test('Impossible profiles throw', () => {
+  assertThrows(() => incarnationCross.getCrossAngle('1/1'));
+  assertThrows(() => incarnationCross.getCrossAngle('6/4'));
+});
+
+// ============================================================================
+// 2. LOOKUP
+// ============================================================================
+console.log('\n2. Lookup');
+console.log('─'.repeat(40));
+
+test('Every defined cross resolves to itself', () => {
+  const sampleLines = { RAX: [1, 3], JX: [4, 1], LAX: [5, 1] };
+  for (const [name, cross] of Object.entries(crossDefinitions.crosses)) {
+    const result = incarnationCross.getIncarnationCross(makeActivations(
+      [cross.personalitySun, cross.personalityEarth, cross.designSun, cross.designEarth],
+      sampleLines[cross.type]
+    ));
+    assertEqual(result.name, name, `${cross.type} ${cross.personalitySun}`);
+    assertTrue(result.matched, name);
+  }
+});
+
+test('Returns the full record with gate roles', () => {
+  const result = incarnationCross.getIncarnationCross(makeActivations([1, 2, 7, 13], [1, 3]));
+  assertEqual(result.fullName, 'Right Angle Cross of The Sphinx 4');
+  assertEqual(result.gates.join(','), '1,2,7,13');
+  assertEqual(result.gateRoles[7], 'Design Sun');
+  assertEqual(result.definition.gateRoles[13], 'Design Earth');
+});
+
+test('Accepts a chart from createChart()', () => {
+  const model = chart.createChart(makeActivations([51, 57, 61, 62], [5, 1]));
+  assertEqual(incarnationCross.getIncarnationCross(model).fullName, 'Left Angle Cross of Clarion');
+});
+
+test('Missing Sun or Earth throws', () => {
+  assertThrows(() => incarnationCross.getIncarnationCross({
+    personality: [{ body: 'Sun', gate: 1, line: 1 }],
+    design: [{ body: 'Sun', gate: 7, line: 3 }, { body: 'Earth', gate: 13, line: 3 }]
+  }));
+  assertThrows(() => incarnationCross.getIncarnationCross({}));
+});
+
+// ============================================================================
+// 3. DATA-QUALITY REPORT
+// ============================================================================
+console.log('\n3. Data-Quality Report');
+console.log('─'.repeat(40));
+
+test('Gates that disagree with the definition are reported by role', () => {
+  // The Sphinx 4 lists Design 7/13 - swap them
+  const result = incarnationCross.getIncarnationCross(makeActivations([1, 2, 13, 7], [1, 3]));
+  assertEqual(result.matched, false);
+  assertEqual(result.name, 'The Sphinx 4');
+  assertEqual(result.issues.length, 2);
+  assertEqual(result.issues[0].role, 'Design Sun');
+  assertEqual(result.issues[0].expected, 7);
+  assertEqual(result.issues[0].actual, 13);
+});
+
+test('Candidates list defined crosses of other angles with the same gates', () => {
+  // Clarion (LAX) and Shock (JX) share 51/57 - 61/62
+  const result = incarnationCross.getIncarnationCross(makeActivations([51, 57, 61, 62], [1, 3]));
+  assertEqual(result.type, 'RAX');
+  assertEqual(result.matched, false);
+  assertEqual(result.candidates.map(c => c.name).sort().join(','), 'Clarion,Shock');
+});
+
+// ============================================================================
+// 4. REFERENCE CHARTS
+// ============================================================================
+console.log('\n4. Reference Charts');
+console.log('─'.repeat(40));
+
+test('Ra Uru Hu: Left Angle Cross of Clarion', () => {
+  const result = incarnationCross.getIncarnationCross(chart.getChart('1948-04-09T05:13:00Z'));
+  assertEqual(result.fullName, 'Left Angle Cross of Clarion');
+  assertTrue(result.matched);
+});
+
+test('Barack Obama: Left Angle Cross of Refinement', () => {
+  const result = engine.getIncarnationCross(chart.getChart('1961-08-05T05:24:00Z'));
+  assertEqual(result.fullName, 'Left Angle Cross of Refinement');
+  assertEqual(result.profile, '6/2');
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
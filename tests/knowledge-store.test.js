@@ -0,0 +1,171 @@
+/**
+ * Knowledge Store Tests
+ *
+ * Tests for core/store/knowledge-store.js
+ * Verifies:
+ * 1. Gate and gate-line records
+ * 2. Group, center and channel indexes
+ * 3. Engine and adapter use the store
+ */
+
+const store = require('../core/store/knowledge-store');
+const positioning = require('../core/root-system/positioning-algorithm');
+const engine = require('../unified-query-engine');
+const V3Adapter = require('../visualization/core/v3-adapter');
+const channels = require('../knowledge-systems/channels/mappings/channels-mappings.json');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('KNOWLEDGE STORE TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. GATE AND LINE RECORDS
+// ============================================================================
+console.log('\n1. Gate and Line Records');
+console.log('─'.repeat(40));
+
+test('Gate record carries the calculated foundation', () => {
+  const record = store.getGate(13);
+  const docking = positioning.getDockingData(13, 1);
+  assertEqual(record.binary, docking.binary);
+  assertEqual(record.quarter, docking.quarter);
+  assertEqual(record.trigrams.upper, docking.trigrams.upper);
+  assertEqual(record.center, 'G');
+});
+
+test('Gate record carries knowledge from every gate-level system', () => {
+  const record = store.getGate(13);
+  assertEqual(record.geneKeys.gift, 'Discernment');
+  assertTrue(record.humanDesign !== undefined);
+  assertTrue(record.codonRing !== undefined);
+  assertEqual(record.channels.map(ch => ch.channelNumber).join(','), '13-33');
+});
+
+test('All 384 lines are indexed with their wheel angle', () => {
+  let count = 0;
+  for (let gate = 1; gate <= 64; gate++) {
+    for (let line = 1; line <= 6; line++) {
+      const record = store.getLine(gate, line);
+      assertEqual(record.angle, positioning.getWheelPosition(gate, line).angle);
+      if (record.knowledge) count++;
+    }
+  }
+  assertEqual(count, 384);
+});
+
+test('Out-of-range gates and lines throw the positioning error', () => {
+  assertThrows(() => store.getGate(0));
+  assertThrows(() => store.getGate(65));
+  assertThrows(() => store.getLine(1, 7));
+});
+
+// ============================================================================
+// 2. GROUP, CENTER AND CHANNEL INDEXES
+// ============================================================================
+console.log('\n2. Group, Center and Channel Indexes');
+console.log('─'.repeat(40));
+
+test('Quarters partition the 64 gates', () => {
+  const total = store.getGroupNames('quarters')
+    .reduce((n, quarter) => n + store.getGatesInQuarter(quarter).length, 0);
+  assertEqual(total, 64);
+  assertEqual(store.getGatesInQuarter('Mutation').length, 16);
+});
+
+test('Unknown groups return empty lists', () => {
+  assertEqual(store.getGatesInFace('Nobody').length, 0);
+  assertEqual(store.getGatesWithTrigram('Heaven', 'middle').length, 0);
+  assertEqual(store.getGatesByCenter('Nowhere').length, 0);
+  assertThrows(() => store.getGroupNames('seasons'));
+});
+
+test('Returned gate lists are copies', () => {
+  store.getGatesByCenter('G').push(99);
+  store.getGatesInQuarter('Mutation').length = 0;
+  assertEqual(store.getGatesByCenter('G').includes(99), false);
+  assertEqual(store.getGatesInQuarter('Mutation').length, 16);
+});
+
+test('Channels are indexed by id and by gate', () => {
+  assertEqual(store.getChannel('1-8').knowledge.name, 'Inspiration');
+  const total = [...Array(64)].reduce((n, _, i) => n + store.getChannelsForGate(i + 1).length, 0);
+  assertEqual(total, channels.mappings.length * 2);
+  assertEqual(store.getCenter('Sacral').gates.length, 9);
+});
+
+// ============================================================================
+// 3. ENGINE AND ADAPTER
+// ============================================================================
+console.log('\n3. Engine and Adapter');
+console.log('─'.repeat(40));
+
+test('Engine gate queries come from the store', () => {
+  const knowledge = engine.getGateKnowledge(13, 4);
+  assertEqual(knowledge.geneKeys, store.getGate(13).geneKeys);
+  assertEqual(knowledge.lineKnowledge, store.getLine(13, 4).knowledge);
+  assertEqual(knowledge.angle, store.getLine(13, 4).angle);
+});
+
+test('Mutating a query result does not touch the index', () => {
+  engine.getGateKnowledge(1).trigrams.upper = 'Changed';
+  assertTrue(store.getGate(1).trigrams.upper !== 'Changed');
+});
+
+test('V3Adapter group lookups match the engine', () => {
+  const adapter = new V3Adapter({ logErrors: false });
+  assertEqual(adapter.getGatesInQuarter('Duality').join(','), engine.getGatesInQuarter('Duality').join(','));
+  assertEqual(adapter.getGatesByCenter('Root').join(','), engine.getGatesByCenter('Root').join(','));
+  assertThrows(() => adapter.getGatesInQuarter('Winter'));
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,213 @@
+/**
+ * Exact Line Calendar Tests
+ *
+ * Tests for core/calendar/line-calendar.js and the year option of calendar-ring.js
+ * Verifies:
+ * 1. A year calendar covers all 384 lines, contiguously, in wheel order
+ * 2. getLineForDate / getDatesForLine agree with the ephemeris
+ * 3. Year-specific calendar ring
+ */
+
+const lineCalendar = require('../core/calendar/line-calendar');
+const ephemeris = require('../core/ephemeris/ephemeris');
+const calendarRing = require('../visualization/generators/calendar-ring');
+const engine = require('../unified-query-engine');
+const averaged = require('../knowledge-systems/calendar/mappings/line-calendar-mapping.json');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+/**
+ * Gate.line of the Sun at a moment
+ */
+function sunGateLine(date) {
+  const position = ephemeris.longitudeToGateLine(ephemeris.getLongitude('Sun', date));
+  return `${position.gate}.${position.line}`;
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('EXACT LINE CALENDAR TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. YEAR CALENDAR
+// ============================================================================
+console.log('\n1. Year Calendar');
+console.log('─'.repeat(40));
+
+const calendar2026 = lineCalendar.getLineCalendar(2026);
+
+test('384 lines in wheel order, starting at 41.1', () => {
+  assertEqual(calendar2026.lines.length, 384);
+  calendar2026.lines.forEach((entry, i) => {
+    assertEqual(entry.absoluteLinePosition, i, entry.gateLineKey);
+  });
+  assertEqual(calendar2026.lines[0].gateLineKey, '41.1');
+});
+
+test('Lines are contiguous and the year spans one tropical year', () => {
+  for (let i = 1; i < calendar2026.lines.length; i++) {
+    assertEqual(calendar2026.lines[i].start, calendar2026.lines[i - 1].end, calendar2026.lines[i].gateLineKey);
+  }
+  const days = (new Date(calendar2026.end) - new Date(calendar2026.start)) / 86400000;
+  assertTrue(Math.abs(days - 365.2422) < 0.01, `${days}`);
+});
+
+test('Lines last longer near aphelion (July) than near perihelion (January)', () => {
+  const byMonth = month => calendar2026.lines.filter(l => l.calendar.month === month).map(l => l.durationHours);
+  assertTrue(Math.min(...byMonth(7)) > Math.max(...byMonth(1)));
+});
+
+test('Dates stay within a few days of the averaged mapping', () => {
+  for (const entry of calendar2026.lines) {
+    const approx = averaged.lines.find(l => l.gateLineKey === entry.gateLineKey);
+    const approxDate = Date.UTC(2026, approx.calendar.month - 1, approx.calendar.day);
+    const exactDate = Date.UTC(2026, entry.calendar.month - 1, entry.calendar.day);
+    const days = Math.abs(exactDate - approxDate) / 86400000;
+    assertTrue(days <= 4 || days >= 360, `${entry.gateLineKey}: ${days} days`);
+  }
+});
+
+test('Invalid years throw', () => {
+  assertThrows(() => lineCalendar.getLineCalendar(2026.5));
+  assertThrows(() => lineCalendar.getLineCalendar('2026'));
+});
+
+test('Years 0-99 are not read as 1900-1999', () => {
+  assertTrue(lineCalendar.getLineCalendar(50).start.startsWith('0050-01-'));
+  assertTrue(lineCalendar.getDatesForLine(41, 1, 50)[0].start.startsWith('0050-01-'));
+});
+
+test('A year with no 41.1 ingress in January throws', () => {
+  let message = null;
+  try {
+    lineCalendar.getLineCalendar(20000);
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'No Sun ingress into 41.1 found in January 20000');
+});
+
+// ============================================================================
+// 2. LOOKUPS
+// ============================================================================
+console.log('\n2. Lookups');
+console.log('─'.repeat(40));
+
+test('getLineForDate brackets the moment and matches the ephemeris', () => {
+  const moment = '2026-10-19T12:00:00Z';
+  const entry = lineCalendar.getLineForDate(moment);
+  assertEqual(entry.gateLineKey, sunGateLine(moment));
+  assertTrue(entry.start <= new Date(moment).toISOString() && new Date(moment).toISOString() < entry.end);
+});
+
+test('Ingress times hold to the second', () => {
+  for (const entry of calendar2026.lines.filter((l, i) => i % 48 === 0)) {
+    const start = new Date(entry.start).getTime();
+    assertEqual(sunGateLine(new Date(start + 1000)), entry.gateLineKey);
+    assertTrue(sunGateLine(new Date(start - 1000)) !== entry.gateLineKey, entry.gateLineKey);
+  }
+});
+
+test('getDatesForLine agrees with the year calendar', () => {
+  const periods = lineCalendar.getDatesForLine(13, 4, 2026);
+  const entry = calendar2026.lines.find(l => l.gateLineKey === '13.4');
+  assertEqual(periods.length, 1);
+  assertEqual(Math.abs(new Date(periods[0].start) - new Date(entry.start)) < 2000, true);
+});
+
+test('The line held on 1 January is returned for the year it overlaps', () => {
+  const newYear = lineCalendar.getLineForDate('2026-01-01T00:00:00Z');
+  const periods = lineCalendar.getDatesForLine(newYear.gate, newYear.line, 2026);
+  assertTrue(periods.length >= 1);
+  assertTrue(periods[0].start < '2026-01-01T00:00:00.000Z');
+});
+
+test('Lookups are exposed from the unified query engine', () => {
+  assertEqual(engine.getLineForDate('2026-10-19T12:00:00Z').gateLineKey, sunGateLine('2026-10-19T12:00:00Z'));
+  assertEqual(engine.getDatesForLine(13, 4, 2026).length, 1);
+});
+
+test('Invalid gate or line throws', () => {
+  assertThrows(() => lineCalendar.getDatesForLine(65, 1, 2026));
+  assertThrows(() => lineCalendar.getDatesForLine(1, 7, 2026));
+  assertThrows(() => lineCalendar.getLineForDate('not a date'));
+});
+
+// ============================================================================
+// 3. YEAR-SPECIFIC RING
+// ============================================================================
+console.log('\n3. Year-Specific Ring');
+console.log('─'.repeat(40));
+
+test('Default ring has no year data', () => {
+  const svg = calendarRing.generateCalendarRing();
+  assertEqual(svg.includes('data-start'), false);
+  assertEqual(svg.includes('data-year'), false);
+});
+
+test('Year ring carries exact dates on all 384 chops', () => {
+  const svg = calendarRing.generateCalendarRing({ year: 2026 });
+  assertEqual((svg.match(/data-start="/g) || []).length, 384);
+  assertTrue(svg.includes('data-year="2026"'));
+  assertTrue(svg.includes(`id="41.1" data-start="${calendar2026.lines[0].start}"`));
+});
+
+test('Year months sit at the Sun position on the 1st', () => {
+  const months = calendarRing.getMonthsForYear(2026);
+  assertEqual(months.length, 12);
+  assertEqual(months[0].startDegree, ephemeris.getLongitude('Sun', new Date(Date.UTC(2026, 0, 1))));
+  months.forEach((month, i) => {
+    const diff = Math.abs(((month.startDegree - calendarRing.MONTHS[i].startDegree + 540) % 360) - 180);
+    assertTrue(diff < 2, `${month.name}: ${diff.toFixed(2)}°`);
+  });
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,193 @@
+/**
+ * Penta Analysis Tests
+ *
+ * Tests for core/relationship/penta.js and visualization/generators/penta-generator.js
+ * Verifies:
+ * 1. Penta gates and channels from the mappings
+ * 2. Filled channels, holders and gaps
+ * 3. Input validation and engine exposure
+ * 4. SVG generation
+ */
+
+const penta = require('../core/relationship/penta');
+const pentaGenerator = require('../visualization/generators/penta-generator');
+const engine = require('../unified-query-engine');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+const TEAM = [
+  { name: 'Ann', gates: [1, 8, 5, 40] },
+  { name: 'Bo', gates: [7, 31, 2] },
+  { name: 'Cy', gates: [13, 33, 14, 15, 46] }
+];
+
+function channelOf(result, channel) {
+  return result.channels.find(ch => ch.channel === channel);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('PENTA ANALYSIS TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. PENTA STRUCTURE
+// ============================================================================
+console.log('\n1. Penta Structure');
+console.log('─'.repeat(40));
+
+test('Six channels and twelve gates', () => {
+  assertEqual(penta.PENTA_CHANNELS.length, 6);
+  assertEqual(penta.PENTA_GATES.length, 12);
+  assertEqual(new Set(penta.PENTA_GATES).size, 12);
+});
+
+test('Upper Penta joins G and Throat, lower Penta joins G and Sacral', () => {
+  const upper = penta.PENTA_CHANNELS.filter(ch => ch.section === 'upper');
+  const lower = penta.PENTA_CHANNELS.filter(ch => ch.section === 'lower');
+  assertEqual(upper.map(ch => ch.channel).join(','), '1-8,7-31,13-33');
+  assertEqual(lower.map(ch => ch.channel).join(','), '2-14,5-15,29-46');
+  assertTrue(lower.every(ch => ch.centers.includes('G') && ch.centers.includes('Sacral')));
+});
+
+test('Integration gate 10 is not part of the Penta', () => {
+  assertEqual(penta.PENTA_GATES.includes(10), false);
+});
+
+// ============================================================================
+// 2. FILLED CHANNELS AND GAPS
+// ============================================================================
+console.log('\n2. Filled Channels and Gaps');
+console.log('─'.repeat(40));
+
+test('Channels filled across members report who fills them', () => {
+  const result = penta.getPentaAnalysis(TEAM);
+  assertEqual(result.filledChannels.join(','), '1-8,7-31,13-33,2-14,5-15');
+  assertEqual(channelOf(result, '2-14').heldBy[2].join(','), 'Bo');
+  assertEqual(channelOf(result, '2-14').filledBy.join(','), 'Bo,Cy');
+  assertEqual(channelOf(result, '5-15').filledBy.join(','), 'Ann,Cy');
+});
+
+test('Gaps list the missing gates and unfilled channels', () => {
+  const result = penta.getPentaAnalysis(TEAM);
+  assertEqual(result.gaps.gates.join(','), '29');
+  assertEqual(result.gaps.channels.join(','), '29-46');
+  assertEqual(channelOf(result, '29-46').filledBy.length, 0);
+  assertEqual(result.complete, false);
+});
+
+test('Non-Penta gates are ignored', () => {
+  const result = penta.getPentaAnalysis(TEAM);
+  assertEqual(result.members[0].pentaGates.join(','), '1,5,8');
+  assertEqual(result.members[0].gates.join(','), '1,5,8,40');
+});
+
+test('A complete Penta defines all three centers', () => {
+  const result = penta.getPentaAnalysis([...TEAM.slice(0, 2), { name: 'Cy', gates: [...TEAM[2].gates, 29] }]);
+  assertTrue(result.complete);
+  assertEqual(result.definedCenters.join(','), 'Throat,G,Sacral');
+});
+
+test('Gate list members are named A, B, C...', () => {
+  const result = penta.getPentaAnalysis([[1], [8], [], [2]]);
+  assertEqual(result.members.map(m => m.name).join(','), 'A,B,C,D');
+  assertEqual(channelOf(result, '1-8').filledBy.join(','), 'A,B');
+  assertEqual(result.definedCenters.join(','), 'Throat,G');
+});
+
+// ============================================================================
+// 3. VALIDATION AND ENGINE
+// ============================================================================
+console.log('\n3. Validation and Engine');
+console.log('─'.repeat(40));
+
+test('Fewer than 3 or more than 5 members throws', () => {
+  assertThrows(() => penta.getPentaAnalysis([[1], [8]]));
+  assertThrows(() => penta.getPentaAnalysis([[1], [2], [3], [4], [5], [6]]));
+});
+
+test('Invalid gates and duplicate names throw', () => {
+  assertThrows(() => penta.getPentaAnalysis([[1], [8], [65]]));
+  assertThrows(() => penta.getPentaAnalysis([[1], [8], null]));
+  assertThrows(() => penta.getPentaAnalysis([{ name: 'X', gates: [1] }, { name: 'X', gates: [8] }, [2]]));
+});
+
+test('getPentaAnalysis is exposed from the unified query engine', () => {
+  assertTrue(typeof engine.getPentaAnalysis === 'function');
+  assertEqual(engine.getPentaAnalysis(TEAM).filledChannels.length, 5);
+});
+
+// ============================================================================
+// 4. SVG GENERATION
+// ============================================================================
+console.log('\n4. SVG Generation');
+console.log('─'.repeat(40));
+
+test('SVG marks filled channels, held gates and defined centers', () => {
+  const svg = pentaGenerator.generatePenta(penta.getPentaAnalysis(TEAM));
+  assertTrue(svg.startsWith('<svg id="PENTA_-_GENERATED"'));
+  assertEqual((svg.match(/data-is-filled="true"/g) || []).length, 5);
+  assertTrue(svg.includes('data-channel="29-46"\n       data-channel-name="Discovery"'));
+  assertTrue(/id="SYMBOL_-_GATE_-_29"[^>]*data-held-by=""/.test(svg));
+  assertEqual((svg.match(/data-is-defined="true"/g) || []).length, 3);
+});
+
+test('Member panel lists each member and the gaps', () => {
+  const svg = pentaGenerator.generatePenta(penta.getPentaAnalysis(TEAM));
+  assertTrue(svg.includes('>Bo: 2, 7, 31</text>'));
+  assertTrue(svg.includes('>Gaps: 29</text>'));
+  assertEqual(pentaGenerator.generatePenta(penta.getPentaAnalysis(TEAM), { includeMembers: false }).includes('GROUP_-_MEMBERS'), false);
+});
+
+test('Generator rejects input that is not an analysis', () => {
+  assertThrows(() => pentaGenerator.generatePenta(TEAM));
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,209 @@
+/**
+ * Performance Benchmark - Indexed Store vs Linear Scans
+ *
+ * Compares the engine (core/store/knowledge-store.js indexes) with the
+ * original linear implementation - Array.find/filter over every mapping on
+ * each query, and getDockingData for all 64 gates on every group lookup.
+ *
+ * Sweeps:
+ * 1. All 64 gates (gate-level knowledge)
+ * 2. All 384 lines (line-level knowledge)
+ * 3. Group lookups (every quarter, face, trigram and center)
+ *
+ * search() runs on its own inverted index (core/search/search-index.js) and
+ * does far more than the old substring scan, so it is timed but not compared.
+ *
+ * Each sweep is timed as the best of several rounds to damp machine noise.
+ * Fails if the indexed engine returns different data or is not faster.
+ */
+
+const positioning = require('../../core/root-system/positioning-algorithm');
+const engine = require('../../unified-query-engine');
+const store = require('../../core/store/knowledge-store');
+const { isDeepStrictEqual } = require('util');
+
+const geneKeys = require('../../knowledge-systems/gene-keys/mappings/gene-keys-mappings.json');
+const ichingNames = require('../../knowledge-systems/iching-names/mappings/iching-names-mappings.json');
+const hdMandalaNames = require('../../knowledge-systems/hd-mandala-gate-names/mappings/hd-mandala-gate-names-mappings.json');
+const hdGates = require('../../knowledge-systems/hd-gates/mappings/hd-gates-mappings.json');
+const hdTraditional = require('../../knowledge-systems/hd-traditional-gates/mappings/hd-gates-mappings.json');
+const quarters = require('../../knowledge-systems/quarters/mappings/quarters-mappings.json');
+const trigrams = require('../../knowledge-systems/trigrams/mappings/trigrams-mappings.json');
+const faces = require('../../knowledge-systems/faces/mappings/faces-mappings.json');
+const codonRings = require('../../knowledge-systems/codon-rings/mappings/codon-rings-mappings.json');
+const channels = require('../../knowledge-systems/channels/mappings/channels-mappings.json');
+const centers = require('../../knowledge-systems/centers/mappings/centers-mappings.json');
+const crosses = require('../../knowledge-systems/incarnation-crosses/mappings/gate-cross-mappings.json');
+
+const ROUNDS = 5;
+const REPEATS = 20;
+
+// ============================================================================
+// LINEAR BASELINE (the pre-index implementation)
+// ============================================================================
+
+const linear = {
+  getGateKnowledge(gateNumber, lineNumber = null) {
+    const foundation = positioning.getDockingData(gateNumber, lineNumber || 1);
+    const knowledge = {
+      gate: gateNumber,
+      line: lineNumber,
+      binary: foundation.binary,
+      codon: foundation.codon,
+      wheelPosition: foundation.wheelIndex,
+      angle: foundation.angle,
+      quarter: foundation.quarter,
+      face: foundation.face,
+      trigrams: foundation.trigrams,
+      oppositeGate: foundation.oppositeGate,
+      geneKeys: geneKeys.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
+      ichingName: ichingNames.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
+      mandalaGateName: hdMandalaNames.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
+      humanDesign: hdGates.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
+      codonRing: codonRings.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
+      quarterMeaning: quarters.mappings.find(m => m.groupName === foundation.quarter)?.knowledge,
+      faceMeaning: faces.mappings.find(m => m.groupName === foundation.face)?.knowledge,
+      trigramMeanings: {
+        upper: trigrams.mappings.find(m => m.groupName === foundation.trigrams.upper)?.knowledge,
+        lower: trigrams.mappings.find(m => m.groupName === foundation.trigrams.lower)?.knowledge
+      },
+      center: centers.mappings.find(c => c.gates.includes(gateNumber))?.centerName,
+      centerKnowledge: centers.mappings.find(c => c.gates.includes(gateNumber))?.knowledge,
+      channelsInvolved: channels.mappings.filter(ch =>
+        ch.gate1 === gateNumber || ch.gate2 === gateNumber
+      ).map(ch => ({
+        channel: ch.channelNumber,
+        name: ch.knowledge.name,
+        circuit: ch.knowledge.circuit
+      })),
+      incarnationCrosses: crosses.mappings.find(m => m.gateNumber === gateNumber)?.knowledge || {}
+    };
+    if (lineNumber) {
+      knowledge.lineKnowledge = hdTraditional.mappings.find(
+        m => m.gateNumber === gateNumber && m.lineNumber === lineNumber
+      )?.knowledge;
+    }
+    return knowledge;
+  },
+
+  getGatesWhere(predicate) {
+    const gates = [];
+    for (let i = 1; i <= 64; i++) {
+      if (predicate(positioning.getDockingData(i))) gates.push(i);
+    }
+    return gates;
+  },
+
+  getGatesInQuarter(name) { return linear.getGatesWhere(d => d.quarter === name); },
+  getGatesInFace(name) { return linear.getGatesWhere(d => d.face === name); },
+  getGatesWithTrigram(name, position) { return linear.getGatesWhere(d => d.trigrams[position] === name); },
+  getGatesByCenter(name) { return centers.mappings.find(c => c.centerName === name)?.gates || []; }
+};
+
+// ============================================================================
+// SWEEPS
+// ============================================================================
+
+const ALL_LINES = [];
+for (let gate = 1; gate <= 64; gate++) {
+  for (let line = 1; line <= 6; line++) ALL_LINES.push([gate, line]);
+}
+
+const GROUPS = {
+  quarters: quarters.mappings.map(m => m.groupName),
+  faces: faces.mappings.map(m => m.groupName),
+  trigrams: trigrams.mappings.map(m => m.groupName),
+  centers: centers.mappings.map(m => m.centerName)
+};
+
+function groupSweep(impl) {
+  GROUPS.quarters.forEach(q => impl.getGatesInQuarter(q));
+  GROUPS.faces.forEach(f => impl.getGatesInFace(f));
+  GROUPS.trigrams.forEach(t => {
+    impl.getGatesWithTrigram(t, 'upper');
+    impl.getGatesWithTrigram(t, 'lower');
+  });
+  GROUPS.centers.forEach(c => impl.getGatesByCenter(c));
+}
+
+const SWEEPS = [
+  {
+    name: 'All 64 gates',
+    run: impl => { for (let g = 1; g <= 64; g++) impl.getGateKnowledge(g); }
+  },
+  {
+    name: 'All 384 lines',
+    run: impl => { for (const [g, l] of ALL_LINES) impl.getGateKnowledge(g, l); }
+  },
+  {
+    name: 'Group lookups',
+    run: groupSweep
+  }
+];
+
+/**
+ * Best-of-rounds time for a sweep, in milliseconds per sweep
+ */
+function time(fn) {
+  let best = Infinity;
+  for (let round = 0; round < ROUNDS; round++) {
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < REPEATS; i++) fn();
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6 / REPEATS;
+    best = Math.min(best, elapsed);
+  }
+  return best;
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+console.log('═'.repeat(60));
+console.log('PERFORMANCE BENCHMARK - INDEXED STORE VS LINEAR SCANS');
+console.log('═'.repeat(60));
+
+let failures = 0;
+
+// 1. Same answers
+console.log('\n1. Equivalence');
+console.log('─'.repeat(40));
+
+const mismatches = ALL_LINES.concat([...Array(64)].map((_, i) => [i + 1, null]))
+  .filter(([g, l]) => !isDeepStrictEqual(linear.getGateKnowledge(g, l), engine.getGateKnowledge(g, l)));
+const groupMismatches = GROUPS.faces.filter(f => !isDeepStrictEqual(linear.getGatesInFace(f), store.getGatesInFace(f)));
+
+if (mismatches.length === 0 && groupMismatches.length === 0) {
+  console.log(`  ✓ ${ALL_LINES.length + 64} gate/line queries and ${GROUPS.faces.length} face lookups identical`);
+} else {
+  console.log(`  ✗ ${mismatches.length} gate/line and ${groupMismatches.length} group mismatches`);
+  failures++;
+}
+
+// 2. Timings
+console.log('\n2. Timings (best of ' + ROUNDS + ' rounds, ' + REPEATS + ' sweeps each)');
+console.log('─'.repeat(40));
+console.log(`  ${'Sweep'.padEnd(16)}${'Linear'.padStart(12)}${'Indexed'.padStart(12)}${'Speedup'.padStart(10)}`);
+
+for (const sweep of SWEEPS) {
+  const linearMs = time(() => sweep.run(linear));
+  const indexedMs = time(() => sweep.run(engine));
+  const speedup = linearMs / indexedMs;
+  const mark = speedup > 1 ? '✓' : '✗';
+  if (speedup <= 1) failures++;
+
+  console.log(`${mark} ${sweep.name.padEnd(16)}${(linearMs.toFixed(3) + 'ms').padStart(12)}${(indexedMs.toFixed(3) + 'ms').padStart(12)}${(speedup.toFixed(1) + 'x').padStart(10)}`);
+}
+
+const SEARCH_QUERIES = ['love', 'fear', 'power'];
+engine.search('warm-up');  // Builds the search index
+const searchMs = time(() => SEARCH_QUERIES.forEach(q => engine.search(q))) / SEARCH_QUERIES.length;
+console.log(`  ${'search()'.padEnd(16)}${'-'.padStart(12)}${(searchMs.toFixed(3) + 'ms').padStart(12)}${'(ranked, per query)'.padStart(22)}`);
+
+console.log('\n' + '═'.repeat(60));
+console.log(failures === 0 ? 'BENCHMARK PASSED - indexed lookups faster on every sweep' : `BENCHMARK FAILED - ${failures} problem(s)`);
+console.log('═'.repeat(60));
+
+if (failures > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,197 @@
+/**
+ * Query DSL Tests
+ *
+ * Tests for core/query/query.js
+ * Verifies:
+ * 1. Builder filters and index candidates
+ * 2. String syntax (AND, OR, NOT, parentheses, quoted values)
+ * 3. Line-level records and field projection
+ * 4. Parse errors
+ * 5. Engine and adapter helpers run on the query
+ */
+
+const { query, parse } = require('../core/query/query');
+const store = require('../core/store/knowledge-store');
+const engine = require('../unified-query-engine');
+const V3Adapter = require('../visualization/core/v3-adapter');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('QUERY DSL TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. BUILDER
+// ============================================================================
+console.log('\n1. Builder');
+console.log('─'.repeat(40));
+
+test('Chained filters are ANDed', () => {
+  const gates = query().quarter('Mutation').trigram('upper', 'Fire').center('Sacral').gates();
+  assertEqual(gates.join(','), '14');
+});
+
+test('Records have the getGateKnowledge shape', () => {
+  const [record] = query().gate(13).run();
+  assertEqual(JSON.stringify(record), JSON.stringify(engine.getGateKnowledge(13)));
+});
+
+test('where() matches any value along a path, or a function', () => {
+  const ring = query().where('codonRing.ring', 'Ring of Fire').gates();
+  assertTrue(ring.length > 0 && ring.every(g => engine.getGateKnowledge(g).codonRing.ring === 'Ring of Fire'));
+  assertEqual(query().where('channelsInvolved.channel', '1-8').gates().join(','), '1,8');
+  assertEqual(query().where('wheelPosition', w => w < 2).gates().length, 2);
+});
+
+test('anyOf() and not() combine sub-queries', () => {
+  const either = query().anyOf(query().center('Head'), query().center('Ajna')).gates();
+  assertEqual(either.length, store.getGatesByCenter('Head').length + store.getGatesByCenter('Ajna').length);
+  const rest = query().quarter('Mutation').not(query().center('Sacral')).gates();
+  assertTrue(rest.every(g => engine.getGateKnowledge(g).center !== 'Sacral'));
+  assertEqual(rest.length, store.getGatesInQuarter('Mutation').length - 4);
+});
+
+// ============================================================================
+// 2. STRING SYNTAX
+// ============================================================================
+console.log('\n2. String syntax');
+console.log('─'.repeat(40));
+
+test('String and builder forms agree', () => {
+  assertEqual(query('quarter:Mutation AND center:Sacral').gates().join(','),
+    query().quarter('Mutation').center('Sacral').gates().join(','));
+  assertEqual(query('quarter:Mutation center:Sacral').gates().join(','), '5,9,14,34');
+});
+
+test('Values are case-insensitive', () => {
+  assertEqual(query('quarter:mutation AND center:sacral').gates().join(','), '5,9,14,34');
+});
+
+test('OR, NOT and parentheses', () => {
+  const gates = query('(center:Head OR center:Ajna) NOT face:Hades').gates();
+  assertTrue(gates.every(g => ['Head', 'Ajna'].includes(engine.getGateKnowledge(g).center)));
+  assertTrue(gates.every(g => engine.getGateKnowledge(g).face !== 'Hades'));
+});
+
+test('Quoted values and the trigram shorthand', () => {
+  assertEqual(query('codonRing.ring:"Ring of Fire" NOT center:G').gates().join(','), '14');
+  const either = query('trigram:Fire').gates();
+  const upper = store.getGatesWithTrigram('Fire', 'upper');
+  const lower = store.getGatesWithTrigram('Fire', 'lower');
+  assertEqual(either.length, new Set([...upper, ...lower]).size);
+});
+
+// ============================================================================
+// 3. LINES AND PROJECTION
+// ============================================================================
+console.log('\n3. Lines and projection');
+console.log('─'.repeat(40));
+
+test('Line filters switch to line-level records', () => {
+  assertEqual(query().lines().count(), 384);
+  assertEqual(query('line:6').count(), 64);
+  const venus = query().exaltation('Venus').run();
+  assertTrue(venus.length > 0 && venus.every(r => r.line >= 1 && r.lineKnowledge));
+  assertTrue(query('planet:Venus').count() >= venus.length);
+});
+
+test('select() projects dot paths and keeps gate and line', () => {
+  const [record] = query('gate:13 line:4').select('lineKnowledge.lineKeynote', 'center').run();
+  assertEqual(Object.keys(record).join(','), 'gate,line,lineKnowledge.lineKeynote,center');
+  assertEqual(record['lineKnowledge.lineKeynote'], engine.getGateKnowledge(13, 4).lineKnowledge.lineKeynote);
+  assertEqual(record.center, 'G');
+});
+
+// ============================================================================
+// 4. ERRORS
+// ============================================================================
+console.log('\n4. Errors');
+console.log('─'.repeat(40));
+
+test('Malformed queries throw', () => {
+  assertThrows(() => parse(''), 'empty');
+  assertThrows(() => parse('quarter:'), 'missing value');
+  assertThrows(() => parse('(quarter:Mutation'), 'unclosed parenthesis');
+  assertThrows(() => parse('AND quarter:Mutation'), 'leading operator');
+  assertThrows(() => parse('quarter:Mutation )'), 'stray parenthesis');
+});
+
+test('Unknown fields and trigram positions throw', () => {
+  assertThrows(() => query('colour:Blue'));
+  assertThrows(() => query().select('nope'));
+  assertThrows(() => query().trigram('middle', 'Fire'));
+});
+
+// ============================================================================
+// 5. ENGINE AND ADAPTER
+// ============================================================================
+console.log('\n5. Engine and adapter');
+console.log('─'.repeat(40));
+
+test('Deprecated group helpers return the index answers', () => {
+  for (const name of store.getGroupNames('quarters')) {
+    assertEqual(engine.getGatesInQuarter(name).join(','), store.getGatesInQuarter(name).join(','), name);
+  }
+  for (const name of store.getGroupNames('trigrams')) {
+    assertEqual(engine.getGatesWithTrigram(name, 'lower').join(','), store.getGatesWithTrigram(name, 'lower').join(','), name);
+  }
+  assertEqual(engine.getGatesByCenter('Solar Plexus').join(','), store.getGatesByCenter('Solar Plexus').join(','));
+  assertEqual(engine.getGatesInFace('Nobody').length, 0);
+});
+
+test('Engine and adapter expose query()', () => {
+  const adapter = new V3Adapter({ logErrors: false });
+  assertEqual(engine.query('center:Root').gates().join(','), adapter.query().center('Root').gates().join(','));
+  assertThrows(() => adapter.query(42));
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,321 @@
+/**
+ * REST Server Tests
+ *
+ * Tests for server/rest-server.js, server/routes.js and server/openapi.js
+ * Verifies:
+ * 1. Every resource route answers with { data } or { data, pagination }
+ * 2. Invalid input is a 400, unknown resources and routes are 404s
+ * 3. ETags, pagination links, HEAD/OPTIONS and 405s
+ * 4. The OpenAPI document covers every route
+ * 5. The HTTP server end to end
+ */
+
+const http = require('http');
+const { createHandler, createServer } = require('../server/rest-server');
+const { ROUTES } = require('../server/routes');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+const api = createHandler();
+
+function get(url, headers = {}) {
+  const response = api.handle('GET', url, headers);
+  return { ...response, json: response.body ? JSON.parse(response.body) : null };
+}
+
+function assertStatus(url, status) {
+  const response = get(url);
+  assertEqual(response.status, status, url);
+  return response.json;
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('REST SERVER TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. Resources
+// ============================================================================
+console.log('\n1. Resources');
+console.log('─'.repeat(40));
+
+test('GET /gates/13 returns unified gate knowledge', () => {
+  const { data } = assertStatus('/gates/13', 200);
+  assertEqual(data.gate, 13);
+  assertEqual(data.humanDesign.name, 'Fellowship');
+  assertEqual(data.center, 'G');
+});
+
+test('GET /gates/13/lines/4 returns line knowledge', () => {
+  const { data } = assertStatus('/gates/13/lines/4', 200);
+  assertEqual(data.line, 4);
+  assertEqual(data.lineKnowledge.lineKeynote, 'Fatigue');
+});
+
+test('GET /gates/13/lines lists six lines', () => {
+  const { data, pagination } = assertStatus('/gates/13/lines', 200);
+  assertEqual(data.length, 6);
+  assertEqual(pagination.total, 6);
+  assertEqual(data[3].lineKeynote, 'Fatigue');
+});
+
+test('GET /gates?query= filters with the query DSL', () => {
+  const { data } = assertStatus('/gates?query=' + encodeURIComponent('quarter:Mutation AND center:Sacral'), 200);
+  assertTrue(data.length > 0);
+  assertTrue(data.every(gate => gate.quarter === 'Mutation' && gate.center === 'Sacral'));
+});
+
+test('Quarters, faces and trigrams list their gates', () => {
+  assertEqual(assertStatus('/quarters', 200).pagination.total, 4);
+  assertEqual(assertStatus('/faces', 200).pagination.total, 16);
+  assertEqual(assertStatus('/trigrams', 200).pagination.total, 8);
+  assertEqual(assertStatus('/quarters/Mutation', 200).data.gates.length, 16);
+  assertEqual(assertStatus('/faces/Hades', 200).data.gates.length, 4);
+  const heaven = assertStatus('/trigrams/Heaven', 200).data;
+  assertEqual(heaven.upperGates.length, 8);
+  assertEqual(heaven.lowerGates.length, 8);
+});
+
+test('Centers and channels resolve by name and id', () => {
+  assertEqual(assertStatus('/centers', 200).pagination.total, 9);
+  assertEqual(assertStatus('/centers/Solar%20Plexus', 200).data.gates.length, 7);
+  assertEqual(assertStatus('/channels', 200).pagination.total, 36);
+  assertEqual(assertStatus('/channels/1-8', 200).data.knowledge.name, 'Inspiration');
+  assertEqual(assertStatus('/channels/8-1', 200).data.channelNumber, '1-8');
+  assertEqual(assertStatus('/channels?gate=13', 200).data[0].id, '13-33');
+});
+
+test('Crosses filter by type and gate', () => {
+  assertEqual(assertStatus('/crosses', 200).pagination.total, 192);
+  const jx = assertStatus('/crosses?type=JX&limit=100', 200);
+  assertTrue(jx.data.every(cross => cross.type === 'JX'));
+  const withGate = assertStatus('/crosses?gate=11&limit=100', 200);
+  assertTrue(withGate.data.every(cross => cross.gates.includes(11)));
+  assertEqual(assertStatus('/crosses/Education%202', 200).data.personalitySun, 11);
+});
+
+test('GET /search returns ranked hits', () => {
+  const { data } = assertStatus('/search?q=love&limit=5', 200);
+  assertTrue(data.length > 0 && data.length <= 5);
+  assertTrue(data[0].score >= data[data.length - 1].score);
+});
+
+// ============================================================================
+// 2. Errors
+// ============================================================================
+console.log('\n2. Errors');
+console.log('─'.repeat(40));
+
+test('Invalid gates and lines are 400s with the adapter message', () => {
+  assertEqual(assertStatus('/gates/99', 400).error.message, 'Invalid gate number: 99 (must be integer 1-64)');
+  assertStatus('/gates/abc', 400);
+  assertStatus('/gates/13/lines/7', 400);
+  assertStatus('/channels?gate=0', 400);
+});
+
+test('Invalid queries, searches and pages are 400s', () => {
+  assertStatus('/gates?query=bogus:1', 400);
+  assertStatus('/search', 400);
+  assertStatus('/search?q=a', 400);
+  assertStatus('/gates?limit=0', 400);
+  assertStatus('/gates?limit=101', 400);
+  assertStatus('/gates?offset=-1', 400);
+  assertStatus('/gates/%E0%A4%A', 400);
+  assertEqual(assertStatus('//[', 400).error.message, 'Invalid request URL: //[');
+  assertEqual(assertStatus('/crosses?type=foo', 400).error.message, 'Invalid cross type: foo (must be one of RAX, JX, LAX)');
+});
+
+test('Unknown resources and routes are 404s', () => {
+  assertEqual(assertStatus('/quarters/Foo', 404).error.message, 'Unknown quarter: Foo');
+  assertStatus('/faces/Foo', 404);
+  assertStatus('/trigrams/Foo', 404);
+  assertStatus('/centers/Foo', 404);
+  assertStatus('/channels/1-2', 404);
+  assertStatus('/crosses/Foo', 404);
+  assertStatus('/crosses/constructor', 404);
+  assertStatus('/crosses/toString', 404);
+  assertStatus('/crosses/__proto__', 404);
+  assertEqual(assertStatus('/nope', 404).error.status, 404);
+});
+
+// ============================================================================
+// 3. HTTP behaviour
+// ============================================================================
+console.log('\n3. HTTP behaviour');
+console.log('─'.repeat(40));
+
+test('Pagination slices the list and links pages', () => {
+  const first = get('/gates?limit=10').json;
+  assertEqual(first.data.length, 10);
+  assertEqual(first.pagination.total, 64);
+  assertEqual(first.pagination.prev, null);
+  assertEqual(first.pagination.next, '/gates?offset=10&limit=10');
+
+  const last = get(first.pagination.next.replace('offset=10', 'offset=60')).json;
+  assertEqual(last.data.length, 4);
+  assertEqual(last.data[0].gate, 61);
+  assertEqual(last.pagination.next, null);
+  assertEqual(last.pagination.prev, '/gates?offset=50&limit=10');
+});
+
+test('Default page size is 20', () => {
+  assertEqual(get('/gates').json.data.length, 20);
+});
+
+test('ETags are stable and If-None-Match answers 304', () => {
+  const first = get('/gates/1');
+  assertTrue(/^"[\w-]+"$/.test(first.headers.ETag));
+  assertEqual(get('/gates/1').headers.ETag, first.headers.ETag);
+  assertTrue(get('/gates/2').headers.ETag !== first.headers.ETag);
+
+  const cached = get('/gates/1', { 'if-none-match': first.headers.ETag });
+  assertEqual(cached.status, 304);
+  assertEqual(cached.body, '');
+  assertEqual(get('/gates/1', { 'if-none-match': '"stale"' }).status, 200);
+});
+
+test('HEAD, OPTIONS and other methods', () => {
+  assertEqual(api.handle('HEAD', '/gates/1').status, 200);
+  const options = api.handle('OPTIONS', '/gates/1');
+  assertEqual(options.status, 204);
+  assertEqual(options.headers.Allow, 'GET, HEAD, OPTIONS');
+  const post = api.handle('POST', '/gates/1');
+  assertEqual(post.status, 405);
+  assertEqual(post.headers.Allow, 'GET, HEAD, OPTIONS');
+});
+
+test('Responses are CORS-enabled JSON', () => {
+  const response = get('/gates/1');
+  assertEqual(response.headers['Content-Type'], 'application/json; charset=utf-8');
+  assertEqual(response.headers['Access-Control-Allow-Origin'], '*');
+});
+
+// ============================================================================
+// 4. OpenAPI
+// ============================================================================
+console.log('\n4. OpenAPI');
+console.log('─'.repeat(40));
+
+test('GET /openapi.json documents every route', () => {
+  const document = assertStatus('/openapi.json', 200);
+  assertEqual(document.openapi, '3.0.3');
+  ROUTES.forEach(route => {
+    assertTrue(Boolean(document.paths[route.path]?.get), `${route.path} is documented`);
+  });
+});
+
+test('Paginated routes document offset and limit', () => {
+  const { paths } = get('/openapi.json').json;
+  const names = paths['/gates'].get.parameters.map(parameter => parameter.name);
+  assertEqual(names.join(','), 'query,offset,limit');
+  assertEqual(paths['/gates/{gate}'].get.parameters[0].required, true);
+  assertTrue(Boolean(paths['/gates/{gate}'].get.responses[400]));
+});
+
+test('GET / indexes the routes', () => {
+  const { data } = assertStatus('/', 200);
+  assertEqual(data.openapi, '/openapi.json');
+  assertEqual(data.routes.length, ROUTES.length + 2);
+});
+
+// ============================================================================
+// 5. HTTP server
+// ============================================================================
+console.log('\n5. HTTP server');
+console.log('─'.repeat(40));
+
+function request(port, path, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    http.request({ port, path, method }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject).end();
+  });
+}
+
+function runServerTests() {
+  const server = createServer();
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    .then(() => Promise.all([
+      request(server.address().port, '/gates/13'),
+      request(server.address().port, '/gates/99'),
+      request(server.address().port, '/gates/13', 'HEAD'),
+      request(server.address().port, '//[')
+    ]))
+    .then(([ok, invalid, head, malformed]) => {
+      test('Serves JSON over HTTP', () => {
+        assertEqual(ok.status, 200);
+        assertEqual(JSON.parse(ok.body).data.gate, 13);
+        assertTrue(Boolean(ok.headers.etag));
+      });
+      test('Invalid gates are 400s over HTTP', () => {
+        assertEqual(invalid.status, 400);
+        assertEqual(JSON.parse(invalid.body).error.status, 400);
+      });
+      test('HEAD sends headers without a body', () => {
+        assertEqual(head.status, 200);
+        assertEqual(head.body, '');
+        assertEqual(head.headers['content-length'], ok.headers['content-length']);
+      });
+      test('Malformed request targets are 400s over HTTP', () => {
+        assertEqual(malformed.status, 400);
+        assertEqual(JSON.parse(malformed.body).error.status, 400);
+      });
+    })
+    .catch(error => test('HTTP server', () => { throw error; }))
+    .finally(() => new Promise(resolve => server.close(resolve)));
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+runServerTests().then(() => {
+  console.log('\n' + '═'.repeat(60));
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\nFailed tests:');
+    errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+    process.exit(1);
+  }
+});
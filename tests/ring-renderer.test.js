@@ -0,0 +1,298 @@
+/**
+ * Ring Renderer Tests
+ *
+ * Tests for visualization/generators/ring-renderer.js and the render
+ * endpoints of visualization/tools/serve.js
+ * Verifies:
+ * 1. Rings render exactly as the generators write them, from the current data
+ * 2. Scale and theme options
+ * 3. Composition validation and snap placements
+ * 4. The /render/... endpoints over HTTP
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const renderer = require('../visualization/generators/ring-renderer');
+const { createServer } = require('../visualization/tools/serve');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'visualization', 'output');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('RING RENDERER TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. Rings
+// ============================================================================
+console.log('\n1. Rings');
+console.log('─'.repeat(40));
+
+test('Rings render the same SVG as the generator output files', () => {
+  for (const name of ['numbers', 'gene-keys', 'lines']) {
+    const file = path.join(OUTPUT_DIR, `generated-${name}-ring.svg`);
+    assertEqual(renderer.renderRing(name), fs.readFileSync(file, 'utf8'), name);
+  }
+});
+
+test('Ring Composer types resolve to ring names', () => {
+  assertEqual(renderer.resolveRing('genekeys'), 'gene-keys');
+  assertEqual(renderer.resolveRing('linesInner'), 'lines-inner');
+  assertEqual(renderer.resolveRing('gene-keys'), 'gene-keys');
+  assertEqual(renderer.renderRing('genekeys'), renderer.renderRing('gene-keys'));
+});
+
+test('Unknown rings and center pieces throw', () => {
+  assertThrows(() => renderer.resolveRing('planets'));
+  assertThrows(() => renderer.renderRing('planets'));
+  assertThrows(() => renderer.resolveCenterPiece('numbers'));
+  assertThrows(() => renderer.resolveRing('constructor'));
+  assertThrows(() => renderer.resolveCenterPiece('toString'));
+});
+
+test('Center pieces render', () => {
+  const file = path.join(OUTPUT_DIR, 'generated-bodygraph.svg');
+  assertEqual(renderer.renderCenterPiece('bodygraph'), fs.readFileSync(file, 'utf8'));
+  assertTrue(renderer.renderCenterPiece('bodygraph088').includes('<svg'));
+});
+
+test('Every ring and center piece is listed', () => {
+  const list = renderer.listRenderables();
+  assertEqual(list.rings.length, Object.keys(renderer.RINGS).length);
+  assertEqual(list.centerPieces.length, 2);
+  assertEqual(list.themes.join(','), 'dark,light');
+  assertTrue(list.rings.every(ring => ring.geometry.visualOuter > ring.geometry.visualInner));
+});
+
+test('Mapping file edits are rendered without a restart', () => {
+  const file = path.join(__dirname, '..', 'knowledge-systems', 'gene-keys', 'mappings', 'gene-keys-mappings.json');
+  const original = fs.readFileSync(file, 'utf8');
+  const before = renderer.renderRing('gene-keys');
+  try {
+    fs.writeFileSync(file, original.replace('"shadow": "Entropy"', '"shadow": "Zyzzyva"'));
+    const edited = renderer.renderRing('gene-keys');
+    assertTrue(edited.includes('Zyzzyva') && !edited.includes('Entropy'));
+  } finally {
+    fs.writeFileSync(file, original);
+  }
+  assertEqual(renderer.renderRing('gene-keys'), before);
+});
+
+// ============================================================================
+// 2. Options
+// ============================================================================
+console.log('\n2. Options');
+console.log('─'.repeat(40));
+
+test('Options default to dark at scale 1', () => {
+  const options = renderer.normalizeOptions({});
+  assertEqual(options.scale, 1);
+  assertEqual(options.theme, 'dark');
+});
+
+test('Query string options are parsed', () => {
+  assertEqual(renderer.normalizeOptions({ scale: '0.8', theme: 'light' }).scale, 0.8);
+});
+
+test('Invalid options throw', () => {
+  assertThrows(() => renderer.normalizeOptions({ scale: '0' }));
+  assertThrows(() => renderer.normalizeOptions({ scale: 'big' }));
+  assertThrows(() => renderer.normalizeOptions({ scale: '' }));
+  assertThrows(() => renderer.normalizeOptions({ scale: 11 }));
+  assertThrows(() => renderer.normalizeOptions({ theme: 'sepia' }));
+  assertThrows(() => renderer.normalizeOptions({ theme: 'toString' }));
+  assertThrows(() => renderer.renderRing('numbers', { theme: 'constructor' }));
+});
+
+test('Scale multiplies the root width and height only', () => {
+  const plain = renderer.renderRing('numbers');
+  const scaled = renderer.renderRing('numbers', { scale: 0.5 });
+  const size = svg => svg.match(/<svg[^>]*\swidth="([\d.]+)"/)[1];
+  assertEqual(Number(size(scaled)), Number(size(plain)) * 0.5);
+  assertEqual(scaled.match(/viewBox="[^"]*"/)[0], plain.match(/viewBox="[^"]*"/)[0]);
+});
+
+test('Light theme swaps the palette in one pass', () => {
+  const light = renderer.renderRing('numbers', { theme: 'light' });
+  const { dark } = renderer.THEMES;
+  assertTrue(!light.includes(dark.background), 'dark background left');
+  assertTrue(light.includes(renderer.THEMES.light.background), 'light background missing');
+  assertTrue(light.includes(renderer.THEMES.light.foreground), 'light foreground missing');
+});
+
+// ============================================================================
+// 3. Compositions
+// ============================================================================
+console.log('\n3. Compositions');
+console.log('─'.repeat(40));
+
+test('The default composition is valid', () => {
+  const wheel = renderer.normalizeComposition(renderer.DEFAULT_COMPOSITION);
+  assertEqual(wheel.rings.length, renderer.DEFAULT_COMPOSITION.rings.length);
+  assertEqual(wheel.theme, 'dark');
+});
+
+test('Ring entries may be names or { type, scale, gapAfter }', () => {
+  const wheel = renderer.normalizeComposition({ rings: ['numbers', { type: 'genekeys', scale: 0.9, gapAfter: 4 }] });
+  assertEqual(wheel.rings[0].type, 'numbers');
+  assertEqual(wheel.rings[0].scale, 1);
+  assertEqual(wheel.rings[1].type, 'gene-keys');
+  assertEqual(wheel.rings[1].gapAfter, 4);
+});
+
+test('Invalid compositions throw', () => {
+  assertThrows(() => renderer.normalizeComposition(null));
+  assertThrows(() => renderer.normalizeComposition([]));
+  assertThrows(() => renderer.normalizeComposition({ rings: [] }));
+  assertThrows(() => renderer.normalizeComposition({ rings: ['planets'] }));
+  assertThrows(() => renderer.normalizeComposition({ rings: [{ type: 'numbers', scale: -1 }] }));
+  assertThrows(() => renderer.normalizeComposition({ rings: ['numbers'], centerPiece: 'mandala' }));
+  assertThrows(() => renderer.normalizeComposition({ rings: ['numbers'], branding: 'yes' }));
+  assertThrows(() => renderer.normalizeComposition({ rings: ['numbers'], theme: 'sepia' }));
+});
+
+test('Rings snap outward from the start radius', () => {
+  const wheel = renderer.normalizeComposition({ rings: ['numbers', 'hexagrams'], defaultGap: 5 });
+  const [first, second] = renderer.calculatePlacements(wheel);
+  assertTrue(Math.abs(first.visualInner - wheel.startRadius) < 1e-9, 'first ring starts at startRadius');
+  assertTrue(Math.abs(second.visualInner - (first.visualOuter + 5)) < 1e-9, 'second ring starts after the gap');
+});
+
+test('Wheels contain the center piece, every ring and branding', () => {
+  const svg = renderer.renderWheel({ rings: ['numbers', 'hexagrams'], centerPiece: 'bodygraph', branding: true });
+  assertTrue(svg.includes('id="center-piece"'));
+  assertTrue(svg.includes('id="numbers-ring"'));
+  assertTrue(svg.includes('id="hexagrams-ring"'));
+  assertTrue(svg.includes('id="branding"'));
+});
+
+test('Center piece and branding are optional', () => {
+  const svg = renderer.renderWheel({ rings: ['numbers'], centerPiece: 'none', branding: false });
+  assertTrue(!svg.includes('id="center-piece"'));
+  assertTrue(!svg.includes('id="branding"'));
+});
+
+// ============================================================================
+// 4. Composer Server
+// ============================================================================
+console.log('\n4. Composer Server');
+console.log('─'.repeat(40));
+
+function request(port, path, method = 'GET', body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path, method }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text }));
+    }).on('error', reject);
+    req.end(body);
+  });
+}
+
+function runServerTests() {
+  const server = createServer();
+  const composition = JSON.stringify({ rings: ['numbers', 'genekeys'], centerPiece: 'none', theme: 'light' });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    .then(() => {
+      const port = server.address().port;
+      return Promise.all([
+        request(port, '/render/ring/gene-keys?scale=0.8&theme=light'),
+        request(port, '/render/ring/planets'),
+        request(port, '/render/ring/constructor'),
+        request(port, '/render/center/toString'),
+        request(port, '/render/ring/numbers?scale=0'),
+        request(port, '/render/wheel', 'POST', composition),
+        request(port, '/render/wheel', 'POST', '{ not json'),
+        request(port, '/render/ring/numbers', 'DELETE'),
+        request(port, '/render/rings'),
+        request(port, '//[')
+      ]);
+    })
+    .then(([ring, unknown, inheritedRing, inheritedCenter, invalid, wheel, badJSON, wrongMethod, list, malformed]) => {
+      test('Renders rings with query options', () => {
+        assertEqual(ring.status, 200);
+        assertEqual(ring.headers['content-type'], 'image/svg+xml');
+        assertEqual(ring.body, renderer.renderRing('gene-keys', { scale: 0.8, theme: 'light' }));
+      });
+      test('Unknown rings are 404s and invalid options 400s', () => {
+        assertEqual(unknown.status, 404);
+        assertEqual(JSON.parse(unknown.body).error.status, 404);
+        assertEqual(inheritedRing.status, 404);
+        assertEqual(inheritedCenter.status, 404);
+        assertEqual(invalid.status, 400);
+      });
+      test('Renders POSTed compositions', () => {
+        assertEqual(wheel.status, 200);
+        assertEqual(wheel.body, renderer.renderWheel(JSON.parse(composition)));
+        assertEqual(badJSON.status, 400);
+      });
+      test('Wrong methods are 405s', () => {
+        assertEqual(wrongMethod.status, 405);
+        assertEqual(wrongMethod.headers.allow, 'GET, OPTIONS');
+      });
+      test('Lists the renderable rings', () => {
+        assertEqual(list.status, 200);
+        assertEqual(JSON.parse(list.body).rings.length, Object.keys(renderer.RINGS).length);
+      });
+      test('Malformed request targets are 400s', () => {
+        assertEqual(malformed.status, 400);
+      });
+    })
+    .catch(error => test('HTTP server', () => { throw error; }))
+    .finally(() => new Promise(resolve => server.close(resolve)));
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+runServerTests().then(() => {
+  console.log('\n' + '═'.repeat(60));
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\nFailed tests:');
+    errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+    process.exit(1);
+  }
+});
@@ -0,0 +1,220 @@
+/**
+ * Knowledge Search Tests
+ *
+ * Tests for core/search/search-index.js
+ * Verifies:
+ * 1. Hits at every level, ranked
+ * 2. Stemming and fuzzy matching
+ * 3. system: / field: / level: qualifiers
+ * 4. Field paths, snippets and engine exposure
+ */
+
+const childProcess = require('child_process');
+const path = require('path');
+const searchIndex = require('../core/search/search-index');
+const engine = require('../unified-query-engine');
+const V3Adapter = require('../visualization/core/v3-adapter');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+function ids(results) {
+  return results.map(r => `${r.level}:${r.id}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('KNOWLEDGE SEARCH TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. LEVELS AND RANKING
+// ============================================================================
+console.log('\n1. Levels and Ranking');
+console.log('─'.repeat(40));
+
+test('Channel, center, cross, face and trigram hits', () => {
+  assertEqual(searchIndex.search('inspiration')[0].id, '1-8');
+  assertEqual(searchIndex.search('pineal')[0].center, 'Head');
+  assertEqual(searchIndex.search('clarion')[0].title, 'Left Angle Cross of Clarion');
+  assertEqual(searchIndex.search('hades')[0].level, 'face');
+  assertEqual(searchIndex.search('heaven field:name')[0].trigram, 'Heaven');
+});
+
+test('Gate and line hits carry their gate and line numbers', () => {
+  const gate = searchIndex.search('lysine')[0];
+  assertEqual(gate.level, 'gate');
+  assertTrue(gate.gate === 1 || gate.gate === 14);
+
+  const line = searchIndex.search('warning')[0];
+  assertEqual(line.id, '21.1');
+  assertEqual(line.line, 1);
+});
+
+test('Name fields outrank prose', () => {
+  // "Inspiration" is the name of 1-8 and only mentioned in other texts
+  const results = searchIndex.search('inspiration');
+  assertEqual(results[0].matches[0].field, 'channels.name');
+  assertTrue(results[0].score > results[1].score);
+});
+
+test('Every term must match', () => {
+  assertEqual(ids(searchIndex.search('entropy freshness')).join(','), 'gate:1');
+  assertEqual(searchIndex.search('entropy zebra').length, 0);
+});
+
+test('Stop words alone find nothing; limit caps the results', () => {
+  assertEqual(searchIndex.search('the of').length, 0);
+  assertEqual(searchIndex.search('moon', { limit: 3 }).length, 3);
+});
+
+// ============================================================================
+// 2. STEMMING AND FUZZY MATCHING
+// ============================================================================
+console.log('\n2. Stemming and Fuzzy Matching');
+console.log('─'.repeat(40));
+
+test('Stemmer folds common suffixes', () => {
+  assertEqual(searchIndex.stem('running'), 'run');
+  assertEqual(searchIndex.stem('creations'), 'create');
+  assertEqual(searchIndex.stem('ponies'), 'pony');
+  assertEqual(searchIndex.stem('glass'), 'glass');
+});
+
+test('Inflected query matches the stored form', () => {
+  const results = searchIndex.search('running');
+  assertTrue(results.some(r => /<mark>run<\/mark>/.test(r.matches[0].snippet)));
+});
+
+test('Typos still match, ranked below exact matches', () => {
+  const typo = searchIndex.search('creativty');
+  assertTrue(typo.length > 0);
+  assertTrue(typo[0].matches.some(m => m.snippet.includes('<mark>creativity</mark>')));
+  assertTrue(typo[0].score < searchIndex.search('creativity')[0].score);
+  assertEqual(searchIndex.search('creativty', { fuzzy: false }).length, 0);
+});
+
+// ============================================================================
+// 3. QUALIFIERS
+// ============================================================================
+console.log('\n3. Qualifiers');
+console.log('─'.repeat(40));
+
+test('system: limits to one knowledge system', () => {
+  const results = searchIndex.search('system:gene-keys patience');
+  assertEqual(ids(results).join(','), 'gate:5');
+  assertTrue(results[0].matches.every(m => m.field.startsWith('gene-keys.')));
+});
+
+test('field: limits to matching field paths', () => {
+  assertEqual(ids(searchIndex.search('field:shadow impatience')).join(','), 'gate:5');
+  assertEqual(searchIndex.search('field:gift impatience').length, 0);
+
+  const planets = searchIndex.search('moon field:exaltation.planets.planet');
+  assertTrue(planets.length > 0);
+  assertTrue(planets.every(r => r.matches.every(m => m.field.endsWith('exaltation.planets.planet'))));
+});
+
+test('level: limits to one level', () => {
+  const results = searchIndex.search('level:cross sphinx');
+  assertEqual(results.length, 4);
+  assertTrue(results.every(r => r.level === 'cross'));
+});
+
+test('Unknown level and non-string queries throw', () => {
+  assertThrows(() => searchIndex.search('level:planet moon'));
+  assertThrows(() => searchIndex.search(42));
+});
+
+// ============================================================================
+// 4. FIELDS, SNIPPETS AND ENGINE
+// ============================================================================
+console.log('\n4. Fields, Snippets and Engine');
+console.log('─'.repeat(40));
+
+test('Black Book and White Book texts are searchable with full field paths', () => {
+  const results = searchIndex.search('level:line field:blackBook courage');
+  assertTrue(results.length > 0);
+  assertTrue(results[0].matches[0].field.startsWith('hd-traditional-gates.'));
+  assertTrue(results[0].matches[0].field.includes('blackBook'));
+});
+
+test('Snippets are trimmed around the match', () => {
+  const snippet = searchIndex.search('level:line courage')[0].matches[0].snippet;
+  assertTrue(snippet.includes('<mark>courage</mark>'));
+  assertTrue(snippet.length < 160);
+});
+
+test('Custom highlight markers', () => {
+  const result = searchIndex.search('lysine', { highlight: ['[', ']'] })[0];
+  assertTrue(result.matches.some(m => m.snippet === '[Lysine]'));
+});
+
+test('Default snippets are HTML with the text escaped', () => {
+  // Fresh process - the index is built once, from the mapping data at the first search
+  const script = `
+    const channels = require('./knowledge-systems/channels/mappings/channels-mappings.json');
+    channels.mappings[0].knowledge.keynote = '<img src=x onerror="alert(1)"> Tom & Jerry inspire';
+    const searchIndex = require('./core/search/search-index');
+    const snippet = highlight => searchIndex.search('field:keynote inspire', highlight)[0].matches[0].snippet;
+    console.log(JSON.stringify([snippet(), snippet({ highlight: ['[', ']'] })]));
+  `;
+  const output = childProcess.execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), encoding: 'utf8' });
+  const [html, plain] = JSON.parse(output);
+  assertEqual(html, '&lt;img src=x onerror=&quot;alert(1)&quot;&gt; Tom &amp; Jerry <mark>inspire</mark>');
+  assertEqual(plain, '<img src=x onerror="alert(1)"> Tom & Jerry [inspire]');
+});
+
+test('search() on the engine and adapter uses the index', () => {
+  assertEqual(engine.search('clarion')[0].cross, 'Clarion');
+  const adapter = new V3Adapter({ logErrors: false });
+  assertEqual(adapter.search('pineal', { limit: 1 })[0].id, 'Head');
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,190 @@
+/**
+ * SQLite Exporter Tests
+ *
+ * Tests for core/export/sqlite-exporter.js
+ * Verifies:
+ * 1. The table plan: entity tables, one table per system, foreign keys, text index
+ * 2. The SQLite file: reproducible bytes, integrity, joins and full-text search
+ */
+
+const initSqlJs = require('sql.js');
+const exporter = require('../core/export/sqlite-exporter');
+const systems = require('../core/store/system-loader');
+const store = require('../core/store/knowledge-store');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('SQLITE EXPORTER TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. Table Plan
+// ============================================================================
+console.log('\n1. Table Plan');
+console.log('─'.repeat(40));
+
+const tables = exporter.buildTables();
+const byName = name => tables.find(table => table.name === name);
+
+test('Names become SQL identifiers', () => {
+  assertEqual(exporter.tableName('hd-traditional-gates'), 'hd_traditional_gates');
+  assertEqual(exporter.tableName('whenDefined'), 'when_defined');
+  assertEqual(exporter.tableName('gate1'), 'gate1');
+});
+
+test('Entity tables hold every gate, line, channel, center and cross', () => {
+  assertEqual(byName('gates').rows.length, 64);
+  assertEqual(byName('lines').rows.length, 384);
+  assertEqual(byName('channels').rows.length, 36);
+  assertEqual(byName('centers').rows.length, 9);
+  assertEqual(byName('crosses').rows.length, 192);
+  assertEqual(byName('codon_rings').rows.length, 22);
+  assertEqual(byName('center_gates').rows.length, 64);
+});
+
+test('There is one table per knowledge system', () => {
+  const systemTables = tables.filter(table => table.system).map(table => table.system);
+  assertEqual(systemTables.join(','), systems.getSystemNames().join(','));
+  systemTables.forEach(name => {
+    const table = tables.find(t => t.system === name);
+    assertEqual(table.rows.length, systems.getSystem(name).mappings.length, name);
+  });
+});
+
+test('System tables reference the entity tables', () => {
+  assertEqual(byName('system_gene_keys').constraints[0], 'FOREIGN KEY (gate) REFERENCES gates(gate)');
+  assertEqual(byName('system_hd_traditional_gates').constraints[0], 'FOREIGN KEY (gate, line) REFERENCES lines(gate, line)');
+  assertEqual(byName('system_quarters').constraints[0], 'FOREIGN KEY (name) REFERENCES quarters(name)');
+  assertEqual(byName('system_centers').constraints[0], 'FOREIGN KEY (center) REFERENCES centers(name)');
+  assertEqual(byName('system_channels').constraints[0], 'FOREIGN KEY (channel) REFERENCES channels(id)');
+});
+
+test('Knowledge fields become columns', () => {
+  const columns = byName('system_gene_keys').columns.map(([name]) => name);
+  assertEqual(columns.join(','), 'id,gate,shadow,gift,siddhi,introverted,extroverted');
+  const row = byName('system_gene_keys').rows.find(r => r[1] === 13);
+  assertEqual(row[2], store.getGate(13).geneKeys.shadow);
+});
+
+test('Every text value is indexed for full-text search', () => {
+  const text = byName('knowledge_text');
+  assertTrue(text.rows.some(row => row[1] === 'gene-keys' && row[2] === 13 && row[5] === 'shadow'));
+  assertTrue(text.rows.some(row => row[1] === 'hd-traditional-gates' && row[4] === '3.5' && row[6].includes('courage')));
+  assertEqual(new Set(text.rows.map(row => row[0])).size, text.rows.length);
+});
+
+test('Schema statements create every table and the FTS index', () => {
+  const statements = exporter.schemaStatements(tables);
+  assertEqual(statements.filter(s => s.startsWith('CREATE TABLE')).length, tables.length);
+  assertTrue(statements[statements.length - 1].includes('fts4'));
+});
+
+// ============================================================================
+// 2. SQLite File
+// ============================================================================
+console.log('\n2. SQLite File');
+console.log('─'.repeat(40));
+
+function runSQLiteTests() {
+  return Promise.all([exporter.exportToSQLite({ tables }), exporter.exportToSQLite(), initSqlJs()])
+    .then(([first, second, SQL]) => {
+      test('Exports are byte-for-byte reproducible', () => {
+        assertTrue(first.length > 0);
+        assertTrue(Buffer.from(first).equals(Buffer.from(second)), 'two exports differ');
+      });
+
+      const db = new SQL.Database(first);
+      const value = sql => db.exec(sql)[0].values[0][0];
+      try {
+        test('Row counts match the plan', () => {
+          tables.forEach(table => assertEqual(value(`SELECT COUNT(*) FROM "${table.name}"`), table.rows.length, table.name));
+        });
+
+        test('Integrity and foreign keys check out', () => {
+          assertEqual(value('PRAGMA integrity_check'), 'ok');
+          assertEqual(db.exec('PRAGMA foreign_key_check').length, 0);
+          assertEqual(value('PRAGMA user_version'), exporter.SCHEMA_VERSION);
+        });
+
+        test('Joins work across systems', () => {
+          const row = db.exec(`
+            SELECT k.shadow, h.name, g.center FROM gates g
+            JOIN system_gene_keys k USING (gate)
+            JOIN system_hd_gates h USING (gate)
+            WHERE g.gate = 13`)[0].values[0];
+          const gate = store.getGate(13);
+          assertEqual(row.join('|'), [gate.geneKeys.shadow, gate.humanDesign.name, gate.center].join('|'));
+        });
+
+        test('Full-text search finds stemmed matches', () => {
+          const hits = db.exec(`
+            SELECT t.system, t.ref FROM knowledge_fts
+            JOIN knowledge_text t ON t.id = knowledge_fts.rowid
+            WHERE knowledge_fts MATCH 'courageous'`)[0].values;
+          assertTrue(hits.some(([system, ref]) => system === 'hd-traditional-gates' && ref === '3.5'));
+        });
+
+        test('Sources record every mapping file', () => {
+          const files = systems.getSystemNames().flatMap(name => systems.getSystem(name).manifest.mappingFiles);
+          assertEqual(value('SELECT COUNT(*) FROM sources'), files.length);
+          assertEqual(value("SELECT value FROM metadata WHERE key = 'schema_version'"), String(exporter.SCHEMA_VERSION));
+        });
+      } finally {
+        db.close();
+      }
+    })
+    .catch(error => test('SQLite export', () => { throw error; }));
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+runSQLiteTests().then(() => {
+  console.log('\n' + '═'.repeat(60));
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\nFailed tests:');
+    errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+    process.exit(1);
+  }
+});
@@ -0,0 +1,277 @@
+/**
+ * Stdio JSON-RPC Server Tests
+ *
+ * Tests for server/stdio-server.js and server/rpc-methods.js
+ * Verifies:
+ * 1. Methods return what the engine, V3Adapter and ring renderer return
+ * 2. Error codes (invalid gate/line, params, method, request, parse)
+ * 3. Batches and notifications
+ * 4. The capabilities listing
+ * 5. Newline-delimited JSON over streams
+ */
+
+const { PassThrough } = require('stream');
+const { createHandler, createStdioServer, ERROR_CODES } = require('../server/stdio-server');
+const { METHODS } = require('../server/rpc-methods');
+const V3Adapter = require('../visualization/core/v3-adapter');
+const engine = require('../unified-query-engine');
+const extensions = require('../extensions');
+const systems = require('../core/store/system-loader');
+const renderer = require('../visualization/generators/ring-renderer');
+
+const { handle, handleLine } = createHandler();
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('STDIO JSON-RPC SERVER TESTS');
+console.log('═'.repeat(60));
+
+function call(method, params, id = 1) {
+  const request = { jsonrpc: '2.0', id, method };
+  if (params !== undefined) request.params = params;
+  return handle(request);
+}
+
+// ============================================================================
+// 1. Methods
+// ============================================================================
+console.log('\n1. Methods');
+console.log('─'.repeat(40));
+
+test('getGateKnowledge matches the engine', () => {
+  const response = call('getGateKnowledge', { gate: 13, line: 4 });
+  assertEqual(response.jsonrpc, '2.0');
+  assertEqual(response.id, 1);
+  assertEqual(JSON.stringify(response.result), JSON.stringify(engine.getGateKnowledge(13, 4)));
+});
+
+test('Positional params follow the schema order', () => {
+  assertEqual(JSON.stringify(call('getGateKnowledge', [13, 4]).result), JSON.stringify(call('getGateKnowledge', { gate: 13, line: 4 }).result));
+  assertEqual(call('getGateKnowledge', [13, 4, 1]).error.code, ERROR_CODES.INVALID_PARAMS);
+});
+
+test('search passes limit through', () => {
+  const hits = call('search', { query: 'courage', limit: 2 }).result;
+  assertEqual(hits.length, 2);
+  assertEqual(hits[0].id, engine.search('courage')[0].id);
+});
+
+test('Group queries match V3Adapter', () => {
+  const adapter = new V3Adapter({ logErrors: false });
+  assertEqual(call('getGatesInQuarter', { quarter: 'Mutation' }).result.join(','), adapter.getGatesInQuarter('Mutation').join(','));
+  assertEqual(call('getGatesInFace', { face: 'Hades' }).result.join(','), adapter.getGatesInFace('Hades').join(','));
+  assertEqual(call('getGatesWithTrigram', { trigram: 'Fire', position: 'lower' }).result.join(','), adapter.getGatesWithTrigram('Fire', 'lower').join(','));
+  assertEqual(call('getGatesWithTrigram', { trigram: 'Fire' }).result.join(','), adapter.getGatesWithTrigram('Fire', 'upper').join(','));
+  assertEqual(call('getGatesByCenter', { center: 'Solar Plexus' }).result.join(','), adapter.getGatesByCenter('Solar Plexus').join(','));
+});
+
+test('renderRing and renderWheel return SVG', () => {
+  assertEqual(call('renderRing', { ring: 'genekeys', theme: 'light' }).result.svg, renderer.renderRing('gene-keys', { theme: 'light' }));
+  const composition = { rings: ['numbers', { type: 'hexagrams', scale: 0.9 }], centerPiece: 'none' };
+  assertEqual(call('renderWheel', composition).result.svg, renderer.renderWheel(composition));
+});
+
+// ============================================================================
+// 2. Errors
+// ============================================================================
+console.log('\n2. Errors');
+console.log('─'.repeat(40));
+
+test('Invalid gates have their own code and data', () => {
+  const { error } = call('getGateKnowledge', { gate: 65 });
+  assertEqual(error.code, ERROR_CODES.INVALID_GATE);
+  assertEqual(error.data.param, 'gate');
+  assertEqual(error.data.errors[0].keyword, 'maximum');
+  assertEqual(call('getGateKnowledge', { gate: '13' }).error.code, ERROR_CODES.INVALID_GATE);
+  assertEqual(call('getGateKnowledge', {}).error.code, ERROR_CODES.INVALID_GATE);
+});
+
+test('Invalid lines have their own code', () => {
+  assertEqual(call('getGateKnowledge', { gate: 13, line: 0 }).error.code, ERROR_CODES.INVALID_LINE);
+  assertEqual(call('getGateKnowledge', { gate: 13, line: 2.5 }).error.code, ERROR_CODES.INVALID_LINE);
+});
+
+test('Other invalid params are -32602', () => {
+  assertEqual(call('getGatesInQuarter', { quarter: 'Winter' }).error.code, ERROR_CODES.INVALID_PARAMS);
+  assertEqual(call('getGateKnowledge', { gate: 13, extra: true }).error.code, ERROR_CODES.INVALID_PARAMS);
+  assertEqual(call('search', { query: 'x' }).error.code, ERROR_CODES.INVALID_PARAMS);
+  assertEqual(call('renderRing', { ring: 'numbers', scale: 0 }).error.code, ERROR_CODES.INVALID_PARAMS);
+  assertEqual(call('renderWheel', { rings: [] }).error.code, ERROR_CODES.INVALID_PARAMS);
+});
+
+test('Unknown methods are -32601', () => {
+  assertEqual(call('getEverything').error.code, ERROR_CODES.METHOD_NOT_FOUND);
+});
+
+test('Invalid requests are -32600 with a null id', () => {
+  for (const request of [42, { id: 1, method: 'search' }, { jsonrpc: '2.0', id: 1 }, { jsonrpc: '2.0', id: {}, method: 'capabilities' },
+    { jsonrpc: '2.0', id: 1, method: 'capabilities', params: 'all' }]) {
+    const response = handle(request);
+    assertEqual(response.error.code, ERROR_CODES.INVALID_REQUEST, JSON.stringify(request));
+  }
+  assertEqual(handle({ jsonrpc: '2.0', id: {}, method: 'capabilities' }).id, null);
+});
+
+test('Parse errors are -32700', () => {
+  const response = JSON.parse(handleLine('{"jsonrpc": '));
+  assertEqual(response.error.code, ERROR_CODES.PARSE_ERROR);
+  assertEqual(response.id, null);
+  assertEqual(handleLine('   '), null);
+});
+
+test('Unexpected failures are -32603 without internals', () => {
+  const failing = createHandler({ adapter: { getGateKnowledge: () => { throw new Error('disk on fire'); } } });
+  const { error } = failing.handle({ jsonrpc: '2.0', id: 1, method: 'getGateKnowledge', params: { gate: 1 } });
+  assertEqual(error.code, ERROR_CODES.INTERNAL_ERROR);
+  assertTrue(!error.message.includes('disk'));
+});
+
+// ============================================================================
+// 3. Batches and Notifications
+// ============================================================================
+console.log('\n3. Batches and Notifications');
+console.log('─'.repeat(40));
+
+test('Notifications get no response', () => {
+  assertEqual(handle({ jsonrpc: '2.0', method: 'getGateKnowledge', params: { gate: 1 } }), null);
+  assertEqual(handle({ jsonrpc: '2.0', method: 'getGateKnowledge', params: { gate: 99 } }), null);
+});
+
+test('Batches answer every request in order, skipping notifications', () => {
+  const responses = handle([
+    { jsonrpc: '2.0', id: 'a', method: 'getGatesInQuarter', params: { quarter: 'Duality' } },
+    { jsonrpc: '2.0', method: 'capabilities' },
+    { jsonrpc: '2.0', id: 'b', method: 'getGateKnowledge', params: { gate: 0 } }
+  ]);
+  assertEqual(responses.map(r => r.id).join(','), 'a,b');
+  assertEqual(responses[1].error.code, ERROR_CODES.INVALID_GATE);
+  assertEqual(handle([]).error.code, ERROR_CODES.INVALID_REQUEST);
+  assertEqual(handle([{ jsonrpc: '2.0', method: 'capabilities' }]), null);
+});
+
+// ============================================================================
+// 4. Capabilities
+// ============================================================================
+console.log('\n4. Capabilities');
+console.log('─'.repeat(40));
+
+test('Every method is listed with its params schema', () => {
+  const { methods } = call('capabilities').result;
+  assertEqual(methods.map(m => m.name).join(','), METHODS.map(m => m.name).join(','));
+  const gate = methods.find(m => m.name === 'getGateKnowledge');
+  assertEqual(gate.params.properties.gate.type, 'integer');
+  assertEqual(gate.params.required.join(','), 'gate');
+});
+
+test('Knowledge systems come from the registry', () => {
+  const listed = call('capabilities').result.knowledgeSystems;
+  assertEqual(listed.map(s => s.name).join(','), systems.getSystemNames().join(','));
+  assertEqual(listed.find(s => s.name === 'gene-keys').field, 'geneKeys');
+});
+
+test('Registered extension systems are listed too', () => {
+  const mapping = {
+    systemName: 'RPC Test System',
+    version: '1.0.0',
+    mappings: [{ gateNumber: 1, knowledge: { note: 'first' } }]
+  };
+  extensions.registerKnowledgeSystem({ name: 'rpcTest', level: 'gate', mapping });
+  try {
+    const listed = call('capabilities').result.knowledgeSystems.find(s => s.name === 'rpcTest');
+    assertTrue(Boolean(listed), 'extension missing');
+    assertEqual(listed.extension, true);
+  } finally {
+    extensions.unregisterKnowledgeSystem('rpcTest');
+  }
+});
+
+test('Error codes, rings and themes are listed', () => {
+  const result = call('capabilities').result;
+  assertEqual(result.errors.INVALID_GATE, -32001);
+  assertEqual(result.rings.length, Object.keys(renderer.RINGS).length);
+  assertEqual(result.themes.join(','), 'dark,light');
+});
+
+// ============================================================================
+// 5. Stdio
+// ============================================================================
+console.log('\n5. Stdio');
+console.log('─'.repeat(40));
+
+function runStdioTests() {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', chunk => { text += chunk; });
+
+  const lines = createStdioServer({ input, output });
+  const closed = new Promise(resolve => lines.on('close', resolve));
+
+  input.write('{"jsonrpc":"2.0","id":1,"method":"getGatesByCenter","params":{"center":"G"}}\n');
+  input.write('{"jsonrpc":"2.0","method":"capabilities"}\n');
+  input.write('not json\n');
+  input.end('{"jsonrpc":"2.0","id":2,"method":"getGateKnowledge","params":[13]}');
+
+  return closed.then(() => {
+    const responses = text.trim().split('\n').map(line => JSON.parse(line));
+    test('One response line per request, in order', () => {
+      assertEqual(responses.length, 3);
+      assertEqual(responses[0].result.join(','), '1,2,7,10,13,15,25,46');
+      assertEqual(responses[1].error.code, ERROR_CODES.PARSE_ERROR);
+      assertEqual(responses[2].result.gate, 13);
+    });
+  }).catch(error => test('Stdio server', () => { throw error; }));
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+runStdioTests().then(() => {
+  console.log('\n' + '═'.repeat(60));
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\nFailed tests:');
+    errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+    process.exit(1);
+  }
+});
@@ -0,0 +1,216 @@
+/**
+ * Sub-Line Resolution Tests
+ *
+ * Tests for color/tone/base in core/root-system/positioning-algorithm.js
+ * Verifies:
+ * 1. Sub-line divisions derive from DEGREES_PER_LINE
+ * 2. getSubLinePosition extends getWheelPosition
+ * 3. getPositionAtAngle reverses every base on the wheel
+ * 4. Docking data and ephemeris activations carry color, tone and base
+ */
+
+const positioning = require('../core/root-system/positioning-algorithm');
+const ephemeris = require('../core/ephemeris/ephemeris');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertAlmostEqual(actual, expected, tolerance = 1e-9, message = '') {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${expected} (±${tolerance}), got ${actual}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('SUB-LINE RESOLUTION TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. DIVISIONS
+// ============================================================================
+console.log('\n1. Divisions');
+console.log('─'.repeat(40));
+
+test('Color, tone and base divide the line 6 × 6 × 5', () => {
+  assertAlmostEqual(positioning.DEGREES_PER_COLOR * 6, positioning.DEGREES_PER_LINE);
+  assertAlmostEqual(positioning.DEGREES_PER_TONE * 6, positioning.DEGREES_PER_COLOR);
+  assertAlmostEqual(positioning.DEGREES_PER_BASE * 5, positioning.DEGREES_PER_TONE);
+});
+
+test('69,120 bases make up the wheel', () => {
+  assertEqual(positioning.TOTAL_BASES, 69120);
+  assertAlmostEqual(positioning.TOTAL_BASES * positioning.DEGREES_PER_BASE, 360, 1e-9);
+});
+
+// ============================================================================
+// 2. FORWARD
+// ============================================================================
+console.log('\n2. getSubLinePosition');
+console.log('─'.repeat(40));
+
+test('Color 1 Tone 1 Base 1 starts at the line angle', () => {
+  for (const [gate, line] of [[41, 1], [13, 4], [60, 6]]) {
+    const wheel = positioning.getWheelPosition(gate, line);
+    const sub = positioning.getSubLinePosition(gate, line);
+    assertEqual(sub.angle, wheel.angle, `${gate}.${line}`);
+    assertEqual(sub.linePosition, wheel.linePosition, `${gate}.${line}`);
+  }
+});
+
+test('Gate 41.1.1.1.1 is at 0°, the last base of the wheel just under 360°', () => {
+  assertEqual(positioning.getSubLinePosition(41, 1, 1, 1, 1).angle, 0);
+  const lastGate = positioning.GATE_SEQUENCE[63];
+  const last = positioning.getSubLinePosition(lastGate, 6, 6, 6, 5);
+  assertEqual(last.basePosition, 69119);
+  assertAlmostEqual(last.angle, 360 - positioning.DEGREES_PER_BASE);
+});
+
+test('Each division steps by its own width', () => {
+  const base = positioning.getSubLinePosition(13, 4, 1, 1, 1).angle;
+  assertAlmostEqual(positioning.getSubLinePosition(13, 4, 2, 1, 1).angle - base, positioning.DEGREES_PER_COLOR);
+  assertAlmostEqual(positioning.getSubLinePosition(13, 4, 1, 2, 1).angle - base, positioning.DEGREES_PER_TONE);
+  assertAlmostEqual(positioning.getSubLinePosition(13, 4, 1, 1, 2).angle - base, positioning.DEGREES_PER_BASE);
+});
+
+test('Out-of-range color, tone and base throw', () => {
+  assertThrows(() => positioning.getSubLinePosition(1, 1, 7));
+  assertThrows(() => positioning.getSubLinePosition(1, 1, 1, 0));
+  assertThrows(() => positioning.getSubLinePosition(1, 1, 1, 1, 6));
+  assertThrows(() => positioning.getSubLinePosition(65, 1));
+});
+
+test('Fractional and non-numeric color, tone and base throw', () => {
+  assertThrows(() => positioning.getSubLinePosition(1, 1, 1.5, 1, 1));
+  assertThrows(() => positioning.getSubLinePosition(1, 1, 1, 2.5, 1));
+  assertThrows(() => positioning.getSubLinePosition(1, 1, 1, 1, 1.5));
+  try {
+    positioning.getSubLinePosition(1, 1, 1, 1, 'x');
+    throw new Error('Expected function to throw');
+  } catch (error) {
+    assertEqual(error.message, 'Invalid base number: x (must be 1-5)');
+  }
+});
+
+test('Docking data rejects a zero color, tone or base instead of defaulting it', () => {
+  assertThrows(() => positioning.getDockingData(1, 1, { color: 0 }));
+  assertThrows(() => positioning.getDockingData(1, 1, { tone: 0 }));
+  assertThrows(() => positioning.getDockingData(1, 1, { base: 0 }));
+  assertEqual(positioning.getDockingData(1, 1, { color: 2 }).tone, 1);
+});
+
+// ============================================================================
+// 3. REVERSE
+// ============================================================================
+console.log('\n3. getPositionAtAngle');
+console.log('─'.repeat(40));
+
+test('Round-trips all 69,120 bases from their start angle and midpoint', () => {
+  for (const gate of positioning.GATE_SEQUENCE) {
+    for (let line = 1; line <= 6; line++) {
+      for (let color = 1; color <= 6; color++) {
+        for (let tone = 1; tone <= 6; tone++) {
+          for (let base = 1; base <= 5; base++) {
+            const sub = positioning.getSubLinePosition(gate, line, color, tone, base);
+            for (const angle of [sub.angle, sub.angle + positioning.DEGREES_PER_BASE / 2]) {
+              const found = positioning.getPositionAtAngle(angle);
+              const label = `${gate}.${line}.${color}.${tone}.${base}`;
+              if (found.basePosition !== sub.basePosition) {
+                throw new Error(`${label} at ${angle}° → base ${found.basePosition}`);
+              }
+              assertEqual(`${found.gateNumber}.${found.lineNumber}.${found.colorNumber}.${found.toneNumber}.${found.baseNumber}`, label);
+            }
+          }
+        }
+      }
+    }
+  }
+});
+
+test('Angles wrap around the wheel', () => {
+  assertEqual(positioning.getPositionAtAngle(360).basePosition, 0);
+  assertEqual(positioning.getPositionAtAngle(-positioning.DEGREES_PER_BASE / 2).basePosition, 69119);
+  assertEqual(positioning.getPositionAtAngle(725).gateNumber, positioning.getPositionAtAngle(5).gateNumber);
+});
+
+test('Invalid angle throws', () => {
+  assertThrows(() => positioning.getPositionAtAngle(NaN));
+  assertThrows(() => positioning.getPositionAtAngle('10'));
+});
+
+// ============================================================================
+// 4. DOCKING AND EPHEMERIS
+// ============================================================================
+console.log('\n4. Docking and Ephemeris');
+console.log('─'.repeat(40));
+
+test('getDockingData carries sub-line fields only when asked', () => {
+  const plain = positioning.getDockingData(13, 4);
+  assertEqual(plain.color, undefined);
+
+  const docked = positioning.getDockingData(13, 4, { color: 3, tone: 2, base: 5 });
+  assertEqual(docked.color, 3);
+  assertEqual(docked.tone, 2);
+  assertEqual(docked.base, 5);
+  assertEqual(docked.angle, plain.angle);
+  assertEqual(docked.subLineAngle, positioning.getSubLinePosition(13, 4, 3, 2, 5).angle);
+});
+
+test('Ephemeris wheel mapping resolves to base', () => {
+  const sub = positioning.getSubLinePosition(51, 5, 4, 6, 2);
+  const longitude = ephemeris.WHEEL_START_LONGITUDE + sub.angle + positioning.DEGREES_PER_BASE / 2;
+  const mapped = ephemeris.longitudeToGateLine(longitude);
+  assertEqual(`${mapped.gate}.${mapped.line}.${mapped.color}.${mapped.tone}.${mapped.base}`, '51.5.4.6.2');
+});
+
+test('Activations carry color, tone and base', () => {
+  for (const a of ephemeris.getActivations('1948-04-09T05:13:00Z')) {
+    const wheelAngle = ephemeris.normalizeDegrees(a.longitude - ephemeris.WHEEL_START_LONGITUDE);
+    const found = positioning.getPositionAtAngle(wheelAngle);
+    assertEqual(a.color, found.colorNumber, a.body);
+    assertEqual(a.tone, found.toneNumber, a.body);
+    assertEqual(a.base, found.baseNumber, a.body);
+  }
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,224 @@
+/**
+ * System Loader Tests
+ *
+ * Tests for core/store/system-loader.js
+ * Verifies:
+ * 1. Every knowledge-systems/ folder is discovered from its system.json
+ * 2. The knowledge store reads its mappings through the registry
+ * 3. Invalid manifests fail loudly
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const systems = require('../core/store/system-loader');
+const store = require('../core/store/knowledge-store');
+const engine = require('../unified-query-engine');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('SYSTEM LOADER TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. Discovery
+// ============================================================================
+console.log('\n1. Discovery');
+console.log('─'.repeat(40));
+
+test('Every system folder is discovered', () => {
+  const folders = fs.readdirSync(systems.KNOWLEDGE_SYSTEMS_DIR)
+    .filter(folder => fs.existsSync(path.join(systems.KNOWLEDGE_SYSTEMS_DIR, folder, 'mappings')));
+  assertEqual(systems.getSystemNames().join(','), folders.sort().join(','));
+  assertEqual(systems.getSystemNames().length, 13);
+});
+
+test('Calendar and mandala gate names are registered', () => {
+  const calendar = systems.getSystem('calendar');
+  assertEqual(calendar.manifest.dockingLevel, 'line');
+  assertEqual(calendar.mappings.length, 384);
+  assertEqual(systems.getMappingFile('calendar', 'mappings/zodiac-signs.json').signs.length, 12);
+
+  const mandala = systems.getSystem('hd-mandala-gate-names');
+  assertEqual(mandala.manifest.version, '1.0.0', 'Version comes from the manifest');
+  assertEqual(mandala.mappings.length, 64);
+});
+
+test('Manifests carry the required fields', () => {
+  for (const manifest of systems.listSystems()) {
+    assertEqual(systems.validateManifest(manifest, manifest.name).length, 0, manifest.name);
+    assertTrue(manifest.entries > 0, manifest.name);
+  }
+  assertEqual(systems.listSystems({ dockingLevel: 'group' }).map(m => m.name).join(','), 'faces,quarters,trigrams');
+  assertEqual(engine.listSystems().length, 13);
+});
+
+test('Mapping files share the require cache', () => {
+  assertTrue(systems.getMappingFile('gene-keys') === require('../knowledge-systems/gene-keys/mappings/gene-keys-mappings.json'));
+  assertThrows(() => systems.getSystem('astrology'));
+  assertThrows(() => systems.getMappingFile('gene-keys', 'mappings/missing.json'));
+});
+
+test('Multi-field keys join with a dot', () => {
+  const manifest = systems.getSystem('hd-traditional-gates').manifest;
+  assertEqual(systems.keyOf(manifest, { gateNumber: 13, lineNumber: 4 }), '13.4');
+  assertEqual(systems.keyOf(systems.getSystem('gene-keys').manifest, { gateNumber: 13 }), 13);
+});
+
+// ============================================================================
+// 2. Store
+// ============================================================================
+console.log('\n2. Store');
+console.log('─'.repeat(40));
+
+test('Gate-level systems land on their record fields', () => {
+  for (const manifest of systems.listSystems({ dockingLevel: 'gate' })) {
+    const entry = systems.getSystem(manifest.name).mappings.find(m => m.gateNumber === 13);
+    assertTrue(store.getGate(13)[manifest.recordField] === entry.knowledge, manifest.name);
+  }
+  assertEqual(store.getRecord(13).mandalaGateName.mandalaGateName, 'The Gate of The Listener');
+});
+
+test('Every gate-level system reaches the unified record', () => {
+  const record = store.getRecord(13, 4);
+  for (const manifest of systems.listSystems({ dockingLevel: 'gate' })) {
+    assertTrue(manifest.recordField in record, manifest.name);
+    assertTrue(record[manifest.recordField] === store.getGate(13)[manifest.recordField], manifest.name);
+  }
+});
+
+// ============================================================================
+// 3. Invalid manifests
+// ============================================================================
+console.log('\n3. Invalid manifests');
+console.log('─'.repeat(40));
+
+const VALID = {
+  name: 'sample',
+  displayName: 'Sample',
+  version: '1.0.0',
+  dockingLevel: 'gate',
+  keyField: 'gateNumber',
+  recordField: 'sample',
+  mappingFiles: ['mappings/sample-mappings.json'],
+  source: 'Tests'
+};
+
+// Write a one-system directory (plus optional other manifests) and load it
+function loadFixture(manifest, mapping = { version: '1.0.0', mappings: [{ gateNumber: 1, knowledge: {} }] }, others = []) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hd-systems-'));
+  try {
+    fs.mkdirSync(path.join(root, 'sample', 'mappings'), { recursive: true });
+    if (manifest !== null) {
+      fs.writeFileSync(path.join(root, 'sample', 'system.json'),
+        typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+    }
+    if (mapping !== null) {
+      fs.writeFileSync(path.join(root, 'sample', 'mappings', 'sample-mappings.json'),
+        typeof mapping === 'string' ? mapping : JSON.stringify(mapping));
+    }
+    for (const other of others) {
+      fs.mkdirSync(path.join(root, other.name, 'mappings'), { recursive: true });
+      fs.writeFileSync(path.join(root, other.name, 'system.json'), JSON.stringify(other));
+      fs.writeFileSync(path.join(root, other.name, 'mappings', 'sample-mappings.json'), JSON.stringify(mapping));
+    }
+    return systems.loadSystems(root);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+// Expect loading to throw with a message containing `text`
+function assertLoadFails(text, manifest, mapping, others) {
+  let message = null;
+  try {
+    loadFixture(manifest, mapping, others);
+  } catch (error) {
+    message = error.message;
+  }
+  assertTrue(message !== null, `Expected loading to fail (${text})`);
+  assertTrue(message.includes('knowledge-systems/sample') && message.includes(text), message);
+}
+
+test('A valid fixture loads', () => {
+  const loaded = loadFixture(VALID);
+  assertEqual(loaded.get('sample').mappings.length, 1);
+});
+
+test('Missing manifest or fields fail', () => {
+  assertLoadFails('No system.json', null);
+  assertLoadFails('system.json is not valid JSON', '{ not json');
+  assertLoadFails('Missing required field: source', { ...VALID, source: undefined });
+  assertLoadFails('must match the folder name', { ...VALID, name: 'other' });
+  assertLoadFails('dockingLevel "cross"', { ...VALID, dockingLevel: 'cross' });
+  assertLoadFails('must be semver', { ...VALID, version: 'one' });
+  assertLoadFails('keyField', { ...VALID, keyField: [] });
+  assertLoadFails('Missing required field: recordField', { ...VALID, recordField: undefined });
+  assertEqual(loadFixture({ ...VALID, dockingLevel: 'line', recordField: undefined }).size, 1);
+});
+
+test('Gate-level systems cannot share a record field', () => {
+  const other = { ...VALID, name: 'another', displayName: 'Another' };
+  assertLoadFails('recordField "sample" is already used by another', VALID, undefined, [other]);
+  assertEqual(loadFixture(VALID, undefined, [{ ...other, recordField: 'another' }]).size, 2);
+});
+
+test('Manifests that disagree with their mapping files fail', () => {
+  assertLoadFails('Mapping file not found', { ...VALID, mappingFiles: ['mappings/other.json'] });
+  assertLoadFails('not valid JSON', VALID, '{ broken');
+  assertLoadFails('no "lines" array', { ...VALID, collection: 'lines' });
+  assertLoadFails('does not match', VALID, { version: '2.0.0', mappings: [] });
+  assertLoadFails('entry 0 has no gateNumber', VALID, { mappings: [{ gate: 1 }] });
+  assertLoadFails('Schema file not found', { ...VALID, schema: 'schema.json' });
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,203 @@
+/**
+ * Transit Engine Tests
+ *
+ * Tests for core/transit/transits.js
+ * Verifies:
+ * 1. Ingress events are complete, ordered and exact to the second
+ * 2. Retrograde motion and gate-level filtering
+ * 3. Transit overlays on a natal chart
+ */
+
+const transits = require('../core/transit/transits');
+const ephemeris = require('../core/ephemeris/ephemeris');
+const chart = require('../core/chart/chart');
+const engine = require('../unified-query-engine');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+/**
+ * Gate.line of a body at a moment, offset by some seconds
+ */
+function gateLineAt(body, time, offsetSeconds) {
+  const date = new Date(new Date(time).getTime() + offsetSeconds * 1000);
+  const position = ephemeris.longitudeToGateLine(ephemeris.getLongitude(body, date));
+  return `${position.gate}.${position.line}`;
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('TRANSIT ENGINE TESTS');
+console.log('═'.repeat(60));
+
+// ============================================================================
+// 1. INGRESSES
+// ============================================================================
+console.log('\n1. Ingresses');
+console.log('─'.repeat(40));
+
+const year = transits.getIngresses('2025-01-01T00:00:00Z', '2026-01-01T00:00:00Z');
+
+test('The Sun and Earth change line 384 times a year', () => {
+  assertEqual(year.filter(e => e.body === 'Sun').length, 384);
+  assertEqual(year.filter(e => e.body === 'Earth').length, 384);
+});
+
+test('The Moon changes line about 13.4 × 384 times a year', () => {
+  const moon = year.filter(e => e.body === 'Moon').length;
+  assertTrue(moon > 5000 && moon < 5250, `${moon}`);
+});
+
+test('Events are sorted by time', () => {
+  for (let i = 1; i < year.length; i++) {
+    assertTrue(year[i - 1].time <= year[i].time, `${year[i - 1].time} > ${year[i].time}`);
+  }
+});
+
+test('Each event is exact to the second', () => {
+  const sample = year.filter((e, i) => i % 250 === 0);
+  for (const event of sample) {
+    assertEqual(gateLineAt(event.body, event.time, -1), `${event.from.gate}.${event.from.line}`, `${event.body} ${event.time}`);
+    assertEqual(gateLineAt(event.body, event.time, 1), `${event.to.gate}.${event.to.line}`, `${event.body} ${event.time}`);
+  }
+});
+
+test('Consecutive events for a body chain from → to', () => {
+  const venus = year.filter(e => e.body === 'Venus');
+  for (let i = 1; i < venus.length; i++) {
+    assertEqual(`${venus[i].from.gate}.${venus[i].from.line}`, `${venus[i - 1].to.gate}.${venus[i - 1].to.line}`);
+  }
+});
+
+test('The Sun enters Gate 41 Line 1 around 21-22 January', () => {
+  const event = year.find(e => e.body === 'Sun' && e.to.gate === 41 && e.to.line === 1);
+  assertTrue(event.time.startsWith('2025-01-21') || event.time.startsWith('2025-01-22'), event.time);
+});
+
+// ============================================================================
+// 2. RETROGRADE AND FILTERING
+// ============================================================================
+console.log('\n2. Retrograde and Filtering');
+console.log('─'.repeat(40));
+
+test('Mercury retrograde periods produce backward ingresses', () => {
+  const mercury = year.filter(e => e.body === 'Mercury');
+  assertTrue(mercury.some(e => e.retrograde));
+  assertTrue(mercury.filter(e => !e.retrograde).length > mercury.filter(e => e.retrograde).length);
+});
+
+test('The Sun is never retrograde', () => {
+  assertEqual(year.filter(e => e.body === 'Sun' && e.retrograde).length, 0);
+});
+
+test('Gate level keeps only gate changes', () => {
+  const gates = transits.getIngresses('2025-01-01T00:00:00Z', '2026-01-01T00:00:00Z', { bodies: ['Sun'], level: 'gate' });
+  assertEqual(gates.length, 64);
+  assertTrue(gates.every(e => e.gateChange && e.to.line === 1));
+});
+
+test('Invalid ranges, bodies and levels throw', () => {
+  assertThrows(() => transits.getIngresses('2025-02-01', '2025-01-01'));
+  assertThrows(() => transits.getIngresses('nope', '2025-01-01'));
+  assertThrows(() => transits.getIngresses('2025-01-01', '2025-02-01', { bodies: ['Chiron'] }));
+  assertThrows(() => transits.getIngresses('2025-01-01', '2025-02-01', { level: 'color' }));
+});
+
+// ============================================================================
+// 3. TRANSIT OVERLAY
+// ============================================================================
+console.log('\n3. Transit Overlay');
+console.log('─'.repeat(40));
+
+const natal = chart.getChart('1948-04-09T05:13:00Z');
+const overlay = transits.getTransitOverlay(natal, '2025-06-01T12:00:00Z');
+
+test('Transits are 13 activations for the transit moment', () => {
+  assertEqual(overlay.transits.length, 13);
+  assertEqual(overlay.date, '2025-06-01T12:00:00.000Z');
+});
+
+test('Every natal channel is still defined, and not temporary', () => {
+  for (const ch of natal.definedChannels) {
+    const combined = overlay.definedChannels.find(c => c.channel === ch.channel);
+    assertEqual(combined.temporary, false, ch.channel);
+  }
+});
+
+test('Temporary channels need at least one transit gate', () => {
+  for (const ch of overlay.temporaryChannels) {
+    assertTrue(Object.values(ch.activatedBy).some(source => source !== 'natal'), ch.channel);
+  }
+});
+
+test('A transit completing a hanging gate creates a temporary channel', () => {
+  // Natal chart holds only the harmonic partner of the transiting Sun's gate
+  const moment = '2025-06-01T12:00:00Z';
+  const transitGate = transits.getTransits(moment).activations[0].gate;
+  const allGates = Array.from({ length: 64 }, (_, i) => i + 1);
+  const partner = chart.getDefinedChannels(allGates)
+    .find(ch => ch.gate1 === transitGate || ch.gate2 === transitGate);
+  const hanging = partner.gate1 === transitGate ? partner.gate2 : partner.gate1;
+
+  const result = transits.getTransitOverlay({
+    personality: [{ body: 'Sun', gate: hanging, line: 1 }],
+    design: [{ body: 'Sun', gate: hanging, line: 1 }]
+  }, moment);
+  const channel = result.temporaryChannels.find(ch => ch.channel === partner.channel);
+  assertEqual(channel.activatedBy[hanging], 'natal');
+  assertTrue(['transit', 'both'].includes(channel.activatedBy[transitGate]));
+  assertTrue(result.temporaryCenters.length > 0);
+});
+
+test('Overlay is exposed from the unified query engine', () => {
+  assertEqual(typeof engine.getIngresses, 'function');
+  assertEqual(engine.getTransitOverlay(natal, '2025-06-01T12:00:00Z').temporaryChannels.length, overlay.temporaryChannels.length);
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,202 @@
+/**
+ * Verification Schema Tests
+ *
+ * Tests for the schema validation in core/root-system/verification-protocol.js
+ * Verifies:
+ * 1. Every registered knowledge system ships a schema and passes it
+ * 2. Enum, required-field and cross-reference failures are reported with paths
+ * 3. Reports are machine-readable JSON
+ */
+
+const jsonSchema = require('../core/root-system/json-schema');
+const verification = require('../core/root-system/verification-protocol');
+const systems = require('../core/store/system-loader');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${error.message}`);
+    errors.push({ name, error: error.message });
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected}, got ${actual}. ${message}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (value !== true) {
+    throw new Error(`Expected true, got ${value}. ${message}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`Expected function to throw. ${message}`);
+}
+
+console.log('\n' + '═'.repeat(60));
+console.log('VERIFICATION SCHEMA TESTS');
+console.log('═'.repeat(60));
+
+// Deep copy of a registered system's primary mapping file
+function copyOf(name) {
+  return JSON.parse(JSON.stringify(systems.getMappingFile(name)));
+}
+
+// Verify a modified copy against the system's registered schema
+function verifyCopy(name, modify) {
+  const mappingFile = copyOf(name);
+  modify(mappingFile.mappings);
+  return verification.verifyKnowledgeSystem(mappingFile, {
+    silent: true,
+    schema: systems.getSystem(name).schema,
+    docking: [].concat(systems.getSystem(name).manifest.keyField)[0] === 'gateNumber'
+  });
+}
+
+// ============================================================================
+// 1. Registered systems
+// ============================================================================
+console.log('\n1. Registered systems');
+console.log('─'.repeat(40));
+
+test('Every system ships a schema', () => {
+  for (const name of systems.getSystemNames()) {
+    const system = systems.getSystem(name);
+    assertEqual(system.manifest.schema, 'schema.json', name);
+    assertEqual(typeof system.schema, 'object', name);
+  }
+});
+
+test('Every system passes its schema', () => {
+  const { passed, reports } = verification.verifyAllSystems({ silent: true });
+  for (const [name, report] of Object.entries(reports)) {
+    assertEqual(report.schemaErrors.length, 0, `${name}: ${JSON.stringify(report.schemaErrors[0])}`);
+    assertTrue(report.passed, `${name}: ${report.errors[0]}`);
+  }
+  assertTrue(passed);
+});
+
+// ============================================================================
+// 2. Failures
+// ============================================================================
+console.log('\n2. Failures');
+console.log('─'.repeat(40));
+
+test('Unknown channel types and circuits are rejected', () => {
+  const { passed, report } = verifyCopy('channels', mappings => {
+    mappings[3].channelType = 'Reflected';
+    mappings[5].knowledge.circuit = 'Tribal Circuit';
+  });
+  assertEqual(passed, false);
+  assertEqual(report.schemaErrors.map(e => `${e.mapping}:${e.path}:${e.keyword}`).join(','),
+    '3:channelType:enum,5:knowledge.circuit:enum');
+});
+
+test('Unknown planets are rejected deep inside line mappings', () => {
+  const { report } = verifyCopy('hd-traditional-gates', mappings => {
+    mappings[0].knowledge.blackBook.exaltation.planets[0].planet = 'Chiron';
+  });
+  assertEqual(report.schemaErrors.length, 1);
+  assertEqual(report.schemaErrors[0].path, 'knowledge.blackBook.exaltation.planets[0].planet');
+});
+
+test('Missing required fields are reported', () => {
+  const { report } = verifyCopy('gene-keys', mappings => {
+    delete mappings[10].knowledge.siddhi;
+  });
+  assertEqual(report.schemaErrors.length, 1);
+  assertEqual(report.schemaErrors[0].keyword, 'required');
+  assertEqual(report.schemaErrors[0].path, 'knowledge.siddhi');
+});
+
+test('harmonicGate must form a real channel', () => {
+  const { report } = verifyCopy('hd-gates', mappings => {
+    const gate1 = mappings.find(m => m.gateNumber === 1);
+    gate1.knowledge.harmonicGate = 2;
+    const gate3 = mappings.find(m => m.gateNumber === 3);
+    gate3.knowledge.harmonicGate = 'multiple';
+  });
+  assertEqual(report.schemaErrors.length, 2);
+  assertTrue(report.schemaErrors.every(e => e.keyword === 'x-ref' && e.path === 'knowledge.harmonicGate'));
+  assertTrue(report.schemaErrors[0].message.includes('no channel connects gate 1 and gate 2'));
+});
+
+test('Channels and centers must exist in their systems', () => {
+  const { report } = verifyCopy('hd-gates', mappings => {
+    const gate1 = mappings.find(m => m.gateNumber === 1);
+    gate1.knowledge.channel = '1-2';
+    gate1.knowledge.center = 'Brain';
+  });
+  assertEqual(report.schemaErrors.map(e => e.path).sort().join(','), 'knowledge.center,knowledge.channel');
+});
+
+// ============================================================================
+// 3. Reports and validator
+// ============================================================================
+console.log('\n3. Reports and validator');
+console.log('─'.repeat(40));
+
+test('Reports are plain JSON', () => {
+  const { report } = verification.verifySystem('quarters', { silent: true });
+  assertEqual(Object.keys(report).join(','), 'systemName,version,passed,totals,errors,warnings,schemaErrors');
+  assertEqual(report.totals.failed, 0);
+  assertEqual(JSON.stringify(JSON.parse(JSON.stringify(report))), JSON.stringify(report));
+});
+
+test('runCompleteVerification applies the registered schema', () => {
+  const mappingFile = copyOf('trigrams');
+  mappingFile.mappings[0].binaryPattern = '1111';
+  const result = verification.runCompleteVerification(mappingFile);
+  assertEqual(result.overallValid, false);
+  assertEqual(JSON.parse(verification.generateReport(result)).schemaErrors[0].keyword, 'pattern');
+  assertTrue(verification.runCompleteVerification(systems.getMappingFile('trigrams')).overallValid);
+});
+
+test('Validator keywords', () => {
+  const schema = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      tags: { type: 'array', uniqueItems: true, items: { $ref: '#/definitions/tag' } }
+    },
+    additionalProperties: false,
+    definitions: { tag: { type: 'string', minLength: 1 } }
+  };
+  assertEqual(jsonSchema.validate(schema, { id: 1, tags: ['a'] }).length, 0);
+  const errors = jsonSchema.validate(schema, { id: 0, tags: ['a', 'a', ''], extra: true });
+  assertEqual(errors.map(e => `${e.path}:${e.keyword}`).join(','), 'id:minimum,tags:uniqueItems,tags[2]:minLength,extra:false');
+  assertThrows(() => jsonSchema.validate({ 'x-ref': 'gate' }, 1), 'x-ref needs a resolver');
+  assertThrows(() => jsonSchema.validate({ $ref: '#/definitions/missing' }, 1), 'Unresolved $ref');
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '═'.repeat(60));
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(60));
+
+if (failed > 0) {
+  console.log('\nFailed tests:');
+  errors.forEach(e => console.log(`  - ${e.name}: ${e.error}`));
+  process.exit(1);
+}
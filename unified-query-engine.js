@@ -4,24 +4,27 @@
  * Blazingly fast unified queries across all 11 knowledge systems.
  * Leverages calculation-first architecture - everything is computed on-demand.
  *
- * Performance: ~2-5ms per gate query (including all knowledge layers)
+ * Performance: indexed at load (core/store/knowledge-store.js) - every gate
+ * query is a handful of Map lookups (see tests/performance/benchmark.js)
  */
 
-const positioning = require('./core/root-system/positioning-algorithm.js');
+const chart = require('./core/chart/chart.js');
+const incarnationCross = require('./core/chart/incarnation-cross.js');
+const transits = require('./core/transit/transits.js');
+const lineCalendar = require('./core/calendar/line-calendar.js');
+const composite = require('./core/relationship/composite.js');
+const penta = require('./core/relationship/penta.js');
+const linePlanets = require('./core/lines/line-planets.js');
+const hexagrams = require('./core/iching/hexagram-transformations.js');
 
-// Load all knowledge systems
-const geneKeys = require('./knowledge-systems/gene-keys/mappings/gene-keys-mappings.json');
-const ichingNames = require('./knowledge-systems/iching-names/mappings/iching-names-mappings.json');
-const hdMandalaNames = require('./knowledge-systems/hd-mandala-gate-names/mappings/hd-mandala-gate-names-mappings.json');
-const hdGates = require('./knowledge-systems/hd-gates/mappings/hd-gates-mappings.json');
-const hdTraditional = require('./knowledge-systems/hd-traditional-gates/mappings/hd-gates-mappings.json');
-const quarters = require('./knowledge-systems/quarters/mappings/quarters-mappings.json');
-const trigrams = require('./knowledge-systems/trigrams/mappings/trigrams-mappings.json');
-const faces = require('./knowledge-systems/faces/mappings/faces-mappings.json');
-const codonRings = require('./knowledge-systems/codon-rings/mappings/codon-rings-mappings.json');
-const channels = require('./knowledge-systems/channels/mappings/channels-mappings.json');
-const centers = require('./knowledge-systems/centers/mappings/centers-mappings.json');
-const crosses = require('./knowledge-systems/incarnation-crosses/mappings/gate-cross-mappings.json');
+// Indexed lookups across all knowledge systems (built once at load)
+const store = require('./core/store/knowledge-store.js');
+const systems = require('./core/store/system-loader.js');
+const searchIndex = require('./core/search/search-index.js');
+const query = require('./core/query/query.js');
+
+// Custom knowledge systems (merged into getGateKnowledge under their own namespace)
+const extensions = require('./extensions/index.js');
 
 /**
  * Get complete unified knowledge for a specific gate
@@ -30,98 +33,28 @@ const crosses = require('./knowledge-systems/incarnation-crosses/mappings/gate-c
  * @returns {Object} Complete knowledge from all systems
  */
 function getGateKnowledge(gateNumber, lineNumber = null) {
-  // Step 1: Get mathematical foundation from root system (INSTANT)
-  const foundation = positioning.getDockingData(gateNumber, lineNumber || 1);
-
-  // Step 2: Simple JSON lookups for meanings (FAST)
-  const knowledge = {
-    gate: gateNumber,
-    line: lineNumber,
-
-    // Mathematical foundation (calculated)
-    binary: foundation.binary,
-    codon: foundation.codon,
-    wheelPosition: foundation.wheelIndex,
-    angle: foundation.angle,
-
-    // Calculated groupings
-    quarter: foundation.quarter,
-    face: foundation.face,
-    trigrams: foundation.trigrams,
-    oppositeGate: foundation.oppositeGate,
-
-    // Gate-level knowledge (lookups)
-    geneKeys: geneKeys.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
-    ichingName: ichingNames.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
-    mandalaGateName: hdMandalaNames.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
-    humanDesign: hdGates.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
-    codonRing: codonRings.mappings.find(m => m.gateNumber === gateNumber)?.knowledge,
-
-    // Grouping meanings (lookups)
-    quarterMeaning: quarters.mappings.find(m => m.groupName === foundation.quarter)?.knowledge,
-    faceMeaning: faces.mappings.find(m => m.groupName === foundation.face)?.knowledge,
-    trigramMeanings: {
-      upper: trigrams.mappings.find(m => m.groupName === foundation.trigrams.upper)?.knowledge,
-      lower: trigrams.mappings.find(m => m.groupName === foundation.trigrams.lower)?.knowledge
-    },
-
-    // Structural (lookups)
-    center: centers.mappings.find(c => c.gates.includes(gateNumber))?.centerName,
-    centerKnowledge: centers.mappings.find(c => c.gates.includes(gateNumber))?.knowledge,
-
-    // Connections (lookups)
-    channelsInvolved: channels.mappings.filter(ch =>
-      ch.gate1 === gateNumber || ch.gate2 === gateNumber
-    ).map(ch => ({
-      channel: ch.channelNumber,
-      name: ch.knowledge.name,
-      circuit: ch.knowledge.circuit
-    })),
-
-    incarnationCrosses: crosses.mappings.find(m => m.gateNumber === gateNumber)?.knowledge || {}
-  };
-
-  // Step 3: Add line-level knowledge if requested
-  if (lineNumber) {
-    const lineData = hdTraditional.mappings.find(
-      m => m.gateNumber === gateNumber && m.lineNumber === lineNumber
-    );
-    knowledge.lineKnowledge = lineData?.knowledge;
-  }
-
-  return knowledge;
+  // Indexed foundation and knowledge (O(1) - no mapping scans), plus registered extensions
+  return extensions.applyExtensions(store.getRecord(gateNumber, lineNumber));
 }
 
 /**
  * Get all gates in a quarter
  * @param {string} quarterName - "Mutation", "Initiation", "Duality", or "Civilisation"
  * @returns {Array} All gates in that quarter
+ * @deprecated Use query().quarter(name).gates()
  */
 function getGatesInQuarter(quarterName) {
-  const gates = [];
-  for (let i = 1; i <= 64; i++) {
-    const data = positioning.getDockingData(i);
-    if (data.quarter === quarterName) {
-      gates.push(i);
-    }
-  }
-  return gates;
+  return query.query().quarter(quarterName).gates();
 }
 
 /**
  * Get all gates in a face
  * @param {string} faceName - Face name (e.g., "Hades", "Prometheus")
  * @returns {Array} All gates in that face
+ * @deprecated Use query().face(name).gates()
  */
 function getGatesInFace(faceName) {
-  const gates = [];
-  for (let i = 1; i <= 64; i++) {
-    const data = positioning.getDockingData(i);
-    if (data.face === faceName) {
-      gates.push(i);
-    }
-  }
-  return gates;
+  return query.query().face(faceName).gates();
 }
 
 /**
@@ -129,76 +62,63 @@ function getGatesInFace(faceName) {
  * @param {string} trigramName - Trigram name (e.g., "Heaven", "Earth")
  * @param {string} position - "upper" or "lower"
  * @returns {Array} All gates with that trigram
+ * @deprecated Use query().trigram(position, name).gates()
  */
 function getGatesWithTrigram(trigramName, position = "upper") {
-  const gates = [];
-  for (let i = 1; i <= 64; i++) {
-    const data = positioning.getDockingData(i);
-    if (position === "upper" && data.trigrams.upper === trigramName) {
-      gates.push(i);
-    } else if (position === "lower" && data.trigrams.lower === trigramName) {
-      gates.push(i);
-    }
-  }
-  return gates;
+  if (position !== 'upper' && position !== 'lower') return [];
+  return query.query().trigram(position, trigramName).gates();
 }
 
 /**
  * Get gates by center
  * @param {string} centerName - Center name (e.g., "G", "Sacral")
  * @returns {Array} All gates in that center
+ * @deprecated Use query().center(name).gates()
  */
 function getGatesByCenter(centerName) {
-  const center = centers.mappings.find(c => c.centerName === centerName);
-  return center ? center.gates : [];
+  return query.query().center(centerName).gates();
 }
 
 /**
  * Search across all knowledge systems
- * @param {string} searchTerm - Search term
- * @returns {Array} Matching results from all systems
+ * Ranked, stemmed and typo-tolerant - see core/search/search-index.js for the query syntax
+ * @param {string} query - Search terms, optionally with system:/field:/level: qualifiers
+ * @param {Object} options - { limit, fuzzy, highlight, escape }
+ * @returns {Array} Ranked hits at gate, line, channel, center, cross, quarter, face and trigram level
+ * Breaking change from V2: hits are { level, id, gate, line, title, score, matches }, not
+ * one { gate, matchedIn, preview } per gate - see MIGRATION.md
  */
-function search(searchTerm) {
-  const results = [];
-  const term = searchTerm.toLowerCase();
-
-  // Search through all gate-level systems
-  for (let i = 1; i <= 64; i++) {
-    const knowledge = getGateKnowledge(i);
-    const matches = [];
-
-    // Check various fields
-    if (knowledge.ichingName?.ichingName?.toLowerCase().includes(term)) {
-      matches.push('I Ching name');
-    }
-    if (knowledge.humanDesign?.keyword?.toLowerCase().includes(term)) {
-      matches.push('HD keyword');
-    }
-    if (knowledge.geneKeys?.shadow?.toLowerCase().includes(term) ||
-        knowledge.geneKeys?.gift?.toLowerCase().includes(term) ||
-        knowledge.geneKeys?.siddhi?.toLowerCase().includes(term)) {
-      matches.push('Gene Keys');
-    }
-
-    if (matches.length > 0) {
-      results.push({
-        gate: i,
-        matchedIn: matches,
-        preview: {
-          iching: knowledge.ichingName?.ichingName,
-          keyword: knowledge.humanDesign?.keyword,
-          geneKey: knowledge.geneKeys?.gift
-        }
-      });
-    }
-  }
-
-  return results;
+function search(query, options = {}) {
+  return searchIndex.search(query, options);
 }
 
 // Export functions
 module.exports = {
   getGateKnowledge,
+  getChart: chart.getChart,
+  createChart: chart.createChart,
+  getIncarnationCross: incarnationCross.getIncarnationCross,
+  getIngresses: transits.getIngresses,
+  getTransitOverlay: transits.getTransitOverlay,
+  getLineForDate: lineCalendar.getLineForDate,
+  getDatesForLine: lineCalendar.getDatesForLine,
+  getCompositeChart: composite.getCompositeChart,
+  getPentaAnalysis: penta.getPentaAnalysis,
+  getLinesByPlanet: linePlanets.getLinesByPlanet,
+  getPlanetStatistics: linePlanets.getPlanetStatistics,
+  changeLine: hexagrams.changeLine,
+  changeLines: hexagrams.changeLines,
+  getNuclearHexagram: hexagrams.getNuclearHexagram,
+  getInverseHexagram: hexagrams.getInverseHexagram,
+  getComplementaryHexagram: hexagrams.getComplementaryHexagram,
+  castHexagram: hexagrams.castHexagram,
+  getLineLeadsTo: hexagrams.getLineLeadsTo,
+  getLineLeadsToTable: hexagrams.getLineLeadsToTable,
+  query: query.query,
+  registerKnowledgeSystem: extensions.registerKnowledgeSystem,
+  unregisterKnowledgeSystem: extensions.unregisterKnowledgeSystem,
+  listKnowledgeSystems: extensions.listKnowledgeSystems,
+  listSystems: systems.listSystems,
   getGatesInQuarter,
   getGatesInFace,
   getGatesWithTrigram,
@@ -214,6 +134,7 @@ if (require.main === module) {
     console.log('Usage: node unified-query-engine.js <gate> [line]');
     console.log('Example: node unified-query-engine.js 13');
     console.log('Example: node unified-query-engine.js 13 4');
+    console.log('\nFor search, queries, rendering and table/CSV output see: node cli/hd.js help');
     process.exit(0);
   }
 
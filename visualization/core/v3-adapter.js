@@ -5,6 +5,8 @@
  * All visualization components use this adapter (not import V3 directly).
  *
  * Provides:
+ * - Indexed lookups (core/store/knowledge-store.js)
+ * - Gate/line queries (core/query/query.js)
  * - Error handling
  * - Input validation
  * - Consistent interface
@@ -16,6 +18,7 @@
 // Import V3 knowledge engine
 const positioning = require('../../core/root-system/positioning-algorithm.js');
 const engine = require('../../unified-query-engine.js');
+const store = require('../../core/store/knowledge-store.js');
 
 /**
  * V3Adapter - Wrapper around V3 knowledge engine
@@ -146,12 +149,12 @@ class V3Adapter {
         throw new Error(`Quarter name must be a string, got: ${typeof quarterName}`);
       }
 
-      const validQuarters = ['Mutation', 'Initiation', 'Duality', 'Civilisation'];
+      const validQuarters = store.getGroupNames('quarters');
       if (!validQuarters.includes(quarterName)) {
         throw new Error(`Invalid quarter name: ${quarterName}. Valid: ${validQuarters.join(', ')}`);
       }
 
-      return engine.getGatesInQuarter(quarterName);
+      return engine.query().quarter(quarterName).gates();
     } catch (error) {
       if (this.options.logErrors) {
         console.error(`Error in getGatesInQuarter(${quarterName}):`, error.message);
@@ -171,7 +174,7 @@ class V3Adapter {
         throw new Error(`Face name must be a string, got: ${typeof faceName}`);
       }
 
-      return engine.getGatesInFace(faceName);
+      return engine.query().face(faceName).gates();
     } catch (error) {
       if (this.options.logErrors) {
         console.error(`Error in getGatesInFace(${faceName}):`, error.message);
@@ -196,7 +199,7 @@ class V3Adapter {
         throw new Error(`Position must be "upper" or "lower", got: ${position}`);
       }
 
-      return engine.getGatesWithTrigram(trigramName, position);
+      return engine.query().trigram(position, trigramName).gates();
     } catch (error) {
       if (this.options.logErrors) {
         console.error(`Error in getGatesWithTrigram(${trigramName}, ${position}):`, error.message);
@@ -216,7 +219,7 @@ class V3Adapter {
         throw new Error(`Center name must be a string, got: ${typeof centerName}`);
       }
 
-      return engine.getGatesByCenter(centerName);
+      return engine.query().center(centerName).gates();
     } catch (error) {
       if (this.options.logErrors) {
         console.error(`Error in getGatesByCenter(${centerName}):`, error.message);
@@ -227,10 +230,11 @@ class V3Adapter {
 
   /**
    * Search across all knowledge systems
-   * @param {string} keyword - Search term
-   * @returns {Array<Object>} Search results
+   * @param {string} keyword - Search query (terms plus optional system:/field:/level: qualifiers)
+   * @param {Object} options - { limit, fuzzy, highlight, escape }
+   * @returns {Array<Object>} Ranked search hits
    */
-  search(keyword) {
+  search(keyword, options = {}) {
     try {
       if (typeof keyword !== 'string') {
         throw new Error(`Search keyword must be a string, got: ${typeof keyword}`);
@@ -240,7 +244,7 @@ class V3Adapter {
         throw new Error('Search keyword must be at least 2 characters');
       }
 
-      return engine.search(keyword);
+      return engine.search(keyword, options);
     } catch (error) {
       if (this.options.logErrors) {
         console.error(`Error in search(${keyword}):`, error.message);
@@ -249,6 +253,26 @@ class V3Adapter {
     }
   }
 
+  /**
+   * Start a gate/line query
+   * @param {string} source - Optional string-syntax expression (e.g. "quarter:Mutation AND center:Sacral")
+   * @returns {Query} Chainable query - see core/query/query.js
+   */
+  query(source) {
+    try {
+      if (source !== undefined && typeof source !== 'string') {
+        throw new Error(`Query must be a string, got: ${typeof source}`);
+      }
+
+      return engine.query(source);
+    } catch (error) {
+      if (this.options.logErrors) {
+        console.error(`Error in query(${source}):`, error.message);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Clear cache (if enabled)
    */
@@ -11,6 +11,12 @@
  * - 128 Connector Lines (64 direct + 64 curved)
  * - 64 Gate Dots (outer wheel markers)
  *
+ * Chart mode (options.chart) renders a real person's activations on top of
+ * the template: defined centers are filled, each channel half is coloured by
+ * Personality (black), Design (red) or both (striped), and activation columns
+ * with planet glyphs are added on either side. Channels missing from the
+ * template geometry (e.g. 10-20) show through their gates only.
+ *
  * Following the pattern established in quarters-trigrams-faces-ring.js
  */
 
@@ -25,6 +31,13 @@ const GEOMETRY = require('./bodygraph-geometry.json');
 
 // V3 positioning algorithm for consistent wheel alignment
 const positioning = require('../../core/root-system/positioning-algorithm');
+const shared = require('./shared-constants');
+
+// Chart model for chart mode (defined centers/channels from activations)
+const chartModel = require('../../core/chart/chart');
+
+// Planet glyphs for the activation columns
+const PLANET_PATHS = require('./planet-paths-extracted.json');
 
 // Knowledge engine connections - Full V3 integration
 const centersData = require('../../knowledge-systems/centers/mappings/centers-mappings.json');
@@ -57,6 +70,15 @@ const COLORS = {
   connectorStroke: '#FFFFFF' // Connector line stroke
 };
 
+// Chart mode colours - standard Personality/Design convention
+const CHART_COLORS = {
+  personality: '#000000',   // Conscious (black)
+  design: '#C8102E',        // Unconscious (red)
+  definedCenterFill: '#fab414', // Gold fill for defined centers
+  casing: '#FFFFFF',        // White casing keeps black visible on the dark canvas
+  panel: '#FFFFFF'          // Activation column background
+};
+
 // ============================================================================
 // STROKE WIDTHS (from master SVG)
 // ============================================================================
@@ -67,7 +89,27 @@ const STROKES = {
   centerOutline: 1.3356,
   centerDefinition: 0.81,
   gate: 1,
-  gateDot: 1
+  gateDot: 1,
+  activatedChannel: 3,
+  activatedCasing: 5,
+  activatedGate: 2
+};
+
+// Activation column layout (chart mode)
+const COLUMNS = {
+  width: 150,             // Added to each side of the canvas
+  rowHeight: 40,
+  headerHeight: 44,
+  glyphSize: 22,
+  fontFamily: 'Helvetica, Arial, sans-serif',
+  fontSize: 18,
+  stripeDash: '4 4'
+};
+
+// Text glyphs for bodies without an extracted path
+const NODE_GLYPHS = {
+  'North Node': '\u260A',
+  'South Node': '\u260B'
 };
 
 // ============================================================================
@@ -81,17 +123,13 @@ const CENTER_Y = GEOMETRY.viewBox.height / 2;  // ~601.24
 // Base radius for outer gate dots (extracted from original geometry)
 const BASE_DOT_RADIUS = 596.45;
 
-// Position offset: aligns V3 angles to SVG wheel positions
-// Same as other ring generators for consistency
-const POSITION_OFFSET = 323.4375;
-
 /**
  * Calculate SVG position angle from V3 angle
  * Uses the same formula as numbers-ring.js and other generators
  * for consistent wheel alignment across all components.
  */
 function calculateSVGAngle(v3Angle) {
-  return -v3Angle - 90 + POSITION_OFFSET;
+  return shared.calculateSVGAngle(v3Angle);
 }
 
 /**
@@ -268,36 +306,273 @@ function getChannelKnowledge(channelKey) {
   return channel ? channel.knowledge : null;
 }
 
+// Map SVG center names to knowledge system names
+const CENTER_NAME_MAP = {
+  'HEAD': 'Head',
+  'AJNA': 'Ajna',
+  'THROAT': 'Throat',
+  'G': 'G',
+  'EGO': 'Heart',
+  'SACRAL': 'Sacral',
+  'SPLEEN': 'Spleen',
+  'SP': 'Solar Plexus',
+  'ROOT': 'Root'
+};
+
 /**
  * Get center data from knowledge system
  */
 function getCenterKnowledge(centerName) {
-  // Map SVG center names to knowledge system names
-  const nameMap = {
-    'HEAD': 'Head',
-    'AJNA': 'Ajna',
-    'THROAT': 'Throat',
-    'G': 'G',
-    'EGO': 'Heart',
-    'SACRAL': 'Sacral',
-    'SPLEEN': 'Spleen',
-    'SP': 'Solar Plexus',
-    'ROOT': 'Root'
-  };
-  const mappedName = nameMap[centerName] || centerName;
+  const mappedName = CENTER_NAME_MAP[centerName] || centerName;
   const center = centersData.mappings.find(c => c.centerName === mappedName);
   return center ? center.knowledge : null;
 }
 
+// ============================================================================
+// CHART MODE
+// ============================================================================
+
+/**
+ * Build the lookups chart mode needs from a chart
+ * Accepts a chart from core/chart/chart.js or the activation sets it is built from.
+ * @returns {Object} { chart, gateSides, gatePlanets, definedCenters }
+ */
+function buildChartContext(chart) {
+  const model = chart.definedChannels ? chart : chartModel.createChart(chart);
+
+  // Which side(s) and which planets activated each gate
+  const gateSides = {};
+  const gatePlanets = {};
+  for (const [gate, entries] of Object.entries(model.gateActivations)) {
+    const sides = new Set(entries.map(e => e.side));
+    gateSides[gate] = sides.size === 2 ? 'both' : [...sides][0];
+    gatePlanets[gate] = {
+      personality: entries.filter(e => e.side === 'personality').map(e => e.body),
+      design: entries.filter(e => e.side === 'design').map(e => e.body)
+    };
+  }
+
+  return {
+    chart: model,
+    gateSides,
+    gatePlanets,
+    definedCenters: new Set(model.definedCenters)
+  };
+}
+
+/**
+ * Data attributes recording which planets activated a gate
+ */
+function getActivationAttrs(gateNum, context) {
+  const side = context.gateSides[gateNum];
+  if (!side) return [];
+
+  const planets = context.gatePlanets[gateNum];
+  return [
+    `data-activation="${side}"`,
+    `data-personality-planets="${escapeAttr(planets.personality.join(','))}"`,
+    `data-design-planets="${escapeAttr(planets.design.join(','))}"`
+  ];
+}
+
+/**
+ * Calculate the bounding box of an SVG path
+ * Handles absolute and relative commands; arcs are sampled from their centre
+ * parameterisation, curves are bounded by their control points.
+ */
+function getPathBounds(d) {
+  const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e-?\d+)?/g);
+  const arity = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+  const xs = [];
+  const ys = [];
+  const add = (x, y) => { xs.push(x); ys.push(y); };
+
+  let x = 0, y = 0, startX = 0, startY = 0;
+  let command = null;
+  let i = 0;
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (command === 'M') {
+      command = 'L';
+    } else if (command === 'm') {
+      command = 'l';
+    }
+
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    const args = tokens.slice(i, i + arity[upper]).map(Number);
+    i += arity[upper];
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (upper) {
+      case 'M':
+        x = startX = ox + args[0];
+        y = startY = oy + args[1];
+        break;
+      case 'L':
+      case 'T':
+        x = ox + args[0];
+        y = oy + args[1];
+        break;
+      case 'H':
+        x = ox + args[0];
+        break;
+      case 'V':
+        y = (relative ? y : 0) + args[0];
+        break;
+      case 'C':
+      case 'S':
+      case 'Q':
+        for (let k = 0; k < args.length - 2; k += 2) add(ox + args[k], oy + args[k + 1]);
+        x = ox + args[args.length - 2];
+        y = oy + args[args.length - 1];
+        break;
+      case 'A':
+        sampleArc(x, y, args, ox + args[5], oy + args[6]).forEach(([px, py]) => add(px, py));
+        x = ox + args[5];
+        y = oy + args[6];
+        break;
+      case 'Z':
+        x = startX;
+        y = startY;
+        break;
+    }
+    add(x, y);
+  }
+
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  return { minX, minY, width, height, centerX: minX + width / 2, centerY: minY + height / 2 };
+}
+
+/**
+ * Sample points along an elliptical arc (SVG endpoint → centre conversion)
+ */
+function sampleArc(x1, y1, [rx, ry, rotation, largeArc, sweep], x2, y2, samples = 16) {
+  if (rx === 0 || ry === 0) return [];
+
+  const phi = rotation * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  // Scale radii up if the endpoints are too far apart
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = factor * rx * y1p / ry;
+  const cyp = -factor * ry * x1p / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const points = [];
+  for (let k = 1; k < samples; k++) {
+    const t = theta1 + delta * k / samples;
+    const ex = rx * Math.cos(t);
+    const ey = ry * Math.sin(t);
+    points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+  }
+  return points;
+}
+
+// Glyph bounds, calculated once (the stored centerX/width values are unreliable)
+const PLANET_GLYPH_BOUNDS = {};
+for (const [planet, glyph] of Object.entries(PLANET_PATHS)) {
+  PLANET_GLYPH_BOUNDS[planet] = getPathBounds(glyph.rawPath);
+}
+
+/**
+ * Generate a planet glyph centred on (x, y)
+ * Falls back to a text glyph for the nodes, which have no extracted path.
+ */
+function generatePlanetGlyph(planet, x, y, size, fill) {
+  const bounds = PLANET_GLYPH_BOUNDS[planet];
+  if (!bounds) {
+    return `<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" font-family="${COLUMNS.fontFamily}" font-size="${size}" fill="${fill}" text-anchor="middle" dominant-baseline="central">${NODE_GLYPHS[planet] || escapeAttr(planet.charAt(0))}</text>`;
+  }
+
+  const scale = size / Math.max(bounds.width, bounds.height);
+  return `<path d="${PLANET_PATHS[planet].rawPath}" transform="translate(${x.toFixed(2)}, ${y.toFixed(2)}) scale(${scale.toFixed(6)}) translate(${(-bounds.centerX).toFixed(4)}, ${(-bounds.centerY).toFixed(4)})" fill="${fill}"/>`;
+}
+
+/**
+ * Generate one activation column (Design on the left, Personality on the right)
+ * @param {string} side - "personality" or "design"
+ * @param {Array<Object>} activations - Activations for that side
+ * @param {number} x - Left edge of the column (content coordinates)
+ */
+function generateActivationColumn(side, activations, x) {
+  const color = CHART_COLORS[side];
+  const label = side.toUpperCase();
+  const height = COLUMNS.headerHeight + activations.length * COLUMNS.rowHeight;
+  const top = CENTER_Y - height / 2;
+  const width = COLUMNS.width - 20;
+
+  const rows = activations.map((a, i) => {
+    const rowY = top + COLUMNS.headerHeight + (i + 0.5) * COLUMNS.rowHeight;
+    return `      <g id="ACTIVATION_-_${label}_-_${escapeId(a.body)}"
+         data-name="ACTIVATION - ${label} - ${a.body}"
+         data-side="${side}"
+         data-planet="${escapeAttr(a.body)}"
+         data-gate="${a.gate}"
+         data-line="${a.line}">
+        ${generatePlanetGlyph(a.body, x + 30, rowY, COLUMNS.glyphSize, color)}
+        <text x="${(x + width - 16).toFixed(2)}" y="${rowY.toFixed(2)}" font-family="${COLUMNS.fontFamily}" font-size="${COLUMNS.fontSize}" fill="${color}" text-anchor="end" dominant-baseline="central">${a.gate}.${a.line}</text>
+      </g>`;
+  });
+
+  return `    <g id="GROUP_-_ACTIVATIONS_-_${label}" data-name="GROUP - ACTIVATIONS - ${label}" data-side="${side}">
+      <rect x="${x.toFixed(2)}" y="${top.toFixed(2)}" width="${width}" height="${height}" rx="8" fill="${CHART_COLORS.panel}"/>
+      <text x="${(x + width / 2).toFixed(2)}" y="${(top + COLUMNS.headerHeight / 2).toFixed(2)}" font-family="${COLUMNS.fontFamily}" font-size="${COLUMNS.fontSize - 4}" font-weight="bold" fill="${color}" text-anchor="middle" dominant-baseline="central">${label}</text>
+${rows.join('\n')}
+    </g>`;
+}
+
+/**
+ * Generate both activation columns, placed in the side margins of the canvas
+ * @param {Object} context - From buildChartContext()
+ * @param {number} offset - Content offset from the canvas edge (see getCanvasLayout)
+ */
+function generateActivationColumns(context, offset) {
+  const baseSize = GEOMETRY.viewBox.width;
+  return `  <g id="THE_BODYGRAPH_-_ACTIVATIONS" data-name="THE BODYGRAPH - ACTIVATIONS">
+${generateActivationColumn('design', context.chart.design.activations, -offset - COLUMNS.width + 10)}
+${generateActivationColumn('personality', context.chart.personality.activations, baseSize + offset + 10)}
+  </g>`;
+}
+
 // ============================================================================
 // SVG GENERATION FUNCTIONS
 // ============================================================================
 
 /**
- * Generate the SVG header with dynamic canvas size
+ * Calculate canvas size and content offset
  * @param {number} radiusMultiplier - Multiplier for outer dot radius (affects canvas size)
+ * @param {number} sideMargin - Extra width on each side (activation columns)
  */
-function generateHeader(radiusMultiplier = 1.0) {
+function getCanvasLayout(radiusMultiplier = 1.0, sideMargin = 0) {
   const baseSize = GEOMETRY.viewBox.width; // 1202.4747
 
   // Calculate required canvas size based on radius multiplier
@@ -309,14 +584,25 @@ function generateHeader(radiusMultiplier = 1.0) {
   // Offset to keep bodygraph centered when canvas expands
   const offset = (canvasSize - baseSize) / 2;
 
+  return { canvasSize, canvasWidth: canvasSize + sideMargin * 2, offset, sideMargin };
+}
+
+/**
+ * Generate the SVG header with dynamic canvas size
+ * @param {number} radiusMultiplier - Multiplier for outer dot radius (affects canvas size)
+ * @param {number} sideMargin - Extra width on each side (activation columns)
+ */
+function generateHeader(radiusMultiplier = 1.0, sideMargin = 0) {
+  const { canvasSize, canvasWidth, offset } = getCanvasLayout(radiusMultiplier, sideMargin);
+
   return `<svg id="BODYGRAPH_-_GENERATED"
      data-name="BODYGRAPH - GENERATED"
      xmlns="http://www.w3.org/2000/svg"
-     width="${canvasSize.toFixed(4)}"
+     width="${canvasWidth.toFixed(4)}"
      height="${canvasSize.toFixed(4)}"
-     viewBox="0 0 ${canvasSize.toFixed(4)} ${canvasSize.toFixed(4)}">
-  <rect id="background" width="${canvasSize.toFixed(4)}" height="${canvasSize.toFixed(4)}" fill="${COLORS.background}"/>
-  <g id="BODYGRAPH_CONTENT" transform="translate(${offset.toFixed(4)}, ${offset.toFixed(4)})">`;
+     viewBox="0 0 ${canvasWidth.toFixed(4)} ${canvasSize.toFixed(4)}">
+  <rect id="background" width="${canvasWidth.toFixed(4)}" height="${canvasSize.toFixed(4)}" fill="${COLORS.background}"/>
+  <g id="BODYGRAPH_CONTENT" transform="translate(${(offset + sideMargin).toFixed(4)}, ${offset.toFixed(4)})">`;
 }
 
 /**
@@ -415,16 +701,52 @@ ${dots.join('\n')}
   </g>`;
 }
 
+/**
+ * Generate an activated channel half (chart mode)
+ * A white casing sits under the coloured stroke; halves activated by both
+ * sides are striped - red with a dashed black stroke on top.
+ */
+function generateActivatedChannelPath(pathData, geometryAttr, side, activationAttrs) {
+  const stroke = (id, color, width, extra = '') => `      <${pathData.type}
+         id="${id}"
+         data-name="${id.replace(/_-_/g, ' - ')}"
+         data-gate="${pathData.gate}"
+         ${geometryAttr}
+         fill="none"
+         stroke="${color}"
+         stroke-linecap="round"
+         stroke-miterlimit="10"
+         stroke-width="${width}"${extra}/>`;
+
+  const base = `PATH_-_${pathData.gate}`;
+  const elements = [stroke(`${base}_-_CASING`, CHART_COLORS.casing, STROKES.activatedCasing)];
+  const mainColor = side === 'personality' ? CHART_COLORS.personality : CHART_COLORS.design;
+  elements.push(stroke(base, mainColor, STROKES.activatedChannel,
+    `\n         ${activationAttrs.join('\n         ')}`));
+  if (side === 'both') {
+    elements.push(stroke(`${base}_-_STRIPE`, CHART_COLORS.personality, STROKES.activatedChannel,
+      `\n         stroke-dasharray="${COLUMNS.stripeDash}"`));
+  }
+  return elements.join('\n');
+}
+
 /**
  * Generate a single channel's paths
+ * @param {Object|null} context - Chart mode context (null renders the template)
  */
-function generateChannelPaths(channelKey, channelData) {
+function generateChannelPaths(channelKey, channelData, context = null) {
   const elements = [];
   const knowledge = getChannelKnowledge(channelKey);
   const channelName = knowledge ? knowledge.name : channelKey;
 
   for (const pathData of channelData.paths) {
-    if (pathData.type === 'polyline') {
+    const side = context && context.gateSides[pathData.gate];
+    if (side) {
+      const geometryAttr = pathData.type === 'polyline'
+        ? `points="${pathData.points}"`
+        : `d="${pathData.d}"\n         transform="${pathData.transform || `translate(${GEOMETRY.transform.x} ${GEOMETRY.transform.y})`}"`;
+      elements.push(generateActivatedChannelPath(pathData, geometryAttr, side, getActivationAttrs(pathData.gate, context)));
+    } else if (pathData.type === 'polyline') {
       elements.push(`      <polyline
          id="PATH_-_${pathData.gate}"
          data-name="PATH - ${pathData.gate}"
@@ -456,8 +778,9 @@ function generateChannelPaths(channelKey, channelData) {
 
 /**
  * Generate all channels organized by circuit with full V3 knowledge attributes
+ * @param {Object|null} context - Chart mode context (null renders the template)
  */
-function generateChannels() {
+function generateChannels(context = null) {
   const circuitGroups = [];
 
   for (const [circuitName, circuitData] of Object.entries(CIRCUITS)) {
@@ -496,8 +819,13 @@ function generateChannels() {
         }
       }
 
+      if (context) {
+        const isDefined = Boolean(context.gateSides[gate1] && context.gateSides[gate2]);
+        attrs.push(`data-is-defined="${isDefined}"`);
+      }
+
       const channelGroup = `    <g ${attrs.join('\n       ')}>
-${generateChannelPaths(channelKey, channelData)}
+${generateChannelPaths(channelKey, channelData, context)}
     </g>`;
 
       channelElements.push(channelGroup);
@@ -519,8 +847,9 @@ ${circuitGroups.join('\n')}
 
 /**
  * Generate gates for a specific center with full V3 knowledge attributes
+ * @param {Object|null} context - Chart mode context (null renders the template)
  */
-function generateCenterGates(centerName, gateNumbers) {
+function generateCenterGates(centerName, gateNumbers, context = null) {
   const gates = [];
 
   for (const gateNum of gateNumbers) {
@@ -565,13 +894,25 @@ function generateCenterGates(centerName, gateNumbers) {
       }
     }
 
+    // Chart mode: activated gates take their side's colour
+    const side = context && context.gateSides[gateNum];
+    if (side) {
+      attrs.push(...getActivationAttrs(gateNum, context));
+    }
+
     // Geometry attributes
     attrs.push(`cx="${cx}"`);
     attrs.push(`cy="${cy}"`);
     attrs.push(`r="${r}"`);
-    attrs.push(`fill="${COLORS.gateFill}"`);
-    attrs.push(`stroke="${COLORS.gateStroke}"`);
-    attrs.push(`stroke-width="${STROKES.gate}"`);
+    if (side) {
+      attrs.push(`fill="${side === 'personality' ? CHART_COLORS.personality : CHART_COLORS.design}"`);
+      attrs.push(`stroke="${side === 'both' ? CHART_COLORS.personality : COLORS.gateStroke}"`);
+      attrs.push(`stroke-width="${STROKES.activatedGate}"`);
+    } else {
+      attrs.push(`fill="${COLORS.gateFill}"`);
+      attrs.push(`stroke="${COLORS.gateStroke}"`);
+      attrs.push(`stroke-width="${STROKES.gate}"`);
+    }
 
     gates.push(`      <circle\n         ${attrs.join('\n         ')}/>`);
   }
@@ -581,8 +922,9 @@ function generateCenterGates(centerName, gateNumbers) {
 
 /**
  * Generate center outlines and definitions with full V3 knowledge attributes
+ * @param {Object|null} context - Chart mode context (null renders the template)
  */
-function generateCenterShapes() {
+function generateCenterShapes(context = null) {
   const elements = [];
 
   // Generate outline for each center
@@ -611,11 +953,17 @@ function generateCenterShapes() {
     const gateCount = (GEOMETRY.centers.gateAssignments[centerName] || []).length;
     attrs.push(`data-gate-count="${gateCount}"`);
 
+    // Chart mode: defined centers are filled
+    const isDefined = Boolean(context && context.definedCenters.has(CENTER_NAME_MAP[centerName]));
+    if (context) {
+      attrs.push(`data-is-defined="${isDefined}"`);
+    }
+
     attrs.push(`d="${shapeData.d}"`);
     if (shapeData.transform) {
       attrs.push(`transform="${shapeData.transform}"`);
     }
-    attrs.push(`fill="${COLORS.centerFill}"`);
+    attrs.push(`fill="${isDefined ? CHART_COLORS.definedCenterFill : COLORS.centerFill}"`);
     attrs.push(`stroke="${COLORS.centerStroke}"`);
     attrs.push(`stroke-miterlimit="10"`);
     attrs.push(`stroke-width="${STROKES.centerOutline}"`);
@@ -648,8 +996,9 @@ function generateCenterDefinitions() {
 
 /**
  * Generate all centers with their gates
+ * @param {Object|null} context - Chart mode context (null renders the template)
  */
-function generateCenters() {
+function generateCenters(context = null) {
   const centerGroups = [];
   const gateAssignments = GEOMETRY.centers.gateAssignments;
 
@@ -657,13 +1006,13 @@ function generateCenters() {
     if (gateNumbers.length === 0) continue;
 
     centerGroups.push(`    <g id="GROUP_-_${centerName}" data-name="GROUP - ${centerName}">
-${generateCenterGates(centerName, gateNumbers)}
+${generateCenterGates(centerName, gateNumbers, context)}
     </g>`);
   }
 
   return `  <g id="GROUP_-_CENTRES" data-name="GROUP - CENTRES">
     <g id="GROUP_-_OUTLINES" data-name="GROUP - OUTLINES">
-${generateCenterShapes()}
+${generateCenterShapes(context)}
     </g>
     <g id="GROUP_-_DEFINITIONS" data-name="GROUP - DEFINITIONS">
 ${generateCenterDefinitions()}
@@ -686,6 +1035,8 @@ ${centerGroups.join('\n')}
  * @param {boolean} options.includeGateDots - Include gate dots (default: true)
  * @param {number} options.dotRadiusMultiplier - Multiplier for outer dot distance (default: 1.0)
  * @param {number} options.curveBendFactor - How much curved connectors bend (default: 0.3)
+ * @param {Object} options.chart - Chart to render (createChart() result or its activation sets)
+ * @param {boolean} options.includeActivations - Add activation columns in chart mode (default: true)
  * @returns {string} Complete SVG markup
  */
 function generateBodygraph(options = {}) {
@@ -693,10 +1044,16 @@ function generateBodygraph(options = {}) {
     includeConnectors = true,
     includeGateDots = true,
     dotRadiusMultiplier = 1.0,
-    curveBendFactor = 0.3
+    curveBendFactor = 0.3,
+    chart = null,
+    includeActivations = true
   } = options;
 
-  const sections = [generateHeader(dotRadiusMultiplier)];
+  const context = chart ? buildChartContext(chart) : null;
+  const showColumns = Boolean(context && includeActivations);
+  const layout = getCanvasLayout(dotRadiusMultiplier, showColumns ? COLUMNS.width : 0);
+
+  const sections = [generateHeader(dotRadiusMultiplier, layout.sideMargin)];
 
   // Outer connectors layer (behind everything)
   if (includeConnectors) {
@@ -712,10 +1069,15 @@ function generateBodygraph(options = {}) {
   // Main bodygraph layer
   // Order: Channels first (behind), then centers on top (in front)
   sections.push(`  <g id="THE_BODYGRAPH" data-name="THE BODYGRAPH">`);
-  sections.push(generateChannels());
-  sections.push(generateCenters());
+  sections.push(generateChannels(context));
+  sections.push(generateCenters(context));
   sections.push(`  </g>`);
 
+  // Activation columns (chart mode)
+  if (showColumns) {
+    sections.push(generateActivationColumns(context, layout.offset));
+  }
+
   sections.push(generateFooter());
 
   return sections.join('\n');
@@ -765,5 +1127,7 @@ module.exports = {
   COLORS,
   STROKES,
   CIRCUITS,
-  GATE_KNOWLEDGE
+  GATE_KNOWLEDGE,
+  CHART_COLORS,
+  getPathBounds
 };
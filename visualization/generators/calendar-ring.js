@@ -8,6 +8,10 @@
  * - Inner and outer boundary rings
  *
  * Based on tropical zodiac with Gate 41.1 at 2° Aquarius (~Jan 20)
+ *
+ * With options.year, months are placed at the Sun's actual position on the
+ * 1st of each month and every chop carries its exact ingress time for that
+ * year (core/calendar/line-calendar.js) instead of averaged dates.
  */
 
 const fs = require('fs');
@@ -18,6 +22,8 @@ const shared = require('./shared-constants');
 const gateSequence = require('../../core/root-system/gate-sequence.json').sequence;
 const lineCalendar = require('../../knowledge-systems/calendar/mappings/line-calendar-mapping.json');
 const linesData = require('../../knowledge-systems/hd-traditional-gates/mappings/hd-gates-mappings.json');
+const yearCalendar = require('../../core/calendar/line-calendar');
+const ephemeris = require('../../core/ephemeris/ephemeris');
 
 // ============================================================================
 // RING GEOMETRY
@@ -126,6 +132,18 @@ const ZODIAC_SIGNS = [
   { name: 'Pisces', symbol: '♓', startDegree: 330 }
 ];
 
+/**
+ * Month positions for a specific year
+ * Same shape as MONTHS, but from the Sun's actual longitude on the 1st and 15th (UTC)
+ */
+function getMonthsForYear(year) {
+  return MONTHS.map((month, index) => ({
+    ...month,
+    startDegree: ephemeris.getLongitude('Sun', new Date(yearCalendar.utcTime(year, index, 1))),
+    midDegree: ephemeris.getLongitude('Sun', new Date(yearCalendar.utcTime(year, index, 15, 12)))
+  }));
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -157,8 +175,9 @@ function getLinePolarity(gateNumber, lineNumber) {
 
 /**
  * Generate a chop marker (yin or yang rectangle)
+ * @param {string} extraAttrs - Optional extra attributes (year-specific dates)
  */
-function generateChop(degree, isYang, gateLineKey) {
+function generateChop(degree, isYang, gateLineKey, extraAttrs = '') {
   const svgAngle = zodiacToSvgAngle(degree, true);  // forChop = true for centering
   const radians = svgAngle * Math.PI / 180;
 
@@ -185,18 +204,20 @@ function generateChop(degree, isYang, gateLineKey) {
 
   const points = `${x1.toFixed(3)},${y1.toFixed(3)} ${x2.toFixed(3)},${y2.toFixed(3)} ${x3.toFixed(3)},${y3.toFixed(3)} ${x4.toFixed(3)},${y4.toFixed(3)}`;
 
-  return `<polygon points="${points}" fill="${shared.COLORS.foreground}" id="${gateLineKey}"/>`;
+  return `<polygon points="${points}" fill="${shared.COLORS.foreground}" id="${gateLineKey}"${extraAttrs}/>`;
 }
 
 /**
  * Generate all 384 chop markers
+ * @param {Object} calendar - Optional year calendar from getLineCalendar(); adds exact dates
  */
-function generateChops() {
+function generateChops(calendar = null) {
   const chops = [];
 
-  lineCalendar.lines.forEach(line => {
+  (calendar || lineCalendar).lines.forEach(line => {
     const isYang = getLinePolarity(line.gate, line.line) === 'YANG';
-    const chop = generateChop(line.degree, isYang, line.gateLineKey);
+    const dates = calendar ? ` data-start="${line.start}" data-end="${line.end}"` : '';
+    const chop = generateChop(line.degree, isYang, line.gateLineKey, dates);
     chops.push(chop);
   });
 
@@ -205,11 +226,12 @@ function generateChops() {
 
 /**
  * Generate month divider lines (in outer band only)
+ * @param {Array} months - Month positions (default: averaged MONTHS)
  */
-function generateMonthDividers() {
+function generateMonthDividers(months = MONTHS) {
   const dividers = [];
 
-  MONTHS.forEach((month, index) => {
+  months.forEach((month, index) => {
     // Divider is at the boundary between months
     const dividerDegree = month.startDegree;
     const svgAngle = zodiacToSvgAngle(dividerDegree, false, true);
@@ -265,13 +287,14 @@ function generateRings() {
 
 /**
  * Generate month labels (in outer band, between outerRadius and borderOuter)
+ * @param {Array} months - Month positions (default: averaged MONTHS)
  */
-function generateMonthLabels() {
+function generateMonthLabels(months = MONTHS) {
   const labels = [];
   // Position in the outer band area
   const labelRadius = (RING.outerRadius + RING.borderOuter) / 2;
 
-  MONTHS.forEach(month => {
+  months.forEach(month => {
     // midDegree is the zodiac degree where the Sun is on ~15th of the month
     const svgAngle = zodiacToSvgAngle(month.midDegree, false, true);
     const radians = svgAngle * Math.PI / 180;
@@ -332,9 +355,14 @@ function generateCalendarRing(options = {}) {
     includeChops = true,
     includeLabels = true,
     stroke = shared.COLORS.foreground,
-    backgroundColor = shared.COLORS.background
+    backgroundColor = shared.COLORS.background,
+    year = null
   } = options;
 
+  // Year-specific ring: exact ingress dates and month positions
+  const calendar = year === null ? null : yearCalendar.getLineCalendar(year);
+  const months = year === null ? MONTHS : getMonthsForYear(year);
+
   const viewBoxSize = CENTER.x * 2 + 50;
   const svgParts = [];
 
@@ -353,7 +381,7 @@ function generateCalendarRing(options = {}) {
     svgParts.push(generateRings());
     svgParts.push('    </g>');
     svgParts.push('    <g id="MONTH-DIVIDERS">');
-    svgParts.push('      ' + generateMonthDividers());
+    svgParts.push('      ' + generateMonthDividers(months));
     svgParts.push('    </g>');
     svgParts.push('    <g id="ZODIAC-DIVIDERS">');
     svgParts.push('      ' + generateZodiacDividers());
@@ -363,8 +391,8 @@ function generateCalendarRing(options = {}) {
 
   // Chops (384 line markers)
   if (includeChops) {
-    svgParts.push('  <g id="CHOPS">');
-    svgParts.push('    ' + generateChops());
+    svgParts.push(calendar ? `  <g id="CHOPS" data-year="${year}">` : '  <g id="CHOPS">');
+    svgParts.push('    ' + generateChops(calendar));
     svgParts.push('  </g>');
   }
 
@@ -372,7 +400,7 @@ function generateCalendarRing(options = {}) {
   if (includeLabels) {
     svgParts.push('  <g id="LABELS">');
     svgParts.push('    <g id="MONTH-LABELS">');
-    svgParts.push('      ' + generateMonthLabels());
+    svgParts.push('      ' + generateMonthLabels(months));
     svgParts.push('    </g>');
     svgParts.push('    <g id="ZODIAC-LABELS">');
     svgParts.push('      ' + generateZodiacLabels());
@@ -397,9 +425,13 @@ if (require.main === module) {
   console.log('  - 12 zodiac sign dividers');
   console.log('  - Month and zodiac labels\n');
 
-  const svg = generateCalendarRing();
+  // Optional year: node calendar-ring.js 2026
+  const year = process.argv[2] ? parseInt(process.argv[2], 10) : null;
+  const svg = generateCalendarRing({ year });
 
-  const outputPath = path.join(__dirname, '../output/generated-calendar-ring.svg');
+  const outputPath = path.join(__dirname, year === null
+    ? '../output/generated-calendar-ring.svg'
+    : `../output/generated-calendar-ring-${year}.svg`);
   fs.writeFileSync(outputPath, svg);
 
   const stats = fs.statSync(outputPath);
@@ -412,6 +444,7 @@ module.exports = {
   generateChops,
   generateMonthDividers,
   generateZodiacDividers,
+  getMonthsForYear,
   CENTER,
   RING,
   MONTHS,
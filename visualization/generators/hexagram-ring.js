@@ -57,19 +57,17 @@ function calculateRotation(svgAngle) {
   return svgAngle + 90;
 }
 
-// Position offset: aligns V3 angles to SVG wheel positions
-// The SVG wheel is MIRRORED (counter-clockwise) relative to V3 (clockwise)
-// Formula derived by matching divider positions:
+// SVG angles follow the active wheel configuration (shared.calculateSVGAngle)
+// With the default configuration the SVG wheel is MIRRORED (counter-clockwise):
 // - 10|11 divider at SVG -90° (top) = V3 323.4375°
 // - 25|36 divider at SVG 180° (left) = V3 53.4375°
 // - 15|12 divider at SVG 90° (bottom) = V3 143.4375°
-const POSITION_OFFSET = 323.4375;
 
 /**
  * Calculate SVG angle from V3 angle
  */
 function calculateSVGAngle(v3Angle) {
-  return -v3Angle - 90 + POSITION_OFFSET;
+  return shared.calculateSVGAngle(v3Angle);
 }
 
 /**
@@ -129,8 +127,8 @@ function calculatePosition(v3Angle, radius = RING.midRadius) {
   // Convert V3 angle to SVG coordinate system
   // V3: 0° at top, clockwise
   // SVG: 0° at right (3 o'clock), y-down coordinate system
-  // The wheel is MIRRORED, so we negate the V3 angle
-  const svgAngle = -v3Angle - 90 + POSITION_OFFSET;
+  // The wheel is MIRRORED by default (see calculateSVGAngle)
+  const svgAngle = calculateSVGAngle(v3Angle);
   const radians = svgAngle * Math.PI / 180;
 
   return {
@@ -201,7 +199,7 @@ function generateGateGroup(gateNumber) {
   const v3Data = positioning.getDockingData(gateNumber, 1);
 
   // Calculate SVG angle for position and rotation
-  const svgAngle = -v3Data.angle - 90 + POSITION_OFFSET;
+  const svgAngle = calculateSVGAngle(v3Data.angle);
   const position = calculatePosition(v3Data.angle);
   const rotation = calculateRotation(svgAngle);
 
@@ -28,6 +28,7 @@ const fs = require('fs');
 const path = require('path');
 const positioning = require('../../core/root-system/positioning-algorithm');
 const shared = require('./shared-constants');
+const linePlanets = require('../../core/lines/line-planets');
 
 // Load data sources
 const gateSequence = require('../../core/root-system/gate-sequence.json').sequence;
@@ -163,6 +164,8 @@ const PLANET_SYMBOLS = {
 // Symbol viewBox dimensions (all symbols fit in this space)
 const SYMBOL_VIEWBOX = { width: 128.5999, height: 135.0432 };
 
+const PLANET_SCALE = 0.44;  // Single planet symbol scale
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -254,7 +257,7 @@ function generateYinYangMarker(x, y, rotation, isYang, scale = 1.875) {
  * To place centered at (x, y): translate to position, rotate, scale, then
  * offset by half the viewBox to center the symbol.
  */
-function generatePlanetSymbol(planet, x, y, rotation, scale = 0.44) {
+function generatePlanetSymbol(planet, x, y, rotation, scale = PLANET_SCALE, fill = shared.COLORS.foreground) {
   if (!planet || !PLANET_SYMBOLS[planet]) {
     return '';
   }
@@ -267,7 +270,7 @@ function generatePlanetSymbol(planet, x, y, rotation, scale = 0.44) {
 
   // Transform order: translate to target -> rotate -> scale -> center the symbol
   return `<g transform="translate(${x.toFixed(2)}, ${y.toFixed(2)}) rotate(${rotation.toFixed(2)}) scale(${scale}) translate(${-halfWidth.toFixed(2)}, ${-halfHeight.toFixed(2)})">
-    <path d="${symbol.path}" transform="${symbol.transform}" fill="${shared.COLORS.foreground}"/>
+    <path d="${symbol.path}" transform="${symbol.transform}" fill="${fill}"/>
   </g>`;
 }
 
@@ -314,10 +317,18 @@ function generateKeynote(keynote, x, y, rotation, flipped) {
 /**
  * Generate all elements for a single line
  * Uses V3 positioning with offset to align with midpoint dividers
+ * @param {Object|null} highlight - { planet, role } whose symbols are drawn in the highlight color
+ * @param {string} book - 'black' or 'white': whose exalted/detriment planets are drawn
  */
-function generateLineElements(gateNumber, lineNumber, wheelPosition) {
+function generateLineElements(gateNumber, lineNumber, wheelPosition, highlight = null, book = 'black') {
   const elements = [];
 
+  const planetFill = (planet, role) => (
+    highlight && planet === highlight.planet && (!highlight.role || highlight.role === role)
+      ? shared.COLORS.highlight
+      : shared.COLORS.foreground
+  );
+
   // Get EXACT position for this specific line from the positioning algorithm
   const lineData_pos = positioning.getDockingData(gateNumber, lineNumber);
 
@@ -339,8 +350,9 @@ function generateLineElements(gateNumber, lineNumber, wheelPosition) {
   if (!lineData) return elements;
 
   // Get planet data
-  const exaltedPlanets = lineData.blackBook?.exaltation?.planets || [];
-  const detrimentPlanets = lineData.blackBook?.detriment?.planets || [];
+  const bookData = lineData[linePlanets.BOOKS[book]];
+  const exaltedPlanets = bookData?.exaltation?.planets || [];
+  const detrimentPlanets = bookData?.detriment?.planets || [];
 
   // 1. Keynote (outermost) - text aligned to inner edge
   const keynoteX = CENTER.x + BAND_RADII.keynote * Math.cos(radians);
@@ -358,28 +370,28 @@ function generateLineElements(gateNumber, lineNumber, wheelPosition) {
   if (flipped) {
     // Left side: detriment in exalted band position
     if (detrimentPlanets.length === 1) {
-      elements.push(generatePlanetSymbol(detrimentPlanets[0].planet, exaltedX, exaltedY, rotation));
+      elements.push(generatePlanetSymbol(detrimentPlanets[0].planet, exaltedX, exaltedY, rotation, PLANET_SCALE, planetFill(detrimentPlanets[0].planet, 'detriment')));
     } else if (detrimentPlanets.length >= 2) {
       // Two planets - side by side along radial direction (half size)
       const offset1X = exaltedX - dualPlanetOffset * Math.cos(radians);
       const offset1Y = exaltedY - dualPlanetOffset * Math.sin(radians);
       const offset2X = exaltedX + dualPlanetOffset * Math.cos(radians);
       const offset2Y = exaltedY + dualPlanetOffset * Math.sin(radians);
-      elements.push(generatePlanetSymbol(detrimentPlanets[0].planet, offset1X, offset1Y, rotation, dualPlanetScale));
-      elements.push(generatePlanetSymbol(detrimentPlanets[1].planet, offset2X, offset2Y, rotation, dualPlanetScale));
+      elements.push(generatePlanetSymbol(detrimentPlanets[0].planet, offset1X, offset1Y, rotation, dualPlanetScale, planetFill(detrimentPlanets[0].planet, 'detriment')));
+      elements.push(generatePlanetSymbol(detrimentPlanets[1].planet, offset2X, offset2Y, rotation, dualPlanetScale, planetFill(detrimentPlanets[1].planet, 'detriment')));
     }
   } else {
     // Right side: exalted in exalted band position
     if (exaltedPlanets.length === 1) {
-      elements.push(generatePlanetSymbol(exaltedPlanets[0].planet, exaltedX, exaltedY, rotation));
+      elements.push(generatePlanetSymbol(exaltedPlanets[0].planet, exaltedX, exaltedY, rotation, PLANET_SCALE, planetFill(exaltedPlanets[0].planet, 'exaltation')));
     } else if (exaltedPlanets.length >= 2) {
       // Two planets - side by side along radial direction (half size)
       const offset1X = exaltedX - dualPlanetOffset * Math.cos(radians);
       const offset1Y = exaltedY - dualPlanetOffset * Math.sin(radians);
       const offset2X = exaltedX + dualPlanetOffset * Math.cos(radians);
       const offset2Y = exaltedY + dualPlanetOffset * Math.sin(radians);
-      elements.push(generatePlanetSymbol(exaltedPlanets[0].planet, offset1X, offset1Y, rotation, dualPlanetScale));
-      elements.push(generatePlanetSymbol(exaltedPlanets[1].planet, offset2X, offset2Y, rotation, dualPlanetScale));
+      elements.push(generatePlanetSymbol(exaltedPlanets[0].planet, offset1X, offset1Y, rotation, dualPlanetScale, planetFill(exaltedPlanets[0].planet, 'exaltation')));
+      elements.push(generatePlanetSymbol(exaltedPlanets[1].planet, offset2X, offset2Y, rotation, dualPlanetScale, planetFill(exaltedPlanets[1].planet, 'exaltation')));
     }
   }
 
@@ -395,28 +407,28 @@ function generateLineElements(gateNumber, lineNumber, wheelPosition) {
   if (flipped) {
     // Left side: exalted in detriment band position
     if (exaltedPlanets.length === 1) {
-      elements.push(generatePlanetSymbol(exaltedPlanets[0].planet, detrimentX, detrimentY, rotation));
+      elements.push(generatePlanetSymbol(exaltedPlanets[0].planet, detrimentX, detrimentY, rotation, PLANET_SCALE, planetFill(exaltedPlanets[0].planet, 'exaltation')));
     } else if (exaltedPlanets.length >= 2) {
       // Two planets - side by side along radial direction (half size)
       const offset1X = detrimentX - dualPlanetOffset * Math.cos(radians);
       const offset1Y = detrimentY - dualPlanetOffset * Math.sin(radians);
       const offset2X = detrimentX + dualPlanetOffset * Math.cos(radians);
       const offset2Y = detrimentY + dualPlanetOffset * Math.sin(radians);
-      elements.push(generatePlanetSymbol(exaltedPlanets[0].planet, offset1X, offset1Y, rotation, dualPlanetScale));
-      elements.push(generatePlanetSymbol(exaltedPlanets[1].planet, offset2X, offset2Y, rotation, dualPlanetScale));
+      elements.push(generatePlanetSymbol(exaltedPlanets[0].planet, offset1X, offset1Y, rotation, dualPlanetScale, planetFill(exaltedPlanets[0].planet, 'exaltation')));
+      elements.push(generatePlanetSymbol(exaltedPlanets[1].planet, offset2X, offset2Y, rotation, dualPlanetScale, planetFill(exaltedPlanets[1].planet, 'exaltation')));
     }
   } else {
     // Right side: detriment in detriment band position
     if (detrimentPlanets.length === 1) {
-      elements.push(generatePlanetSymbol(detrimentPlanets[0].planet, detrimentX, detrimentY, rotation));
+      elements.push(generatePlanetSymbol(detrimentPlanets[0].planet, detrimentX, detrimentY, rotation, PLANET_SCALE, planetFill(detrimentPlanets[0].planet, 'detriment')));
     } else if (detrimentPlanets.length >= 2) {
       // Two planets - side by side along radial direction (half size)
       const offset1X = detrimentX - dualPlanetOffset * Math.cos(radians);
       const offset1Y = detrimentY - dualPlanetOffset * Math.sin(radians);
       const offset2X = detrimentX + dualPlanetOffset * Math.cos(radians);
       const offset2Y = detrimentY + dualPlanetOffset * Math.sin(radians);
-      elements.push(generatePlanetSymbol(detrimentPlanets[0].planet, offset1X, offset1Y, rotation, dualPlanetScale));
-      elements.push(generatePlanetSymbol(detrimentPlanets[1].planet, offset2X, offset2Y, rotation, dualPlanetScale));
+      elements.push(generatePlanetSymbol(detrimentPlanets[0].planet, offset1X, offset1Y, rotation, dualPlanetScale, planetFill(detrimentPlanets[0].planet, 'detriment')));
+      elements.push(generatePlanetSymbol(detrimentPlanets[1].planet, offset2X, offset2Y, rotation, dualPlanetScale, planetFill(detrimentPlanets[1].planet, 'detriment')));
     }
   }
 
@@ -429,11 +441,32 @@ function generateLineElements(gateNumber, lineNumber, wheelPosition) {
   return elements;
 }
 
+/**
+ * Resolve the planet options into the set of lines to filter or highlight
+ * @param {string} planet - Planet name (e.g. "Venus")
+ * @param {string|null} role - 'exaltation', 'detriment' or null for both
+ * @param {string} mode - 'highlight' (gold symbols) or 'filter' (matching lines only)
+ * @param {string} book - 'black' or 'white'
+ */
+function buildPlanetFilter(planet, role, mode, book) {
+  if (mode !== 'highlight' && mode !== 'filter') {
+    throw new Error(`Invalid planetMode: ${mode} (must be "highlight" or "filter")`);
+  }
+  const matches = linePlanets.getLinesByPlanet(planet, { role, book });
+  return {
+    planet: linePlanets.resolvePlanet(planet),
+    role,
+    mode,
+    book,
+    lines: new Set(matches.map(m => `${m.gate}.${m.line}`))
+  };
+}
+
 /**
  * Generate all elements for a single gate (6 lines)
  * KEY DIFFERENCE: Uses inner gate directly (no harmonic swap)
  */
-function generateGateElements(wheelPosition) {
+function generateGateElements(wheelPosition, planetFilter = null, planetBook = 'black') {
   const innerGate = gateSequence[wheelPosition];
   const displayGate = innerGate;  // Direct - no harmonic swap
   const elements = [];
@@ -443,8 +476,12 @@ function generateGateElements(wheelPosition) {
 
   // Generate all 6 lines (from 6 to 1 as they appear CCW to CW)
   for (let line = 6; line >= 1; line--) {
-    const lineElements = generateLineElements(displayGate, line, wheelPosition);
-    elements.push(`    <g id="LINE-${displayGate}.${line}" class="line" data-gate="${displayGate}" data-line="${line}">`);
+    const matched = planetFilter ? planetFilter.lines.has(`${displayGate}.${line}`) : false;
+    if (planetFilter && planetFilter.mode === 'filter' && !matched) continue;
+
+    const lineElements = generateLineElements(displayGate, line, wheelPosition, matched ? planetFilter : null, planetBook);
+    const matchAttrs = matched ? ` data-planet="${planetFilter.planet}" data-planet-book="${planetBook}"` : '';
+    elements.push(`    <g id="LINE-${displayGate}.${line}" class="line${matched ? ' planet-match' : ''}" data-gate="${displayGate}" data-line="${line}"${matchAttrs}>`);
     lineElements.forEach(el => elements.push('      ' + el));
     elements.push('    </g>');
   }
@@ -495,6 +532,12 @@ function generateDividers() {
 
 /**
  * Generate the complete 384 inner lines ring SVG
+ *
+ * Planet options (see core/lines/line-planets.js):
+ * - planet:     highlight or filter the lines this planet exalts / is in detriment on
+ * - planetRole: 'exaltation' or 'detriment' (default both)
+ * - planetMode: 'highlight' (default - matching symbols in gold) or 'filter' (matching lines only)
+ * - planetBook: 'black' (default) or 'white' - the book whose planets are drawn, filtered and highlighted
  */
 function generateInnerLinesRing(options = {}) {
   const {
@@ -502,9 +545,18 @@ function generateInnerLinesRing(options = {}) {
     includeBackground = true,
     stroke = shared.COLORS.foreground,
     fill = shared.COLORS.foreground,
-    backgroundColor = shared.COLORS.background
+    backgroundColor = shared.COLORS.background,
+    planet = null,
+    planetRole = null,
+    planetMode = 'highlight',
+    planetBook = 'black'
   } = options;
 
+  if (!Object.prototype.hasOwnProperty.call(linePlanets.BOOKS, planetBook)) {
+    throw new Error(`Invalid planetBook: ${planetBook} (must be "black" or "white")`);
+  }
+  const planetFilter = planet ? buildPlanetFilter(planet, planetRole, planetMode, planetBook) : null;
+
   // ViewBox must accommodate center + dividerOuter + margin
   const viewBoxSize = Math.max(CENTER.x, CENTER.y) + RING.dividerOuter + 200;
   const svgParts = [];
@@ -530,7 +582,7 @@ function generateInnerLinesRing(options = {}) {
   svgParts.push('  <g id="LINES-INNER">');
 
   for (let pos = 0; pos < 64; pos++) {
-    svgParts.push(generateGateElements(pos));
+    svgParts.push(generateGateElements(pos, planetFilter, planetBook));
   }
 
   svgParts.push('  </g>');
@@ -41,16 +41,12 @@ const COLORS = shared.COLORS;
 // which places the text visually centered in the band.
 const TEXT_RADIUS = RING.midRadius;
 
-// Position offset: aligns V3 angles to SVG wheel positions
-// Same as hexagram ring - the wheel alignment is consistent
-const POSITION_OFFSET = 323.4375;
-
 /**
  * Calculate SVG position angle from V3 angle
  * Same formula as hexagram ring - maintains wheel consistency
  */
 function calculateSVGAngle(v3Angle) {
-  return -v3Angle - 90 + POSITION_OFFSET;
+  return shared.calculateSVGAngle(v3Angle);
 }
 
 /**
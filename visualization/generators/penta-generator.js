@@ -0,0 +1,254 @@
+/**
+ * Penta Generator
+ *
+ * Generates a Penta SVG from a getPentaAnalysis() result
+ * (core/relationship/penta.js), using the Throat, G and Sacral geometry of
+ * the bodygraph template:
+ * - Held gates are filled gold, gaps are left hollow
+ * - Each channel half is gold when its gate is held, dashed when it is a gap
+ * - Centers defined by the group are filled gold
+ * - A member panel lists each person's Penta gates and the remaining gaps
+ *
+ * Following the pattern established in bodygraph-generator.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  GEOMETRY,
+  COLORS,
+  STROKES,
+  CHART_COLORS,
+  getPathBounds
+} = require('./bodygraph-generator');
+const penta = require('../../core/relationship/penta');
+
+// Bodygraph geometry keys for the three Penta centers
+const CENTER_KEYS = { Throat: 'THROAT', G: 'G', Sacral: 'SACRAL' };
+
+// Member panel layout
+const PANEL = {
+  width: 240,
+  padding: 20,
+  rowHeight: 28,
+  fontFamily: 'Helvetica, Arial, sans-serif',
+  titleSize: 20,
+  fontSize: 15,
+  gapDash: '4 4'
+};
+
+/**
+ * Escape a string for use in an attribute or text node
+ */
+function escapeText(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Crop box around the three Penta centers (template coordinates)
+ */
+function getPentaBounds() {
+  const boxes = Object.values(CENTER_KEYS).map(key => {
+    const bounds = getPathBounds(GEOMETRY.centers.shapes[key].d);
+    return {
+      minX: bounds.minX + GEOMETRY.transform.x,
+      minY: bounds.minY + GEOMETRY.transform.y,
+      maxX: bounds.minX + bounds.width + GEOMETRY.transform.x,
+      maxY: bounds.minY + bounds.height + GEOMETRY.transform.y
+    };
+  });
+
+  const minX = Math.min(...boxes.map(b => b.minX)) - PANEL.padding;
+  const minY = Math.min(...boxes.map(b => b.minY)) - PANEL.padding;
+  const maxX = Math.max(...boxes.map(b => b.maxX)) + PANEL.padding;
+  const maxY = Math.max(...boxes.map(b => b.maxY)) + PANEL.padding;
+
+  return { minX, minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Generate the Penta channels, one polyline per gate half
+ */
+function generateChannels(analysis) {
+  const groups = analysis.channels.map(ch => {
+    const halves = GEOMETRY.channels[ch.channel].paths.map(pathData => {
+      const holders = ch.heldBy[pathData.gate];
+      const held = holders.length > 0;
+      return `      <polyline
+         id="PATH_-_${pathData.gate}"
+         data-gate="${pathData.gate}"
+         data-held-by="${escapeText(holders.join(','))}"
+         points="${pathData.points}"
+         fill="none"
+         stroke="${held ? COLORS.highlight : COLORS.channelStroke}"
+         stroke-linecap="round"
+         stroke-miterlimit="10"
+         stroke-width="${held ? STROKES.activatedChannel : STROKES.channel}"${held ? '' : `
+         stroke-dasharray="${PANEL.gapDash}"`}/>`;
+    });
+
+    return `    <g id="GROUP_-_PENTA_CHANNEL_-_${ch.channel.replace('-', '_')}"
+       data-channel="${ch.channel}"
+       data-channel-name="${escapeText(ch.name)}"
+       data-section="${ch.section}"
+       data-is-filled="${ch.filled}"
+       data-filled-by="${escapeText(ch.filledBy.join(','))}">
+${halves.join('\n')}
+    </g>`;
+  });
+
+  return `  <g id="GROUP_-_CHANNELS" data-name="GROUP - CHANNELS">
+${groups.join('\n')}
+  </g>`;
+}
+
+/**
+ * Generate the three Penta centers and their gates
+ */
+function generateCenters(analysis) {
+  const shapes = Object.entries(CENTER_KEYS).map(([centerName, key]) => {
+    const shape = GEOMETRY.centers.shapes[key];
+    const isDefined = analysis.definedCenters.includes(centerName);
+    return `    <path
+       id="SYMBOL_-_CENTRE_-_${key}"
+       data-center="${centerName}"
+       data-is-defined="${isDefined}"
+       d="${shape.d}"
+       transform="${shape.transform || `translate(${GEOMETRY.transform.x} ${GEOMETRY.transform.y})`}"
+       fill="${isDefined ? CHART_COLORS.definedCenterFill : COLORS.centerFill}"
+       stroke="${COLORS.centerStroke}"
+       stroke-miterlimit="10"
+       stroke-width="${STROKES.centerOutline}"/>`;
+  });
+
+  const gates = analysis.gates.map(({ gate, center, heldBy }) => {
+    const { cx, cy, r } = GEOMETRY.gates[gate];
+    const held = heldBy.length > 0;
+    return `    <circle
+       id="SYMBOL_-_GATE_-_${gate}"
+       data-gate="${gate}"
+       data-center="${center}"
+       data-held-by="${escapeText(heldBy.join(','))}"
+       cx="${cx}"
+       cy="${cy}"
+       r="${r}"
+       fill="${held ? COLORS.highlight : COLORS.background}"
+       stroke="${COLORS.gateStroke}"
+       stroke-width="${held ? STROKES.activatedGate : STROKES.gate}"/>`;
+  });
+
+  return `  <g id="GROUP_-_CENTERS" data-name="GROUP - CENTERS">
+${shapes.join('\n')}
+${gates.join('\n')}
+  </g>`;
+}
+
+/**
+ * Generate the member panel (names, Penta gates and gaps)
+ */
+function generateMemberPanel(analysis, x, y) {
+  const text = (content, row, { fontSize = PANEL.fontSize, fill = COLORS.silver } = {}) => `    <text x="${x.toFixed(4)}" y="${(y + row * PANEL.rowHeight).toFixed(4)}"
+       font-family="${PANEL.fontFamily}" font-size="${fontSize}" fill="${fill}">${escapeText(content)}</text>`;
+
+  const rows = [
+    text('PENTA', 0, { fontSize: PANEL.titleSize, fill: COLORS.foreground })
+  ];
+  analysis.members.forEach((member, i) => {
+    rows.push(text(`${member.name}: ${member.pentaGates.join(', ') || '-'}`, i + 1));
+  });
+
+  const gapRow = analysis.members.length + 2;
+  rows.push(text(`Gaps: ${analysis.gaps.gates.join(', ') || 'none'}`, gapRow, { fill: COLORS.highlight }));
+
+  return `  <g id="GROUP_-_MEMBERS" data-name="GROUP - MEMBERS" data-member-count="${analysis.members.length}">
+${rows.join('\n')}
+  </g>`;
+}
+
+/**
+ * Generate the Penta SVG
+ *
+ * @param {Object} analysis - getPentaAnalysis() result
+ * @param {Object} options - Generation options
+ * @param {boolean} options.includeMembers - Add the member panel (default: true)
+ * @returns {string} Complete SVG markup
+ */
+function generatePenta(analysis, options = {}) {
+  const { includeMembers = true } = options;
+
+  if (!analysis || !Array.isArray(analysis.channels) || !Array.isArray(analysis.gates)) {
+    throw new Error('generatePenta needs a getPentaAnalysis() result');
+  }
+
+  const bounds = getPentaBounds();
+  const width = bounds.width + (includeMembers ? PANEL.width : 0);
+  const viewBox = [bounds.minX, bounds.minY, width, bounds.height].map(n => n.toFixed(4)).join(' ');
+
+  const sections = [`<svg id="PENTA_-_GENERATED"
+     data-name="PENTA - GENERATED"
+     xmlns="http://www.w3.org/2000/svg"
+     width="${width.toFixed(4)}"
+     height="${bounds.height.toFixed(4)}"
+     viewBox="${viewBox}"
+     data-complete="${analysis.complete}">
+  <rect id="background" x="${bounds.minX.toFixed(4)}" y="${bounds.minY.toFixed(4)}" width="${width.toFixed(4)}" height="${bounds.height.toFixed(4)}" fill="${COLORS.background}"/>`];
+
+  // Channels behind, centers and gates on top
+  sections.push(generateChannels(analysis));
+  sections.push(generateCenters(analysis));
+
+  if (includeMembers) {
+    sections.push(generateMemberPanel(analysis, bounds.minX + bounds.width, bounds.minY + PANEL.padding + PANEL.titleSize));
+  }
+
+  sections.push('</svg>');
+
+  return sections.join('\n');
+}
+
+/**
+ * Generate and save Penta SVG to file
+ *
+ * @param {string} outputPath - Path to output file
+ * @param {Object} analysis - getPentaAnalysis() result
+ * @param {Object} options - Generation options
+ */
+function generateAndSave(outputPath, analysis, options = {}) {
+  const svg = generatePenta(analysis, options);
+  fs.writeFileSync(outputPath, svg);
+  console.log(`Generated Penta SVG: ${outputPath}`);
+  return svg;
+}
+
+// ============================================================================
+// CLI EXECUTION
+// ============================================================================
+
+if (require.main === module) {
+  // Sample group: upper Penta complete, 29-46 missing its Sacral half
+  const analysis = penta.getPentaAnalysis([
+    { name: 'A', gates: [1, 8, 5] },
+    { name: 'B', gates: [7, 31, 2] },
+    { name: 'C', gates: [13, 33, 14, 15, 46] }
+  ]);
+  const outputPath = path.join(__dirname, '../output/generated-penta.svg');
+  generateAndSave(outputPath, analysis);
+
+  console.log(`\nFilled: ${analysis.filledChannels.join(', ')}`);
+  console.log(`Gaps:   ${analysis.gaps.gates.join(', ') || 'none'}`);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  generatePenta,
+  generateAndSave,
+  PANEL
+};
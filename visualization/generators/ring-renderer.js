@@ -0,0 +1,631 @@
+/**
+ * Ring Renderer
+ *
+ * Renders rings, center pieces and composed wheels on demand by calling the
+ * generator functions directly, so callers (visualization/tools/serve.js and
+ * the Ring Composer UI) always see the current knowledge data and generator
+ * code instead of whatever was last written to visualization/output/.
+ * SVGs are cached by a fingerprint of the mapping files; once a file has
+ * changed, rings are generated by a fresh node process that reads it.
+ *
+ * Rings are named after their generators ("gene-keys", "codon-rings", ...);
+ * the Ring Composer's short types ("genekeys", "codons", ...) are accepted as
+ * aliases, so a composition copied from the UI renders unchanged.
+ *
+ * Options shared by every render:
+ * - scale: output size multiplier (SVG width/height only - the content is
+ *   never regenerated at a different size, see ring-assembler.js)
+ * - theme: 'dark' (generator default) or 'light' (palette swap)
+ *
+ * USAGE:
+ * ```javascript
+ * const renderer = require('./ring-renderer');
+ *
+ * const ring = renderer.renderRing('gene-keys', { scale: 0.8, theme: 'light' });
+ * const wheel = renderer.renderWheel({
+ *   startRadius: 1000,
+ *   centerPiece: 'bodygraph',
+ *   rings: [{ type: 'numbers' }, { type: 'hexagrams', gapAfter: 8 }]
+ * });
+ * ```
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const numbersGenerator = require('./numbers-ring');
+const hexagramGenerator = require('./hexagram-ring');
+const codonsGenerator = require('./codon-rings-ring');
+const geneKeysGenerator = require('./gene-keys-ring');
+const ichingNamesGenerator = require('./iching-names-ring');
+const gateNamesGenerator = require('./gate-names-ring');
+const quartersGenerator = require('./quarters-trigrams-faces-ring');
+const calendarGenerator = require('./calendar-ring');
+const chopsGenerator = require('./full-chops-ring');
+const crossesGenerator = require('./incarnation-crosses-ring');
+const linesGenerator = require('./lines-ring');
+const linesInnerGenerator = require('./lines-inner-ring');
+const channelsGenerator = require('./channels-ring');
+const bodygraphGenerator = require('./bodygraph-generator');
+const brandingGenerator = require('./branding-ring');
+const shared = require('./shared-constants');
+
+/**
+ * Themes - generators draw in the dark palette, other themes swap its colors
+ */
+const THEMES = {
+  dark: {
+    background: shared.COLORS.background,
+    foreground: shared.COLORS.foreground
+  },
+  light: {
+    background: '#FFFFFF',
+    foreground: '#1d1d1b'   // Near-black, as in the light quarters master
+  }
+};
+
+const MAX_SCALE = 10;
+
+/**
+ * Ring geometry with visual bounds (the Ring Composer UI loads it from
+ * serve.js's /render/rings)
+ */
+function geometry(center, innerRadius, outerRadius, margins = {}) {
+  const { inner = 2, outer = 2 } = margins;
+  return { center, innerRadius, outerRadius, visualInner: innerRadius - inner, visualOuter: outerRadius + outer };
+}
+
+/**
+ * Renderable rings, in Ring Composer order
+ * - alias: the Ring Composer type
+ * - generate: generator call producing the standard (dark) ring
+ */
+const RINGS = {
+  numbers: {
+    name: 'Numbers',
+    alias: 'numbers',
+    generate: () => numbersGenerator.generateNumbersRing(),
+    geometry: geometry({ x: 1657.7978, y: 1657.4867 }, 1538.587, 1648.5514)
+  },
+  hexagrams: {
+    name: 'Hexagrams',
+    alias: 'hexagrams',
+    generate: () => hexagramGenerator.generateHexagramRing(),
+    geometry: geometry({ x: 1451.344, y: 1451.344 }, 1334.4257, 1451.094)
+  },
+  'codon-rings': {
+    name: 'Codon Rings',
+    alias: 'codons',
+    generate: () => codonsGenerator.generateCodonRingsRing(),
+    // Amino acid names and the outer decorative ring sit beyond the band
+    geometry: geometry({ x: 1122.0567, y: 1130.6034 }, 838.2597, 1084.3718, {
+      inner: 0,
+      outer: (1084.3718 - 838.2597) * 0.1062
+    })
+  },
+  'gene-keys': {
+    name: 'Gene Keys',
+    alias: 'genekeys',
+    generate: () => geneKeysGenerator.generateGeneKeysRing(),
+    geometry: geometry({ x: 1985.3602, y: 1985.3602 }, 1727, 1908)
+  },
+  'iching-names': {
+    name: 'I Ching Names',
+    alias: 'iching',
+    generate: () => ichingNamesGenerator.generateIChingNamesRing(),
+    geometry: geometry({ x: 1335.2162, y: 1335.2162 }, 1259.3041, 1334.9662)
+  },
+  'gate-names': {
+    name: 'Gate Names',
+    alias: 'gatenames',
+    generate: () => gateNamesGenerator.generateGateNamesRing(),
+    geometry: geometry({ x: 1538.3667, y: 1538.3667 }, 1457.367, 1538.0506)
+  },
+  'quarters-trigrams-faces': {
+    name: 'Quarters/Trigrams/Faces',
+    alias: 'quarters',
+    generate: () => quartersGenerator.generateQuartersTrigramsFacesRing({ colorScheme: 'dark' }),
+    geometry: geometry({ x: 447.6371, y: 448.3389 }, 272, 452.5)
+  },
+  calendar: {
+    name: 'Calendar',
+    alias: 'calendar',
+    generate: () => calendarGenerator.generateCalendarRing(),
+    geometry: geometry({ x: 826.326, y: 826.326 }, 752.81, 826.01)
+  },
+  'full-chops': {
+    name: 'Full Chops (Yin/Yang)',
+    alias: 'fullchops',
+    generate: () => chopsGenerator.generateFullChopsRing({ polarityFilter: 'all' }),
+    geometry: geometry({ x: 1986.0379, y: 1986.0379 }, 1905.2769, 1975.0843)
+  },
+  'yin-chops': {
+    name: 'Yin Chops',
+    alias: 'yinchops',
+    generate: () => chopsGenerator.generateFullChopsRing({ polarityFilter: 'yin' }),
+    geometry: geometry({ x: 1986.0379, y: 1986.0379 }, 1905.2769, 1975.0843)
+  },
+  'yang-chops': {
+    name: 'Yang Chops',
+    alias: 'yangchops',
+    generate: () => chopsGenerator.generateFullChopsRing({ polarityFilter: 'yang' }),
+    geometry: geometry({ x: 1986.0379, y: 1986.0379 }, 1905.2769, 1975.0843)
+  },
+  'incarnation-crosses': {
+    name: 'Incarnation Crosses',
+    alias: 'crosses',
+    generate: () => crossesGenerator.generateIncarnationCrossesRing(),
+    geometry: geometry({ x: 2269.7216, y: 2269.9519 }, 2000.1011, 2266.954)
+  },
+  lines: {
+    name: '384 Lines (Harmonic)',
+    alias: 'lines',
+    generate: () => linesGenerator.generateLinesRing(),
+    // Keynotes extend ~150px beyond the dividers
+    geometry: geometry({ x: 6536, y: 6536 }, 5160, 6360, { outer: 200 })
+  },
+  'lines-inner': {
+    name: '384 Lines (Inner)',
+    alias: 'linesInner',
+    generate: () => linesInnerGenerator.generateInnerLinesRing(),
+    geometry: geometry({ x: 6536, y: 6536 }, 5160, 6360, { outer: 200 })
+  },
+  channels: {
+    name: 'Channels',
+    alias: 'channels',
+    generate: () => channelsGenerator.generateChannelsRing(),
+    geometry: geometry({ x: 6482.5278, y: 6486.1582 }, 4504.9828, 6099, { outer: 20 })
+  }
+};
+
+/**
+ * Center pieces - scaled to fit inside the first ring
+ * - center: the piece's center in its own canvas
+ * - radius: radius of its gate dots (fitted to the wheel's startRadius)
+ */
+const CENTER_PIECES = {
+  bodygraph: {
+    name: 'Bodygraph (1.0x)',
+    alias: 'bodygraph',
+    generate: () => bodygraphGenerator.generateBodygraph(),
+    center: { x: 616.45, y: 616.45 },
+    radius: 596.45
+  },
+  'bodygraph-0.88x': {
+    name: 'Bodygraph (0.88x)',
+    alias: 'bodygraph088',
+    generate: () => bodygraphGenerator.generateBodygraph({ dotRadiusMultiplier: 0.88 }),
+    center: { x: 601.2374, y: 601.2374 },
+    radius: 524.88
+  }
+};
+
+/**
+ * Default composition (the Ring Composer's starting wheel)
+ */
+const DEFAULT_COMPOSITION = {
+  center: { x: 1000, y: 1000 },
+  startRadius: 1000,
+  defaultGap: 8,
+  exportPadding: 288,
+  centerPiece: 'bodygraph',
+  rings: [
+    { type: 'numbers', scale: 1.02, gapAfter: 64 },
+    { type: 'quarters', scale: 1.0, gapAfter: 8 },
+    { type: 'calendar', scale: 1.0, gapAfter: 8 },
+    { type: 'hexagrams', scale: 1.0, gapAfter: 8 },
+    { type: 'codons', scale: 1.0, gapAfter: 8 },
+    { type: 'numbers', scale: 1.0, gapAfter: 8 },
+    { type: 'iching', scale: 1.0, gapAfter: 8 },
+    { type: 'gatenames', scale: 1.0, gapAfter: 0 },
+    { type: 'yinchops', scale: 1.0, gapAfter: 0 },
+    { type: 'genekeys', scale: 1.0, gapAfter: 0 },
+    { type: 'yangchops', scale: 1.0, gapAfter: 0 },
+    { type: 'crosses', scale: 1.0, gapAfter: 8 },
+    { type: 'channels', scale: 1.0, gapAfter: 0 },
+    { type: 'lines', scale: 1.0, gapAfter: 8 }
+  ]
+};
+
+// Data the generators read: every mapping file plus the root system tables
+const KNOWLEDGE_SYSTEMS_DIR = path.join(__dirname, '../../knowledge-systems');
+const ROOT_SYSTEM_DIR = path.join(__dirname, '../../core/root-system');
+
+// Largest SVG a child generator may print (the biggest ring is a few MB)
+const MAX_SVG_BYTES = 64 * 1024 * 1024;
+
+// Generated SVGs by data fingerprint and ring/center piece name (generators are deterministic)
+const cache = new Map();
+
+// Content hash of each data file, by path (rehashed when its size or mtime changes)
+const fileHashes = new Map();
+
+/**
+ * Fingerprint of the data files' contents, so an edit to any mapping file
+ * changes it (and undoing the edit restores it)
+ * @returns {string} SHA-1 hex digest
+ */
+function dataFingerprint() {
+  const jsonFiles = dir => fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => path.join(dir, file));
+  const files = [
+    ...fs.readdirSync(KNOWLEDGE_SYSTEMS_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(KNOWLEDGE_SYSTEMS_DIR, entry.name, 'mappings'))
+      .filter(dir => fs.existsSync(dir))
+      .sort()
+      .flatMap(jsonFiles),
+    ...jsonFiles(ROOT_SYSTEM_DIR)
+  ];
+
+  const hash = crypto.createHash('sha1');
+  for (const file of files) {
+    const { size, mtimeMs } = fs.statSync(file);
+    const known = fileHashes.get(file);
+    if (!known || known.size !== size || known.mtimeMs !== mtimeMs) {
+      const digest = crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex');
+      fileHashes.set(file, { size, mtimeMs, digest });
+    }
+    hash.update(`${file}:${fileHashes.get(file).digest}\n`);
+  }
+  return hash.digest('hex');
+}
+
+// The data this process loaded (mapping files are required once, at load)
+const LOADED_FINGERPRINT = dataFingerprint();
+
+/**
+ * Resolve a name or Ring Composer alias in a registry
+ */
+function resolve(registry, kind, nameOrAlias) {
+  if (Object.prototype.hasOwnProperty.call(registry, nameOrAlias)) return nameOrAlias;
+  const name = Object.keys(registry).find(key => registry[key].alias === nameOrAlias);
+  if (!name) {
+    throw new Error(`Unknown ${kind}: ${nameOrAlias} (must be one of ${Object.keys(registry).join(', ')})`);
+  }
+  return name;
+}
+
+/**
+ * Resolve a ring name or Ring Composer type
+ * @param {string} nameOrAlias - e.g. "gene-keys" or "genekeys"
+ * @returns {string} Ring name
+ * @throws {Error} If no such ring exists
+ */
+function resolveRing(nameOrAlias) {
+  return resolve(RINGS, 'ring', nameOrAlias);
+}
+
+/**
+ * Resolve a center piece name or Ring Composer type
+ * @param {string} nameOrAlias - e.g. "bodygraph-0.88x" or "bodygraph088"
+ * @returns {string} Center piece name
+ * @throws {Error} If no such center piece exists
+ */
+function resolveCenterPiece(nameOrAlias) {
+  return resolve(CENTER_PIECES, 'center piece', nameOrAlias);
+}
+
+/**
+ * Generate the standard SVG of a ring or center piece, once per version of
+ * the data. Once a mapping file has changed, the data this process required
+ * is stale, so the SVG is generated by a fresh node process instead.
+ */
+function generate(registry, name) {
+  const kind = registry === RINGS ? 'ring' : 'center';
+  const fingerprint = dataFingerprint();
+  const key = `${fingerprint}:${kind}:${name}`;
+
+  if (!cache.has(key)) {
+    // SVGs of older data are never served again
+    for (const cached of cache.keys()) {
+      if (!cached.startsWith(fingerprint)) cache.delete(cached);
+    }
+    if (fingerprint === LOADED_FINGERPRINT) {
+      cache.set(key, registry[name].generate());
+    } else {
+      const render = kind === 'ring' ? 'renderRing' : 'renderCenterPiece';
+      const script = `process.stdout.write(require(${JSON.stringify(__filename)}).${render}(${JSON.stringify(name)}))`;
+      cache.set(key, execFileSync(process.execPath, ['-e', script], { encoding: 'utf8', maxBuffer: MAX_SVG_BYTES }));
+    }
+  }
+  return cache.get(key);
+}
+
+/**
+ * Validate and default the shared render options
+ * @param {Object} options - { scale, theme } (strings accepted, e.g. from a query string)
+ * @returns {Object} { scale: number, theme: string }
+ * @throws {Error} If the scale or theme is invalid
+ */
+function normalizeOptions(options = {}) {
+  const scale = options.scale === undefined ? 1 : Number(options.scale);
+  if (options.scale === '' || !Number.isFinite(scale) || scale <= 0 || scale > MAX_SCALE) {
+    throw new Error(`Invalid scale: ${options.scale} (must be a number above 0, up to ${MAX_SCALE})`);
+  }
+
+  const theme = options.theme === undefined ? 'dark' : options.theme;
+  if (!Object.prototype.hasOwnProperty.call(THEMES, theme)) {
+    throw new Error(`Invalid theme: ${theme} (must be one of ${Object.keys(THEMES).join(', ')})`);
+  }
+
+  return { scale, theme };
+}
+
+/**
+ * Swap the dark palette for a theme's colors
+ * @param {string} svg - SVG drawn in the dark palette
+ * @param {string} theme - Theme name
+ * @returns {string} Themed SVG
+ */
+function applyTheme(svg, theme) {
+  if (theme === 'dark') return svg;
+  // One pass, so a swapped-in color is never swapped again
+  const swaps = {
+    [THEMES.dark.background.toUpperCase()]: THEMES[theme].background,
+    [THEMES.dark.foreground.toUpperCase()]: THEMES[theme].foreground
+  };
+  const pattern = new RegExp(`(${Object.keys(swaps).join('|')})(?![0-9A-Fa-f])`, 'gi');
+  return svg.replace(pattern, color => swaps[color.toUpperCase()]);
+}
+
+/**
+ * Multiply the root <svg> width and height (the viewBox is kept, so the
+ * content scales losslessly)
+ * @param {string} svg - SVG markup
+ * @param {number} scale - Size multiplier
+ * @returns {string} Scaled SVG
+ */
+function scaleSVG(svg, scale) {
+  if (scale === 1) return svg;
+  const root = svg.match(/<svg[^>]*>/);
+  if (!root) return svg;
+
+  let tag = root[0];
+  for (const attribute of ['width', 'height']) {
+    tag = tag.replace(new RegExp(`(\\s${attribute}=")([\\d.]+)(")`), (_, before, value, after) =>
+      `${before}${(Number(value) * scale).toFixed(4)}${after}`);
+  }
+  return svg.replace(root[0], tag);
+}
+
+/**
+ * Render a ring with its generator
+ * @param {string} nameOrAlias - Ring name or Ring Composer type
+ * @param {Object} options - { scale, theme }
+ * @returns {string} SVG markup
+ * @throws {Error} If the ring or options are invalid
+ */
+function renderRing(nameOrAlias, options = {}) {
+  const name = resolveRing(nameOrAlias);
+  const { scale, theme } = normalizeOptions(options);
+  return scaleSVG(applyTheme(generate(RINGS, name), theme), scale);
+}
+
+/**
+ * Render a center piece with its generator
+ * @param {string} nameOrAlias - Center piece name or Ring Composer type
+ * @param {Object} options - { scale, theme }
+ * @returns {string} SVG markup
+ * @throws {Error} If the center piece or options are invalid
+ */
+function renderCenterPiece(nameOrAlias, options = {}) {
+  const name = resolveCenterPiece(nameOrAlias);
+  const { scale, theme } = normalizeOptions(options);
+  return scaleSVG(applyTheme(generate(CENTER_PIECES, name), theme), scale);
+}
+
+/**
+ * Inner content of an SVG (without the wrapper and background rect)
+ */
+function extractContent(svg) {
+  const start = svg.match(/<svg[^>]*>/);
+  const end = svg.lastIndexOf('</svg>');
+  const content = start && end > 0 ? svg.substring(start.index + start[0].length, end) : svg;
+  return content.replace(/<rect id="background"[^>]*\/>/, '').trim();
+}
+
+/**
+ * Validate a number field of a composition
+ * @param {string} sign - 'positive', 'non-negative' or 'any'
+ */
+function numberField(value, label, fallback, sign = 'any') {
+  if (value === undefined || value === null) return fallback;
+  const valid = typeof value === 'number' && Number.isFinite(value) &&
+    (sign === 'any' || (sign === 'positive' ? value > 0 : value >= 0));
+  if (!valid) {
+    throw new Error(`Invalid ${label}: ${JSON.stringify(value)} (must be a${sign === 'any' ? '' : ` ${sign}`} number)`);
+  }
+  return value;
+}
+
+/**
+ * Validate a composition and fill in defaults
+ * @param {Object} composition - { center, startRadius, defaultGap, exportPadding, centerPiece,
+ *                               rings: [{ type, scale, gapAfter }], branding, theme, scale }
+ * @returns {Object} Normalized composition (ring types resolved to ring names)
+ * @throws {Error} If any field is invalid
+ */
+function normalizeComposition(composition) {
+  if (!composition || typeof composition !== 'object' || Array.isArray(composition)) {
+    throw new Error('Composition must be a JSON object');
+  }
+
+  const base = { ...DEFAULT_COMPOSITION, ...composition };
+  const center = base.center;
+  if (!center || typeof center !== 'object') {
+    throw new Error('Invalid center: must be { x, y }');
+  }
+
+  if (!Array.isArray(base.rings) || base.rings.length === 0) {
+    throw new Error('Composition needs a non-empty rings array');
+  }
+  const defaultGap = numberField(base.defaultGap, 'defaultGap', DEFAULT_COMPOSITION.defaultGap);
+  const rings = base.rings.map((ring, i) => {
+    const entry = typeof ring === 'string' ? { type: ring } : ring;
+    if (!entry || typeof entry.type !== 'string') {
+      throw new Error(`Ring ${i} needs a type`);
+    }
+    return {
+      type: resolveRing(entry.type),
+      scale: numberField(entry.scale, `scale of ring ${i}`, 1, 'positive'),
+      gapAfter: numberField(entry.gapAfter, `gapAfter of ring ${i}`, defaultGap)
+    };
+  });
+
+  const branding = base.branding === undefined ? false : base.branding;
+  if (typeof branding !== 'boolean' && (typeof branding !== 'object' || branding === null)) {
+    throw new Error('Invalid branding: must be true, false or a serial number config');
+  }
+
+  return {
+    center: { x: numberField(center.x, 'center.x', 1000), y: numberField(center.y, 'center.y', 1000) },
+    startRadius: numberField(base.startRadius, 'startRadius', DEFAULT_COMPOSITION.startRadius, 'positive'),
+    defaultGap,
+    exportPadding: numberField(base.exportPadding, 'exportPadding', DEFAULT_COMPOSITION.exportPadding, 'non-negative'),
+    centerPiece: base.centerPiece === 'none' || base.centerPiece === null ? null : resolveCenterPiece(base.centerPiece),
+    rings,
+    branding,
+    ...normalizeOptions({ scale: base.scale, theme: base.theme })
+  };
+}
+
+/**
+ * Snap placements - each ring's visual inner edge meets the previous ring's
+ * visual outer edge plus the gap, then the ring's own scale is applied
+ * (the Ring Composer's algorithm)
+ * @param {Object} composition - Normalized composition
+ * @returns {Array<Object>} { type, scale, innerRadius, outerRadius, visualInner, visualOuter, transform }
+ */
+function calculatePlacements(composition) {
+  const { center, startRadius, rings } = composition;
+  const placements = [];
+  let currentVisualOuter = startRadius;
+
+  rings.forEach((ring, i) => {
+    const source = RINGS[ring.type].geometry;
+    const gap = i === 0 ? 0 : rings[i - 1].gapAfter;
+    const scale = (currentVisualOuter + gap) / source.visualInner * ring.scale;
+
+    placements.push({
+      type: ring.type,
+      scale,
+      innerRadius: source.innerRadius * scale,
+      outerRadius: source.outerRadius * scale,
+      visualInner: source.visualInner * scale,
+      visualOuter: source.visualOuter * scale,
+      transform: `translate(${(center.x - source.center.x * scale).toFixed(4)}, ` +
+        `${(center.y - source.center.y * scale).toFixed(4)}) scale(${scale.toFixed(6)})`
+    });
+
+    currentVisualOuter = source.visualOuter * scale;
+  });
+
+  return placements;
+}
+
+/**
+ * Render a composed wheel (center piece, snapped rings, optional branding)
+ * @param {Object} composition - See normalizeComposition() - e.g. the UI's "Copy Config" output
+ * @returns {string} SVG markup
+ * @throws {Error} If the composition is invalid
+ */
+function renderWheel(composition = DEFAULT_COMPOSITION) {
+  const wheel = normalizeComposition(composition);
+  const placements = calculatePlacements(wheel);
+  const padding = wheel.exportPadding;
+
+  const maxRadius = placements[placements.length - 1].visualOuter + padding;
+  const viewSize = maxRadius * 2 + padding;
+  const viewMinX = wheel.center.x - maxRadius - padding / 2;
+  const viewMinY = wheel.center.y - maxRadius - padding / 2;
+  const viewBox = `${viewMinX.toFixed(4)} ${viewMinY.toFixed(4)} ${viewSize.toFixed(4)} ${viewSize.toFixed(4)}`;
+
+  const parts = [`<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg"
+     width="${viewSize.toFixed(4)}"
+     height="${viewSize.toFixed(4)}"
+     viewBox="${viewBox}">
+  <style>
+    text { fill: ${THEMES.dark.foreground}; }
+    circle, line { stroke: ${THEMES.dark.foreground}; }
+    #hexagrams rect { fill: ${THEMES.dark.foreground}; stroke: none; }
+  </style>
+  <rect id="background" x="${viewMinX.toFixed(4)}" y="${viewMinY.toFixed(4)}" width="${viewSize.toFixed(4)}" height="${viewSize.toFixed(4)}" fill="${THEMES.dark.background}" stroke="none"/>`];
+
+  // Center piece first (underneath the rings), fitted inside startRadius
+  if (wheel.centerPiece) {
+    const piece = CENTER_PIECES[wheel.centerPiece];
+    const scale = wheel.startRadius / piece.radius;
+    const transform = `translate(${(wheel.center.x - piece.center.x * scale).toFixed(4)}, ` +
+      `${(wheel.center.y - piece.center.y * scale).toFixed(4)}) scale(${scale.toFixed(6)})`;
+    parts.push(`  <g id="center-piece" transform="${transform}">`);
+    parts.push(`    ${extractContent(generate(CENTER_PIECES, wheel.centerPiece))}`);
+    parts.push('  </g>');
+  }
+
+  for (const placement of placements) {
+    parts.push(`  <g id="${placement.type}-ring" transform="${placement.transform}">`);
+    parts.push(`    ${extractContent(generate(RINGS, placement.type))}`);
+    parts.push('  </g>');
+  }
+
+  // Branding is drawn for its original viewBox - scale it to ours
+  if (wheel.branding) {
+    const config = { ...brandingGenerator.CONFIG, ...(wheel.branding === true ? {} : wheel.branding) };
+    const scale = viewSize / brandingGenerator.ORIGINAL.viewBox;
+    parts.push(`  <g id="branding" transform="translate(${viewMinX.toFixed(4)}, ${viewMinY.toFixed(4)}) scale(${scale.toFixed(6)})">`);
+    parts.push(`    ${brandingGenerator.getBrandingGroup(config)}`);
+    parts.push('  </g>');
+  }
+
+  parts.push('</svg>');
+
+  return scaleSVG(applyTheme(parts.join('\n'), wheel.theme), wheel.scale);
+}
+
+/**
+ * List the renderable rings and center pieces
+ * @returns {Object} { rings: [...], centerPieces: [...], themes: [...] }
+ */
+function listRenderables() {
+  return {
+    rings: Object.entries(RINGS).map(([id, ring]) => ({
+      id,
+      name: ring.name,
+      alias: ring.alias,
+      geometry: ring.geometry
+    })),
+    centerPieces: Object.entries(CENTER_PIECES).map(([id, piece]) => ({
+      id,
+      name: piece.name,
+      alias: piece.alias,
+      center: piece.center,
+      radius: piece.radius
+    })),
+    themes: Object.keys(THEMES)
+  };
+}
+
+module.exports = {
+  RINGS,
+  CENTER_PIECES,
+  THEMES,
+  DEFAULT_COMPOSITION,
+  resolveRing,
+  resolveCenterPiece,
+  normalizeOptions,
+  normalizeComposition,
+  applyTheme,
+  scaleSVG,
+  calculatePlacements,
+  renderRing,
+  renderCenterPiece,
+  renderWheel,
+  listRenderables
+};
@@ -16,14 +16,23 @@ const COLORS = {
 // The SVG wheel is MIRRORED (counter-clockwise) relative to V3 (clockwise)
 // This offset is derived by matching divider positions and is consistent
 // across ALL ring generators.
+// It is the default wheel configuration's North angle (10|11 = 326.25°)
+// less half a gate; calculateSVGAngle follows the active configuration.
 const POSITION_OFFSET = 323.4375;
+const HALF_GATE = 2.8125;
 
 /**
  * Calculate SVG position angle from V3 angle
  * Standard formula used by all ring generators
+ * Orientation (North position, direction) comes from the active wheel configuration.
  */
 function calculateSVGAngle(v3Angle) {
-  return -v3Angle - 90 + POSITION_OFFSET;
+  const { northAngle, visualDirection } = getPositioning().getConfiguration().derived;
+  const offset = northAngle - HALF_GATE;
+  if (visualDirection === 'clockwise') {
+    return v3Angle - 90 - offset;
+  }
+  return -v3Angle - 90 + offset;
 }
 
 /**
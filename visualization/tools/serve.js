@@ -1,19 +1,31 @@
 #!/usr/bin/env node
 /**
- * Simple static file server for the Ring Composer UI
+ * Ring Composer server - static files plus on-demand rendering
  *
  * Usage: node serve.js [port]
  * Default port: 8080
  *
- * Then open: http://localhost:8080/ring-composer-ui.html
+ * Then open: http://localhost:8080/tools/ring-composer-ui.html
+ *
+ * Render endpoints (generated by ring-renderer.js once per version of the
+ * mapping files, so they always reflect the current knowledge data):
+ *   GET  /render/rings                          Rings, center pieces and themes (JSON)
+ *   GET  /render/ring/<name>?scale=&theme=      One ring, e.g. /render/ring/gene-keys?scale=0.8&theme=light
+ *   GET  /render/center/<name>?scale=&theme=    A center piece, e.g. /render/center/bodygraph
+ *   GET  /render/wheel?scale=&theme=            The default composition
+ *   POST /render/wheel                          A JSON composition (the UI's "Copy Config" object)
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const renderer = require('../generators/ring-renderer');
 
 const PORT = process.argv[2] || 8080;
 
+// Largest accepted POST body (compositions are a few KB)
+const MAX_BODY_BYTES = 1024 * 1024;
+
 // MIME types
 const mimeTypes = {
   '.html': 'text/html',
@@ -29,11 +41,167 @@ const mimeTypes = {
 // Base directory (visualization folder)
 const baseDir = path.join(__dirname, '..');
 
-const server = http.createServer((req, res) => {
+/**
+ * Send a response (CORS headers for local development)
+ */
+function send(res, status, contentType, body, headers = {}) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': contentType,
+    ...headers
+  });
+  res.end(body);
+}
+
+/**
+ * Send a JSON error
+ */
+function sendError(res, status, message, headers = {}) {
+  console.log(`${status}: ${message}`);
+  send(res, status, 'application/json', JSON.stringify({ error: { status, message } }), headers);
+}
+
+/**
+ * Read a JSON request body
+ * @param {Function} callback - (error, value) - error.status is 400 or 413
+ */
+function readJSON(req, callback) {
+  const chunks = [];
+  let size = 0;
+  let failed = false;
+
+  const fail = (status, message) => {
+    failed = true;
+    const error = new Error(message);
+    error.status = status;
+    callback(error);
+  };
+
+  req.on('data', chunk => {
+    if (failed) return;
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      fail(413, `Request body over ${MAX_BODY_BYTES} bytes`);
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    if (failed) return;
+    try {
+      callback(null, JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      fail(400, `Request body is not valid JSON: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Render an SVG, or answer 500 if a generator fails
+ */
+function sendSVG(res, pathname, render) {
+  let svg;
+  try {
+    svg = render();
+  } catch (error) {
+    console.error(`Error rendering ${pathname}:`, error.message);
+    sendError(res, 500, `Render failed: ${error.message}`);
+    return;
+  }
+  send(res, 200, 'image/svg+xml', svg, { 'Cache-Control': 'no-cache' });
+  console.log(`200: ${pathname}`);
+}
+
+/**
+ * Handle /render/... requests
+ */
+function handleRender(req, res, url) {
+  const [kind, name, ...rest] = url.pathname.split('/').slice(2);
+  const query = Object.fromEntries(url.searchParams);
+  const methods = kind === 'wheel' ? 'GET, POST, OPTIONS' : 'GET, OPTIONS';
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204, 'text/plain', '', {
+      'Access-Control-Allow-Methods': methods,
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    return;
+  }
+  if (!methods.split(', ').includes(req.method)) {
+    sendError(res, 405, `Method ${req.method} not allowed on ${url.pathname}`, { Allow: methods });
+    return;
+  }
+
+  if (kind === 'rings' && name === undefined) {
+    send(res, 200, 'application/json', JSON.stringify(renderer.listRenderables()));
+    return;
+  }
+
+  if ((kind === 'ring' || kind === 'center') && name && rest.length === 0) {
+    const isRing = kind === 'ring';
+    let resolved;
+    try {
+      resolved = isRing ? renderer.resolveRing(name) : renderer.resolveCenterPiece(name);
+    } catch (error) {
+      sendError(res, 404, error.message);
+      return;
+    }
+    try {
+      renderer.normalizeOptions(query);
+    } catch (error) {
+      sendError(res, 400, error.message);
+      return;
+    }
+    sendSVG(res, url.pathname, () => isRing
+      ? renderer.renderRing(resolved, query)
+      : renderer.renderCenterPiece(resolved, query));
+    return;
+  }
+
+  if (kind === 'wheel' && name === undefined) {
+    const renderComposition = composition => {
+      try {
+        renderer.normalizeComposition(composition);
+      } catch (error) {
+        sendError(res, 400, error.message);
+        return;
+      }
+      sendSVG(res, url.pathname, () => renderer.renderWheel(composition));
+    };
+
+    if (req.method === 'GET') {
+      renderComposition({ ...renderer.DEFAULT_COMPOSITION, theme: query.theme, scale: query.scale });
+      return;
+    }
+    readJSON(req, (error, composition) => {
+      if (error) {
+        sendError(res, error.status, error.message);
+        return;
+      }
+      renderComposition(composition);
+    });
+    return;
+  }
+
+  sendError(res, 404, `Unknown render endpoint: ${url.pathname}`);
+}
+
+/**
+ * Serve a file from the visualization folder
+ */
+function handleStatic(req, res, url) {
   // Handle root
-  let filePath = req.url === '/'
-    ? path.join(__dirname, 'ring-composer-ui.html')
-    : path.join(baseDir, req.url);
+  let filePath;
+  try {
+    filePath = url.pathname === '/'
+      ? path.join(__dirname, 'ring-composer-ui.html')
+      : path.join(baseDir, decodeURIComponent(url.pathname));
+  } catch (error) {
+    res.writeHead(400);
+    res.end(`Bad request: ${req.url}`);
+    return;
+  }
 
   // Security: prevent directory traversal
   if (!filePath.startsWith(baseDir)) {
@@ -64,12 +232,45 @@ const server = http.createServer((req, res) => {
       console.log(`200: ${req.url}`);
     }
   });
-});
-
-server.listen(PORT, () => {
-  console.log(`\n🎨 Ring Composer Server`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`Server running at: http://localhost:${PORT}`);
-  console.log(`Open: http://localhost:${PORT}/tools/ring-composer-ui.html`);
-  console.log(`\nPress Ctrl+C to stop\n`);
-});
+}
+
+/**
+ * Create the server (not yet listening)
+ * @returns {http.Server} Server - call .listen(port)
+ */
+function createServer() {
+  return http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      res.writeHead(400);
+      res.end(`Bad request: ${req.url}`);
+      return;
+    }
+
+    if (url.pathname === '/render' || url.pathname.startsWith('/render/')) {
+      handleRender(req, res, url);
+    } else {
+      handleStatic(req, res, url);
+    }
+  });
+}
+
+module.exports = {
+  createServer
+};
+
+// CLI
+if (require.main === module) {
+  const server = createServer();
+
+  server.listen(PORT, () => {
+    console.log(`\n🎨 Ring Composer Server`);
+    console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+    console.log(`Server running at: http://localhost:${PORT}`);
+    console.log(`Open: http://localhost:${PORT}/tools/ring-composer-ui.html`);
+    console.log(`Rings on demand: http://localhost:${PORT}/render/rings`);
+    console.log(`\nPress Ctrl+C to stop\n`);
+  });
+}